@@ -47,8 +47,13 @@ function Invoke-ExternalUserEnrichment {
 
     $enrichedCount = 0
     $failedCount = 0
+    $processed = 0
+    Set-OperationProgress -Phase "Enriching external users" -Percent 0
 
     foreach ($user in $externalUsers) {
+        $processed++
+        Set-OperationProgress -Percent ([int](100 * $processed / $externalUsers.Count))
+
         # Skip already enriched users unless forced
         if (-not $Force -and $user.GraphEnriched) { continue }
 
@@ -70,6 +70,15 @@ function Build-GovernanceReport {
             powerShellVersion = $PSVersionTable.PSVersion.ToString()
             hostName          = $env:COMPUTERNAME
             demoMode          = [bool]$script:DemoMode
+            partial           = $null
+        }
+        $partial = $script:SharePointData.Partial
+        if ($partial) {
+            $report.metadata.partial = [ordered]@{
+                reason    = $partial.Reason
+                operation = $partial.Operation
+                markedAt  = $partial.MarkedAt
+            }
         }
     }
 
@@ -113,22 +122,29 @@ function Build-GovernanceReport {
     # Groups
     $report.groups = @(foreach ($g in $groups) {
         [ordered]@{
-            name        = $g.Name
-            memberCount = [int]($g.MemberCount)
-            permission  = $g.Permission
-            description = if ($g.Description) { $g.Description } else { $null }
+            name                = $g.Name
+            memberCount         = [int]($g.MemberCount)
+            permission          = $g.Permission
+            description         = if ($g.Description) { $g.Description } else { $null }
+            flatMemberCount     = if ($null -ne $g.FlatMemberCount) { [int]$g.FlatMemberCount } else { $null }
+            externalMemberCount = if ($null -ne $g.ExternalMemberCount) { [int]$g.ExternalMemberCount } else { $null }
+            nestedGroupCount    = if ($null -ne $g.NestedGroupCount) { [int]$g.NestedGroupCount } else { $null }
+            includesEveryone    = if ($null -ne $g.IncludesEveryone) { [bool]$g.IncludesEveryone } else { $null }
+            isEmpty             = if ($null -ne $g.IsEmpty) { [bool]$g.IsEmpty } else { $null }
+            members             = @(ConvertTo-ReportMembers -Members $g.Members)
         }
     })
 
     # Role assignments
     $report.roleAssignments = @(foreach ($ra in $roleAssignments) {
         [ordered]@{
-            principal     = $ra.Principal
-            principalType = $ra.PrincipalType
-            role          = $ra.Role
-            scope         = $ra.Scope
-            scopeUrl      = $ra.ScopeUrl
-            siteTitle     = if ($ra.SiteTitle) { $ra.SiteTitle } else { $null }
+            principal          = $ra.Principal
+            principalLoginName = if ($ra.PrincipalLoginName) { $ra.PrincipalLoginName } else { $null }
+            principalType      = $ra.PrincipalType
+            role               = $ra.Role
+            scope              = $ra.Scope
+            scopeUrl           = $ra.ScopeUrl
+            siteTitle          = if ($ra.SiteTitle) { $ra.SiteTitle } else { $null }
         }
     })
 
@@ -148,14 +164,44 @@ function Build-GovernanceReport {
     # Sharing links
     $report.sharingLinks = @(foreach ($l in $sharingLinks) {
         [ordered]@{
+            groupName   = if ($l.GroupName) { $l.GroupName } else { $null }
             linkType    = $l.LinkType
             accessLevel = $l.AccessLevel
             memberCount = [int]($l.MemberCount)
             siteTitle   = if ($l.SiteTitle) { $l.SiteTitle } else { $null }
             createdDate = if ($l.CreatedDate) { $l.CreatedDate } else { $null }
+            members     = @(ConvertTo-ReportMembers -Members $l.Members)
         }
     })
 
     return $report
 }
 
+function ConvertTo-ReportMembers {
+    <#
+    .SYNOPSIS
+    Maps stored group/link member entries to the report's camelCase shape; nested
+    group entries (GroupMembership.ps1) keep their own members
+    #>
+    param($Members)
+
+    foreach ($m in @($Members)) {
+        if ($null -eq $m) { continue }
+        $entry = [ordered]@{
+            name          = $m.Name
+            email         = if ($m.Email) { $m.Email } else { $null }
+            loginName     = if ($m.LoginName) { $m.LoginName } else { $null }
+            principalType = if ($m.PrincipalType) { $m.PrincipalType } else { "User" }
+        }
+        if ($m.MemberKind) { $entry.memberKind = $m.MemberKind }
+        if ($null -ne $m.IsExternal) { $entry.isExternal = [bool]$m.IsExternal }
+        if ($null -ne $m.Members) {
+            $entry.expanded = [bool]$m.Expanded
+            if ($m.Cycle) { $entry.cycle = $true }
+            if ($m.Truncated) { $entry.truncated = $true }
+            $entry.members = @(ConvertTo-ReportMembers -Members $m.Members)
+        }
+        $entry
+    }
+}
+
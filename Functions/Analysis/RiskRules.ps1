@@ -0,0 +1,504 @@
+# ============================================
+# RiskRules.ps1 - Risk rule configuration
+# ============================================
+# Built-in rule definitions for Get-RiskAssessment plus the per-tenant
+# overrides (enabled, severity, threshold) edited on the Risk Rules page.
+# Overrides are stored in <DataPath>/risk_rules.json; only values that
+# differ from the defaults are written, so new defaults still apply.
+# A rule raises a finding when its measured value is above its threshold.
+#
+# The same file holds custom rules: declarative filters over one data type,
+#   { ruleId, title, category, description, severity, enabled,
+#     dataType, match ("all"|"any"), conditions: [{ field, operator, value }],
+#     threshold, scorePerItem, maxScore }
+# A custom rule's value is the number of rows that match its conditions.
+
+$script:RiskSeverities = @("Critical", "High", "Medium", "Low")
+
+# Custom rule data type -> label used in finding descriptions
+$script:CustomRuleDataTypes = [ordered]@{
+    "users"           = "user(s)"
+    "roleassignments" = "role assignment(s)"
+    "sharinglinks"    = "sharing link(s)"
+    "inheritance"     = "item(s)"
+}
+
+$script:CustomRuleOperators = @(
+    "equals", "notEquals", "contains", "notContains", "startsWith", "endsWith",
+    "in", "notIn", "greaterThan", "lessThan",
+    "isTrue", "isFalse", "isEmpty", "isNotEmpty",
+    "memberOf", "notMemberOf"
+)
+$script:CustomRuleUnaryOperators = @("isTrue", "isFalse", "isEmpty", "isNotEmpty")
+
+# Default maximum score of a custom rule finding, by severity
+$script:CustomRuleMaxScores = @{ Critical = 100; High = 80; Medium = 60; Low = 30 }
+
+$script:RiskRuleDefaults = [ordered]@{
+    "EXT-001"   = @{ Category = "External Access"; Title = "External users with edit or higher permissions"; Severity = "High";     Threshold = 0;  ThresholdUnit = "count";   ThresholdLabel = "External users with edit or higher access" }
+    "EXT-002"   = @{ Category = "External Access"; Title = "External users with site admin rights";          Severity = "Critical"; Threshold = 0;  ThresholdUnit = "count";   ThresholdLabel = "External site administrators" }
+    "EXT-003"   = @{ Category = "External Access"; Title = "External access from many domains";              Severity = "Medium";   Threshold = 5;  ThresholdUnit = "count";   ThresholdLabel = "Distinct external domains" }
+    "SHARE-001" = @{ Category = "Sharing Links";   Title = "Anonymous edit links detected";                  Severity = "Critical"; Threshold = 0;  ThresholdUnit = "count";   ThresholdLabel = "Anonymous edit links" }
+    "SHARE-002" = @{ Category = "Sharing Links";   Title = "Anonymous sharing links exist";                  Severity = "High";     Threshold = 0;  ThresholdUnit = "count";   ThresholdLabel = "Anonymous links" }
+    "SHARE-003" = @{ Category = "Sharing Links";   Title = "Excessive company-wide sharing links";           Severity = "Medium";   Threshold = 10; ThresholdUnit = "count";   ThresholdLabel = "Company-wide links" }
+    "PERM-001"  = @{ Category = "Permissions";     Title = "Excessive Full Control assignments";             Severity = "High";     Threshold = 5;  ThresholdUnit = "count";   ThresholdLabel = "Full Control assignments" }
+    "PERM-002"  = @{ Category = "Permissions";     Title = "Many direct user permission assignments";        Severity = "Medium";   Threshold = 10; ThresholdUnit = "count";   ThresholdLabel = "Direct user assignments" }
+    "PERM-003"  = @{ Category = "Permissions";     Title = "Users granted edit or higher directly";          Severity = "Medium";   Threshold = 0;  ThresholdUnit = "count";   ThresholdLabel = "Direct user assignments with edit or higher" }
+    "INH-001"   = @{ Category = "Inheritance";     Title = "Majority of items have broken inheritance";      Severity = "High";     Threshold = 50; ThresholdUnit = "percent"; ThresholdLabel = "Items with unique permissions" }
+    "INH-002"   = @{ Category = "Inheritance";     Title = "Significant inheritance breaks";                 Severity = "Medium";   Threshold = 25; ThresholdUnit = "percent"; ThresholdLabel = "Items with unique permissions" }
+    "INH-003"   = @{ Category = "Inheritance";     Title = "Document libraries with unique permissions";     Severity = "Medium";   Threshold = 0;  ThresholdUnit = "count";   ThresholdLabel = "Libraries with unique permissions" }
+    "GRP-001"   = @{ Category = "Groups";          Title = "Empty groups detected";                          Severity = "Low";      Threshold = 0;  ThresholdUnit = "count";   ThresholdLabel = "Groups without members" }
+}
+
+# Remediation guidance shown with each built-in rule's affected objects
+$script:RiskRuleRemediation = @{
+    "EXT-001"   = "Downgrade external users to Read unless they need to edit, and prefer sharing specific files over granting site or library access. Remove guests whose collaboration has ended."
+    "EXT-002"   = "Remove external users from the site collection administrators and Owners groups. Give a named internal owner the admin role and grant the guest Edit or Read on the content they need."
+    "EXT-003"   = "Check each domain against your approved partner list. Remove guests from unknown domains and consider a domain allow list in the SharePoint external sharing settings."
+    "SHARE-001" = "Delete anonymous edit links or change them to View. If anonymous sharing is needed, set link expiration and restrict 'Anyone' links to view-only in the tenant sharing settings."
+    "SHARE-002" = "Remove anonymous links that are no longer needed and replace the rest with specific-people links. Set a default expiration for 'Anyone' links in the tenant sharing settings."
+    "SHARE-003" = "Replace company-wide links on sensitive content with specific-people links, and change the default link type to 'Specific people' for sites that hold confidential data."
+    "PERM-001"  = "Keep Full Control for site owners only. Move other principals to Edit or a custom permission level, and grant remaining owners access through the site Owners group."
+    "PERM-002"  = "Replace direct user grants with membership of the site Members or Visitors group (or an Entra security group) so access is managed in one place."
+    "PERM-003"  = "Check that each user still needs to edit. Lower the rest to Read, and grant edit access through the site Members group instead of to individual users."
+    "INH-001"   = "Restore inheritance on items that no longer need unique permissions and move sensitive content into dedicated libraries or sites with their own permissions."
+    "INH-002"   = "Review the items with unique permissions and reset inheritance where the unique permissions match the parent or are no longer needed."
+    "INH-003"   = "Confirm the unique permissions on each library are intentional, and restore inheritance on libraries whose access should match the site."
+    "GRP-001"   = "Delete groups that are no longer used, or add members if the group still grants access that someone needs."
+}
+
+# Custom rules have no built-in guidance; their description is shown alongside this
+$script:CustomRuleRemediation = "Review the matching objects and change them so they no longer match this rule."
+
+function Get-RiskRules {
+    <#
+    .SYNOPSIS
+    Returns every rule (ordered by rule ID) with the saved overrides applied
+    #>
+    $overrides = Read-RiskRuleOverrides
+    $rules = [ordered]@{}
+
+    foreach ($ruleId in $script:RiskRuleDefaults.Keys) {
+        $default = $script:RiskRuleDefaults[$ruleId]
+        $override = $overrides[$ruleId] ?? @{}
+
+        $rules[$ruleId] = @{
+            RuleId           = $ruleId
+            Category         = $default.Category
+            Title            = $default.Title
+            ThresholdUnit    = $default.ThresholdUnit
+            ThresholdLabel   = $default.ThresholdLabel
+            Remediation      = $script:RiskRuleRemediation[$ruleId]
+            Enabled          = if ($null -ne $override.Enabled) { [bool]$override.Enabled } else { $true }
+            Severity         = $override.Severity ?? $default.Severity
+            Threshold        = if ($null -ne $override.Threshold) { [int]$override.Threshold } else { $default.Threshold }
+            DefaultSeverity  = $default.Severity
+            DefaultThreshold = $default.Threshold
+        }
+    }
+
+    return $rules
+}
+
+function Set-RiskRules {
+    <#
+    .SYNOPSIS
+    Validates and saves rule overrides
+    .PARAMETER Rules
+    Objects with RuleId and any of Enabled, Severity, Threshold. Rules that are
+    not listed keep their current settings.
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [array]$Rules
+    )
+
+    $overrides = Read-RiskRuleOverrides
+
+    foreach ($rule in $Rules) {
+        $ruleId = [string]$rule.RuleId
+        $default = $script:RiskRuleDefaults[$ruleId]
+        if (-not $default) {
+            throw "Unknown risk rule '$ruleId'"
+        }
+
+        $override = $overrides[$ruleId] ?? @{}
+
+        if ($null -ne $rule.Enabled) {
+            if ([bool]$rule.Enabled) { $override.Remove("Enabled") } else { $override.Enabled = $false }
+        }
+
+        if ($rule.Severity) {
+            $severity = $script:RiskSeverities | Where-Object { $_ -eq $rule.Severity } | Select-Object -First 1
+            if (-not $severity) {
+                throw "Invalid severity '$($rule.Severity)' for $ruleId (expected $($script:RiskSeverities -join ', '))"
+            }
+            if ($severity -eq $default.Severity) { $override.Remove("Severity") } else { $override.Severity = $severity }
+        }
+
+        if ($null -ne $rule.Threshold) {
+            $threshold = 0
+            if (-not [int]::TryParse([string]$rule.Threshold, [ref]$threshold) -or $threshold -lt 0) {
+                throw "Threshold for $ruleId must be a whole number of 0 or more"
+            }
+            if ($default.ThresholdUnit -eq "percent" -and $threshold -gt 100) {
+                throw "Threshold for $ruleId is a percentage and must be 100 or less"
+            }
+            if ($threshold -eq $default.Threshold) { $override.Remove("Threshold") } else { $override.Threshold = $threshold }
+        }
+
+        if ($override.Count -gt 0) { $overrides[$ruleId] = $override } else { $overrides.Remove($ruleId) }
+    }
+
+    Save-RiskRuleFile -Overrides $overrides -CustomRules (Get-CustomRiskRules)
+
+    Write-ActivityLog "Risk rules updated ($($overrides.Count) customised)" -Level "Information"
+    return Get-RiskRules
+}
+
+function Reset-RiskRules {
+    <#
+    .SYNOPSIS
+    Removes all overrides so every built-in rule uses its defaults (custom rules are kept)
+    #>
+    Save-RiskRuleFile -Overrides @{} -CustomRules (Get-CustomRiskRules)
+    Write-ActivityLog "Risk rules reset to defaults" -Level "Information"
+    return Get-RiskRules
+}
+
+function Get-RiskRulesUpdatedAt {
+    <#
+    .SYNOPSIS
+    When the overrides were last saved, or $null when the defaults are in use
+    #>
+    $saved = Read-RiskRuleFile
+    return $saved.UpdatedAt
+}
+
+function Test-RiskRule {
+    <#
+    .SYNOPSIS
+    True if the rule is enabled and the measured value is above its threshold
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [hashtable]$Rule,
+        [double]$Value
+    )
+
+    return ($Rule.Enabled -and $Value -gt $Rule.Threshold)
+}
+
+# ---- Custom Rules ----
+
+function Get-CustomRiskRules {
+    <#
+    .SYNOPSIS
+    Returns the saved custom rules (definitions that no longer validate are skipped)
+    #>
+    $saved = Read-RiskRuleFile
+    $rules = [System.Collections.ArrayList]::new()
+
+    foreach ($definition in @($saved.CustomRules)) {
+        if (-not $definition) { continue }
+        try {
+            [void]$rules.Add((ConvertTo-CustomRiskRule -Definition $definition))
+        }
+        catch {
+            Write-ErrorLog -Message "Skipping custom risk rule $($definition.RuleId): $($_.Exception.Message)" -Location "RiskRules"
+        }
+    }
+
+    return $rules.ToArray()
+}
+
+function Set-CustomRiskRule {
+    <#
+    .SYNOPSIS
+    Validates and saves a custom rule; a rule without ruleId is added with the next CUST-nnn ID
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        $Definition
+    )
+
+    $rule = ConvertTo-CustomRiskRule -Definition $Definition
+    $rules = [System.Collections.ArrayList]::new(@(Get-CustomRiskRules))
+
+    if ($rule.RuleId) {
+        $index = -1
+        for ($i = 0; $i -lt $rules.Count; $i++) {
+            if ($rules[$i].RuleId -eq $rule.RuleId) { $index = $i; break }
+        }
+        if ($index -ge 0) { $rules[$index] = $rule } else { [void]$rules.Add($rule) }
+    }
+    else {
+        $next = 1
+        foreach ($existing in $rules) {
+            if ($existing.RuleId -match '^CUST-(\d+)$') { $next = [Math]::Max($next, [int]$Matches[1] + 1) }
+        }
+        $rule.RuleId = "CUST-{0:D3}" -f $next
+        [void]$rules.Add($rule)
+    }
+
+    Save-RiskRuleFile -Overrides (Read-RiskRuleOverrides) -CustomRules $rules.ToArray()
+    Write-ActivityLog "Custom risk rule $($rule.RuleId) saved" -Level "Information"
+    return $rule
+}
+
+function Remove-CustomRiskRule {
+    <#
+    .SYNOPSIS
+    Deletes a custom rule; returns $false if no rule has that ID
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [string]$RuleId
+    )
+
+    $rules = @(Get-CustomRiskRules)
+    $remaining = @($rules | Where-Object { $_.RuleId -ne $RuleId })
+    if ($remaining.Count -eq $rules.Count) { return $false }
+
+    Save-RiskRuleFile -Overrides (Read-RiskRuleOverrides) -CustomRules $remaining
+    Write-ActivityLog "Custom risk rule $RuleId deleted" -Level "Information"
+    return $true
+}
+
+function ConvertTo-CustomRiskRule {
+    <#
+    .SYNOPSIS
+    Validates a custom rule definition (request body or saved JSON) and returns it
+    as a hashtable with PascalCase keys. Throws with a readable message if invalid.
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        $Definition
+    )
+
+    $ruleId = [string]$Definition.RuleId
+    if ($ruleId -and $ruleId -notmatch '^CUST-\d{3,}$') {
+        throw "Custom rule IDs look like CUST-001 (got '$ruleId')"
+    }
+
+    $title = ([string]$Definition.Title).Trim()
+    if (-not $title) { throw "A custom rule needs a title" }
+
+    $dataType = ([string]$Definition.DataType).ToLower()
+    if (-not $script:CustomRuleDataTypes.Contains($dataType)) {
+        throw "Data type must be one of $($script:CustomRuleDataTypes.Keys -join ', ')"
+    }
+
+    $severity = $script:RiskSeverities | Where-Object { $_ -eq $Definition.Severity } | Select-Object -First 1
+    if (-not $severity) { throw "Severity must be one of $($script:RiskSeverities -join ', ')" }
+
+    $match = if ($Definition.Match) { ([string]$Definition.Match).ToLower() } else { "all" }
+    if ($match -notin @("all", "any")) { throw "Match must be 'all' or 'any'" }
+
+    $conditions = @($Definition.Conditions | Where-Object { $_ })
+    if ($conditions.Count -eq 0 -or $conditions.Count -gt 20) {
+        throw "A custom rule needs between 1 and 20 conditions"
+    }
+
+    $normalized = foreach ($condition in $conditions) {
+        $field = [string]$condition.Field
+        if ($field -notmatch '^[A-Za-z][A-Za-z0-9]*$') { throw "Invalid field name '$field'" }
+
+        $operator = $script:CustomRuleOperators | Where-Object { $_ -eq $condition.Operator } | Select-Object -First 1
+        if (-not $operator) { throw "Unknown operator '$($condition.Operator)' on $field" }
+
+        $value = if ($null -ne $condition.Value) { ([string]$condition.Value).Trim() } else { "" }
+        if ($operator -notin $script:CustomRuleUnaryOperators -and $value -eq "") {
+            throw "The '$operator' condition on $field needs a value"
+        }
+        $number = 0.0
+        if ($operator -in @("greaterThan", "lessThan") -and
+            -not [double]::TryParse($value, [System.Globalization.NumberStyles]::Float, [cultureinfo]::InvariantCulture, [ref]$number)) {
+            throw "The '$operator' condition on $field needs a number"
+        }
+
+        @{ Field = $field; Operator = $operator; Value = $value }
+    }
+
+    $threshold = Get-CustomRuleNumber -Value $Definition.Threshold -Name "Threshold" -Default 0 -Min 0 -Max ([int]::MaxValue)
+    $scorePerItem = Get-CustomRuleNumber -Value $Definition.ScorePerItem -Name "Score per match" -Default 10 -Min 1 -Max 100
+    $maxScore = Get-CustomRuleNumber -Value $Definition.MaxScore -Name "Maximum score" -Default $script:CustomRuleMaxScores[$severity] -Min 1 -Max 100
+
+    $category = ([string]$Definition.Category).Trim()
+
+    return @{
+        RuleId       = $ruleId
+        Title        = $title
+        Category     = if ($category) { $category } else { "Custom" }
+        Description  = ([string]$Definition.Description).Trim()
+        Severity     = $severity
+        Enabled      = if ($null -ne $Definition.Enabled) { [bool]$Definition.Enabled } else { $true }
+        DataType     = $dataType
+        Match        = $match
+        Conditions   = @($normalized)
+        Threshold    = $threshold
+        ScorePerItem = $scorePerItem
+        MaxScore     = $maxScore
+    }
+}
+
+function Find-CustomRiskRuleMatches {
+    <#
+    .SYNOPSIS
+    Returns the rows that satisfy a custom rule's conditions
+    .PARAMETER Groups
+    Collected groups, used to resolve memberOf / notMemberOf conditions
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [hashtable]$Rule,
+        [array]$Rows,
+        [array]$Groups
+    )
+
+    # Resolve each referenced group to its member names/emails/logins once; users of
+    # nested Entra ID / M365 groups are members too
+    $groupMembers = @{}
+    foreach ($condition in $Rule.Conditions) {
+        if ($condition.Operator -in @("memberOf", "notMemberOf") -and -not $groupMembers.ContainsKey($condition.Value)) {
+            $members = [System.Collections.Generic.HashSet[string]]::new([StringComparer]::OrdinalIgnoreCase)
+            foreach ($group in @($Groups | Where-Object { $_.Name -eq $condition.Value })) {
+                foreach ($member in @(Get-GroupMemberUsers -Members $group.Members)) {
+                    foreach ($key in @($member.Name, $member.Email, $member.LoginName)) {
+                        if ($key) { [void]$members.Add([string]$key) }
+                    }
+                }
+            }
+            $groupMembers[$condition.Value] = $members
+        }
+    }
+
+    $requireAll = $Rule.Match -ne "any"
+    $matched = [System.Collections.ArrayList]::new()
+    foreach ($row in @($Rows)) {
+        if (-not $row) { continue }
+        $isMatch = $requireAll
+        foreach ($condition in $Rule.Conditions) {
+            $result = Test-CustomRuleCondition -Row $row -Condition $condition -GroupMembers $groupMembers
+            if ($requireAll -and -not $result) { $isMatch = $false; break }
+            if (-not $requireAll -and $result) { $isMatch = $true; break }
+        }
+        if ($isMatch) { [void]$matched.Add($row) }
+    }
+
+    return $matched.ToArray()
+}
+
+function Test-CustomRuleCondition {
+    <#
+    .SYNOPSIS
+    Internal: evaluates one { Field, Operator, Value } condition against a row (case-insensitive)
+    #>
+    param(
+        $Row,
+        [hashtable]$Condition,
+        [hashtable]$GroupMembers
+    )
+
+    $text = ConvertTo-RuleFieldText -Value $Row.($Condition.Field)
+    $value = [string]$Condition.Value
+    $ignoreCase = [StringComparison]::OrdinalIgnoreCase
+    $invariant = [cultureinfo]::InvariantCulture
+
+    switch ($Condition.Operator) {
+        "equals"      { return $text -eq $value }
+        "notEquals"   { return $text -ne $value }
+        "contains"    { return $text.IndexOf($value, $ignoreCase) -ge 0 }
+        "notContains" { return $text.IndexOf($value, $ignoreCase) -lt 0 }
+        "startsWith"  { return $text.StartsWith($value, $ignoreCase) }
+        "endsWith"    { return $text.EndsWith($value, $ignoreCase) }
+        "in"          { return @($value -split ',' | ForEach-Object { $_.Trim() }) -contains $text }
+        "notIn"       { return @($value -split ',' | ForEach-Object { $_.Trim() }) -notcontains $text }
+        { $_ -in @("greaterThan", "lessThan") } {
+            $number = 0.0
+            if (-not [double]::TryParse($text, [System.Globalization.NumberStyles]::Float, $invariant, [ref]$number)) { return $false }
+            $limit = [double]::Parse($value, $invariant)
+            if ($Condition.Operator -eq "greaterThan") { return $number -gt $limit } else { return $number -lt $limit }
+        }
+        "isTrue"      { return $text -eq "True" }
+        "isFalse"     { return $text -ne "True" }
+        "isEmpty"     { return [string]::IsNullOrWhiteSpace($text) }
+        "isNotEmpty"  { return -not [string]::IsNullOrWhiteSpace($text) }
+        "memberOf"    { return $GroupMembers[$value].Contains($text) }
+        "notMemberOf" { return -not $GroupMembers[$value].Contains($text) }
+    }
+    return $false
+}
+
+function ConvertTo-RuleFieldText {
+    <#
+    .SYNOPSIS
+    Internal: flattens a row value to text (member lists become "Name; Name")
+    #>
+    param($Value)
+
+    if ($null -eq $Value) { return "" }
+    if ($Value -is [string]) { return $Value }
+    if ($Value -is [System.Collections.IEnumerable] -and $Value -isnot [System.Collections.IDictionary]) {
+        return (@($Value | ForEach-Object { if ($_.Name) { $_.Name } else { [string]$_ } }) -join "; ")
+    }
+    return [string]$Value
+}
+
+function Get-CustomRuleNumber {
+    <#
+    .SYNOPSIS
+    Internal: parses a whole-number rule setting within a range, or returns the default
+    #>
+    param($Value, [string]$Name, [int]$Default, [int]$Min, [int]$Max)
+
+    if ($null -eq $Value -or [string]$Value -eq "") { return $Default }
+    $number = 0
+    if (-not [int]::TryParse([string]$Value, [ref]$number) -or $number -lt $Min -or $number -gt $Max) {
+        throw "$Name must be a whole number from $Min$(if ($Max -lt [int]::MaxValue) { " to $Max" })"
+    }
+    return $number
+}
+
+# ---- Storage ----
+
+function Save-RiskRuleFile {
+    <#
+    .SYNOPSIS
+    Internal: writes the built-in overrides and custom rules
+    #>
+    param(
+        [hashtable]$Overrides,
+        [array]$CustomRules
+    )
+
+    Save-DataFile -FileName "risk_rules.json" -Depth 6 -Data @{
+        Rules       = $Overrides
+        CustomRules = @($CustomRules)
+    }
+}
+
+function Read-RiskRuleOverrides {
+    <#
+    .SYNOPSIS
+    Internal: saved overrides keyed by rule ID (empty when none are saved)
+    #>
+    $saved = Read-RiskRuleFile
+    $overrides = @{}
+    if ($saved.Rules -is [System.Collections.IDictionary]) {
+        foreach ($ruleId in $saved.Rules.Keys) {
+            if ($script:RiskRuleDefaults.Contains($ruleId)) {
+                $overrides[$ruleId] = $saved.Rules[$ruleId]
+            }
+        }
+    }
+    return $overrides
+}
+
+function Read-RiskRuleFile {
+    <#
+    .SYNOPSIS
+    Internal: contents of the overrides file, or an empty hashtable
+    #>
+    return Read-DataFile -FileName "risk_rules.json" -Description "risk rules" -Location "RiskRules"
+}
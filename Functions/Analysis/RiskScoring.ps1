@@ -2,20 +2,45 @@
 # RiskScoring.ps1 - Risk scoring and findings engine
 # ============================================
 # Evaluates collected SharePoint data against security rules
-# and produces scored findings with severity levels.
+# and produces scored findings with severity levels. Which rules run,
+# their severity and thresholds, and any custom rules come from RiskRules.ps1.
+# Each finding lists the objects that triggered it (AffectedItems) so the
+# risk view can drill down to them. Triage entries from RiskTriage.ps1 take
+# accepted and false-positive findings and objects out of the score.
+
+# Affected objects kept per finding; Count still reports the full total
+$script:RiskAffectedItemLimit = 500
 
 function Get-RiskAssessment {
     <#
     .SYNOPSIS
     Runs all risk rules against the current data and returns scored findings
+    .PARAMETER Data
+    Optional hashtable with Users, Groups, RoleAssignments, InheritanceItems and
+    SharingLinks collections to score instead of the in-memory data store
+    (used for report files loaded in the browser)
     #>
-    $metrics = Get-SharePointData -DataType "Metrics"
-    $users = Get-SharePointData -DataType "Users"
-    $groups = Get-SharePointData -DataType "Groups"
-    $roleAssignments = Get-SharePointData -DataType "RoleAssignments"
-    $inheritanceItems = Get-SharePointData -DataType "InheritanceItems"
-    $sharingLinks = Get-SharePointData -DataType "SharingLinks"
+    param(
+        [hashtable]$Data
+    )
+
+    if ($Data) {
+        $users = @($Data.Users)
+        $groups = @($Data.Groups)
+        $roleAssignments = @($Data.RoleAssignments)
+        $inheritanceItems = @($Data.InheritanceItems)
+        $sharingLinks = @($Data.SharingLinks)
+    }
+    else {
+        $users = Get-SharePointData -DataType "Users"
+        $groups = Get-SharePointData -DataType "Groups"
+        $roleAssignments = Get-SharePointData -DataType "RoleAssignments"
+        $inheritanceItems = Get-SharePointData -DataType "InheritanceItems"
+        $sharingLinks = Get-SharePointData -DataType "SharingLinks"
+    }
 
+    $rules = Get-RiskRules
+    $triage = Get-RiskTriage
     $findings = [System.Collections.ArrayList]::new()
 
     # ---- External Access Rules ----
@@ -25,30 +50,16 @@ function Get-RiskAssessment {
         $externalEditors = @($externalUsers | Where-Object {
             $_.Permission -in @("Full Control", "Edit", "Contribute")
         })
-        if ($externalEditors.Count -gt 0) {
-            [void]$findings.Add(@{
-                RuleId      = "EXT-001"
-                Severity    = "High"
-                Category    = "External Access"
-                Title       = "External users with edit or higher permissions"
-                Description = "$($externalEditors.Count) external user(s) have edit or higher access. Review and restrict to read-only where possible."
-                Count       = $externalEditors.Count
-                Score       = [Math]::Min($externalEditors.Count * 15, 100)
-            })
-        }
+        Add-RiskFinding -Findings $findings -Rule $rules["EXT-001"] -Triage $triage `
+            -Affected @($externalEditors | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind "user" }) `
+            -Describe { param($n) "$n external user(s) have edit or higher access. Review and restrict to read-only where possible." } `
+            -Score { param($n) [Math]::Min($n * 15, 100) }
 
         $externalAdmins = @($externalUsers | Where-Object { $_.IsSiteAdmin })
-        if ($externalAdmins.Count -gt 0) {
-            [void]$findings.Add(@{
-                RuleId      = "EXT-002"
-                Severity    = "Critical"
-                Category    = "External Access"
-                Title       = "External users with site admin rights"
-                Description = "$($externalAdmins.Count) external user(s) are site administrators. This is a significant security risk."
-                Count       = $externalAdmins.Count
-                Score       = 100
-            })
-        }
+        Add-RiskFinding -Findings $findings -Rule $rules["EXT-002"] -Triage $triage `
+            -Affected @($externalAdmins | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind "user" }) `
+            -Describe { param($n) "$n external user(s) are site administrators. This is a significant security risk." } `
+            -Score { 100 }
 
         # Domain diversity
         $domains = @{}
@@ -58,17 +69,12 @@ function Get-RiskAssessment {
                 $domains[$domain] = ($domains[$domain] ?? 0) + 1
             }
         }
-        if ($domains.Count -gt 5) {
-            [void]$findings.Add(@{
-                RuleId      = "EXT-003"
-                Severity    = "Medium"
-                Category    = "External Access"
-                Title       = "External access from many domains"
-                Description = "External users come from $($domains.Count) different domains. Consider consolidating external access."
-                Count       = $domains.Count
-                Score       = [Math]::Min($domains.Count * 5, 70)
-            })
-        }
+        Add-RiskFinding -Findings $findings -Rule $rules["EXT-003"] -Triage $triage `
+            -Affected @($domains.Keys | Sort-Object { $domains[$_] } -Descending | ForEach-Object {
+                @{ Key = "domain:$($_.ToLower())"; Type = "Domain"; Name = $_; Detail = "$($domains[$_]) external user(s)"; Site = ""; Url = ""; DeepDive = "external" }
+            }) `
+            -Describe { param($n) "External users come from $n different domains. Consider consolidating external access." } `
+            -Score { param($n) [Math]::Min($n * 5, 70) }
     }
 
     # ---- Sharing Link Rules ----
@@ -76,69 +82,42 @@ function Get-RiskAssessment {
     $anonymousLinks = @($sharingLinks | Where-Object { $_.LinkType -eq "Anonymous" })
     if ($anonymousLinks.Count -gt 0) {
         $anonymousEditLinks = @($anonymousLinks | Where-Object { $_.AccessLevel -eq "Edit" })
-        if ($anonymousEditLinks.Count -gt 0) {
-            [void]$findings.Add(@{
-                RuleId      = "SHARE-001"
-                Severity    = "Critical"
-                Category    = "Sharing Links"
-                Title       = "Anonymous edit links detected"
-                Description = "$($anonymousEditLinks.Count) anonymous link(s) grant edit access. Anyone with the link can modify content without authentication."
-                Count       = $anonymousEditLinks.Count
-                Score       = 100
-            })
-        }
+        Add-RiskFinding -Findings $findings -Rule $rules["SHARE-001"] -Triage $triage `
+            -Affected @($anonymousEditLinks | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind "sharinglink" }) `
+            -Describe { param($n) "$n anonymous link(s) grant edit access. Anyone with the link can modify content without authentication." } `
+            -Score { 100 }
 
-        [void]$findings.Add(@{
-            RuleId      = "SHARE-002"
-            Severity    = "High"
-            Category    = "Sharing Links"
-            Title       = "Anonymous sharing links exist"
-            Description = "$($anonymousLinks.Count) anonymous link(s) allow access without authentication. Review and remove unnecessary links."
-            Count       = $anonymousLinks.Count
-            Score       = [Math]::Min($anonymousLinks.Count * 20, 90)
-        })
+        Add-RiskFinding -Findings $findings -Rule $rules["SHARE-002"] -Triage $triage `
+            -Affected @($anonymousLinks | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind "sharinglink" }) `
+            -Describe { param($n) "$n anonymous link(s) allow access without authentication. Review and remove unnecessary links." } `
+            -Score { param($n) [Math]::Min($n * 20, 90) }
     }
 
     $orgLinks = @($sharingLinks | Where-Object { $_.LinkType -eq "Company-wide" -or $_.LinkType -eq "Organization" })
-    if ($orgLinks.Count -gt 10) {
-        [void]$findings.Add(@{
-            RuleId      = "SHARE-003"
-            Severity    = "Medium"
-            Category    = "Sharing Links"
-            Title       = "Excessive company-wide sharing links"
-            Description = "$($orgLinks.Count) company-wide sharing links found. Use specific-people links for sensitive content."
-            Count       = $orgLinks.Count
-            Score       = [Math]::Min($orgLinks.Count * 3, 60)
-        })
-    }
+    Add-RiskFinding -Findings $findings -Rule $rules["SHARE-003"] -Triage $triage `
+        -Affected @($orgLinks | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind "sharinglink" }) `
+        -Describe { param($n) "$n company-wide sharing links found. Use specific-people links for sensitive content." } `
+        -Score { param($n) [Math]::Min($n * 3, 60) }
 
     # ---- Permission Rules ----
 
     $fullControlAssignments = @($roleAssignments | Where-Object { $_.Role -eq "Full Control" })
-    if ($fullControlAssignments.Count -gt 5) {
-        [void]$findings.Add(@{
-            RuleId      = "PERM-001"
-            Severity    = "High"
-            Category    = "Permissions"
-            Title       = "Excessive Full Control assignments"
-            Description = "$($fullControlAssignments.Count) Full Control assignments found. Apply least-privilege principle."
-            Count       = $fullControlAssignments.Count
-            Score       = [Math]::Min($fullControlAssignments.Count * 8, 80)
-        })
-    }
+    Add-RiskFinding -Findings $findings -Rule $rules["PERM-001"] -Triage $triage `
+        -Affected @($fullControlAssignments | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind "roleassignment" }) `
+        -Describe { param($n) "$n Full Control assignments found. Apply least-privilege principle." } `
+        -Score { param($n) [Math]::Min($n * 8, 80) }
 
     $directUserAssignments = @($roleAssignments | Where-Object { $_.PrincipalType -eq "User" })
-    if ($directUserAssignments.Count -gt 10) {
-        [void]$findings.Add(@{
-            RuleId      = "PERM-002"
-            Severity    = "Medium"
-            Category    = "Permissions"
-            Title       = "Many direct user permission assignments"
-            Description = "$($directUserAssignments.Count) permissions granted directly to users. Use groups for easier management."
-            Count       = $directUserAssignments.Count
-            Score       = [Math]::Min($directUserAssignments.Count * 3, 50)
-        })
-    }
+    Add-RiskFinding -Findings $findings -Rule $rules["PERM-002"] -Triage $triage `
+        -Affected @($directUserAssignments | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind "roleassignment" }) `
+        -Describe { param($n) "$n permissions granted directly to users. Use groups for easier management." } `
+        -Score { param($n) [Math]::Min($n * 3, 50) }
+
+    $directUserEditors = @($directUserAssignments | Where-Object { $_.Role -in @("Full Control", "Edit", "Contribute") })
+    Add-RiskFinding -Findings $findings -Rule $rules["PERM-003"] -Triage $triage `
+        -Affected @($directUserEditors | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind "roleassignment" }) `
+        -Describe { param($n) "$n direct user assignments grant edit or higher access. Verify each user needs this level of access." } `
+        -Score { param($n) [Math]::Min($n * 4, 50) }
 
     # ---- Inheritance Rules ----
 
@@ -147,54 +126,62 @@ function Get-RiskAssessment {
         $_.HasUniquePermissions -eq $true -or $_.HasUniquePermissions -eq "True"
     })
     if ($totalItems -gt 0) {
-        $breakPercentage = [Math]::Round(($brokenItems.Count / $totalItems) * 100, 0)
-
-        if ($breakPercentage -gt 50) {
-            [void]$findings.Add(@{
-                RuleId      = "INH-001"
-                Severity    = "High"
-                Category    = "Inheritance"
-                Title       = "Majority of items have broken inheritance"
-                Description = "$breakPercentage% of scanned items ($($brokenItems.Count)/$totalItems) have unique permissions. Consider consolidating at site level."
-                Count       = $brokenItems.Count
-                Score       = [Math]::Min($breakPercentage, 85)
-            })
-        }
-        elseif ($breakPercentage -gt 25) {
-            [void]$findings.Add(@{
-                RuleId      = "INH-002"
-                Severity    = "Medium"
-                Category    = "Inheritance"
-                Title       = "Significant inheritance breaks"
-                Description = "$breakPercentage% of scanned items have broken inheritance. Review and consolidate where possible."
-                Count       = $brokenItems.Count
-                Score       = [Math]::Min($breakPercentage, 60)
-            })
+        $brokenAffected = @($brokenItems | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind "item" })
+        $breakPercentage = { param($n) [Math]::Round(($n / $totalItems) * 100, 0) }
+
+        # INH-001 is the stronger form of INH-002; only one of them is raised
+        $before = $findings.Count
+        Add-RiskFinding -Findings $findings -Rule $rules["INH-001"] -Triage $triage -Affected $brokenAffected -Measure $breakPercentage `
+            -Describe { param($n, $pct) "$pct% of scanned items ($n/$totalItems) have unique permissions. Consider consolidating at site level." } `
+            -Score { param($n, $pct) [Math]::Min($pct, 85) }
+        if ($findings.Count -eq $before) {
+            Add-RiskFinding -Findings $findings -Rule $rules["INH-002"] -Triage $triage -Affected $brokenAffected -Measure $breakPercentage `
+                -Describe { param($n, $pct) "$pct% of scanned items have broken inheritance. Review and consolidate where possible." } `
+                -Score { param($n, $pct) [Math]::Min($pct, 60) }
         }
     }
 
+    $brokenLibraries = @($brokenItems | Where-Object { $_.Type -in @("Document Library", "Library") })
+    Add-RiskFinding -Findings $findings -Rule $rules["INH-003"] -Triage $triage `
+        -Affected @($brokenLibraries | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind "item" }) `
+        -Describe { param($n) "$n document libraries have unique permissions. Verify access on them is intentional." } `
+        -Score { param($n) [Math]::Min($n * 5, 40) }
+
     # ---- Group Rules ----
 
-    $emptyGroups = @($groups | Where-Object { ([int]$_.MemberCount) -eq 0 })
-    if ($emptyGroups.Count -gt 0) {
-        [void]$findings.Add(@{
-            RuleId      = "GRP-001"
-            Severity    = "Low"
-            Category    = "Groups"
-            Title       = "Empty groups detected"
-            Description = "$($emptyGroups.Count) group(s) have no members. Consider removing unused groups."
-            Count       = $emptyGroups.Count
-            Score       = [Math]::Min($emptyGroups.Count * 5, 30)
-        })
+    # IsEmpty counts through nested groups (Set-GroupMembershipSummary); older data only has MemberCount
+    $emptyGroups = @($groups | Where-Object { if ($null -ne $_.IsEmpty) { [bool]$_.IsEmpty } else { ([int]$_.MemberCount) -eq 0 } })
+    Add-RiskFinding -Findings $findings -Rule $rules["GRP-001"] -Triage $triage `
+        -Affected @($emptyGroups | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind "group" }) `
+        -Describe { param($n) "$n group(s) have no members. Consider removing unused groups." } `
+        -Score { param($n) [Math]::Min($n * 5, 30) }
+
+    # ---- Custom Rules ----
+
+    $collections = @{
+        users           = $users
+        roleassignments = $roleAssignments
+        sharinglinks    = $sharingLinks
+        inheritance     = $inheritanceItems
+    }
+    $affectedKinds = @{ users = "user"; roleassignments = "roleassignment"; sharinglinks = "sharinglink"; inheritance = "item" }
+    foreach ($customRule in @(Get-CustomRiskRules | Where-Object { $_.Enabled })) {
+        $matchedRows = @(Find-CustomRiskRuleMatches -Rule $customRule -Rows $collections[$customRule.DataType] -Groups $groups)
+        $matchLabel = $script:CustomRuleDataTypes[$customRule.DataType]
+        Add-RiskFinding -Findings $findings -Rule $customRule -Triage $triage -Remediation $script:CustomRuleRemediation `
+            -Affected @($matchedRows | ForEach-Object { ConvertTo-RiskAffectedItem -Row $_ -Kind $affectedKinds[$customRule.DataType] }) `
+            -Describe { param($n) "$n $matchLabel match this rule.$(if ($customRule.Description) { " $($customRule.Description)" })" } `
+            -Score { param($n) [Math]::Min($n * $customRule.ScorePerItem, $customRule.MaxScore) }
     }
 
-    # Sort findings by score descending
-    $sortedFindings = @($findings | Sort-Object { $_.Score } -Descending)
+    # Sort findings by score descending, suppressed (triaged) findings last
+    $sortedFindings = @($findings | Sort-Object @{ Expression = { [bool]$_.Suppressed } }, @{ Expression = { $_.Score }; Descending = $true })
+    $activeFindings = @($sortedFindings | Where-Object { -not $_.Suppressed })
 
     # Calculate overall risk score (weighted average of top findings, max 100)
     $overallScore = 0
-    if ($sortedFindings.Count -gt 0) {
-        $topScores = @($sortedFindings | Select-Object -First 5 | ForEach-Object { $_.Score })
+    if ($activeFindings.Count -gt 0) {
+        $topScores = @($activeFindings | Select-Object -First 5 | ForEach-Object { $_.Score })
         $overallScore = [Math]::Min(($topScores | Measure-Object -Average).Average, 100)
         $overallScore = [Math]::Round($overallScore, 0)
     }
@@ -210,11 +197,139 @@ function Get-RiskAssessment {
     return @{
         OverallScore = $overallScore
         RiskLevel    = $riskLevel
-        TotalFindings = $sortedFindings.Count
-        CriticalCount = @($sortedFindings | Where-Object { $_.Severity -eq "Critical" }).Count
-        HighCount     = @($sortedFindings | Where-Object { $_.Severity -eq "High" }).Count
-        MediumCount   = @($sortedFindings | Where-Object { $_.Severity -eq "Medium" }).Count
-        LowCount      = @($sortedFindings | Where-Object { $_.Severity -eq "Low" }).Count
+        TotalFindings = $activeFindings.Count
+        CriticalCount = @($activeFindings | Where-Object { $_.Severity -eq "Critical" }).Count
+        HighCount     = @($activeFindings | Where-Object { $_.Severity -eq "High" }).Count
+        MediumCount   = @($activeFindings | Where-Object { $_.Severity -eq "Medium" }).Count
+        LowCount      = @($activeFindings | Where-Object { $_.Severity -eq "Low" }).Count
+        SuppressedCount = $sortedFindings.Count - $activeFindings.Count
         Findings      = $sortedFindings
     }
 }
+
+function Add-RiskFinding {
+    <#
+    .SYNOPSIS
+    Internal: applies triage to a rule's affected objects, tests the rule on the
+    objects that still count and adds the finding with its configured severity
+    .DESCRIPTION
+    Objects triaged as accepted or false positive do not count towards the rule.
+    A finding that only fires because of them, or that is itself triaged as
+    accepted or false positive, is added with Suppressed = $true so it stays
+    visible but is left out of the score and counts.
+    .PARAMETER Affected
+    Affected objects from ConvertTo-RiskAffectedItem; only the first
+    $script:RiskAffectedItemLimit are returned
+    .PARAMETER Measure
+    Scriptblock: number of counted objects -> rule value (defaults to the number itself)
+    .PARAMETER Describe
+    Scriptblock: (count, value) -> description
+    .PARAMETER Score
+    Scriptblock: (count, value) -> score
+    .PARAMETER Remediation
+    Guidance text; defaults to the rule's built-in remediation
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [System.Collections.ArrayList]$Findings,
+        [Parameter(Mandatory = $true)]
+        [hashtable]$Rule,
+        [hashtable]$Triage = @{},
+        [array]$Affected = @(),
+        [scriptblock]$Measure = { param($n) $n },
+        [scriptblock]$Describe,
+        [scriptblock]$Score,
+        [string]$Remediation
+    )
+
+    $countedItems = 0
+    foreach ($item in $Affected) {
+        $item.Triage = $Triage["$($Rule.RuleId)|$($item.Key)"]
+        if (-not (Test-RiskTriageSuppressed -Entry $item.Triage)) { $countedItems++ }
+    }
+    $findingTriage = $Triage[$Rule.RuleId]
+
+    $measured = & $Measure $countedItems
+    $suppressed = Test-RiskTriageSuppressed -Entry $findingTriage
+    if (-not (Test-RiskRule -Rule $Rule -Value $measured)) {
+        # Still raised when the triaged objects are counted: keep it visible
+        $measured = & $Measure $Affected.Count
+        if (-not (Test-RiskRule -Rule $Rule -Value $measured)) { return }
+        $countedItems = $Affected.Count
+        $suppressed = $true
+    }
+
+    [void]$Findings.Add(@{
+        RuleId          = $Rule.RuleId
+        Severity        = $Rule.Severity
+        Category        = $Rule.Category
+        Title           = $Rule.Title
+        Description     = [string](& $Describe $countedItems $measured)
+        Count           = $countedItems
+        Score           = [int](& $Score $countedItems $measured)
+        Remediation     = if ($Remediation) { $Remediation } else { $Rule.Remediation }
+        Triage          = $findingTriage
+        Suppressed      = $suppressed
+        AffectedCount   = $Affected.Count
+        TriagedCount    = @($Affected | Where-Object { Test-RiskTriageSuppressed -Entry $_.Triage }).Count
+        AffectedItems   = @($Affected | Select-Object -First $script:RiskAffectedItemLimit)
+    })
+}
+
+function ConvertTo-RiskAffectedItem {
+    <#
+    .SYNOPSIS
+    Internal: describes a data row as an affected object of a finding
+    .PARAMETER Kind
+    user, group, roleassignment, sharinglink or item (inheritance row); decides
+    which fields are shown and which deep dive the object links to
+    .NOTES
+    Key identifies the object across runs (triage entries are stored under it),
+    so it is built from names and URLs rather than row positions
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        $Row,
+        [Parameter(Mandatory = $true)]
+        [ValidateSet("user", "group", "roleassignment", "sharinglink", "item")]
+        [string]$Kind
+    )
+
+    $site = if ($Row.SiteTitle) { [string]$Row.SiteTitle } else { [string]$Row.SiteUrl }
+
+    switch ($Kind) {
+        "user" {
+            $details = @($Row.Email, $Row.Permission, $(if ($Row.IsSiteAdmin -eq $true -or $Row.IsSiteAdmin -eq "True") { "Site admin" }))
+            $identity = if ($Row.Email) { $Row.Email } elseif ($Row.LoginName) { $Row.LoginName } else { $Row.Name }
+            return @{
+                Key = "user:$identity".ToLower(); Type = "User"; Name = [string]$Row.Name; Detail = ($details | Where-Object { $_ }) -join ", "
+                Site = $site; Url = ""; DeepDive = if ($Row.Type -eq "External" -or $Row.IsExternal) { "external" } else { "users" }
+            }
+        }
+        "group" {
+            return @{
+                Key = "group:$($Row.Name)|$site".ToLower(); Type = "Group"; Name = [string]$Row.Name; Detail = "$([int]$Row.MemberCount) member(s)$(if ($Row.Permission) { ", $($Row.Permission)" })"
+                Site = $site; Url = ""; DeepDive = "groups"
+            }
+        }
+        "roleassignment" {
+            return @{
+                Key = "roleassignment:$($Row.Principal)|$($Row.Role)|$($Row.ScopeUrl)".ToLower(); Type = "Role Assignment"; Name = [string]$Row.Principal; Detail = "$($Row.Role) on $($Row.Scope) ($($Row.PrincipalType))"
+                Site = $site; Url = [string]$Row.ScopeUrl; DeepDive = "permissions"
+            }
+        }
+        "sharinglink" {
+            return @{
+                Key = "sharinglink:$($Row.GroupName)|$site".ToLower(); Type = "Sharing Link"; Name = [string]$Row.GroupName; Detail = "$($Row.LinkType) $($Row.AccessLevel) link, $([int]$Row.MemberCount) recipient(s)"
+                Site = $site; Url = ""; DeepDive = "sharing"
+            }
+        }
+        "item" {
+            $identity = if ($Row.Url) { $Row.Url } else { "$site|$($Row.Title)" }
+            return @{
+                Key = "item:$identity".ToLower(); Type = if ($Row.Type) { [string]$Row.Type } else { "Item" }; Name = [string]$Row.Title; Detail = "Unique permissions, $([int]$Row.RoleAssignmentCount) role assignment(s)"
+                Site = $site; Url = [string]$Row.Url; DeepDive = "inheritance"
+            }
+        }
+    }
+}
@@ -0,0 +1,163 @@
+# ============================================
+# RiskTriage.ps1 - Triage states for risk findings
+# ============================================
+# Reviewers mark a whole finding or single affected objects as accepted
+# risk, false positive or remediated, and can assign an owner. Entries are
+# stored in <DataPath>/risk_triage.json keyed so they survive new runs:
+#   "<RuleId>"               - the finding itself
+#   "<RuleId>|<object key>"  - one affected object (Key from ConvertTo-RiskAffectedItem)
+# Accepted and FalsePositive entries are excluded from the risk score and
+# counts. Accepted risk needs a justification and an expiry date; once it
+# expires the entry counts as Open again. Remediated is informational: the
+# object still counts until a new run no longer finds it.
+
+$script:RiskTriageStates = @("Open", "Accepted", "FalsePositive", "Remediated")
+$script:RiskTriageSuppressedStates = @("Accepted", "FalsePositive")
+
+function Get-RiskTriage {
+    <#
+    .SYNOPSIS
+    Returns every saved triage entry keyed by finding/object key, with the
+    effective State (expired acceptances are Open) and an Expired flag
+    #>
+    $saved = Read-RiskTriageFile
+    $entries = @{}
+    if ($saved.Entries -is [System.Collections.IDictionary]) {
+        foreach ($key in $saved.Entries.Keys) {
+            $entries[$key] = ConvertTo-RiskTriageEntry -Key $key -Saved $saved.Entries[$key]
+        }
+    }
+    return $entries
+}
+
+function Set-RiskTriage {
+    <#
+    .SYNOPSIS
+    Sets the triage state of one or more findings/objects and returns all entries
+    .PARAMETER Keys
+    Finding keys (rule IDs) and/or object keys ("<RuleId>|<object key>")
+    .PARAMETER State
+    Open, Accepted, FalsePositive or Remediated. Open without an owner removes the entry.
+    .PARAMETER ExpiresAt
+    Required for Accepted; a date in the future
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [string[]]$Keys,
+        [Parameter(Mandatory = $true)]
+        [string]$State,
+        [string]$Justification,
+        [string]$ExpiresAt,
+        [string]$Owner
+    )
+
+    $normalizedState = $script:RiskTriageStates | Where-Object { $_ -eq $State } | Select-Object -First 1
+    if (-not $normalizedState) {
+        throw "Invalid triage state '$State' (expected $($script:RiskTriageStates -join ', '))"
+    }
+
+    $Justification = ([string]$Justification).Trim()
+    $Owner = ([string]$Owner).Trim()
+    $expiry = $null
+    if ($normalizedState -eq "Accepted") {
+        if (-not $Justification) {
+            throw "A justification is required to accept a risk"
+        }
+        $parsed = [datetime]::MinValue
+        if (-not $ExpiresAt -or -not [datetime]::TryParse($ExpiresAt, [ref]$parsed)) {
+            throw "An expiry date is required to accept a risk"
+        }
+        if ($parsed.Date -le (Get-Date).Date) {
+            throw "The expiry date must be in the future"
+        }
+        $expiry = $parsed.ToString("yyyy-MM-dd")
+    }
+
+    $keyList = @($Keys | ForEach-Object { ([string]$_).Trim() } | Where-Object { $_ })
+    if ($keyList.Count -eq 0) {
+        throw "At least one key is required"
+    }
+
+    $saved = Read-RiskTriageFile
+    $entries = @{}
+    if ($saved.Entries -is [System.Collections.IDictionary]) {
+        foreach ($key in $saved.Entries.Keys) { $entries[$key] = $saved.Entries[$key] }
+    }
+
+    foreach ($key in $keyList) {
+        if ($normalizedState -eq "Open" -and -not $Owner) {
+            $entries.Remove($key)
+            continue
+        }
+        $entries[$key] = @{
+            State         = $normalizedState
+            Justification = $Justification
+            ExpiresAt     = $expiry
+            Owner         = $Owner
+            UpdatedAt     = (Get-Date).ToString("o")
+        }
+    }
+
+    Save-RiskTriageFile -Entries $entries
+    Write-ActivityLog "Risk triage: $($keyList.Count) key(s) set to $normalizedState" -Level "Information"
+    return Get-RiskTriage
+}
+
+function Test-RiskTriageSuppressed {
+    <#
+    .SYNOPSIS
+    True if the entry removes its finding/object from the score (accepted and not expired, or false positive)
+    #>
+    param($Entry)
+
+    return [bool]($Entry -and $Entry.State -in $script:RiskTriageSuppressedStates)
+}
+
+function ConvertTo-RiskTriageEntry {
+    <#
+    .SYNOPSIS
+    Internal: saved entry -> entry with the effective state
+    #>
+    param(
+        [string]$Key,
+        $Saved
+    )
+
+    $state = [string]$Saved.State
+    $expired = $false
+    if ($state -eq "Accepted" -and $Saved.ExpiresAt) {
+        $expiry = [datetime]::MinValue
+        if ([datetime]::TryParse([string]$Saved.ExpiresAt, [ref]$expiry) -and $expiry.Date -le (Get-Date).Date) {
+            $state = "Open"
+            $expired = $true
+        }
+    }
+
+    return @{
+        Key           = $Key
+        State         = $state
+        Expired       = $expired
+        Justification = [string]$Saved.Justification
+        ExpiresAt     = $Saved.ExpiresAt
+        Owner         = [string]$Saved.Owner
+        UpdatedAt     = $Saved.UpdatedAt
+    }
+}
+
+function Save-RiskTriageFile {
+    <#
+    .SYNOPSIS
+    Internal: writes the triage entries
+    #>
+    param([hashtable]$Entries)
+
+    Save-DataFile -FileName "risk_triage.json" -Data @{ Entries = $Entries }
+}
+
+function Read-RiskTriageFile {
+    <#
+    .SYNOPSIS
+    Internal: contents of the triage file, or an empty hashtable
+    #>
+    return Read-DataFile -FileName "risk_triage.json" -Description "risk triage" -Location "RiskTriage"
+}
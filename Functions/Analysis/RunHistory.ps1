@@ -0,0 +1,114 @@
+# ============================================
+# RunHistory.ps1 - Risk score history across runs
+# ============================================
+# Each completed analysis appends a compact summary (risk score, severity
+# counts and the headline metrics) to <DataPath>/run_history.json, so the
+# Analytics tab can chart whether the security posture is improving.
+# Only the newest $script:RunHistoryLimit summaries are kept.
+
+$script:RunHistoryLimit = 200
+
+function Add-RunSummary {
+    <#
+    .SYNOPSIS
+    Scores the current data store and appends the summary to the run history
+    .PARAMETER OperationType
+    The analysis that just completed, e.g. PermissionsAnalysis or Demo
+    .PARAMETER Scope
+    Site URL (or other scope) the analysis covered
+    .PARAMETER Tenant
+    Tenant label; defaults to the configured SharePoint.TenantUrl, else the Scope's host
+    .NOTES
+    Never throws: a history that cannot be written must not fail the analysis
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [string]$OperationType,
+        [string]$Scope,
+        [string]$Tenant
+    )
+
+    try {
+        if (-not $Tenant) { $Tenant = Get-AppSetting -SettingName "SharePoint.TenantUrl" }
+        if (-not $Tenant -and $Scope -match '^https?://[^/]+') { $Tenant = $Matches[0] }
+
+        $assessment = Get-RiskAssessment
+        $metrics = Get-SharePointData -DataType "Metrics"
+
+        $summary = @{
+            Timestamp       = (Get-Date).ToString("o")
+            Tenant          = [string]$Tenant
+            OperationType   = $OperationType
+            Scope           = [string]$Scope
+            Partial         = [bool](Get-SharePointData -DataType "All").Partial
+            OverallScore    = $assessment.OverallScore
+            RiskLevel       = $assessment.RiskLevel
+            TotalFindings   = $assessment.TotalFindings
+            CriticalCount   = $assessment.CriticalCount
+            HighCount       = $assessment.HighCount
+            MediumCount     = $assessment.MediumCount
+            LowCount        = $assessment.LowCount
+            SuppressedCount = $assessment.SuppressedCount
+            Metrics         = @{
+                TotalSites           = [int]$metrics.TotalSites
+                TotalUsers           = [int]$metrics.TotalUsers
+                ExternalUsers        = [int]$metrics.ExternalUsers
+                TotalGroups          = [int]$metrics.TotalGroups
+                TotalRoleAssignments = [int]$metrics.TotalRoleAssignments
+                InheritanceBreaks    = [int]$metrics.InheritanceBreaks
+                TotalSharingLinks    = [int]$metrics.TotalSharingLinks
+            }
+        }
+
+        $runs = [System.Collections.ArrayList]@(Read-RunHistoryFile)
+        [void]$runs.Add($summary)
+        if ($runs.Count -gt $script:RunHistoryLimit) {
+            $runs.RemoveRange(0, $runs.Count - $script:RunHistoryLimit)
+        }
+        Save-RunHistoryFile -Runs $runs
+
+        Write-ActivityLog "Run summary saved: score $($assessment.OverallScore) ($($assessment.RiskLevel))" -Level "Information"
+        return $summary
+    }
+    catch {
+        Write-ErrorLog -Message "Could not save run summary: $($_.Exception.Message)" -Location "RunHistory"
+        return $null
+    }
+}
+
+function Get-RunHistory {
+    <#
+    .SYNOPSIS
+    Saved run summaries, oldest first
+    .PARAMETER Tenant
+    Only runs for this tenant (case-insensitive)
+    #>
+    param(
+        [string]$Tenant
+    )
+
+    $runs = @(Read-RunHistoryFile)
+    if ($Tenant) {
+        $runs = @($runs | Where-Object { $_.Tenant -eq $Tenant })
+    }
+    return $runs
+}
+
+function Save-RunHistoryFile {
+    <#
+    .SYNOPSIS
+    Internal: writes the run summaries
+    #>
+    param([array]$Runs)
+
+    Save-DataFile -FileName "run_history.json" -Data @{ Runs = @($Runs) }
+}
+
+function Read-RunHistoryFile {
+    <#
+    .SYNOPSIS
+    Internal: saved run summaries (empty when there is no history yet)
+    #>
+    $saved = Read-DataFile -FileName "run_history.json" -Description "run history" -Location "RunHistory"
+    return @($saved.Runs | Where-Object { $_ })
+}
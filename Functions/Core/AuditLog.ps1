@@ -57,7 +57,7 @@ function Write-AuditEvent {
     #>
     param(
         [Parameter(Mandatory = $true)]
-        [ValidateSet("SessionStart", "SessionEnd", "DataCollection", "Export", "Connection", "Error", "Warning", "Info")]
+        [ValidateSet("SessionStart", "SessionEnd", "DataCollection", "Export", "Connection", "Error", "Warning", "Info", "Cancelled")]
         [string]$EventType,
         [string]$Detail,
         [string]$AffectedObject = ""
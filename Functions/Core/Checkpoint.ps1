@@ -3,9 +3,24 @@
 # ============================================
 # Saves intermediate state during long-running analyses
 # so operations can resume after failures or interruptions.
+#
+# Two files per operation type live in the log folder:
+#   checkpoint_<type>.json       phase, processed/total counts, status
+#   checkpoint_<type>.data.json  rows collected so far (DataTypes of the checkpoint)
+# Re-serializing every row is expensive on large sites, so rows are only
+# written at phase changes and when the run stops; in between just the counts
+# are saved. SavedItems holds the counts the saved rows cover, and a resume
+# continues from those.
 
 $script:CheckpointData = $null
 $script:CheckpointPath = $null
+$script:CheckpointSavedAt = $null
+
+# Item counts are saved at most this often; phase changes and completion also save the rows
+$script:CheckpointSaveIntervalSeconds = 10
+
+# Completed checkpoints are deleted; these can be resumed
+$script:ResumableCheckpointStatuses = @("InProgress", "Cancelled", "Failed")
 
 function Start-Checkpoint {
     <#
@@ -15,31 +30,51 @@ function Start-Checkpoint {
     param(
         [Parameter(Mandatory = $true)]
         [string]$OperationType,
-        [string]$Scope = "All"
+        [string]$Scope = "All",
+
+        # Data store collections saved with the checkpoint (rows for the current site only
+        # when the operation context has a SiteUrl)
+        [string[]]$DataTypes = @(),
+
+        # Options needed to resume the operation the same way (e.g. Merge)
+        [hashtable]$Options = @{},
+
+        # Checkpoint returned by Get-Checkpoint; keeps its phases and processed counts
+        [hashtable]$Resume
     )
 
-    $logPath = Get-AppSetting -SettingName "Logging.LogPath"
-    if (-not $logPath) { $logPath = "./Logs" }
-    if (-not (Test-Path $logPath)) {
-        New-Item -Path $logPath -ItemType Directory -Force | Out-Null
-    }
+    $script:CheckpointPath = Get-CheckpointFilePath -OperationType $OperationType
 
-    $script:CheckpointPath = Join-Path $logPath "checkpoint_$($OperationType.ToLower()).json"
-
-    $script:CheckpointData = @{
-        OperationType   = $OperationType
-        Scope           = $Scope
-        StartedAt       = (Get-Date).ToString("o")
-        LastUpdated     = (Get-Date).ToString("o")
-        Phase           = "Initializing"
-        CompletedPhases = @()
-        ProcessedItems  = @{}
-        TotalItems      = @{}
-        Status          = "InProgress"
+    if ($Resume) {
+        $script:CheckpointData = $Resume
+        $script:CheckpointData.Status = "InProgress"
+        $script:CheckpointData.ResumeCount = 1 + [int]$Resume.ResumeCount
+        $script:CheckpointData.Remove("CompletedAt")
+        # Items processed after the last row snapshot are collected again
+        if ($Resume.SavedItems) {
+            $script:CheckpointData.ProcessedItems = $Resume.SavedItems
+        }
+        Write-ActivityLog "Checkpoint resumed: $OperationType (scope: $Scope, phase: $($Resume.Phase))" -Level "Information"
+    }
+    else {
+        $script:CheckpointData = @{
+            OperationType   = $OperationType
+            Scope           = $Scope
+            StartedAt       = (Get-Date).ToString("o")
+            LastUpdated     = (Get-Date).ToString("o")
+            Phase           = "Initializing"
+            CompletedPhases = @()
+            ProcessedItems  = @{}
+            TotalItems      = @{}
+            DataTypes       = $DataTypes
+            Options         = $Options
+            ResumeCount     = 0
+            Status          = "InProgress"
+        }
+        Write-ActivityLog "Checkpoint started: $OperationType (scope: $Scope)" -Level "Information"
     }
 
-    Save-CheckpointFile
-    Write-ActivityLog "Checkpoint started: $OperationType (scope: $Scope)" -Level "Information"
+    Save-CheckpointFile -WithData
 }
 
 function Update-Checkpoint {
@@ -56,9 +91,13 @@ function Update-Checkpoint {
 
     if (-not $script:CheckpointData) { return }
 
-    $script:CheckpointData.LastUpdated = (Get-Date).ToString("o")
-
-    if ($Phase) {
+    # Moving to a new phase completes the previous one
+    $phaseChanged = $Phase -and $Phase -ne $script:CheckpointData.Phase
+    if ($phaseChanged) {
+        $previous = $script:CheckpointData.Phase
+        if ($previous -and $previous -ne "Initializing" -and $script:CheckpointData.CompletedPhases -notcontains $previous) {
+            $script:CheckpointData.CompletedPhases = @($script:CheckpointData.CompletedPhases) + $previous
+        }
         $script:CheckpointData.Phase = $Phase
     }
 
@@ -69,7 +108,41 @@ function Update-Checkpoint {
         }
     }
 
-    Save-CheckpointFile
+    $saveDue = -not $script:CheckpointSavedAt -or
+        ((Get-Date) - $script:CheckpointSavedAt).TotalSeconds -ge $script:CheckpointSaveIntervalSeconds
+    if ($phaseChanged) {
+        Save-CheckpointFile -WithData
+    }
+    elseif ($saveDue) {
+        Save-CheckpointFile
+    }
+}
+
+function Test-CheckpointPhase {
+    <#
+    .SYNOPSIS
+    True when the current (resumed) checkpoint already completed the given phase
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [string]$Phase
+    )
+
+    return [bool]($script:CheckpointData -and @($script:CheckpointData.CompletedPhases) -contains $Phase)
+}
+
+function Get-CheckpointProgress {
+    <#
+    .SYNOPSIS
+    Number of items already processed for a key in the current checkpoint (0 for a fresh run)
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [string]$ItemKey
+    )
+
+    if (-not $script:CheckpointData) { return 0 }
+    return [int]$script:CheckpointData.ProcessedItems[$ItemKey]
 }
 
 function Complete-Checkpoint {
@@ -84,14 +157,14 @@ function Complete-Checkpoint {
     if (-not $script:CheckpointData) { return }
 
     $script:CheckpointData.Status = $Status
-    $script:CheckpointData.LastUpdated = (Get-Date).ToString("o")
     $script:CheckpointData.CompletedAt = (Get-Date).ToString("o")
 
-    Save-CheckpointFile
+    # A completed checkpoint is deleted right away, so its rows are not worth saving
+    Save-CheckpointFile -WithData:($Status -ne "Completed")
 
-    # Clean up checkpoint file on success
-    if ($Status -eq "Completed" -and $script:CheckpointPath -and (Test-Path $script:CheckpointPath)) {
-        Remove-Item $script:CheckpointPath -Force -ErrorAction SilentlyContinue
+    # Clean up checkpoint files on success
+    if ($Status -eq "Completed") {
+        Remove-Checkpoint -OperationType $script:CheckpointData.OperationType
     }
 
     Write-ActivityLog "Checkpoint $Status`: $($script:CheckpointData.OperationType)" -Level "Information"
@@ -108,15 +181,12 @@ function Get-Checkpoint {
         [string]$OperationType
     )
 
-    $logPath = Get-AppSetting -SettingName "Logging.LogPath"
-    if (-not $logPath) { $logPath = "./Logs" }
-
-    $checkFile = Join-Path $logPath "checkpoint_$($OperationType.ToLower()).json"
+    $checkFile = Get-CheckpointFilePath -OperationType $OperationType
 
     if (Test-Path $checkFile) {
         try {
-            $data = Get-Content $checkFile -Raw | ConvertFrom-Json
-            if ($data.Status -eq "InProgress") {
+            $data = Get-Content $checkFile -Raw | ConvertFrom-Json -AsHashtable
+            if ($script:ResumableCheckpointStatuses -contains $data.Status) {
                 return $data
             }
         }
@@ -128,14 +198,132 @@ function Get-Checkpoint {
     return $null
 }
 
+function Get-ResumableCheckpoints {
+    <#
+    .SYNOPSIS
+    Returns every saved checkpoint that can be resumed (interrupted, cancelled or failed)
+    #>
+    $logPath = Split-Path (Get-CheckpointFilePath -OperationType "any") -Parent
+    if (-not (Test-Path $logPath)) { return @() }
+
+    $checkpoints = foreach ($file in Get-ChildItem -Path $logPath -Filter "checkpoint_*.json" | Where-Object { $_.Name -notlike "*.data.json" }) {
+        $type = $file.BaseName -replace '^checkpoint_', ''
+        Get-Checkpoint -OperationType $type
+    }
+    return @($checkpoints | Where-Object { $_ })
+}
+
+function Restore-CheckpointData {
+    <#
+    .SYNOPSIS
+    Adds the rows saved with a checkpoint back into the data store. Returns the row count.
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [string]$OperationType
+    )
+
+    $dataFile = Get-CheckpointFilePath -OperationType $OperationType -Data
+    if (-not (Test-Path $dataFile)) { return 0 }
+
+    $snapshot = Get-Content $dataFile -Raw | ConvertFrom-Json -AsHashtable
+    $restored = 0
+    foreach ($type in $snapshot.Keys) {
+        foreach ($row in @($snapshot[$type])) {
+            if (-not $row) { continue }
+            switch ($type) {
+                "Sites"            { Add-SharePointSite -SiteData $row }
+                "Users"            { Add-SharePointUser -UserData $row }
+                "Groups"           { Add-SharePointGroup -GroupData $row }
+                "RoleAssignments"  { Add-SharePointRoleAssignment -RoleData $row }
+                "InheritanceItems" { Add-SharePointInheritanceItem -InheritanceData $row }
+                "SharingLinks"     { Add-SharePointSharingLink -LinkData $row }
+            }
+            $restored++
+        }
+    }
+
+    Write-ActivityLog "Restored $restored rows from checkpoint: $OperationType" -Level "Information"
+    return $restored
+}
+
+function Remove-Checkpoint {
+    <#
+    .SYNOPSIS
+    Deletes a saved checkpoint and its data file (after completion, or when discarded)
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [string]$OperationType
+    )
+
+    foreach ($file in @((Get-CheckpointFilePath -OperationType $OperationType), (Get-CheckpointFilePath -OperationType $OperationType -Data))) {
+        if (Test-Path $file) {
+            Remove-Item $file -Force -ErrorAction SilentlyContinue
+        }
+    }
+    Write-ActivityLog "Checkpoint removed: $OperationType" -Level "Information"
+}
+
+function Get-CheckpointFilePath {
+    <#
+    .SYNOPSIS
+    Internal: path of the checkpoint file (or its data file) for an operation type
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [string]$OperationType,
+        [switch]$Data
+    )
+
+    $logPath = Get-AppSetting -SettingName "Logging.LogPath"
+    if (-not $logPath) { $logPath = "./Logs" }
+    if (-not (Test-Path $logPath)) {
+        New-Item -Path $logPath -ItemType Directory -Force | Out-Null
+    }
+
+    $suffix = if ($Data) { ".data.json" } else { ".json" }
+    return Join-Path $logPath "checkpoint_$($OperationType.ToLower())$suffix"
+}
+
 function Save-CheckpointFile {
     <#
     .SYNOPSIS
-    Internal: persists checkpoint data to disk
+    Internal: persists checkpoint data to disk; -WithData also snapshots the collected rows
     #>
+    param([switch]$WithData)
+
     if (-not $script:CheckpointData -or -not $script:CheckpointPath) { return }
 
+    $script:CheckpointData.LastUpdated = (Get-Date).ToString("o")
+    $script:CheckpointSavedAt = Get-Date
+
     try {
+        # Rows first, so the counts in the checkpoint never run ahead of the saved data
+        $dataTypes = @($script:CheckpointData.DataTypes)
+        if ($WithData -and $dataTypes.Count -gt 0) {
+            $siteUrl = (Get-SharePointData -DataType "All").CurrentSiteUrl
+            $snapshot = @{}
+            foreach ($type in $dataTypes) {
+                $rows = @(Get-SharePointData -DataType $type)
+                if ($siteUrl) {
+                    $rows = @($rows | Where-Object { $_["SiteUrl"] -eq $siteUrl })
+                }
+                $snapshot[$type] = $rows
+            }
+            $dataPath = Get-CheckpointFilePath -OperationType $script:CheckpointData.OperationType -Data
+            $snapshot | ConvertTo-Json -Depth 15 | Set-Content $dataPath -Encoding UTF8
+        }
+
+        # Count-only saves leave SavedItems at the counts the row snapshot covers
+        if ($WithData -or $dataTypes.Count -eq 0) {
+            $savedItems = @{}
+            foreach ($key in $script:CheckpointData.ProcessedItems.Keys) {
+                $savedItems[$key] = $script:CheckpointData.ProcessedItems[$key]
+            }
+            $script:CheckpointData.SavedItems = $savedItems
+        }
+
         $script:CheckpointData | ConvertTo-Json -Depth 5 | Set-Content $script:CheckpointPath -Encoding UTF8
     }
     catch {
@@ -1,8 +1,8 @@
 # ============================================
 # OutputAdapter.ps1 - Console Output Abstraction
 # ============================================
-# Provides Write-ConsoleOutput and Update-UIAndWait functions
-# that can be overridden by the web server or background runspace.
+# Provides Write-ConsoleOutput, Set-OperationProgress and Update-UIAndWait
+# functions that can be overridden by the web server or background runspace.
 # In web mode, Write-ConsoleOutput writes to the shared operation log.
 # In background runspaces, it writes to the synchronized SharedState.
 
@@ -27,6 +27,24 @@ function Write-ConsoleOutput {
     }
 }
 
+function Set-OperationProgress {
+    <#
+    .SYNOPSIS
+    Records the current phase and percent complete of the running operation
+    .DESCRIPTION
+    Read by /api/progress and pushed to /api/progress/stream clients.
+    In background runspaces, this function is overridden to write
+    directly to the shared state.
+    #>
+    param(
+        [string]$Phase,
+        [int]$Percent = -1
+    )
+    if (-not $script:ServerState) { return }
+    if ($Phase) { $script:ServerState.OperationPhase = $Phase }
+    if ($Percent -ge 0) { $script:ServerState.OperationPercent = [Math]::Min($Percent, 100) }
+}
+
 function Update-UIAndWait {
     <#
     .SYNOPSIS
@@ -0,0 +1,104 @@
+# ============================================
+# SavedViews.ps1 - Named views of the web UI
+# ============================================
+# A view is the URL hash of the web UI (open tab, deep dive and its search
+# and filters, e.g. "#/deep-dive/users?q=smith&type=External") saved under
+# a name in <DataPath>/saved_views.json. Names are unique (case-insensitive):
+# saving under an existing name replaces that view's hash.
+
+$script:SavedViewNameMaxLength = 100
+$script:SavedViewHashMaxLength = 2000
+
+function Get-SavedViews {
+    <#
+    .SYNOPSIS
+    Saved views, sorted by name
+    #>
+    return @(Read-SavedViewsFile | Sort-Object { $_.Name })
+}
+
+function Set-SavedView {
+    <#
+    .SYNOPSIS
+    Saves a view under a name (replacing a view with the same name) and returns it
+    .PARAMETER Hash
+    URL hash of the view; must start with "#/"
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [string]$Name,
+        [Parameter(Mandatory = $true)]
+        [string]$Hash
+    )
+
+    $Name = $Name.Trim()
+    $Hash = $Hash.Trim()
+    if (-not $Name) { throw "A saved view needs a name" }
+    if ($Name.Length -gt $script:SavedViewNameMaxLength) {
+        throw "View names are at most $($script:SavedViewNameMaxLength) characters"
+    }
+    if (-not $Hash.StartsWith("#/") -or $Hash.Length -gt $script:SavedViewHashMaxLength) {
+        throw "The view must be a URL hash starting with #/ (at most $($script:SavedViewHashMaxLength) characters)"
+    }
+
+    $now = (Get-Date).ToString("o")
+    $views = [System.Collections.ArrayList]@(Read-SavedViewsFile)
+    $view = $views | Where-Object { $_.Name -eq $Name } | Select-Object -First 1
+
+    if ($view) {
+        $view.Hash = $Hash
+        $view.UpdatedAt = $now
+    }
+    else {
+        $view = @{
+            Id        = [guid]::NewGuid().ToString()
+            Name      = $Name
+            Hash      = $Hash
+            CreatedAt = $now
+            UpdatedAt = $now
+        }
+        [void]$views.Add($view)
+    }
+
+    Save-SavedViewsFile -Views $views
+    Write-ActivityLog "Saved view '$Name'" -Level "Information"
+    return $view
+}
+
+function Remove-SavedView {
+    <#
+    .SYNOPSIS
+    Deletes a saved view; returns $false if no view has that ID
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [string]$Id
+    )
+
+    $views = @(Read-SavedViewsFile)
+    $remaining = @($views | Where-Object { $_.Id -ne $Id })
+    if ($remaining.Count -eq $views.Count) { return $false }
+
+    Save-SavedViewsFile -Views $remaining
+    Write-ActivityLog "Saved view $Id deleted" -Level "Information"
+    return $true
+}
+
+function Save-SavedViewsFile {
+    <#
+    .SYNOPSIS
+    Internal: writes the saved views
+    #>
+    param([array]$Views)
+
+    Save-DataFile -FileName "saved_views.json" -Data @{ Views = @($Views) }
+}
+
+function Read-SavedViewsFile {
+    <#
+    .SYNOPSIS
+    Internal: saved views (empty when none are saved yet)
+    #>
+    $saved = Read-DataFile -FileName "saved_views.json" -Description "saved views" -Location "SavedViews"
+    return @($saved.Views | Where-Object { $_ -and $_.Id -and $_.Name -and $_.Hash })
+}
@@ -9,6 +9,10 @@ $script:AppSettings = @{
         LogPath = "./Logs"
         LogLevel = "Information"
     }
+    Storage = @{
+        # Saved settings such as risk rule overrides
+        DataPath = "./Data"
+    }
 }
 
 # Connection state (centralized here instead of scattered across entry points)
@@ -55,3 +59,60 @@ function Set-AppSetting {
         $current[$pathParts[-1]] = $Value
     }
 }
+
+# ---- Data Files ----
+# Stores that keep state between sessions (risk rules, triage, run history,
+# saved views) write one JSON file each under Storage.DataPath.
+
+function Get-DataFilePath {
+    <#
+    .SYNOPSIS
+    Path of a file under Storage.DataPath; creates the folder when missing
+    #>
+    param([Parameter(Mandatory)][string]$FileName)
+
+    $dataPath = Get-AppSetting -SettingName "Storage.DataPath"
+    if (-not $dataPath) { $dataPath = "./Data" }
+    if (-not (Test-Path $dataPath)) {
+        New-Item -Path $dataPath -ItemType Directory -Force | Out-Null
+    }
+    return Join-Path $dataPath $FileName
+}
+
+function Read-DataFile {
+    <#
+    .SYNOPSIS
+    Contents of a data file as a hashtable; empty when missing or unreadable
+    #>
+    param(
+        [Parameter(Mandatory)][string]$FileName,
+        [string]$Description = $FileName,
+        [string]$Location = "Settings"
+    )
+
+    $filePath = Get-DataFilePath -FileName $FileName
+    if (-not (Test-Path $filePath)) { return @{} }
+
+    try {
+        return (Get-Content $filePath -Raw | ConvertFrom-Json -AsHashtable) ?? @{}
+    }
+    catch {
+        Write-ErrorLog -Message "Could not read $Description from $($filePath): $($_.Exception.Message)" -Location $Location
+        return @{}
+    }
+}
+
+function Save-DataFile {
+    <#
+    .SYNOPSIS
+    Writes a data file, stamping it with UpdatedAt
+    #>
+    param(
+        [Parameter(Mandatory)][string]$FileName,
+        [Parameter(Mandatory)][hashtable]$Data,
+        [int]$Depth = 5
+    )
+
+    $Data.UpdatedAt = (Get-Date).ToString("o")
+    $Data | ConvertTo-Json -Depth $Depth | Set-Content (Get-DataFilePath -FileName $FileName) -Encoding UTF8
+}
@@ -15,6 +15,8 @@ $script:SharePointData = @{
     SharingLinks = [System.Collections.ArrayList]::new()
     LastOperation = ""
     LastUpdateTime = $null
+    CurrentSiteUrl = $null
+    Partial = $null
     OperationMetrics = @{
         TotalSites = 0
         TotalUsers = 0
@@ -43,6 +45,8 @@ function Initialize-SharePointDataManager {
         SharingLinks = [System.Collections.ArrayList]::new()
         LastOperation = ""
         LastUpdateTime = $null
+        CurrentSiteUrl = $null
+        Partial = $null
         OperationMetrics = @{
             TotalSites = 0
             TotalUsers = 0
@@ -112,8 +116,12 @@ function Add-SharePointUser {
     if (-not $UserData.ContainsKey("Name")) { $UserData["Name"] = "Unknown User" }
     if (-not $UserData.ContainsKey("Email")) { $UserData["Email"] = "N/A" }
     if (-not $UserData.ContainsKey("Type")) { $UserData["Type"] = "Internal" }
+    # Views filter external users on Type alone, so keep it in line with IsExternal
+    if ($UserData["IsExternal"] -eq $true) { $UserData["Type"] = "External" }
     if (-not $UserData.ContainsKey("Permission")) { $UserData["Permission"] = "Read" }
     
+    if ($script:SharePointData.CurrentSiteUrl -and -not $UserData.ContainsKey("SiteUrl")) { $UserData["SiteUrl"] = $script:SharePointData.CurrentSiteUrl }
+
     [void]$script:SharePointData.Users.Add($UserData)
     $script:SharePointData.OperationMetrics.TotalUsers = $script:SharePointData.Users.Count
     
@@ -139,7 +147,10 @@ function Add-SharePointGroup {
     if (-not $GroupData.ContainsKey("Name")) { $GroupData["Name"] = "Unknown Group" }
     if (-not $GroupData.ContainsKey("MemberCount")) { $GroupData["MemberCount"] = 0 }
     if (-not $GroupData.ContainsKey("Permission")) { $GroupData["Permission"] = "Read" }
+    if (-not $GroupData.ContainsKey("Members")) { $GroupData["Members"] = @() }
     
+    if ($script:SharePointData.CurrentSiteUrl -and -not $GroupData.ContainsKey("SiteUrl")) { $GroupData["SiteUrl"] = $script:SharePointData.CurrentSiteUrl }
+
     [void]$script:SharePointData.Groups.Add($GroupData)
     $script:SharePointData.OperationMetrics.TotalGroups = $script:SharePointData.Groups.Count
     
@@ -162,6 +173,8 @@ function Add-SharePointRoleAssignment {
     if (-not $RoleData.ContainsKey("Scope")) { $RoleData["Scope"] = "Site" }
     if (-not $RoleData.ContainsKey("ScopeUrl")) { $RoleData["ScopeUrl"] = "N/A" }
 
+    if ($script:SharePointData.CurrentSiteUrl -and -not $RoleData.ContainsKey("SiteUrl")) { $RoleData["SiteUrl"] = $script:SharePointData.CurrentSiteUrl }
+
     [void]$script:SharePointData.RoleAssignments.Add($RoleData)
     $script:SharePointData.OperationMetrics.TotalRoleAssignments = $script:SharePointData.RoleAssignments.Count
 }
@@ -181,6 +194,8 @@ function Add-SharePointInheritanceItem {
     if (-not $InheritanceData.ContainsKey("Type")) { $InheritanceData["Type"] = "Unknown" }
     if (-not $InheritanceData.ContainsKey("HasUniquePermissions")) { $InheritanceData["HasUniquePermissions"] = $false }
 
+    if ($script:SharePointData.CurrentSiteUrl -and -not $InheritanceData.ContainsKey("SiteUrl")) { $InheritanceData["SiteUrl"] = $script:SharePointData.CurrentSiteUrl }
+
     [void]$script:SharePointData.InheritanceItems.Add($InheritanceData)
     if ($InheritanceData["HasUniquePermissions"] -eq $true) {
         $script:SharePointData.OperationMetrics.InheritanceBreaks++
@@ -201,6 +216,9 @@ function Add-SharePointSharingLink {
     if (-not $LinkData.ContainsKey("LinkType")) { $LinkData["LinkType"] = "Unknown" }
     if (-not $LinkData.ContainsKey("AccessLevel")) { $LinkData["AccessLevel"] = "Unknown" }
     if (-not $LinkData.ContainsKey("MemberCount")) { $LinkData["MemberCount"] = 0 }
+    if (-not $LinkData.ContainsKey("Members")) { $LinkData["Members"] = @() }
+
+    if ($script:SharePointData.CurrentSiteUrl -and -not $LinkData.ContainsKey("SiteUrl")) { $LinkData["SiteUrl"] = $script:SharePointData.CurrentSiteUrl }
 
     [void]$script:SharePointData.SharingLinks.Add($LinkData)
     $script:SharePointData.OperationMetrics.TotalSharingLinks = $script:SharePointData.SharingLinks.Count
@@ -254,6 +272,8 @@ function Clear-SharePointData {
             $script:SharePointData.SharingLinks.Clear()
             $script:SharePointData.LastOperation = ""
             $script:SharePointData.LastUpdateTime = $null
+            $script:SharePointData.CurrentSiteUrl = $null
+            $script:SharePointData.Partial = $null
             $script:SharePointData.OperationMetrics.TotalSites = 0
             $script:SharePointData.OperationMetrics.TotalUsers = 0
             $script:SharePointData.OperationMetrics.TotalGroups = 0
@@ -292,6 +312,107 @@ function Get-SharePointData {
     }
 }
 
+function Get-SharePointDataPage {
+    <#
+    .SYNOPSIS
+    Gets one page of a data collection after filtering, searching and sorting
+    .DESCRIPTION
+    Filters are exact, case-insensitive matches per field; "A|B" matches either value.
+    Search is a substring match over SearchFields (every scalar field when none are given).
+    Facets count rows per field value and Sums add numeric fields, both over the matched rows.
+    A PageSize of 0 returns the counts without any rows.
+    #>
+    param(
+        [Parameter(Mandatory=$true)]
+        [string]$DataType,
+        [int]$Page = 1,
+        [int]$PageSize = 50,
+        [string]$Sort,
+        [ValidateSet("asc", "desc")]
+        [string]$Order = "asc",
+        [string]$Search,
+        [string[]]$SearchFields,
+        [hashtable]$Filters = @{},
+        [string[]]$Facets,
+        [string[]]$Sums
+    )
+
+    $rows = @(Get-SharePointData -DataType $DataType)
+    $total = $rows.Count
+
+    foreach ($field in $Filters.Keys) {
+        $allowed = @(([string]$Filters[$field]).Split("|"))
+        $rows = @($rows | Where-Object { $allowed -contains [string]$_[$field] })
+    }
+
+    if ($Search) {
+        $rows = @($rows | Where-Object {
+            $row = $_
+            $fields = if ($SearchFields) { $SearchFields } else { @($row.Keys) }
+            foreach ($field in $fields) {
+                $value = $row[$field]
+                if (($value -is [string] -or $value -is [ValueType]) -and ([string]$value).IndexOf($Search, [StringComparison]::OrdinalIgnoreCase) -ge 0) {
+                    return $true
+                }
+            }
+            return $false
+        })
+    }
+
+    if ($Sort) {
+        # Sort numerically when every non-empty value parses as a number (Storage, MemberCount, ...)
+        $parsed = 0.0
+        $numeric = -not ($rows | Where-Object {
+            $text = [string]$_[$Sort]
+            $text -ne "" -and -not [double]::TryParse($text, [ref]$parsed)
+        } | Select-Object -First 1)
+
+        $sortKey = if ($numeric) {
+            { $n = 0.0; [void][double]::TryParse([string]$_[$Sort], [ref]$n); $n }
+        } else {
+            { [string]$_[$Sort] }
+        }
+        $rows = @($rows | Sort-Object -Property $sortKey -Descending:($Order -eq "desc"))
+    }
+
+    $matched = $rows.Count
+
+    $facetCounts = @{}
+    foreach ($field in $Facets) {
+        $counts = @{}
+        foreach ($row in $rows) {
+            $key = [string]$row[$field]
+            $counts[$key] = 1 + [int]$counts[$key]
+        }
+        $facetCounts[$field] = $counts
+    }
+
+    $sumTotals = @{}
+    foreach ($field in $Sums) {
+        $sum = 0.0
+        foreach ($row in $rows) {
+            $n = 0.0
+            if ([double]::TryParse([string]$row[$field], [ref]$n)) { $sum += $n }
+        }
+        $sumTotals[$field] = $sum
+    }
+
+    # Clamp to the last page so a shrinking filter never returns an empty page
+    $pageCount = if ($PageSize -gt 0) { [Math]::Max(1, [Math]::Ceiling($matched / $PageSize)) } else { 1 }
+    $Page = [Math]::Min([Math]::Max(1, $Page), $pageCount)
+    $pageRows = if ($PageSize -gt 0) { @($rows | Select-Object -Skip (($Page - 1) * $PageSize) -First $PageSize) } else { @() }
+
+    return @{
+        data = $pageRows
+        total = $total
+        matched = $matched
+        page = $Page
+        pageSize = $PageSize
+        facets = $facetCounts
+        sums = $sumTotals
+    }
+}
+
 function Set-SharePointOperationContext {
     <#
     .SYNOPSIS
@@ -299,12 +420,97 @@ function Set-SharePointOperationContext {
     #>
     param(
         [Parameter(Mandatory=$true)]
-        [string]$OperationType
+        [string]$OperationType,
+
+        # Site being analyzed; rows added afterwards are tagged with it as SiteUrl
+        [string]$SiteUrl
     )
     
     $script:SharePointData.LastOperation = $OperationType
     $script:SharePointData.LastUpdateTime = Get-Date
+    $script:SharePointData.CurrentSiteUrl = if ($SiteUrl) { $SiteUrl.TrimEnd('/') } else { $null }
+    $script:SharePointData.Partial = $null
     
     Write-ActivityLog "Set operation context: $OperationType" -Level "Information"
 }
 
+function Set-SharePointDataPartial {
+    <#
+    .SYNOPSIS
+    Flags the store as holding partial results of the last operation (e.g. after a cancel)
+    .DESCRIPTION
+    Collected rows are kept. Metrics are recounted from the collections so they match
+    what was stored when the operation stopped. The flag is cleared when the next
+    operation calls Set-SharePointOperationContext.
+    #>
+    param(
+        [string]$Reason = "Cancelled"
+    )
+
+    $data = $script:SharePointData
+    Update-SharePointMetrics
+
+    $data.Partial = @{
+        Reason    = $Reason
+        Operation = $data.LastOperation
+        MarkedAt  = (Get-Date).ToString("o")
+    }
+
+    Write-ActivityLog "Marked $($data.LastOperation) data as partial ($Reason)" -Level "Warning"
+}
+
+function Update-SharePointMetrics {
+    <#
+    .SYNOPSIS
+    Recounts the operation metrics from the stored collections
+    #>
+    $data = $script:SharePointData
+    $metrics = $data.OperationMetrics
+    $metrics.TotalSites = $data.Sites.Count
+    $metrics.TotalUsers = $data.Users.Count
+    $metrics.ExternalUsers = @($data.Users | Where-Object { $_["Type"] -eq "External" -or $_["IsExternal"] -eq $true }).Count
+    $metrics.TotalGroups = $data.Groups.Count
+    $metrics.TotalRoleAssignments = $data.RoleAssignments.Count
+    $metrics.InheritanceBreaks = @($data.InheritanceItems | Where-Object { $_["HasUniquePermissions"] -eq $true }).Count
+    $metrics.TotalSharingLinks = $data.SharingLinks.Count
+}
+
+function Remove-SharePointSiteData {
+    <#
+    .SYNOPSIS
+    Removes the rows collected for one site so it can be re-analyzed without clearing other sites
+    .DESCRIPTION
+    Used by batch analysis, which merges several sites into the store. Rows are matched on
+    their SiteUrl tag and the site entry on its Url. Returns the removed site entry (if any)
+    so the caller can carry over details that only the tenant listing provides.
+    #>
+    param(
+        [Parameter(Mandatory=$true)]
+        [string]$SiteUrl
+    )
+
+    $data = $script:SharePointData
+    $target = $SiteUrl.TrimEnd('/').ToLowerInvariant()
+    $matchesSite = { param($url) $url -and ([string]$url).TrimEnd('/').ToLowerInvariant() -eq $target }
+
+    $removedSite = $null
+    foreach ($site in @($data.Sites)) {
+        if (& $matchesSite $site["Url"]) {
+            $removedSite = $site
+            $data.Sites.Remove($site)
+        }
+    }
+
+    # Refill each collection in-place to keep the reference shared with background runspaces
+    $removed = 0
+    foreach ($collection in @($data.Users, $data.Groups, $data.RoleAssignments, $data.InheritanceItems, $data.SharingLinks)) {
+        $keep = @($collection | Where-Object { -not (& $matchesSite $_["SiteUrl"]) })
+        $removed += $collection.Count - $keep.Count
+        $collection.Clear()
+        if ($keep.Count -gt 0) { $collection.AddRange($keep) }
+    }
+
+    Update-SharePointMetrics
+    Write-ActivityLog "Removed $removed stored rows for site: $SiteUrl" -Level "Information"
+    return $removedSite
+}
@@ -71,21 +71,49 @@ function New-DemoData {
     foreach ($user in $demoUsers) { Add-SharePointUser -UserData $user }
     Write-ConsoleOutput "Added $($demoUsers.Count) demo users (including $(@($demoUsers | Where-Object {$_.IsExternal}).Count) external)"
 
+    # Resolve demo user names to member entries for groups and sharing links
+    $toMembers = {
+        param([string[]]$Names)
+        @(foreach ($n in $Names) {
+            $u = $demoUsers | Where-Object { $_.Name -eq $n } | Select-Object -First 1
+            @{ Name = $n; Email = $u.Email; LoginName = "i:0#.f|membership|$($u.Email)"; PrincipalType = "User"; MemberKind = "User"; IsExternal = [bool]$u.IsExternal }
+        })
+    }
+
+    # Nested Entra ID security / Microsoft 365 groups, expanded as the collector does through Graph
+    $toNestedGroup = {
+        param([string]$Name, [string]$Kind, [string]$Id, [array]$Members)
+        $claim = if ($Kind -eq "M365Group") { "c:0o.c|federateddirectoryclaimprovider|$Id" } else { "c:0t.c|tenant|$Id" }
+        @{ Name = $Name; Email = ""; LoginName = $claim; PrincipalType = "SecurityGroup"; MemberKind = $Kind; Members = @($Members); Expanded = $true }
+    }
+    $everyoneExceptExternal = @{
+        Name = "Everyone except external users"; Email = ""; PrincipalType = "SecurityGroup"; MemberKind = "EveryoneExceptExternal"
+        LoginName = "c:0-.f|rolemanager|spo-grid-all-users/7a1d5e3c-0b6f-4e8a-9c2d-3f4b5a6c7d8e"
+    }
+    $alphaContractors = & $toNestedGroup "Project Alpha Contractors" "SecurityGroup" "3c9e1f20-5a7b-4d8c-b1e2-6f0a9d8c7b64" (& $toMembers "Contractor A","Vendor Contact")
+    $projectAlpha = & $toNestedGroup "Project Alpha" "M365Group" "b2f4c6d8-1e3a-4b5c-8d7e-9f0a1b2c3d4e" (@(& $toMembers "Jane Smith","Alex Kumar") + $alphaContractors)
+    $hrLeadership = & $toNestedGroup "HR Leadership" "SecurityGroup" "e5d4c3b2-a1f0-4e9d-8c7b-6a5f4e3d2c1b" (& $toMembers "Sarah Wilson")
+    $oldDistribution = & $toNestedGroup "Legacy Project DL" "SecurityGroup" "0f1e2d3c-4b5a-4968-8776-a5b4c3d2e1f0" @()
+
     # Generate demo groups (includes empty groups for GRP-001)
     $demoGroups = @(
-        @{Name="Site Owners"; MemberCount=3; Permission="Full Control"; Description="Owners of the site"},
-        @{Name="Site Members"; MemberCount=12; Permission="Edit"; Description="Members with edit access"},
-        @{Name="Site Visitors"; MemberCount=25; Permission="Read"; Description="Visitors with read access"},
-        @{Name="HR Team"; MemberCount=8; Permission="Contribute"; Description="Human Resources team"},
-        @{Name="IT Admins"; MemberCount=4; Permission="Full Control"; Description="IT administrators"},
-        @{Name="Marketing Team"; MemberCount=15; Permission="Edit"; Description="Marketing department"},
-        # Empty groups - triggers GRP-001 (Low - Empty groups)
-        @{Name="Legacy Project Team"; MemberCount=0; Permission="Edit"; Description="Old project team - no longer used"},
-        @{Name="Temp Contractors Group"; MemberCount=0; Permission="Contribute"; Description="Temporary group created for contractors"},
-        @{Name="Archive Access"; MemberCount=0; Permission="Read"; Description="Empty archive group"}
+        @{Name="Site Owners"; Permission="Full Control"; Description="Owners of the site"; Members=(& $toMembers "John Doe","David Brown","Robert Taylor")},
+        @{Name="Site Members"; Permission="Edit"; Description="Members with edit access"; Members=(@(& $toMembers "Jane Smith","Emily Chen","Sarah Wilson","Lisa Anderson","Michelle Lee","Contractor A","Agency Designer") + $projectAlpha)},
+        @{Name="Site Visitors"; Permission="Read"; Description="Visitors with read access"; Members=(@(& $toMembers "Mike Johnson","Alex Kumar","External Partner","Guest Reviewer","Auditor Jones","Legal Advisor") + $everyoneExceptExternal)},
+        @{Name="HR Team"; Permission="Contribute"; Description="Human Resources team"; Members=(@(& $toMembers "Lisa Anderson","Legal Advisor") + $hrLeadership)},
+        @{Name="IT Admins"; Permission="Full Control"; Description="IT administrators"; Members=(& $toMembers "David Brown","External IT Partner")},
+        @{Name="Marketing Team"; Permission="Edit"; Description="Marketing department"; Members=(& $toMembers "Emily Chen","Michelle Lee","Agency Designer","Marketing Guest","Freelancer")},
+        # Empty groups - triggers GRP-001 (Low - Empty groups); the legacy team only holds an empty Entra ID group
+        @{Name="Legacy Project Team"; Permission="Edit"; Description="Old project team - no longer used"; Members=@($oldDistribution)},
+        @{Name="Temp Contractors Group"; Permission="Contribute"; Description="Temporary group created for contractors"; Members=@()},
+        @{Name="Archive Access"; Permission="Read"; Description="Empty archive group"; Members=@()}
     )
-    foreach ($group in $demoGroups) { Add-SharePointGroup -GroupData $group }
-    Write-ConsoleOutput "Added $($demoGroups.Count) demo groups (including $(@($demoGroups | Where-Object {$_.MemberCount -eq 0}).Count) empty)"
+    foreach ($group in $demoGroups) {
+        $group.MemberCount = @($group.Members).Count
+        Set-GroupMembershipSummary -GroupData $group
+        Add-SharePointGroup -GroupData $group
+    }
+    Write-ConsoleOutput "Added $($demoGroups.Count) demo groups (including $(@($demoGroups | Where-Object {$_.IsEmpty}).Count) empty)"
 
     # Generate demo role assignments (includes many Full Control and direct user assignments)
     $demoRoles = @(
@@ -165,11 +193,14 @@ function New-DemoData {
         @{GroupName="SharingLinks.abc142.OrganizationView.hij789"; LinkType="Company-wide"; AccessLevel="View"; MemberCount=0; SiteTitle="Team Collaboration Site"; CreatedDate="2024-11-25"},
 
         # Specific people links (normal, lower risk)
-        @{GroupName="SharingLinks.abc126.Flexible.mno345"; LinkType="Specific People"; AccessLevel="Edit"; MemberCount=5; SiteTitle="Team Collaboration Site"; CreatedDate="2025-02-10"},
-        @{GroupName="SharingLinks.abc127.Flexible.pqr678"; LinkType="Specific People"; AccessLevel="View"; MemberCount=2; SiteTitle="HR Portal"; CreatedDate="2025-01-25"},
-        @{GroupName="SharingLinks.abc129.Flexible.vwx234"; LinkType="Specific People"; AccessLevel="Edit"; MemberCount=8; SiteTitle="Finance Department"; CreatedDate="2025-02-15"}
+        @{GroupName="SharingLinks.abc126.Flexible.mno345"; LinkType="Specific People"; AccessLevel="Edit"; SiteTitle="Team Collaboration Site"; CreatedDate="2025-02-10"; Members=(& $toMembers "Guest Reviewer","Consultant Smith","Alex Kumar")},
+        @{GroupName="SharingLinks.abc127.Flexible.pqr678"; LinkType="Specific People"; AccessLevel="View"; SiteTitle="HR Portal"; CreatedDate="2025-01-25"; Members=(& $toMembers "Auditor Jones","Mike Johnson")},
+        @{GroupName="SharingLinks.abc129.Flexible.vwx234"; LinkType="Specific People"; AccessLevel="Edit"; SiteTitle="Finance Department"; CreatedDate="2025-02-15"; Members=(& $toMembers "Vendor Contact","External Dev","Robert Taylor")}
     )
-    foreach ($link in $demoLinks) { Add-SharePointSharingLink -LinkData $link }
+    foreach ($link in $demoLinks) {
+        if ($link.Members) { $link.MemberCount = @($link.Members).Count }
+        Add-SharePointSharingLink -LinkData $link
+    }
     $anonymousCount = @($demoLinks | Where-Object {$_.LinkType -eq "Anonymous"}).Count
     $anonymousEditCount = @($demoLinks | Where-Object {$_.LinkType -eq "Anonymous" -and $_.AccessLevel -eq "Edit"}).Count
     $orgWideCount = @($demoLinks | Where-Object {$_.LinkType -in @("Company-wide", "Organization")}).Count
@@ -216,12 +247,14 @@ function Get-DemoPermissionsMatrix {
 
     $siteName = if ($SiteUrl -match '/sites/(.+)$') { $matches[1] } else { 'Demo Site' }
 
-    # Build a realistic permissions tree
+    # Build a realistic permissions tree. Nodes without unique permissions inherit
+    # from their nearest ancestor that has them, as in a real scan.
     $tree = @(
         @{
             title = $siteName
             type = 'Site'
             url = $SiteUrl
+            hasUniquePermissions = $true
             permissions = @(
                 @{ principal = 'Site Owners'; role = 'Full Control' }
                 @{ principal = 'Site Members'; role = 'Edit' }
@@ -232,21 +265,42 @@ function Get-DemoPermissionsMatrix {
                     title = 'Documents'
                     type = 'Library'
                     url = "$SiteUrl/Shared Documents"
+                    hasUniquePermissions = $false
                     permissions = @()
                     children = @(
                         @{
                             title = 'Projects'
                             type = 'Folder'
                             url = "$SiteUrl/Shared Documents/Projects"
+                            hasUniquePermissions = $true
                             permissions = @(
                                 @{ principal = 'Project Team'; role = 'Edit' }
                                 @{ principal = 'external_consultant@partner.com'; role = 'Read' }
                             )
+                            children = @(
+                                @{
+                                    title = 'Phase 1'
+                                    type = 'Folder'
+                                    url = "$SiteUrl/Shared Documents/Projects/Phase 1"
+                                    hasUniquePermissions = $false
+                                    permissions = @()
+                                    children = @(
+                                        @{
+                                            title = 'Project Plan.docx'
+                                            type = 'File'
+                                            url = "$SiteUrl/Shared Documents/Projects/Phase 1/Project Plan.docx"
+                                            hasUniquePermissions = $false
+                                            permissions = @()
+                                        }
+                                    )
+                                }
+                            )
                         }
                         @{
                             title = 'Confidential Budget 2024.xlsx'
                             type = 'File'
                             url = "$SiteUrl/Shared Documents/Confidential Budget 2024.xlsx"
+                            hasUniquePermissions = $true
                             permissions = @(
                                 @{ principal = 'Finance Team'; role = 'Full Control' }
                             )
@@ -255,6 +309,7 @@ function Get-DemoPermissionsMatrix {
                             title = 'Team Handbook.docx'
                             type = 'File'
                             url = "$SiteUrl/Shared Documents/Team Handbook.docx"
+                            hasUniquePermissions = $false
                             permissions = @()
                         }
                     )
@@ -263,6 +318,7 @@ function Get-DemoPermissionsMatrix {
                     title = 'HR Documents'
                     type = 'Library'
                     url = "$SiteUrl/HR Documents"
+                    hasUniquePermissions = $true
                     permissions = @(
                         @{ principal = 'HR Team'; role = 'Full Control' }
                         @{ principal = 'All Employees'; role = 'Read' }
@@ -272,12 +328,23 @@ function Get-DemoPermissionsMatrix {
                             title = 'Policies'
                             type = 'Folder'
                             url = "$SiteUrl/HR Documents/Policies"
+                            hasUniquePermissions = $false
                             permissions = @()
+                            children = @(
+                                @{
+                                    title = 'Code of Conduct.pdf'
+                                    type = 'File'
+                                    url = "$SiteUrl/HR Documents/Policies/Code of Conduct.pdf"
+                                    hasUniquePermissions = $false
+                                    permissions = @()
+                                }
+                            )
                         }
                         @{
                             title = 'Employee Contracts'
                             type = 'Folder'
                             url = "$SiteUrl/HR Documents/Employee Contracts"
+                            hasUniquePermissions = $true
                             permissions = @(
                                 @{ principal = 'HR Managers'; role = 'Full Control' }
                             )
@@ -288,12 +355,14 @@ function Get-DemoPermissionsMatrix {
                     title = 'Site Pages'
                     type = 'Library'
                     url = "$SiteUrl/SitePages"
+                    hasUniquePermissions = $false
                     permissions = @()
                     children = @(
                         @{
                             title = 'Home.aspx'
                             type = 'File'
                             url = "$SiteUrl/SitePages/Home.aspx"
+                            hasUniquePermissions = $false
                             permissions = @()
                         }
                     )
@@ -302,6 +371,7 @@ function Get-DemoPermissionsMatrix {
                     title = 'Tasks'
                     type = 'List'
                     url = "$SiteUrl/Lists/Tasks"
+                    hasUniquePermissions = $false
                     permissions = @()
                     children = @()
                 }
@@ -317,7 +387,7 @@ function Get-DemoPermissionsMatrix {
     function CountNode {
         param($node)
         $script:totalItems++
-        if ($node.permissions -and $node.permissions.Count -gt 0) {
+        if ($node.hasUniquePermissions) {
             $script:uniquePermissions++
             foreach ($perm in $node.permissions) {
                 $principals[$perm.principal] = $true
@@ -26,14 +26,42 @@ function Invoke-ApiHandler {
         "/api/permissions"        { Handle-PostPermissions -Request $Request -Response $Response }
         "/api/prepare-analysis"  { Handle-PostPrepareAnalysis -Request $Request -Response $Response }
         "/api/progress"     { Handle-GetProgress -Response $Response }
+        "/api/progress/stream" { Handle-GetProgressStream -Response $Response }
+        "/api/cancel"       { Handle-PostCancel -Response $Response }
+        "/api/checkpoint"   { Handle-GetCheckpoint -Response $Response }
+        "/api/checkpoint/discard" { Handle-PostCheckpointDiscard -Request $Request -Response $Response }
         "/api/data/*"       {
             $dataType = $Path.Replace("/api/data/", "")
-            Handle-GetData -Response $Response -DataType $dataType
+            Handle-GetData -Request $Request -Response $Response -DataType $dataType
         }
         "/api/metrics"      { Handle-GetMetrics -Response $Response }
         "/api/enrich"       { Handle-PostEnrich -Response $Response }
         "/api/enrichment"   { Handle-GetEnrichment -Response $Response }
         "/api/risk"         { Handle-GetRisk -Response $Response }
+        "/api/risk/evaluate" { Handle-PostRiskEvaluate -Request $Request -Response $Response }
+        "/api/risk/triage"  {
+            if ($method -eq "POST") { Handle-PostRiskTriage -Request $Request -Response $Response }
+            else { Handle-GetRiskTriage -Response $Response }
+        }
+        "/api/history"      {
+            if ($method -eq "POST") { Handle-PostRunSummary -Request $Request -Response $Response }
+            else { Handle-GetRunHistory -Request $Request -Response $Response }
+        }
+        "/api/views"        {
+            if ($method -eq "POST") { Handle-PostSavedView -Request $Request -Response $Response }
+            else { Handle-GetSavedViews -Response $Response }
+        }
+        "/api/views/delete" { Handle-PostSavedViewDelete -Request $Request -Response $Response }
+        "/api/settings/risk-rules" {
+            if ($method -eq "POST") { Handle-PostRiskRules -Request $Request -Response $Response }
+            else { Handle-GetRiskRules -Response $Response }
+        }
+        "/api/settings/risk-rules/reset" { Handle-PostRiskRulesReset -Response $Response }
+        "/api/settings/custom-rules" {
+            if ($method -eq "POST") { Handle-PostCustomRule -Request $Request -Response $Response }
+            else { Handle-GetCustomRules -Response $Response }
+        }
+        "/api/settings/custom-rules/delete" { Handle-PostCustomRuleDelete -Request $Request -Response $Response }
         "/api/export/*"     {
             $exportType = $Path.Replace("/api/export/", "")
             Handle-PostExport -Request $Request -Response $Response -ExportType $exportType
@@ -243,6 +271,7 @@ function Handle-PostDemo {
 
         # Delegate to DemoDataGenerator
         New-DemoData
+        $null = Add-RunSummary -OperationType "Demo" -Tenant "Demo"
 
         $script:ServerState.OperationRunning = $false
         $script:ServerState.OperationComplete = $true
@@ -282,13 +311,16 @@ function Handle-PostSites {
         return
     }
 
+    $body = Read-RequestBody -Request $Request
+
     # Launch in background so the server stays responsive for progress polling
     $script:ServerState.OperationLog.Clear()
     $script:ServerState.OperationError = $null
+    $script:ServerState.OperationResume = [bool]($body -and $body.resume)
     [void]$script:ServerState.OperationLog.Add("Fetching sites...")
 
     Start-BackgroundOperation -ScriptBlock {
-        Get-RealSites-DataDriven
+        Get-RealSites-DataDriven -Resume:([bool]$SharedState.OperationResume)
         [void]$SharedState.OperationLog.Add("Sites loaded successfully")
     }
 
@@ -377,6 +409,8 @@ function Handle-PostPermissions {
     $script:ServerState.OperationLog.Clear()
     $script:ServerState.OperationError = $null
     $script:ServerState.OperationSiteUrl = $siteUrl
+    $script:ServerState.OperationMerge = [bool]($body -and $body.merge)
+    $script:ServerState.OperationResume = [bool]($body -and $body.resume)
     $script:ServerState.OperationRunning = $true
     $script:ServerState.OperationComplete = $false
 
@@ -443,12 +477,12 @@ function Handle-PostPermissions {
 
     # Start the actual analysis background job
     [void]$script:ServerState.OperationLog.Add("Starting permissions analysis...")
-    Write-ActivityLog "Permissions analysis requested for site: '$siteUrl'" -Level "Information"
+    Write-ActivityLog "Permissions analysis requested for site: '$siteUrl' (merge: $($script:ServerState.OperationMerge))" -Level "Information"
 
     Start-BackgroundOperation -ScriptBlock {
         $siteUrl = $SharedState.OperationSiteUrl
         [void]$SharedState.OperationLog.Add("DEBUG: Background job starting with site URL: '$siteUrl'")
-        Get-RealPermissions-DataDriven -SiteUrl $siteUrl
+        Get-RealPermissions-DataDriven -SiteUrl $siteUrl -Merge:([bool]$SharedState.OperationMerge) -Resume:([bool]$SharedState.OperationResume)
         [void]$SharedState.OperationLog.Add("Analysis complete.")
     }
 }
@@ -458,8 +492,117 @@ function Handle-PostPermissions {
 function Handle-GetProgress {
     param($Response)
 
+    $data = Get-OperationResult
+    $data.messages = @($script:ServerState.OperationLog.ToArray())
+    $data.phase    = $script:ServerState.OperationPhase
+    $data.percent  = $script:ServerState.OperationPercent
+
+    Send-JsonResponse -Response $Response -Data $data
+}
+
+function Handle-GetProgressStream {
+    <#
+    .SYNOPSIS
+    Server-Sent Events version of /api/progress. Emits "log" (new lines since the
+    last event), "phase", "progress" (percent) and a final "complete" event.
+    #>
+    param($Response)
+
+    Open-ProgressStream -Response $Response
+}
+
+function Handle-PostCancel {
+    <#
+    .SYNOPSIS
+    Cancels the running background operation. Completion (with error "Operation cancelled")
+    is reported through /api/progress once the runspace has stopped.
+    #>
+    param($Response)
+
+    if (Stop-BackgroundOperation) {
+        Write-ActivityLog "Cancellation requested for the running operation" -Level "Warning"
+        Send-JsonResponse -Response $Response -Data @{ success = $true; message = "Cancelling operation" }
+    }
+    else {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "No background operation is running" } -StatusCode 409
+    }
+}
+
+# ---- Checkpoints ----
+
+function Handle-GetCheckpoint {
+    <#
+    .SYNOPSIS
+    Lists saved checkpoints that can be resumed. While an operation is running its own
+    checkpoint is in progress, so the UI only offers resume when running is false.
+    #>
+    param($Response)
+
+    try {
+        $checkpoints = @(Get-ResumableCheckpoints | ForEach-Object { ConvertTo-CheckpointInfo -Checkpoint $_ })
+        Send-JsonResponse -Response $Response -Data @{
+            running     = [bool]$script:ServerState.OperationRunning
+            checkpoints = $checkpoints
+        }
+    }
+    catch {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = $_.Exception.Message } -StatusCode 500
+    }
+}
+
+function Handle-PostCheckpointDiscard {
+    param($Request, $Response)
+
+    $body = Read-RequestBody -Request $Request
+    $operationType = if ($body -and $body.operationType) { [string]$body.operationType } else { "" }
+
+    if ($operationType -notmatch '^[A-Za-z]+$') {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "operationType is required" } -StatusCode 400
+        return
+    }
+
+    if ($script:ServerState.OperationRunning) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "Cannot discard a checkpoint while an operation is running" } -StatusCode 409
+        return
+    }
+
+    Remove-Checkpoint -OperationType $operationType
+    Send-JsonResponse -Response $Response -Data @{ success = $true; message = "Checkpoint discarded" }
+}
+
+function ConvertTo-CheckpointInfo {
+    <#
+    .SYNOPSIS
+    camelCase view of a saved checkpoint for the Operations banner
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [hashtable]$Checkpoint
+    )
+
+    $options = if ($Checkpoint.Options) { $Checkpoint.Options } else { @{} }
+    return @{
+        operationType   = $Checkpoint.OperationType
+        scope           = $Checkpoint.Scope
+        status          = $Checkpoint.Status
+        phase           = $Checkpoint.Phase
+        completedPhases = @($Checkpoint.CompletedPhases)
+        # What a resume skips: the counts covered by the saved rows
+        processed       = $Checkpoint.SavedItems ?? $Checkpoint.ProcessedItems ?? @{}
+        total           = if ($Checkpoint.TotalItems) { $Checkpoint.TotalItems } else { @{} }
+        startedAt       = $Checkpoint.StartedAt
+        lastUpdated     = $Checkpoint.LastUpdated
+        resumeCount     = [int]$Checkpoint.ResumeCount
+        merge           = [bool]$options.Merge
+    }
+}
+
+function Get-OperationResult {
+    <#
+    .SYNOPSIS
+    Running/complete flags plus the error or result of the last background operation
+    #>
     $data = @{
-        messages = @($script:ServerState.OperationLog.ToArray())
         running  = $script:ServerState.OperationRunning
         complete = $script:ServerState.OperationComplete
     }
@@ -474,20 +617,70 @@ function Handle-GetProgress {
         $data.enrichmentResult = $script:ServerState.EnrichmentResult
     }
 
-    Send-JsonResponse -Response $Response -Data $data
+    # Include the permissions matrix built by a background scan
+    if ($script:ServerState.MatrixResult) {
+        $data.matrixResult = $script:ServerState.MatrixResult
+    }
+
+    if ($script:ServerState.CancelRequested) {
+        $data.cancelled = $true
+    }
+
+    return $data
 }
 
 # ---- Data ----
 
 function Handle-GetData {
-    param($Response, [string]$DataType)
+    <#
+    .SYNOPSIS
+    Returns a data collection. With query parameters (page, pageSize, sort, order,
+    q, fields, filter=Field:Value, facets, sums) returns one page plus counts.
+    #>
+    param($Request, $Response, [string]$DataType)
 
     $mappedType = if ($script:DataTypeMap.ContainsKey($DataType.ToLower())) { $script:DataTypeMap[$DataType.ToLower()] } else { $DataType }
 
-    $data = Get-SharePointData -DataType $mappedType
-    if ($null -eq $data) { $data = @() }
+    $query = if ($Request) { $Request.QueryString } else { $null }
+    $pagingKeys = @("page", "pageSize", "sort", "q", "filter", "facets", "sums")
+    $isPaged = $query -and ($pagingKeys | Where-Object { $null -ne $query[$_] })
+
+    if (-not $isPaged) {
+        $data = Get-SharePointData -DataType $mappedType
+        if ($null -eq $data) { $data = @() }
+
+        Send-JsonResponse -Response $Response -Data @{ data = @($data) }
+        return
+    }
+
+    $split = { param($value) if ($value) { @($value.Split(",") | ForEach-Object { $_.Trim() } | Where-Object { $_ }) } else { @() } }
+
+    $filters = @{}
+    foreach ($filter in @($query.GetValues("filter"))) {
+        if (-not $filter) { continue }
+        $separator = $filter.IndexOf(":")
+        if ($separator -gt 0) { $filters[$filter.Substring(0, $separator)] = $filter.Substring($separator + 1) }
+    }
 
-    Send-JsonResponse -Response $Response -Data @{ data = @($data) }
+    try {
+        $pageParams = @{
+            DataType = $mappedType
+            Filters = $filters
+            Search = $query["q"]
+            SearchFields = & $split $query["fields"]
+            Facets = & $split $query["facets"]
+            Sums = & $split $query["sums"]
+        }
+        if ($query["page"]) { $pageParams.Page = [int]$query["page"] }
+        if ($null -ne $query["pageSize"]) { $pageParams.PageSize = [int]$query["pageSize"] }
+        if ($query["sort"]) { $pageParams.Sort = $query["sort"] }
+        if ($query["order"] -eq "desc") { $pageParams.Order = "desc" }
+
+        Send-JsonResponse -Response $Response -Data (Get-SharePointDataPage @pageParams)
+    }
+    catch {
+        Send-JsonResponse -Response $Response -Data @{ error = $true; message = $_.Exception.Message } -StatusCode 400
+    }
 }
 
 # ---- Metrics ----
@@ -506,6 +699,22 @@ function Handle-GetMetrics {
         totalRoleAssignments = $metrics.TotalRoleAssignments
         inheritanceBreaks = $metrics.InheritanceBreaks
         totalSharingLinks = $metrics.TotalSharingLinks
+        partial = ConvertTo-PartialInfo
+    }
+}
+
+function ConvertTo-PartialInfo {
+    <#
+    .SYNOPSIS
+    camelCase view of the data store's partial flag, or $null when the data is complete
+    #>
+    $partial = (Get-SharePointData -DataType "All").Partial
+    if (-not $partial) { return $null }
+
+    return @{
+        reason    = $partial.Reason
+        operation = $partial.Operation
+        markedAt  = $partial.MarkedAt
     }
 }
 
@@ -624,17 +833,41 @@ function Handle-GetRisk {
 
     try {
         $assessment = Get-RiskAssessment
-
+        Send-JsonResponse -Response $Response -Data (ConvertTo-RiskResponse -Assessment $assessment)
+    }
+    catch {
         Send-JsonResponse -Response $Response -Data @{
-            overallScore  = $assessment.OverallScore
-            riskLevel     = $assessment.RiskLevel
-            totalFindings = $assessment.TotalFindings
-            criticalCount = $assessment.CriticalCount
-            highCount     = $assessment.HighCount
-            mediumCount   = $assessment.MediumCount
-            lowCount      = $assessment.LowCount
-            findings      = @($assessment.Findings)
+            overallScore  = 0
+            riskLevel     = "Unknown"
+            totalFindings = 0
+            findings      = @()
+            error         = $_.Exception.Message
+        }
+    }
+}
+
+function Handle-PostRiskEvaluate {
+    <#
+    .SYNOPSIS
+    Scores data supplied by the client (a loaded report file) with the same rules as /api/risk
+    #>
+    param($Request, $Response)
+
+    $body = Read-RequestBody -Request $Request
+    if (-not $body) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "Request body is required" } -StatusCode 400
+        return
+    }
+
+    try {
+        $assessment = Get-RiskAssessment -Data @{
+            Users            = @($body.users)
+            Groups           = @($body.groups)
+            RoleAssignments  = @($body.roleAssignments)
+            InheritanceItems = @($body.inheritance)
+            SharingLinks     = @($body.sharingLinks)
         }
+        Send-JsonResponse -Response $Response -Data (ConvertTo-RiskResponse -Assessment $assessment)
     }
     catch {
         Send-JsonResponse -Response $Response -Data @{
@@ -647,6 +880,355 @@ function Handle-GetRisk {
     }
 }
 
+function ConvertTo-RiskResponse {
+    param([hashtable]$Assessment)
+
+    return @{
+        overallScore  = $Assessment.OverallScore
+        riskLevel     = $Assessment.RiskLevel
+        totalFindings = $Assessment.TotalFindings
+        criticalCount = $Assessment.CriticalCount
+        highCount     = $Assessment.HighCount
+        mediumCount   = $Assessment.MediumCount
+        lowCount      = $Assessment.LowCount
+        suppressedCount = $Assessment.SuppressedCount
+        findings      = @($Assessment.Findings)
+    }
+}
+
+# ---- Risk Triage ----
+
+function Handle-GetRiskTriage {
+    param($Response)
+
+    Send-JsonResponse -Response $Response -Data (ConvertTo-RiskTriageResponse -Entries (Get-RiskTriage))
+}
+
+function Handle-PostRiskTriage {
+    <#
+    .SYNOPSIS
+    Sets a triage state: { keys: [...], state, justification?, expiresAt?, owner? }
+    #>
+    param($Request, $Response)
+
+    $body = Read-RequestBody -Request $Request
+    if (-not $body -or -not $body.keys -or -not $body.state) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "keys and state are required" } -StatusCode 400
+        return
+    }
+
+    try {
+        $entries = Set-RiskTriage -Keys @($body.keys) -State $body.state `
+            -Justification $body.justification -ExpiresAt $body.expiresAt -Owner $body.owner
+        Send-JsonResponse -Response $Response -Data (ConvertTo-RiskTriageResponse -Entries $entries)
+    }
+    catch {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = $_.Exception.Message } -StatusCode 400
+    }
+}
+
+function ConvertTo-RiskTriageResponse {
+    param([hashtable]$Entries)
+
+    return @{
+        success = $true
+        states  = $script:RiskTriageStates
+        entries = @($Entries.Values | Sort-Object { $_.Key } | ForEach-Object {
+            @{
+                key           = $_.Key
+                state         = $_.State
+                expired       = $_.Expired
+                justification = $_.Justification
+                expiresAt     = $_.ExpiresAt
+                owner         = $_.Owner
+                updatedAt     = $_.UpdatedAt
+            }
+        })
+    }
+}
+
+# ---- Run History ----
+
+function Handle-PostRunSummary {
+    <#
+    .SYNOPSIS
+    Records one run summary for a finished batch analysis (its merged site runs record none)
+    #>
+    param($Request, $Response)
+
+    $body = Read-RequestBody -Request $Request
+    $sites = @(if ($body -and $body.sites) { $body.sites | ForEach-Object { [string]$_ } | Where-Object { $_ -match '^https?://' } })
+
+    if ($sites.Count -eq 0) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "sites must list the analyzed site URLs" } -StatusCode 400
+        return
+    }
+
+    if ($script:ServerState.OperationRunning) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "Cannot record a run summary while an operation is running" } -StatusCode 409
+        return
+    }
+
+    $tenant = Get-AppSetting -SettingName "SharePoint.TenantUrl"
+    if (-not $tenant -and $sites[0] -match '^https?://[^/]+') { $tenant = $Matches[0] }
+    $scope = if ($sites.Count -eq 1) { $sites[0] } else { "$($sites.Count) sites" }
+
+    $summary = Add-RunSummary -OperationType "BatchAnalysis" -Scope $scope -Tenant $tenant
+    Send-JsonResponse -Response $Response -Data @{ success = [bool]$summary }
+}
+
+function Handle-GetRunHistory {
+    <#
+    .SYNOPSIS
+    Returns the saved run summaries, oldest first; ?tenant= limits them to one tenant
+    #>
+    param($Request, $Response)
+
+    $tenant = if ($Request) { $Request.QueryString["tenant"] } else { $null }
+    $runs = @(Get-RunHistory -Tenant $tenant)
+    $tenants = @(Get-RunHistory | ForEach-Object { $_.Tenant } | Where-Object { $_ } | Sort-Object -Unique)
+
+    Send-JsonResponse -Response $Response -Data @{
+        success = $true
+        tenants = $tenants
+        runs    = @($runs | ForEach-Object {
+            $metrics = $_.Metrics ?? @{}
+            @{
+                timestamp       = $_.Timestamp
+                tenant          = $_.Tenant
+                operationType   = $_.OperationType
+                scope           = $_.Scope
+                partial         = [bool]$_.Partial
+                overallScore    = $_.OverallScore
+                riskLevel       = $_.RiskLevel
+                totalFindings   = $_.TotalFindings
+                criticalCount   = $_.CriticalCount
+                highCount       = $_.HighCount
+                mediumCount     = $_.MediumCount
+                lowCount        = $_.LowCount
+                suppressedCount = $_.SuppressedCount
+                metrics         = @{
+                    totalSites           = $metrics.TotalSites
+                    totalUsers           = $metrics.TotalUsers
+                    externalUsers        = $metrics.ExternalUsers
+                    totalGroups          = $metrics.TotalGroups
+                    totalRoleAssignments = $metrics.TotalRoleAssignments
+                    inheritanceBreaks    = $metrics.InheritanceBreaks
+                    totalSharingLinks    = $metrics.TotalSharingLinks
+                }
+            }
+        })
+    }
+}
+
+# ---- Risk Rule Settings ----
+
+function Handle-GetRiskRules {
+    param($Response)
+
+    Send-JsonResponse -Response $Response -Data (ConvertTo-RiskRulesResponse -Rules (Get-RiskRules))
+}
+
+function Handle-PostRiskRules {
+    <#
+    .SYNOPSIS
+    Saves rule overrides: { rules: [{ ruleId, enabled, severity, threshold }] }
+    #>
+    param($Request, $Response)
+
+    $body = Read-RequestBody -Request $Request
+    if (-not $body -or -not $body.rules) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "rules is required" } -StatusCode 400
+        return
+    }
+
+    try {
+        $rules = Set-RiskRules -Rules @($body.rules)
+        Send-JsonResponse -Response $Response -Data (ConvertTo-RiskRulesResponse -Rules $rules)
+    }
+    catch {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = $_.Exception.Message } -StatusCode 400
+    }
+}
+
+function Handle-PostRiskRulesReset {
+    param($Response)
+
+    try {
+        $rules = Reset-RiskRules
+        Send-JsonResponse -Response $Response -Data (ConvertTo-RiskRulesResponse -Rules $rules)
+    }
+    catch {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = $_.Exception.Message } -StatusCode 500
+    }
+}
+
+function ConvertTo-RiskRulesResponse {
+    param($Rules)
+
+    return @{
+        success    = $true
+        updatedAt  = Get-RiskRulesUpdatedAt
+        severities = $script:RiskSeverities
+        rules      = @($Rules.Values | ForEach-Object {
+            @{
+                ruleId           = $_.RuleId
+                category         = $_.Category
+                title            = $_.Title
+                enabled          = $_.Enabled
+                severity         = $_.Severity
+                threshold        = $_.Threshold
+                thresholdUnit    = $_.ThresholdUnit
+                thresholdLabel   = $_.ThresholdLabel
+                defaultSeverity  = $_.DefaultSeverity
+                defaultThreshold = $_.DefaultThreshold
+            }
+        })
+    }
+}
+
+function Handle-GetCustomRules {
+    param($Response)
+
+    Send-JsonResponse -Response $Response -Data (ConvertTo-CustomRulesResponse)
+}
+
+function Handle-PostCustomRule {
+    <#
+    .SYNOPSIS
+    Creates or updates a custom rule: { rule: { ruleId?, title, dataType, conditions[], ... } }
+    #>
+    param($Request, $Response)
+
+    $body = Read-RequestBody -Request $Request
+    if (-not $body -or -not $body.rule) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "rule is required" } -StatusCode 400
+        return
+    }
+
+    try {
+        $rule = Set-CustomRiskRule -Definition $body.rule
+        $result = ConvertTo-CustomRulesResponse
+        $result.rule = ConvertTo-CustomRuleInfo -Rule $rule
+        Send-JsonResponse -Response $Response -Data $result
+    }
+    catch {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = $_.Exception.Message } -StatusCode 400
+    }
+}
+
+function Handle-PostCustomRuleDelete {
+    param($Request, $Response)
+
+    $body = Read-RequestBody -Request $Request
+    if (-not $body -or -not $body.ruleId) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "ruleId is required" } -StatusCode 400
+        return
+    }
+
+    if (-not (Remove-CustomRiskRule -RuleId ([string]$body.ruleId))) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "No custom rule $($body.ruleId)" } -StatusCode 404
+        return
+    }
+    Send-JsonResponse -Response $Response -Data (ConvertTo-CustomRulesResponse)
+}
+
+function ConvertTo-CustomRulesResponse {
+    return @{
+        success    = $true
+        rules      = @(Get-CustomRiskRules | ForEach-Object { ConvertTo-CustomRuleInfo -Rule $_ })
+        dataTypes  = @($script:CustomRuleDataTypes.Keys)
+        operators  = $script:CustomRuleOperators
+        severities = $script:RiskSeverities
+    }
+}
+
+function ConvertTo-CustomRuleInfo {
+    param([hashtable]$Rule)
+
+    return @{
+        ruleId       = $Rule.RuleId
+        title        = $Rule.Title
+        category     = $Rule.Category
+        description  = $Rule.Description
+        severity     = $Rule.Severity
+        enabled      = $Rule.Enabled
+        dataType     = $Rule.DataType
+        match        = $Rule.Match
+        conditions   = @($Rule.Conditions | ForEach-Object { @{ field = $_.Field; operator = $_.Operator; value = $_.Value } })
+        threshold    = $Rule.Threshold
+        scorePerItem = $Rule.ScorePerItem
+        maxScore     = $Rule.MaxScore
+    }
+}
+
+# ---- Saved Views ----
+
+function Handle-GetSavedViews {
+    param($Response)
+
+    Send-JsonResponse -Response $Response -Data (ConvertTo-SavedViewsResponse)
+}
+
+function Handle-PostSavedView {
+    <#
+    .SYNOPSIS
+    Saves a named view: { name, hash }; an existing view with that name is replaced
+    #>
+    param($Request, $Response)
+
+    $body = Read-RequestBody -Request $Request
+    if (-not $body -or -not $body.name -or -not $body.hash) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "name and hash are required" } -StatusCode 400
+        return
+    }
+
+    try {
+        $view = Set-SavedView -Name ([string]$body.name) -Hash ([string]$body.hash)
+        $result = ConvertTo-SavedViewsResponse
+        $result.view = ConvertTo-SavedViewInfo -View $view
+        Send-JsonResponse -Response $Response -Data $result
+    }
+    catch {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = $_.Exception.Message } -StatusCode 400
+    }
+}
+
+function Handle-PostSavedViewDelete {
+    param($Request, $Response)
+
+    $body = Read-RequestBody -Request $Request
+    if (-not $body -or -not $body.id) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "id is required" } -StatusCode 400
+        return
+    }
+
+    if (-not (Remove-SavedView -Id ([string]$body.id))) {
+        Send-JsonResponse -Response $Response -Data @{ success = $false; message = "No saved view $($body.id)" } -StatusCode 404
+        return
+    }
+    Send-JsonResponse -Response $Response -Data (ConvertTo-SavedViewsResponse)
+}
+
+function ConvertTo-SavedViewsResponse {
+    return @{
+        success = $true
+        views   = @(Get-SavedViews | ForEach-Object { ConvertTo-SavedViewInfo -View $_ })
+    }
+}
+
+function ConvertTo-SavedViewInfo {
+    param([hashtable]$View)
+
+    return @{
+        id        = $View.Id
+        name      = $View.Name
+        hash      = $View.Hash
+        createdAt = $View.CreatedAt
+        updatedAt = $View.UpdatedAt
+    }
+}
+
 # ---- Audit ----
 
 function Handle-GetAudit {
@@ -696,7 +1278,12 @@ function Handle-PostExport {
         $csvRows = @()
         foreach ($item in $data) {
             if ($item -is [hashtable]) {
-                $csvRows += [PSCustomObject]$item
+                $row = $item.Clone()
+                # Member lists don't fit a CSV cell - flatten to names
+                if ($row.ContainsKey("Members")) {
+                    $row["Members"] = (@($row["Members"]) | ForEach-Object { $_.Name }) -join "; "
+                }
+                $csvRows += [PSCustomObject]$row
             } else {
                 $csvRows += $item
             }
@@ -761,39 +1348,27 @@ function Handle-PostBuildPermissionsMatrix {
             return
         }
 
-        # Live mode - connect to the specific site
-        try {
-            $currentConnection = Get-PnPConnection -ErrorAction SilentlyContinue
-            if ($currentConnection) {
-                $accessToken = Get-PnPAccessToken
-                Connect-PnPOnline -Url $siteUrl -AccessToken $accessToken -WarningAction SilentlyContinue
-            } else {
-                throw "No active PnP connection"
-            }
-        } catch {
-            Send-JsonResponse -Response $Response -Data @{
-                success = $false
-                message = "Failed to connect to site: $($_.Exception.Message)"
-            } -StatusCode 500
+        if ($script:ServerState.OperationRunning) {
+            Send-JsonResponse -Response $Response -Data @{ success = $false; message = "Another operation is already running" } -StatusCode 409
             return
         }
 
-        # Build the permissions matrix
-        try {
-            $matrix = Get-SitePermissionsMatrix -SiteUrl $siteUrl -ScanType $scanType
-
-            Send-JsonResponse -Response $Response -Data @{
-                success = $true
-                data = $matrix
-            }
-        } catch {
-            Write-ActivityLog "Matrix build error: $($_.Exception.Message)" -Level "Error"
-            Send-JsonResponse -Response $Response -Data @{
-                success = $false
-                message = $_.Exception.Message
-            } -StatusCode 500
+        # Live mode - scan in the background (the runspace connects to OperationSiteUrl);
+        # the client follows /api/progress and picks the matrix up from matrixResult
+        $script:ServerState.OperationLog.Clear()
+        $script:ServerState.OperationError = $null
+        $script:ServerState.OperationSiteUrl = $siteUrl
+        $script:ServerState.MatrixScanType = if ($scanType) { $scanType } else { "quick" }
+        [void]$script:ServerState.OperationLog.Add("Building permissions matrix for $siteUrl ($($script:ServerState.MatrixScanType) scan)...")
+
+        Start-BackgroundOperation -ScriptBlock {
+            $matrix = Get-SitePermissionsMatrix -SiteUrl $SharedState.OperationSiteUrl -ScanType $SharedState.MatrixScanType
+            $SharedState.MatrixResult = $matrix
+            [void]$SharedState.OperationLog.Add("Matrix complete: $($matrix.totalItems) items, $($matrix.uniquePermissions) unique permissions")
         }
 
+        Send-JsonResponse -Response $Response -Data @{ success = $true; started = $true; message = "Permissions matrix build started" }
+
     } catch {
         Write-ActivityLog "Matrix build error: $($_.Exception.Message)" -Level "Error"
         Send-JsonResponse -Response $Response -Data @{
@@ -31,6 +31,16 @@ function Start-BackgroundOperation {
 
     $projectRoot = (Resolve-Path (Join-Path $PSScriptRoot "..\..")).Path
 
+    # Mark the operation as running before the runspace starts, so a progress
+    # request arriving right after the POST doesn't see the previous completion
+    $script:ServerState.OperationRunning = $true
+    $script:ServerState.OperationComplete = $false
+    $script:ServerState.CancelRequested = $false
+    $script:ServerState.OperationPhase = "Starting"
+    $script:ServerState.OperationPercent = 0
+    $script:ServerState.EnrichmentResult = $null
+    $script:ServerState.MatrixResult = $null
+
     # Prepare initial session state with required variables
     $iss = [System.Management.Automation.Runspaces.InitialSessionState]::CreateDefault()
 
@@ -59,10 +69,15 @@ function Start-BackgroundOperation {
         . "$ScriptRoot\Functions\Core\AuditLog.ps1"
         . "$ScriptRoot\Functions\Analysis\JsonExport.ps1"
         . "$ScriptRoot\Functions\Analysis\GraphEnrichment.ps1"
+        . "$ScriptRoot\Functions\Analysis\RiskRules.ps1"
+        . "$ScriptRoot\Functions\Analysis\RiskTriage.ps1"
         . "$ScriptRoot\Functions\Analysis\RiskScoring.ps1"
+        . "$ScriptRoot\Functions\Analysis\RunHistory.ps1"
         . "$ScriptRoot\Functions\SharePoint\SPOConnection.ps1"
+        . "$ScriptRoot\Functions\SharePoint\PermissionsMatrix.ps1"
         . "$ScriptRoot\Functions\SharePoint\SiteCollector.ps1"
         . "$ScriptRoot\Functions\SharePoint\PermissionsCollector.ps1"
+        . "$ScriptRoot\Functions\SharePoint\GroupMembership.ps1"
         . "$ScriptRoot\Functions\Demo\DemoDataGenerator.ps1"
 
         # Override Write-ConsoleOutput to write to the shared operation log
@@ -76,6 +91,16 @@ function Start-BackgroundOperation {
             [void]$SharedState.OperationLog.Add($Message)
         }
 
+        # Override Set-OperationProgress to write to the shared state
+        function Set-OperationProgress {
+            param(
+                [string]$Phase,
+                [int]$Percent = -1
+            )
+            if ($Phase) { $SharedState.OperationPhase = $Phase }
+            if ($Percent -ge 0) { $SharedState.OperationPercent = [Math]::Min($Percent, 100) }
+        }
+
         # Override Update-UIAndWait - no-op in background
         function Update-UIAndWait {
             param([int]$WaitMs = 0)
@@ -85,109 +110,157 @@ function Start-BackgroundOperation {
         # This is safe because SharedState is a synchronized hashtable
         $script:SharePointData = $SharedState.SharePointData
 
-        # Re-establish PnP connection in this runspace.
-        # Use the operation-specific site URL if available (e.g. for permissions analysis),
-        # otherwise fall back to the tenant root URL (e.g. for site enumeration).
-        $connectUrl = if ($SharedState.OperationSiteUrl) { $SharedState.OperationSiteUrl } else { $TenantUrl }
-        if ($connectUrl) {
-            $connected = $false
-
-            if ($env:SPO_HEADLESS) {
-                # CONTAINER MODE: Try access token only for same-site reconnection
-                # For different sites, use DeviceLogin to get proper scoped token
-
-                $tryAccessToken = $false
-                if ($AccessToken -and $TenantUrl) {
-                    # Only use access token if connecting to the same site as initial connection
-                    if ($connectUrl -eq $TenantUrl) {
-                        $tryAccessToken = $true
+        # Snapshot so a cancelled run only marks the store partial if it wrote to it
+        $storeUpdatedAt = $script:SharePointData.LastUpdateTime
+
+        try {
+            # Re-establish PnP connection in this runspace.
+            # Use the operation-specific site URL if available (e.g. for permissions analysis),
+            # otherwise fall back to the tenant root URL (e.g. for site enumeration).
+            $connectUrl = if ($SharedState.OperationSiteUrl) { $SharedState.OperationSiteUrl } else { $TenantUrl }
+            if ($connectUrl) {
+                $connected = $false
+
+                if ($env:SPO_HEADLESS) {
+                    # CONTAINER MODE: Try access token only for same-site reconnection
+                    # For different sites, use DeviceLogin to get proper scoped token
+
+                    $tryAccessToken = $false
+                    if ($AccessToken -and $TenantUrl) {
+                        # Only use access token if connecting to the same site as initial connection
+                        if ($connectUrl -eq $TenantUrl) {
+                            $tryAccessToken = $true
+                        }
                     }
-                }
 
-                if ($tryAccessToken) {
-                    try {
-                        Connect-PnPOnline -Url $connectUrl -AccessToken $AccessToken -ErrorAction Stop
-                        $connected = $true
-                        [void]$SharedState.OperationLog.Add("Connected using access token (same site)")
-                    } catch {
-                        [void]$SharedState.OperationLog.Add("Access token failed, will try DeviceLogin...")
+                    if ($tryAccessToken) {
+                        try {
+                            Connect-PnPOnline -Url $connectUrl -AccessToken $AccessToken -ErrorAction Stop
+                            $connected = $true
+                            [void]$SharedState.OperationLog.Add("Connected using access token (same site)")
+                        } catch {
+                            [void]$SharedState.OperationLog.Add("Access token failed, will try DeviceLogin...")
+                        }
                     }
-                }
 
-                if (-not $connected -and $ClientId) {
-                    try {
-                        [void]$SharedState.OperationLog.Add("Requesting device code for background connection...")
+                    if (-not $connected -and $ClientId) {
+                        try {
+                            [void]$SharedState.OperationLog.Add("Requesting device code for background connection...")
 
-                        # Extract tenant name from URL
-                        $tenantName = ""
-                        if ($connectUrl -match '//([^-\.]+)') {
-                            $tenantName = "$($matches[1]).onmicrosoft.com"
-                        }
+                            # Extract tenant name from URL
+                            $tenantName = ""
+                            if ($connectUrl -match '//([^-\.]+)') {
+                                $tenantName = "$($matches[1]).onmicrosoft.com"
+                            }
 
-                        if ($tenantName) {
-                            Connect-PnPOnline -Url $connectUrl -ClientId $ClientId -Tenant $tenantName -DeviceLogin -ErrorAction Stop *>&1 | Out-Host
-                            [Console]::Out.Flush()
-                        } else {
-                            Connect-PnPOnline -Url $connectUrl -ClientId $ClientId -DeviceLogin -ErrorAction Stop *>&1 | Out-Host
-                            [Console]::Out.Flush()
+                            if ($tenantName) {
+                                Connect-PnPOnline -Url $connectUrl -ClientId $ClientId -Tenant $tenantName -DeviceLogin -ErrorAction Stop *>&1 | Out-Host
+                                [Console]::Out.Flush()
+                            } else {
+                                Connect-PnPOnline -Url $connectUrl -ClientId $ClientId -DeviceLogin -ErrorAction Stop *>&1 | Out-Host
+                                [Console]::Out.Flush()
+                            }
+                            $connected = $true
+                        } catch {
+                            [void]$SharedState.OperationLog.Add("ERROR: DeviceLogin failed: $($_.Exception.Message)")
                         }
-                        $connected = $true
-                    } catch {
-                        [void]$SharedState.OperationLog.Add("ERROR: DeviceLogin failed: $($_.Exception.Message)")
                     }
-                }
-            } else {
-                # LOCAL/WINDOWS MODE: Use Interactive (gets fresh token with right scope)
-                # Don't use access token - it may be scoped for admin site only
-
-                if ($ClientId) {
-                    try {
-                        Connect-PnPOnline -Url $connectUrl -ClientId $ClientId -Interactive -ErrorAction Stop
-                        $connected = $true
-                        [void]$SharedState.OperationLog.Add("Connected using Interactive mode")
-                    } catch {
-                        [void]$SharedState.OperationLog.Add("Interactive connection failed, trying access token fallback...")
+                } else {
+                    # LOCAL/WINDOWS MODE: Use Interactive (gets fresh token with right scope)
+                    # Don't use access token - it may be scoped for admin site only
+
+                    if ($ClientId) {
+                        try {
+                            Connect-PnPOnline -Url $connectUrl -ClientId $ClientId -Interactive -ErrorAction Stop
+                            $connected = $true
+                            [void]$SharedState.OperationLog.Add("Connected using Interactive mode")
+                        } catch {
+                            [void]$SharedState.OperationLog.Add("Interactive connection failed, trying access token fallback...")
+                        }
                     }
-                }
 
-                # Fallback to access token only if Interactive fails
-                if (-not $connected -and $AccessToken) {
-                    try {
-                        Connect-PnPOnline -Url $connectUrl -AccessToken $AccessToken -ErrorAction Stop
-                        $connected = $true
-                        [void]$SharedState.OperationLog.Add("Connected using access token fallback")
-                    } catch {
-                        [void]$SharedState.OperationLog.Add("ERROR: All connection methods failed")
+                    # Fallback to access token only if Interactive fails
+                    if (-not $connected -and $AccessToken) {
+                        try {
+                            Connect-PnPOnline -Url $connectUrl -AccessToken $AccessToken -ErrorAction Stop
+                            $connected = $true
+                            [void]$SharedState.OperationLog.Add("Connected using access token fallback")
+                        } catch {
+                            [void]$SharedState.OperationLog.Add("ERROR: All connection methods failed")
+                        }
                     }
                 }
-            }
 
-            if (-not $connected) {
-                [void]$SharedState.OperationLog.Add("CRITICAL: No valid PnP connection - analysis may return incomplete data")
+                if (-not $connected) {
+                    [void]$SharedState.OperationLog.Add("CRITICAL: No valid PnP connection - analysis may return incomplete data")
+                }
             }
-        }
 
-        try {
-            $SharedState.OperationRunning = $true
-            $SharedState.OperationComplete = $false
+            try {
+                $SharedState.OperationRunning = $true
+                $SharedState.OperationComplete = $false
 
-            # Re-create the scriptblock in THIS runspace's session state so that
-            # variables like $SharedState, $ScriptRoot, $AccessToken resolve here
-            # instead of in the main thread's session (where they don't exist).
-            $localScript = [scriptblock]::Create($OperationScript.ToString())
-            & $localScript
+                # Re-create the scriptblock in THIS runspace's session state so that
+                # variables like $SharedState, $ScriptRoot, $AccessToken resolve here
+                # instead of in the main thread's session (where they don't exist).
+                $localScript = [scriptblock]::Create($OperationScript.ToString())
+                & $localScript
 
-            $SharedState.OperationRunning = $false
-            $SharedState.OperationComplete = $true
+                $SharedState.OperationPhase = "Complete"
+                $SharedState.OperationPercent = 100
+                $SharedState.OperationRunning = $false
+                $SharedState.OperationComplete = $true
+            }
+            catch {
+                [void]$SharedState.OperationLog.Add("Error: $($_.Exception.Message)")
+                $SharedState.OperationPhase = "Failed"
+                $SharedState.OperationRunning = $false
+                $SharedState.OperationComplete = $true
+                $SharedState.OperationError = $_.Exception.Message
+            }
         }
-        catch {
-            [void]$SharedState.OperationLog.Add("Error: $($_.Exception.Message)")
-            $SharedState.OperationRunning = $false
-            $SharedState.OperationComplete = $true
-            $SharedState.OperationError = $_.Exception.Message
+        finally {
+            # Stop-BackgroundOperation stops this pipeline; finally blocks still run,
+            # so the cancelled run is closed out here, inside its own audit session
+            if ($SharedState.CancelRequested -and $SharedState.OperationRunning) {
+                Write-AuditEvent -EventType "Cancelled" -Detail "Operation cancelled by user"
+                Complete-Checkpoint -Status "Cancelled"
+                $null = Complete-AuditSession -Status "Cancelled"
+                if ($script:SharePointData.LastUpdateTime -ne $storeUpdatedAt) {
+                    Set-SharePointDataPartial -Reason "Cancelled"
+                    [void]$SharedState.OperationLog.Add("Operation cancelled. Data collected so far is kept and marked as partial.")
+                } else {
+                    [void]$SharedState.OperationLog.Add("Operation cancelled.")
+                }
+                $SharedState.OperationError = "Operation cancelled"
+                $SharedState.OperationPhase = "Cancelled"
+                $SharedState.OperationRunning = $false
+                $SharedState.OperationComplete = $true
+            }
         }
     }
 
     [void]$ps.AddScript($wrapperScript).AddArgument($ScriptBlock)
+    $script:ServerState.BackgroundPowerShell = $ps
     $script:ServerState.BackgroundJob = $ps.BeginInvoke()
 }
+
+function Stop-BackgroundOperation {
+    <#
+    .SYNOPSIS
+    Requests cancellation of the running background operation.
+    Stops the runspace pipeline without blocking the request loop; the wrapper's finally
+    block records the cancelled audit event, marks collected data as partial and clears
+    the running flag, so callers keep following /api/progress until it reports complete.
+    Returns $false when there is no running runspace to stop.
+    #>
+    $ps = $script:ServerState.BackgroundPowerShell
+    if (-not $script:ServerState.OperationRunning -or -not $ps) { return $false }
+    if ($ps.InvocationStateInfo.State -ne [System.Management.Automation.PSInvocationState]::Running) { return $false }
+
+    $script:ServerState.CancelRequested = $true
+    $script:ServerState.OperationPhase = "Cancelling"
+    [void]$script:ServerState.OperationLog.Add("Cancellation requested, stopping...")
+    [void]$ps.BeginStop($null, $null)
+    return $true
+}
@@ -42,8 +42,15 @@ function Start-WebServer {
         OperationRunning = $false
         OperationComplete = $true
         OperationError   = $null
+        OperationPhase   = ""
+        OperationPercent = 0
         BackgroundJob    = $null
+        BackgroundPowerShell = $null
+        CancelRequested  = $false
+        OperationMerge   = $false
+        OperationResume  = $false
         SharePointData   = $script:SharePointData
+        ProgressStreams  = [System.Collections.ArrayList]::new()
     })
 
     try {
@@ -82,12 +89,15 @@ function Start-WebServer {
             try {
                 $asyncResult = $listener.BeginGetContext($null, $null)
                 # Wait up to 500ms for a request, then loop to check Running flag
+                # Open progress streams are serviced on the same tick
                 while (-not $asyncResult.AsyncWaitHandle.WaitOne(500)) {
+                    Update-ProgressStreams
                     if (-not $script:ServerState.Running -or -not $listener.IsListening) { break }
                 }
                 if ($asyncResult.IsCompleted -and $script:ServerState.Running -and $listener.IsListening) {
                     $context = $listener.EndGetContext($asyncResult)
                     Invoke-RequestHandler -Context $context
+                    Update-ProgressStreams
                 }
             }
             catch [System.Net.HttpListenerException] {
@@ -101,6 +111,9 @@ function Start-WebServer {
         }
     }
     finally {
+        foreach ($stream in @($script:ServerState.ProgressStreams)) {
+            Close-ProgressStream -Stream $stream
+        }
         $listener.Stop()
         $listener.Close()
         Write-Host ""
@@ -210,13 +223,136 @@ function Send-JsonResponse {
     $Response.ContentType = "application/json; charset=utf-8"
     $Response.Headers.Add("Cache-Control", "no-cache")
 
-    $json = $Data | ConvertTo-Json -Depth 10 -Compress
+    # Deep enough for group member trees (GroupMembership.ps1)
+    $json = $Data | ConvertTo-Json -Depth 15 -Compress
     $bytes = [System.Text.Encoding]::UTF8.GetBytes($json)
     $Response.ContentLength64 = $bytes.Length
     $Response.OutputStream.Write($bytes, 0, $bytes.Length)
     $Response.OutputStream.Close()
 }
 
+function Open-ProgressStream {
+    <#
+    .SYNOPSIS
+    Starts a Server-Sent Events response and registers it for progress pushes
+    .DESCRIPTION
+    The request loop is single-threaded, so the stream is not served inline:
+    the response stays open and Update-ProgressStreams writes to it between
+    requests until the operation completes or the client disconnects.
+    #>
+    param(
+        [System.Net.HttpListenerResponse]$Response
+    )
+
+    $Response.StatusCode = 200
+    $Response.ContentType = "text/event-stream; charset=utf-8"
+    $Response.Headers.Add("Cache-Control", "no-cache")
+    $Response.SendChunked = $true
+
+    [void]$script:ServerState.ProgressStreams.Add(@{
+        Response  = $Response
+        LogIndex  = 0
+        Phase     = $null
+        Percent   = -1
+        LastWrite = Get-Date
+    })
+}
+
+function Update-ProgressStreams {
+    <#
+    .SYNOPSIS
+    Pushes new log lines, phase and percent changes, and the final result to open progress streams
+    #>
+    $streams = $script:ServerState.ProgressStreams
+    if (-not $streams -or $streams.Count -eq 0) { return }
+
+    $state = $script:ServerState
+    $log = $state.OperationLog.ToArray()
+    $finished = -not $state.OperationRunning -and $state.OperationComplete
+
+    foreach ($stream in @($streams)) {
+        try {
+            # The log is cleared when a new operation starts
+            if ($log.Count -lt $stream.LogIndex) { $stream.LogIndex = 0 }
+
+            if ($log.Count -gt $stream.LogIndex) {
+                Send-ServerEvent -Stream $stream -EventName "log" -Data @{
+                    from  = $stream.LogIndex
+                    lines = @($log[$stream.LogIndex..($log.Count - 1)])
+                }
+                $stream.LogIndex = $log.Count
+            }
+
+            if ($state.OperationPhase -ne $stream.Phase) {
+                $stream.Phase = $state.OperationPhase
+                Send-ServerEvent -Stream $stream -EventName "phase" -Data @{ phase = $stream.Phase }
+            }
+
+            if ($state.OperationPercent -ne $stream.Percent) {
+                $stream.Percent = $state.OperationPercent
+                Send-ServerEvent -Stream $stream -EventName "progress" -Data @{ percent = $stream.Percent }
+            }
+
+            if ($finished) {
+                Send-ServerEvent -Stream $stream -EventName "complete" -Data (Get-OperationResult)
+                Close-ProgressStream -Stream $stream
+            }
+            elseif (((Get-Date) - $stream.LastWrite).TotalSeconds -ge 15) {
+                # Comment line keeps proxies from timing out and detects closed clients
+                Write-StreamText -Stream $stream -Text ": keepalive`n`n"
+            }
+        }
+        catch {
+            # Client disconnected
+            Close-ProgressStream -Stream $stream
+        }
+    }
+}
+
+function Send-ServerEvent {
+    <#
+    .SYNOPSIS
+    Writes one named Server-Sent Event with a JSON payload
+    #>
+    param(
+        [hashtable]$Stream,
+        [string]$EventName,
+        [object]$Data
+    )
+
+    $json = $Data | ConvertTo-Json -Depth 10 -Compress
+    Write-StreamText -Stream $Stream -Text "event: $EventName`ndata: $json`n`n"
+}
+
+function Write-StreamText {
+    <#
+    .SYNOPSIS
+    Internal: writes and flushes raw text on an open stream
+    #>
+    param(
+        [hashtable]$Stream,
+        [string]$Text
+    )
+
+    $bytes = [System.Text.Encoding]::UTF8.GetBytes($Text)
+    $Stream.Response.OutputStream.Write($bytes, 0, $bytes.Length)
+    $Stream.Response.OutputStream.Flush()
+    $Stream.LastWrite = Get-Date
+}
+
+function Close-ProgressStream {
+    <#
+    .SYNOPSIS
+    Ends a progress stream and stops tracking it
+    #>
+    param(
+        [hashtable]$Stream
+    )
+
+    $script:ServerState.ProgressStreams.Remove($Stream)
+    try { $Stream.Response.OutputStream.Close() } catch { }
+}
+
 function Read-RequestBody {
     <#
     .SYNOPSIS
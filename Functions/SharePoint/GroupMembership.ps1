@@ -0,0 +1,277 @@
+# ============================================
+# GroupMembership.ps1 - Member trees of SharePoint groups
+# ============================================
+# A SharePoint group can hold users, Entra ID security groups, Microsoft 365
+# groups and tenant-wide claims such as "Everyone except external users".
+# Nested Entra ID / M365 groups are expanded through Microsoft Graph into a
+# member tree (each member entry of a group carries its own Members), and
+# Set-GroupMembershipSummary flattens the tree into counts on the group row.
+#
+# Member entry: Name, Email, LoginName, PrincipalType, MemberKind and
+#   users:  IsExternal
+#   groups: Members, Expanded ($false when Graph could not list them),
+#           Cycle (group contains itself) or Truncated (over the depth limit)
+
+# Nesting levels below a SharePoint group that are expanded. Each level adds two
+# JSON levels (entry + Members), which the JSON writers (-Depth 15) must hold.
+$script:GroupMemberMaxDepth = 3
+
+function Get-MemberKind {
+    <#
+    .SYNOPSIS
+    Classifies a member by its claims login name (falls back to the principal type)
+    .OUTPUTS
+    User, SecurityGroup, M365Group, SharePointGroup, EveryoneExceptExternal or Everyone
+    #>
+    param(
+        [string]$LoginName,
+        [string]$PrincipalType
+    )
+
+    $login = "$LoginName".ToLower()
+    if ($login -match "spo-grid-all-users") { return "EveryoneExceptExternal" }
+    if ($login -eq "c:0(.s|true" -or $login -eq "c:0!.s|windows") { return "Everyone" }
+    if ($login -match "^c:0o\.c\|federateddirectoryclaimprovider\|") { return "M365Group" }
+    if ($login -match "^c:0t\.c\|tenant\|") { return "SecurityGroup" }
+    if ($PrincipalType -eq "SharePointGroup") { return "SharePointGroup" }
+    if ($PrincipalType -match "SecurityGroup|DistributionList") { return "SecurityGroup" }
+    return "User"
+}
+
+function Test-ExternalLogin {
+    <#
+    .SYNOPSIS
+    True for guest (#ext#) and share-by-email (urn:spo:guest) logins
+    #>
+    param([string]$LoginName)
+
+    return "$LoginName" -match "#ext#|urn:spo:guest"
+}
+
+function ConvertTo-GroupMemberTree {
+    <#
+    .SYNOPSIS
+    Converts PnP group members into member entries, expanding nested Entra ID / M365 groups
+    .PARAMETER Context
+    From New-GroupMemberContext; shared by all groups of a run so each Entra group is fetched once
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        $Members,
+        [Parameter(Mandatory = $true)]
+        [hashtable]$Context
+    )
+
+    foreach ($m in $Members) {
+        $principalType = if ($m.PrincipalType) { $m.PrincipalType.ToString() } else { "User" }
+        $node = @{
+            Name          = if ($m.Title) { $m.Title } else { $m.LoginName }
+            Email         = if ($m.Email) { $m.Email } else { "" }
+            LoginName     = $m.LoginName
+            PrincipalType = $principalType
+            MemberKind    = Get-MemberKind -LoginName $m.LoginName -PrincipalType $principalType
+        }
+
+        if ($node.MemberKind -eq "User") {
+            $node.IsExternal = [bool]($m.IsShareByEmailGuestUser -or $m.IsEmailAuthenticationGuestUser -or (Test-ExternalLogin $m.LoginName))
+        }
+        elseif ($node.MemberKind -in @("SecurityGroup", "M365Group")) {
+            # M365 group claims end in "_o" when they stand for the group's owners
+            $claimId = ($m.LoginName -split "\|")[-1]
+            Add-NestedGroupMembers -Node $node -GroupId ($claimId -replace "_o$", "") -Owners:($claimId -match "_o$") `
+                -Context $Context -Depth 1 -Path @()
+        }
+        $node
+    }
+}
+
+function New-GroupMemberContext {
+    <#
+    .SYNOPSIS
+    State for expanding nested groups during one analysis: Graph availability (tested on
+    the first nested group) and a cache of listed groups
+    #>
+    return @{
+        GraphAvailable = $null
+        Cache          = @{}
+    }
+}
+
+function Set-GroupMembershipSummary {
+    <#
+    .SYNOPSIS
+    Fills in MemberKind/IsExternal on the member tree and stores the flattened counts on the group
+    .DESCRIPTION
+    FlatMemberCount     distinct users, nested groups included
+    ExternalMemberCount distinct external users among them
+    NestedGroupCount    Entra ID / M365 / SharePoint group entries anywhere in the tree
+    IncludesEveryone    an "Everyone" or "Everyone except external users" claim is a member
+    IsEmpty             no users and no tenant-wide claim; a nested group whose members
+                        could not be listed does not count as empty
+    #>
+    param(
+        [Parameter(Mandatory = $true)]
+        [hashtable]$GroupData
+    )
+
+    $summary = @{ Users = @{}; External = @{}; Nested = 0; Everyone = $false; Unresolved = 0 }
+    Add-MemberTreeCounts -Members $GroupData.Members -Summary $summary
+
+    $GroupData.FlatMemberCount = $summary.Users.Count
+    $GroupData.ExternalMemberCount = $summary.External.Count
+    $GroupData.NestedGroupCount = $summary.Nested
+    $GroupData.IncludesEveryone = $summary.Everyone
+    $GroupData.IsEmpty = $summary.Users.Count -eq 0 -and -not $summary.Everyone -and $summary.Unresolved -eq 0
+}
+
+function Get-GroupMemberUsers {
+    <#
+    .SYNOPSIS
+    User entries of a member tree, nested groups included (may repeat a user reached twice)
+    #>
+    param($Members)
+
+    foreach ($m in @($Members)) {
+        if ($null -eq $m) { continue }
+        $kind = if ($m.MemberKind) { $m.MemberKind } else { Get-MemberKind -LoginName $m.LoginName -PrincipalType $m.PrincipalType }
+        if ($kind -eq "User") { $m }
+        elseif ($null -ne $m.Members) { Get-GroupMemberUsers -Members $m.Members }
+    }
+}
+
+function Add-MemberTreeCounts {
+    <#
+    .SYNOPSIS
+    Internal: walks a member tree for Set-GroupMembershipSummary
+    #>
+    param(
+        $Members,
+        [hashtable]$Summary
+    )
+
+    foreach ($m in @($Members)) {
+        if ($null -eq $m) { continue }
+        if (-not $m.MemberKind) { $m.MemberKind = Get-MemberKind -LoginName $m.LoginName -PrincipalType $m.PrincipalType }
+
+        switch ($m.MemberKind) {
+            "User" {
+                if ($null -eq $m.IsExternal) { $m.IsExternal = Test-ExternalLogin $m.LoginName }
+                $key = "$(if ($m.Email) { $m.Email } elseif ($m.LoginName) { $m.LoginName } else { $m.Name })".ToLower()
+                $Summary.Users[$key] = $true
+                if ($m.IsExternal) { $Summary.External[$key] = $true }
+            }
+            { $_ -in @("EveryoneExceptExternal", "Everyone") } {
+                $Summary.Everyone = $true
+            }
+            default {
+                $Summary.Nested++
+                if ($m.Expanded -ne $true) { $Summary.Unresolved++ }
+                Add-MemberTreeCounts -Members $m.Members -Summary $Summary
+            }
+        }
+    }
+}
+
+function Add-NestedGroupMembers {
+    <#
+    .SYNOPSIS
+    Internal: lists the members of an Entra ID / M365 group into $Node.Members, recursively
+    .PARAMETER Path
+    IDs of the groups above this one, to stop at circular nesting
+    #>
+    param(
+        [hashtable]$Node,
+        [string]$GroupId,
+        [switch]$Owners,
+        [hashtable]$Context,
+        [int]$Depth,
+        [string[]]$Path
+    )
+
+    $Node.Members = @()
+    $Node.Expanded = $false
+    if ($null -eq $Context.GraphAvailable) { $Context.GraphAvailable = [bool](Test-GraphAccess) }
+    if (-not $Context.GraphAvailable -or -not $GroupId) { return }
+    if ($Path -contains $GroupId) { $Node.Cycle = $true; return }
+    if ($Depth -gt $script:GroupMemberMaxDepth) { $Node.Truncated = $true; return }
+
+    $listed = Get-EntraGroupMembers -GroupId $GroupId -Owners:$Owners -Cache $Context.Cache
+    if ($null -eq $listed) { return }
+
+    $Node.Members = @(foreach ($gm in $listed.Items) {
+        ConvertFrom-GraphMember -Member $gm -Context $Context -Depth ($Depth + 1) -Path ($Path + $GroupId)
+    })
+    $Node.Expanded = $true
+}
+
+function ConvertFrom-GraphMember {
+    <#
+    .SYNOPSIS
+    Internal: member entry for a Graph directory object (user, group or contact)
+    #>
+    param(
+        $Member,
+        [hashtable]$Context,
+        [int]$Depth,
+        [string[]]$Path
+    )
+
+    if ($Member.'@odata.type' -eq "#microsoft.graph.group") {
+        $unified = @($Member.groupTypes) -contains "Unified"
+        $node = @{
+            Name          = $Member.displayName
+            Email         = if ($Member.mail) { $Member.mail } else { "" }
+            LoginName     = if ($unified) { "c:0o.c|federateddirectoryclaimprovider|$($Member.id)" } else { "c:0t.c|tenant|$($Member.id)" }
+            PrincipalType = "SecurityGroup"
+            MemberKind    = if ($unified) { "M365Group" } else { "SecurityGroup" }
+        }
+        Add-NestedGroupMembers -Node $node -GroupId $Member.id -Context $Context -Depth $Depth -Path $Path
+        return $node
+    }
+
+    $upn = $Member.userPrincipalName
+    return @{
+        Name          = if ($Member.displayName) { $Member.displayName } else { $upn }
+        Email         = if ($Member.mail) { $Member.mail } else { "" }
+        LoginName     = if ($upn) { "i:0#.f|membership|$upn" } else { "" }
+        PrincipalType = "User"
+        MemberKind    = "User"
+        IsExternal    = [bool]($Member.userType -eq "Guest" -or (Test-ExternalLogin $upn))
+    }
+}
+
+function Get-EntraGroupMembers {
+    <#
+    .SYNOPSIS
+    Internal: direct members (or owners) of an Entra ID group from Graph, all pages
+    .OUTPUTS
+    @{ Items } (a hashtable, so an empty list survives the pipeline), or $null if the lookup fails
+    #>
+    param(
+        [string]$GroupId,
+        [switch]$Owners,
+        [hashtable]$Cache
+    )
+
+    $relation = if ($Owners) { "owners" } else { "members" }
+    $key = "$GroupId/$relation"
+    if ($Cache.ContainsKey($key)) { return $Cache[$key] }
+
+    $url = "v1.0/groups/$GroupId/$relation`?`$select=id,displayName,mail,userPrincipalName,userType,groupTypes&`$top=999"
+    try {
+        $listed = [System.Collections.ArrayList]::new()
+        while ($url) {
+            $page = Invoke-WithThrottleProtection -OperationName "Graph group $relation" -ScriptBlock {
+                Invoke-PnPGraphMethod -Url $url -Method Get -ErrorAction Stop
+            }
+            foreach ($item in @($page.value)) { if ($null -ne $item) { [void]$listed.Add($item) } }
+            $url = $page.'@odata.nextLink'
+        }
+        $Cache[$key] = @{ Items = $listed.ToArray() }
+    }
+    catch {
+        Write-ActivityLog "Could not list $relation of group $($GroupId): $($_.Exception.Message)" -Level "Warning"
+        $Cache[$key] = $null
+    }
+    return $Cache[$key]
+}
@@ -11,10 +11,19 @@ function Get-RealPermissions-DataDriven {
     Analyzes real SharePoint permissions and stores in data manager
     .PARAMETER SiteUrl
     The SharePoint site URL to analyze permissions for
+    .PARAMETER Merge
+    Keep data from other sites and only replace this site's rows (batch analysis)
+    .PARAMETER Resume
+    Continue from the saved PermissionsAnalysis checkpoint for this site: restore its rows,
+    skip completed phases and the groups, lists and sharing links already processed
     #>
     param(
         [Parameter(Mandatory = $false)]
-        [string]$SiteUrl
+        [string]$SiteUrl,
+
+        [switch]$Merge,
+
+        [switch]$Resume
     )
 
     try {
@@ -23,19 +32,46 @@ function Get-RealPermissions-DataDriven {
             return
         }
 
-        # Clear previous data and set context
-        Clear-SharePointData -DataType "All"
-        Set-SharePointOperationContext -OperationType "Permissions Analysis"
-        Start-Checkpoint -OperationType "PermissionsAnalysis" -Scope $SiteUrl
+        # Only a checkpoint saved for this same site can be resumed
+        $siteKey = $SiteUrl.TrimEnd('/')
+        $checkpoint = $null
+        if ($Resume) {
+            $checkpoint = Get-Checkpoint -OperationType "PermissionsAnalysis"
+            if ($checkpoint -and ([string]$checkpoint.Scope).TrimEnd('/') -ne $siteKey) {
+                $checkpoint = $null
+            }
+        }
+
+        # Clear previous data (or only this site's rows when merging) and set context
+        $previousSite = $null
+        if ($Merge) {
+            $previousSite = Remove-SharePointSiteData -SiteUrl $SiteUrl
+        } else {
+            Clear-SharePointData -DataType "All"
+        }
+        Set-SharePointOperationContext -OperationType "Permissions Analysis" -SiteUrl $SiteUrl
+        $restored = if ($checkpoint) { Restore-CheckpointData -OperationType "PermissionsAnalysis" } else { 0 }
+        Start-Checkpoint -OperationType "PermissionsAnalysis" -Scope $SiteUrl `
+            -DataTypes @("Users", "Groups", "RoleAssignments", "InheritanceItems", "SharingLinks") `
+            -Options @{ Merge = [bool]$Merge } -Resume $checkpoint
         Reset-ThrottleStats
 
         # Start audit session
         Start-AuditSession -OperationType "PermissionsAnalysis" -ScanScope $SiteUrl
+        Set-OperationProgress -Phase "Site information" -Percent 5
+        if ($checkpoint) {
+            Write-AuditEvent -EventType "Info" -Detail "Resumed from checkpoint saved $($checkpoint.LastUpdated) ($restored rows restored)" -AffectedObject $SiteUrl
+        }
 
         Write-ConsoleOutput "SHAREPOINT PERMISSIONS ANALYSIS"
         Write-ConsoleOutput "====================================================="
         Write-ConsoleOutput "Started at: $(Get-Date -Format 'yyyy-MM-dd HH:mm:ss')"
         Write-ConsoleOutput "Target: $SiteUrl"
+        if ($checkpoint) {
+            Write-ConsoleOutput "Resuming from checkpoint: $restored rows restored, completed phases: $(@($checkpoint.CompletedPhases) -join ', ')"
+        } elseif ($Resume) {
+            Write-ConsoleOutput "No checkpoint saved for this site - running a full analysis"
+        }
         Write-ConsoleOutput ""
 
         Write-ConsoleOutput "Analyzing permissions for: $SiteUrl..."
@@ -184,6 +220,9 @@ function Get-RealPermissions-DataDriven {
             Created = if ($web.Created) { $web.Created.ToString("yyyy-MM-dd") } else { "N/A" }
             LastModified = if ($web.LastItemModifiedDate) { $web.LastItemModifiedDate.ToString("yyyy-MM-dd") } else { "N/A" }
         }
+        if ($previousSite -and $previousSite["Owner"] -and $previousSite["Owner"] -ne "N/A") {
+            $siteData.Owner = $previousSite["Owner"]
+        }
         Add-SharePointSite -SiteData $siteData
 
         Write-ConsoleOutput ""
@@ -201,224 +240,292 @@ function Get-RealPermissions-DataDriven {
         Write-ConsoleOutput ""
 
         # Get and store users
-        Write-ConsoleOutput "Retrieving users..."
-        Update-Checkpoint -Phase "Users"
-        try {
-            $users = Invoke-WithThrottleProtection -OperationName "Get-PnPUser" -ScriptBlock {
-                Get-PnPUser -ErrorAction Stop
-            }
-            $userCounter = 0
-            $regularUsers = $users | Where-Object {
-                $_.PrincipalType -eq "User" -and
-                -not $_.LoginName.Contains("app@sharepoint") -and
-                -not $_.LoginName.Contains("SHAREPOINT\system")
-            }
+        if (Test-CheckpointPhase -Phase "Users") {
+            Write-ConsoleOutput "Users: restored from checkpoint"
+            Write-ConsoleOutput ""
+        }
+        else {
+            Write-ConsoleOutput "Retrieving users..."
+            Update-Checkpoint -Phase "Users"
+            Set-OperationProgress -Phase "Users" -Percent 20
+            try {
+                $users = Invoke-WithThrottleProtection -OperationName "Get-PnPUser" -ScriptBlock {
+                    Get-PnPUser -ErrorAction Stop
+                }
+                $userCounter = 0
+                $regularUsers = $users | Where-Object {
+                    $_.PrincipalType -eq "User" -and
+                    -not $_.LoginName.Contains("app@sharepoint") -and
+                    -not $_.LoginName.Contains("SHAREPOINT\system")
+                }
 
-            foreach ($user in $regularUsers) {
-                $userData = @{
-                    Name = if ($user.Title) { $user.Title } else { "Unknown User" }
-                    Email = if ($user.Email) { $user.Email } else { "N/A" }
-                    LoginName = $user.LoginName
-                    Type = if ($user.IsShareByEmailGuestUser -or $user.IsEmailAuthenticationGuestUser) { "External" } else { "Internal" }
-                    IsSiteAdmin = $user.IsSiteAdmin
-                    Permission = if ($user.IsSiteAdmin) { "Full Control" } else { "Member" }
+                foreach ($user in $regularUsers) {
+                    $userData = @{
+                        Name = if ($user.Title) { $user.Title } else { "Unknown User" }
+                        Email = if ($user.Email) { $user.Email } else { "N/A" }
+                        LoginName = $user.LoginName
+                        Type = if ($user.IsShareByEmailGuestUser -or $user.IsEmailAuthenticationGuestUser) { "External" } else { "Internal" }
+                        IsSiteAdmin = $user.IsSiteAdmin
+                        Permission = if ($user.IsSiteAdmin) { "Full Control" } else { "Member" }
+                    }
+                    Add-SharePointUser -UserData $userData
+                    $userCounter++
                 }
-                Add-SharePointUser -UserData $userData
-                $userCounter++
-            }
 
-            Write-ConsoleOutput "Retrieved $($regularUsers.Count) users"
-            Write-ConsoleOutput ""
+                Write-ConsoleOutput "Retrieved $($regularUsers.Count) users"
+                Write-ConsoleOutput ""
+            }
+            catch {
+                Write-ConsoleOutput "Limited access to user information: $($_.Exception.Message)"
+                Write-ConsoleOutput ""
+            }
         }
-        catch {
-            Write-ConsoleOutput "Limited access to user information: $($_.Exception.Message)"
+
+        # Get and store groups
+        if (Test-CheckpointPhase -Phase "Groups") {
+            Write-ConsoleOutput "Groups: restored from checkpoint"
             Write-ConsoleOutput ""
         }
+        else {
+            Write-ConsoleOutput "Retrieving groups..."
+            Update-Checkpoint -Phase "Groups"
+            Set-OperationProgress -Phase "Groups" -Percent 35
+            try {
+                $groups = Invoke-WithThrottleProtection -OperationName "Get-PnPGroup" -ScriptBlock {
+                    Get-PnPGroup -ErrorAction Stop
+                }
 
-        # Get and store groups
-        Write-ConsoleOutput "Retrieving groups..."
-        Update-Checkpoint -Phase "Groups"
-        try {
-            $groups = Invoke-WithThrottleProtection -OperationName "Get-PnPGroup" -ScriptBlock {
-                Get-PnPGroup -ErrorAction Stop
-            }
+                $importantGroups = $groups | Where-Object {
+                    -not $_.Title.StartsWith("SharingLinks") -and
+                    -not $_.Title.StartsWith("Limited Access")
+                }
 
-            $importantGroups = $groups | Where-Object {
-                -not $_.Title.StartsWith("SharingLinks") -and
-                -not $_.Title.StartsWith("Limited Access")
-            }
+                $groupsDone = Get-CheckpointProgress -ItemKey "Groups"
+                $groupTotal = @($importantGroups).Count
+                $groupIndex = 0
+                $memberContext = New-GroupMemberContext
 
-            foreach ($group in $importantGroups) {
-                $memberCount = 0
-                try {
-                    $members = Get-PnPGroupMember -Group $group.Title -ErrorAction SilentlyContinue
-                    if ($members) { $memberCount = $members.Count }
+                foreach ($group in $importantGroups) {
+                    $groupIndex++
+                    if ($groupIndex -le $groupsDone) { continue }
+
+                    $memberCount = 0
+                    $memberList = @()
+                    try {
+                        $members = Get-PnPGroupMember -Group $group.Title -ErrorAction SilentlyContinue
+                        if ($members) {
+                            $memberCount = $members.Count
+                            # Nested Entra ID / M365 groups are expanded through Graph
+                            $memberList = @(ConvertTo-GroupMemberTree -Members $members -Context $memberContext)
+                        }
+                    }
+                    catch { }
+
+                    $groupData = @{
+                        Name = $group.Title
+                        Description = if ($group.Description) { $group.Description } else { "N/A" }
+                        MemberCount = $memberCount
+                        Members = $memberList
+                        Permission = "Group Permission"
+                        Id = $group.Id
+                    }
+                    Set-GroupMembershipSummary -GroupData $groupData
+                    Add-SharePointGroup -GroupData $groupData
+                    Update-Checkpoint -ItemKey "Groups" -ProcessedCount $groupIndex -TotalCount $groupTotal
                 }
-                catch { }
 
-                $groupData = @{
-                    Name = $group.Title
-                    Description = if ($group.Description) { $group.Description } else { "N/A" }
-                    MemberCount = $memberCount
-                    Permission = "Group Permission"
-                    Id = $group.Id
+                Write-ConsoleOutput "Retrieved $($importantGroups.Count) groups"
+                if ($memberContext.GraphAvailable -eq $false) {
+                    Write-ConsoleOutput "Note: nested Entra ID / Microsoft 365 groups were not expanded (Graph not available)"
                 }
-                Add-SharePointGroup -GroupData $groupData
+                Write-ConsoleOutput ""
+            }
+            catch {
+                Write-ConsoleOutput "Failed to retrieve groups: $($_.Exception.Message)"
+                Write-ConsoleOutput ""
             }
-
-            Write-ConsoleOutput "Retrieved $($importantGroups.Count) groups"
-            Write-ConsoleOutput ""
-        }
-        catch {
-            Write-ConsoleOutput "Failed to retrieve groups: $($_.Exception.Message)"
-            Write-ConsoleOutput ""
         }
 
         # ===== ROLE ASSIGNMENT MAPPING =====
-        Write-ConsoleOutput "Analyzing role assignments..."
-        Update-Checkpoint -Phase "RoleAssignments"
         $raCounter = 0
-        try {
-            $web = Get-PnPWeb -ErrorAction Stop
-            $roleAssignments = Invoke-WithThrottleProtection -OperationName "Get RoleAssignments" -ScriptBlock {
-                Get-PnPProperty -ClientObject $web -Property RoleAssignments -ErrorAction Stop
-            }
+        if (Test-CheckpointPhase -Phase "RoleAssignments") {
+            $raCounter = @(Get-SharePointData -DataType "RoleAssignments" | Where-Object { $_["SiteUrl"] -eq $siteKey -and $_["Scope"] -eq "Site" }).Count
+            Write-ConsoleOutput "Role assignments: restored from checkpoint ($raCounter site-level)"
+            Write-ConsoleOutput ""
+        }
+        else {
+            Write-ConsoleOutput "Analyzing role assignments..."
+            Update-Checkpoint -Phase "RoleAssignments"
+            Set-OperationProgress -Phase "Role assignments" -Percent 50
+            try {
+                $web = Get-PnPWeb -ErrorAction Stop
+                $roleAssignments = Invoke-WithThrottleProtection -OperationName "Get RoleAssignments" -ScriptBlock {
+                    Get-PnPProperty -ClientObject $web -Property RoleAssignments -ErrorAction Stop
+                }
 
-            foreach ($ra in $roleAssignments) {
-                try {
-                    $member = Get-PnPProperty -ClientObject $ra -Property Member -ErrorAction SilentlyContinue
-                    $roleBindings = Get-PnPProperty -ClientObject $ra -Property RoleDefinitionBindings -ErrorAction SilentlyContinue
-
-                    if ($member -and $roleBindings) {
-                        foreach ($roleDef in $roleBindings) {
-                            if ($roleDef.Name -eq "Limited Access") { continue }
-
-                            $principalType = switch ($member.PrincipalType) {
-                                "User" { "User" }
-                                "SharePointGroup" { "SharePoint Group" }
-                                "SecurityGroup" { "Security Group" }
-                                default { $member.PrincipalType.ToString() }
-                            }
+                foreach ($ra in $roleAssignments) {
+                    try {
+                        $member = Get-PnPProperty -ClientObject $ra -Property Member -ErrorAction SilentlyContinue
+                        $roleBindings = Get-PnPProperty -ClientObject $ra -Property RoleDefinitionBindings -ErrorAction SilentlyContinue
+
+                        if ($member -and $roleBindings) {
+                            foreach ($roleDef in $roleBindings) {
+                                if ($roleDef.Name -eq "Limited Access") { continue }
+
+                                $principalType = switch ($member.PrincipalType) {
+                                    "User" { "User" }
+                                    "SharePointGroup" { "SharePoint Group" }
+                                    "SecurityGroup" { "Security Group" }
+                                    default { $member.PrincipalType.ToString() }
+                                }
 
-                            $roleData = @{
-                                Principal = $member.Title
-                                PrincipalType = $principalType
-                                Role = $roleDef.Name
-                                Scope = "Site"
-                                ScopeUrl = $SiteUrl
-                                SiteTitle = $web.Title
+                                $roleData = @{
+                                    Principal = $member.Title
+                                    PrincipalLoginName = $member.LoginName
+                                    PrincipalType = $principalType
+                                    Role = $roleDef.Name
+                                    Scope = "Site"
+                                    ScopeUrl = $SiteUrl
+                                    SiteTitle = $web.Title
+                                }
+                                Add-SharePointRoleAssignment -RoleData $roleData
+                                $raCounter++
                             }
-                            Add-SharePointRoleAssignment -RoleData $roleData
-                            $raCounter++
                         }
                     }
+                    catch { }
                 }
-                catch { }
-            }
-
-            Write-ConsoleOutput "Found $raCounter site-level role assignments"
-            Write-ConsoleOutput ""
-        }
-        catch {
-            Write-ConsoleOutput "Limited access to role assignment data: $($_.Exception.Message)"
-            Write-ConsoleOutput ""
-        }
 
-        # ===== PERMISSION INHERITANCE TREE =====
-        Write-ConsoleOutput "Checking permission inheritance..."
-        Update-Checkpoint -Phase "Inheritance"
-        try {
-            # Add site-level entry
-            Add-SharePointInheritanceItem -InheritanceData @{
-                Title = $web.Title
-                Type = "Site"
-                Url = $web.Url
-                HasUniquePermissions = $web.HasUniqueRoleAssignments
-                ParentUrl = "N/A"
-                RoleAssignmentCount = $raCounter
-                SiteTitle = $web.Title
+                Write-ConsoleOutput "Found $raCounter site-level role assignments"
+                Write-ConsoleOutput ""
             }
-
-            $lists = Invoke-WithThrottleProtection -OperationName "Get-PnPList" -ScriptBlock {
-                Get-PnPList -ErrorAction Stop
+            catch {
+                Write-ConsoleOutput "Limited access to role assignment data: $($_.Exception.Message)"
+                Write-ConsoleOutput ""
             }
-            $visibleLists = $lists | Where-Object { -not $_.Hidden }
-            $brokenCount = 0
-
-            foreach ($list in $visibleLists) {
-                $listType = if ($list.BaseType -eq "DocumentLibrary") { "Document Library" } else { "List" }
+        }
 
-                $listRaCount = 0
-                if ($list.HasUniqueRoleAssignments) {
-                    $brokenCount++
-                    try {
-                        $listRAs = Get-PnPProperty -ClientObject $list -Property RoleAssignments -ErrorAction SilentlyContinue
-                        if ($listRAs) { $listRaCount = $listRAs.Count }
-
-                        # Also capture list-level role assignments
-                        foreach ($listRA in $listRAs) {
-                            try {
-                                $listMember = Get-PnPProperty -ClientObject $listRA -Property Member -ErrorAction SilentlyContinue
-                                $listRoleBindings = Get-PnPProperty -ClientObject $listRA -Property RoleDefinitionBindings -ErrorAction SilentlyContinue
-
-                                if ($listMember -and $listRoleBindings) {
-                                    foreach ($roleDef in $listRoleBindings) {
-                                        if ($roleDef.Name -eq "Limited Access") { continue }
-
-                                        $principalType = switch ($listMember.PrincipalType) {
-                                            "User" { "User" }
-                                            "SharePointGroup" { "SharePoint Group" }
-                                            "SecurityGroup" { "Security Group" }
-                                            default { $listMember.PrincipalType.ToString() }
-                                        }
+        # ===== PERMISSION INHERITANCE TREE =====
+        if (Test-CheckpointPhase -Phase "Inheritance") {
+            Write-ConsoleOutput "Inheritance: restored from checkpoint"
+            Write-ConsoleOutput ""
+        }
+        else {
+            Write-ConsoleOutput "Checking permission inheritance..."
+            Update-Checkpoint -Phase "Inheritance"
+            Set-OperationProgress -Phase "Inheritance" -Percent 65
+            try {
+                # Add site-level entry (already restored when resuming part-way through the lists)
+                $siteInheritance = @(Get-SharePointData -DataType "InheritanceItems" | Where-Object { $_["SiteUrl"] -eq $siteKey -and $_["Type"] -eq "Site" })
+                if ($siteInheritance.Count -eq 0) {
+                    Add-SharePointInheritanceItem -InheritanceData @{
+                        Title = $web.Title
+                        Type = "Site"
+                        Url = $web.Url
+                        HasUniquePermissions = $web.HasUniqueRoleAssignments
+                        ParentUrl = "N/A"
+                        RoleAssignmentCount = $raCounter
+                        SiteTitle = $web.Title
+                    }
+                }
 
-                                        Add-SharePointRoleAssignment -RoleData @{
-                                            Principal = $listMember.Title
-                                            PrincipalType = $principalType
-                                            Role = $roleDef.Name
-                                            Scope = $listType
-                                            ScopeUrl = $list.RootFolder.ServerRelativeUrl
-                                            SiteTitle = $web.Title
+                $lists = Invoke-WithThrottleProtection -OperationName "Get-PnPList" -ScriptBlock {
+                    Get-PnPList -ErrorAction Stop
+                }
+                $visibleLists = $lists | Where-Object { -not $_.Hidden }
+                $listsDone = Get-CheckpointProgress -ItemKey "Lists"
+                $listTotal = @($visibleLists).Count
+                $listIndex = 0
+                $brokenCount = @(Get-SharePointData -DataType "InheritanceItems" | Where-Object {
+                    $_["SiteUrl"] -eq $siteKey -and $_["Type"] -ne "Site" -and $_["HasUniquePermissions"] -eq $true
+                }).Count
+
+                foreach ($list in $visibleLists) {
+                    $listIndex++
+                    if ($listIndex -le $listsDone) { continue }
+
+                    $listType = if ($list.BaseType -eq "DocumentLibrary") { "Document Library" } else { "List" }
+
+                    $listRaCount = 0
+                    if ($list.HasUniqueRoleAssignments) {
+                        $brokenCount++
+                        try {
+                            $listRAs = Get-PnPProperty -ClientObject $list -Property RoleAssignments -ErrorAction SilentlyContinue
+                            if ($listRAs) { $listRaCount = $listRAs.Count }
+
+                            # Also capture list-level role assignments
+                            foreach ($listRA in $listRAs) {
+                                try {
+                                    $listMember = Get-PnPProperty -ClientObject $listRA -Property Member -ErrorAction SilentlyContinue
+                                    $listRoleBindings = Get-PnPProperty -ClientObject $listRA -Property RoleDefinitionBindings -ErrorAction SilentlyContinue
+
+                                    if ($listMember -and $listRoleBindings) {
+                                        foreach ($roleDef in $listRoleBindings) {
+                                            if ($roleDef.Name -eq "Limited Access") { continue }
+
+                                            $principalType = switch ($listMember.PrincipalType) {
+                                                "User" { "User" }
+                                                "SharePointGroup" { "SharePoint Group" }
+                                                "SecurityGroup" { "Security Group" }
+                                                default { $listMember.PrincipalType.ToString() }
+                                            }
+
+                                            Add-SharePointRoleAssignment -RoleData @{
+                                                Principal = $listMember.Title
+                                                PrincipalLoginName = $listMember.LoginName
+                                                PrincipalType = $principalType
+                                                Role = $roleDef.Name
+                                                Scope = $listType
+                                                ScopeUrl = $list.RootFolder.ServerRelativeUrl
+                                                SiteTitle = $web.Title
+                                            }
                                         }
                                     }
                                 }
+                                catch { }
                             }
-                            catch { }
                         }
+                        catch { }
                     }
-                    catch { }
-                }
 
-                Add-SharePointInheritanceItem -InheritanceData @{
-                    Title = $list.Title
-                    Type = $listType
-                    Url = $list.RootFolder.ServerRelativeUrl
-                    HasUniquePermissions = $list.HasUniqueRoleAssignments
-                    ParentUrl = $web.Url
-                    RoleAssignmentCount = $listRaCount
-                    SiteTitle = $web.Title
+                    Add-SharePointInheritanceItem -InheritanceData @{
+                        Title = $list.Title
+                        Type = $listType
+                        Url = $list.RootFolder.ServerRelativeUrl
+                        HasUniquePermissions = $list.HasUniqueRoleAssignments
+                        ParentUrl = $web.Url
+                        RoleAssignmentCount = $listRaCount
+                        SiteTitle = $web.Title
+                    }
+                    Update-Checkpoint -ItemKey "Lists" -ProcessedCount $listIndex -TotalCount $listTotal
                 }
-            }
 
-            Write-ConsoleOutput "Scanned $($visibleLists.Count) lists/libraries - $brokenCount with broken inheritance"
-            Write-ConsoleOutput ""
-        }
-        catch {
-            Write-ConsoleOutput "Limited access to inheritance data: $($_.Exception.Message)"
-            Write-ConsoleOutput ""
+                Write-ConsoleOutput "Scanned $($visibleLists.Count) lists/libraries - $brokenCount with broken inheritance"
+                Write-ConsoleOutput ""
+            }
+            catch {
+                Write-ConsoleOutput "Limited access to inheritance data: $($_.Exception.Message)"
+                Write-ConsoleOutput ""
+            }
         }
 
         # ===== SHARING LINKS AUDIT =====
         Write-ConsoleOutput "Auditing sharing links..."
         Update-Checkpoint -Phase "SharingLinks"
+        Set-OperationProgress -Phase "Sharing links" -Percent 80
         try {
             $allGroups = Invoke-WithThrottleProtection -OperationName "Get-PnPGroup (sharing)" -ScriptBlock {
                 Get-PnPGroup -ErrorAction Stop
             }
             $sharingGroups = $allGroups | Where-Object { $_.Title.StartsWith("SharingLinks") }
+            $linksDone = Get-CheckpointProgress -ItemKey "SharingLinks"
+            $linkTotal = @($sharingGroups).Count
             $linkCounter = 0
 
             foreach ($sg in $sharingGroups) {
+                # Links before the checkpoint were restored with the rest of the data
+                if ($linkCounter -lt $linksDone) { $linkCounter++; continue }
+
                 # Parse link type from group name
                 $linkType = "Specific People"
                 $accessLevel = "View"
@@ -436,9 +543,13 @@ function Get-RealPermissions-DataDriven {
                 }
 
                 $memberCount = 0
+                $memberList = @()
                 try {
                     $sgMembers = Get-PnPGroupMember -Group $sg.Title -ErrorAction SilentlyContinue
-                    if ($sgMembers) { $memberCount = $sgMembers.Count }
+                    if ($sgMembers) {
+                        $memberCount = $sgMembers.Count
+                        $memberList = @(ConvertTo-MemberList -Members $sgMembers)
+                    }
                 }
                 catch { }
 
@@ -447,11 +558,13 @@ function Get-RealPermissions-DataDriven {
                     LinkType = $linkType
                     AccessLevel = $accessLevel
                     MemberCount = $memberCount
+                    Members = $memberList
                     SiteTitle = $web.Title
                     CreatedDate = "N/A"
                     GroupId = $sg.Id
                 }
                 $linkCounter++
+                Update-Checkpoint -ItemKey "SharingLinks" -ProcessedCount $linkCounter -TotalCount $linkTotal
             }
 
             Write-ConsoleOutput "Found $linkCounter sharing links"
@@ -481,6 +594,8 @@ function Get-RealPermissions-DataDriven {
         Complete-Checkpoint -Status "Completed"
         Write-AuditEvent -EventType "DataCollection" -Detail "Permissions analysis complete" -AffectedObject $SiteUrl
         Complete-AuditSession -Status "Completed"
+        # A merged run is one step of a batch, which records one summary when its queue finishes
+        if (-not $Merge) { $null = Add-RunSummary -OperationType "PermissionsAnalysis" -Scope $SiteUrl }
 
         # Log throttle stats if any retries occurred
         $throttleStats = Get-ThrottleStats
@@ -497,3 +612,23 @@ function Get-RealPermissions-DataDriven {
         Write-ConsoleOutput "Error Details: $($_.Exception.Message)"
     }
 }
+
+function ConvertTo-MemberList {
+    <#
+    .SYNOPSIS
+    Flattens PnP group member objects into plain hashtables for the data store
+    #>
+    param(
+        [Parameter(Mandatory=$true)]
+        $Members
+    )
+
+    foreach ($m in $Members) {
+        @{
+            Name          = if ($m.Title) { $m.Title } else { $m.LoginName }
+            Email         = if ($m.Email) { $m.Email } else { "" }
+            LoginName     = $m.LoginName
+            PrincipalType = if ($m.PrincipalType) { $m.PrincipalType.ToString() } else { "User" }
+        }
+    }
+}
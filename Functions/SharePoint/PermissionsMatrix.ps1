@@ -10,6 +10,11 @@ function Get-SitePermissionsMatrix {
     .PARAMETER ScanType
         'quick' - Only items with unique permissions (faster)
         'full' - All files and folders (comprehensive but slower)
+    .NOTES
+        Every node carries hasUniquePermissions. Items are nested under their parent
+        folder so the UI can walk up the tree to resolve inherited permissions.
+        In a quick scan, inheriting folders are skipped and their contents attach
+        to the nearest scanned ancestor, which holds the same effective permissions.
     #>
     param(
         [Parameter(Mandatory=$true)]
@@ -27,6 +32,7 @@ function Get-SitePermissionsMatrix {
 
     try {
         Write-ActivityLog "Starting permissions matrix scan for $SiteUrl (type: $ScanType)"
+        Set-OperationProgress -Phase "Site permissions" -Percent 5
 
         # Get site permissions
         $site = Get-PnPWeb
@@ -34,6 +40,7 @@ function Get-SitePermissionsMatrix {
             title = $site.Title
             type = 'Site'
             url = $site.Url
+            hasUniquePermissions = $true
             permissions = [System.Collections.ArrayList]::new()
             children = [System.Collections.ArrayList]::new()
         }
@@ -62,11 +69,16 @@ function Get-SitePermissionsMatrix {
         # property throws PropertyOrFieldNotInitializedException which silently empties children.
         $lists = Get-PnPList -Includes HasUniqueRoleAssignments | Where-Object { -not $_.Hidden -and $_.ItemCount -gt 0 }
 
+        $listCounter = 0
         foreach ($list in $lists) {
+            $listCounter++
+            Write-ConsoleOutput "Scanning $($list.Title)..."
+            Set-OperationProgress -Phase "Scanning lists ($listCounter/$(@($lists).Count))" -Percent (10 + [int](85 * ($listCounter - 1) / [Math]::Max(@($lists).Count, 1)))
             $listNode = @{
                 title = $list.Title
                 type = if ($list.BaseTemplate -eq 101) { 'Library' } else { 'List' }
                 url = "$($site.Url)/$($list.RootFolder.ServerRelativeUrl)"
+                hasUniquePermissions = [bool]$list.HasUniqueRoleAssignments
                 permissions = [System.Collections.ArrayList]::new()
                 children = [System.Collections.ArrayList]::new()
             }
@@ -102,6 +114,10 @@ function Get-SitePermissionsMatrix {
                     # -Includes loads HasUniqueRoleAssignments so the hierarchy check doesn't throw.
                     $items = Get-PnPListItem -List $list.Title -PageSize 500 -Includes "HasUniqueRoleAssignments" -ErrorAction SilentlyContinue
 
+                    # Folder nodes keyed by server-relative path, used to nest items below
+                    $folderNodes = @{}
+                    $itemNodes = [System.Collections.ArrayList]::new()
+
                     foreach ($item in $items) {
                         # Skip if quick scan and item inherits permissions
                         if ($ScanType -eq 'quick' -and -not $item.HasUniqueRoleAssignments) {
@@ -113,7 +129,9 @@ function Get-SitePermissionsMatrix {
                             title = $item.FieldValues.FileLeafRef
                             type = $itemType
                             url = "$($site.Url)$($item.FieldValues.FileRef)"
+                            hasUniquePermissions = [bool]$item.HasUniqueRoleAssignments
                             permissions = @()
+                            children = [System.Collections.ArrayList]::new()
                         }
 
                         if ($item.HasUniqueRoleAssignments) {
@@ -138,9 +156,20 @@ function Get-SitePermissionsMatrix {
                             }
                         }
 
-                        [void]$listNode.children.Add($itemNode)
+                        $fileRef = [string]$item.FieldValues.FileRef
+                        if ($itemType -eq 'Folder') { $folderNodes[$fileRef] = $itemNode }
+                        [void]$itemNodes.Add(@{ Node = $itemNode; ParentRef = $fileRef.Substring(0, [Math]::Max(0, $fileRef.LastIndexOf('/'))) })
                         $totalItems++
                     }
+
+                    # Attach each item to its parent folder, or to the list when the folder was not scanned
+                    foreach ($entry in $itemNodes) {
+                        if ($folderNodes.ContainsKey($entry.ParentRef)) {
+                            [void]$folderNodes[$entry.ParentRef].children.Add($entry.Node)
+                        } else {
+                            [void]$listNode.children.Add($entry.Node)
+                        }
+                    }
                 } catch {
                     Write-ActivityLog "Warning: Could not scan items in list $($list.Title): $($_.Exception.Message)"
                 }
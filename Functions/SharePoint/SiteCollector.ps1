@@ -9,20 +9,36 @@ function Get-RealSites-DataDriven {
     <#
     .SYNOPSIS
     Retrieves real SharePoint sites with proper storage data
+    .PARAMETER Resume
+    Continue from the saved SitesAnalysis checkpoint: restore the sites it saved and skip them
     #>
+    param(
+        [switch]$Resume
+    )
+
     try {
+        $checkpoint = if ($Resume) { Get-Checkpoint -OperationType "SitesAnalysis" } else { $null }
+
         # Clear previous sites data and set context
         Clear-SharePointData -DataType "Sites"
         Set-SharePointOperationContext -OperationType "Sites Analysis"
-        Start-Checkpoint -OperationType "SitesAnalysis" -Scope "Tenant"
+        $restored = if ($checkpoint) { Restore-CheckpointData -OperationType "SitesAnalysis" } else { 0 }
+        Start-Checkpoint -OperationType "SitesAnalysis" -Scope "Tenant" -DataTypes @("Sites") -Resume $checkpoint
         Reset-ThrottleStats
 
         # Start audit session
         Start-AuditSession -OperationType "SitesAnalysis" -ScanScope "Tenant"
+        Set-OperationProgress -Phase "Enumerating sites" -Percent 5
+        if ($checkpoint) {
+            Write-AuditEvent -EventType "Info" -Detail "Resumed from checkpoint saved $($checkpoint.LastUpdated) ($restored sites restored)"
+        }
 
         Write-ConsoleOutput "SHAREPOINT SITES ANALYSIS"
         Write-ConsoleOutput "====================================================="
         Write-ConsoleOutput "Started at: $(Get-Date -Format 'yyyy-MM-dd HH:mm:ss')"
+        if ($checkpoint) {
+            Write-ConsoleOutput "Resuming from checkpoint: $restored sites restored, skipping $(Get-CheckpointProgress -ItemKey 'Sites') already processed"
+        }
         Write-ConsoleOutput ""
 
         Write-ConsoleOutput "Using modern PnP PowerShell for site enumeration..."
@@ -108,8 +124,16 @@ function Get-RealSites-DataDriven {
 
         # Process and store each site with proper storage data
         $siteCounter = 0
+        $siteTotal = @($sites | Select-Object -First 25).Count
+        $sitesDone = Get-CheckpointProgress -ItemKey "Sites"
+        Update-Checkpoint -Phase "SiteDetails"
+        Set-OperationProgress -Phase "Reading site details" -Percent 20
         foreach ($site in $sites | Select-Object -First 25) {
             $siteCounter++
+            Set-OperationProgress -Percent (20 + [int](75 * $siteCounter / [Math]::Max($siteTotal, 1)))
+
+            # Already stored before the checkpoint was saved
+            if ($siteCounter -le $sitesDone) { continue }
 
             # Extract storage value properly based on the object type
             $storageValue = 0
@@ -153,6 +177,7 @@ function Get-RealSites-DataDriven {
             }
 
             Add-SharePointSite -SiteData $siteData
+            Update-Checkpoint -ItemKey "Sites" -ProcessedCount $siteCounter -TotalCount $siteTotal
 
             Write-ConsoleOutput "SITE #${siteCounter}: $($siteData.Title)"
             Write-ConsoleOutput "   URL: $($siteData.Url)"
@@ -27,13 +27,17 @@ param(
 . "$PSScriptRoot\Functions\Core\ThrottleProtection.ps1"
 . "$PSScriptRoot\Functions\Core\Checkpoint.ps1"
 . "$PSScriptRoot\Functions\Core\AuditLog.ps1"
+. "$PSScriptRoot\Functions\Core\SavedViews.ps1"
 
 # ============================================
 # 2. Load Analysis modules
 # ============================================
 . "$PSScriptRoot\Functions\Analysis\JsonExport.ps1"
 . "$PSScriptRoot\Functions\Analysis\GraphEnrichment.ps1"
+. "$PSScriptRoot\Functions\Analysis\RiskRules.ps1"
+. "$PSScriptRoot\Functions\Analysis\RiskTriage.ps1"
 . "$PSScriptRoot\Functions\Analysis\RiskScoring.ps1"
+. "$PSScriptRoot\Functions\Analysis\RunHistory.ps1"
 
 # ============================================
 # 3. Load SharePoint modules
@@ -42,6 +46,7 @@ param(
 . "$PSScriptRoot\Functions\SharePoint\PermissionsMatrix.ps1"
 . "$PSScriptRoot\Functions\SharePoint\SiteCollector.ps1"
 . "$PSScriptRoot\Functions\SharePoint\PermissionsCollector.ps1"
+. "$PSScriptRoot\Functions\SharePoint\GroupMembership.ps1"
 
 # ============================================
 # 4. Load Demo modules
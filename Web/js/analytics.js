@@ -13,6 +13,14 @@ function initAnalytics() {
             openDeepDive(card.dataset.deepdive);
         });
     });
+
+    const compareBtn = document.getElementById('btn-compare-snapshots');
+    if (compareBtn) compareBtn.addEventListener('click', () => openSnapshotCompare());
+
+    ['risk-trend-tenant', 'risk-trend-series'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.addEventListener('change', () => refreshRiskTrend());
+    });
 }
 
 async function refreshAnalytics() {
@@ -46,7 +54,10 @@ async function refreshAnalytics() {
             });
         }
 
-        setText('analytics-subtitle', `Last updated: ${new Date().toLocaleString()}`);
+        // Cancelled operations keep what they collected, flagged as partial
+        setText('analytics-subtitle', metrics.partial
+            ? `Last updated: ${new Date().toLocaleString()} · Partial data: ${metrics.partial.operation || 'the last operation'} was ${(metrics.partial.reason || 'cancelled').toLowerCase()}`
+            : `Last updated: ${new Date().toLocaleString()}`);
 
         // Fetch data for charts
         const [sitesRes, usersRes, groupsRes] = await Promise.all([
@@ -64,9 +75,19 @@ async function refreshAnalytics() {
         // Generate alerts
         renderAlerts(metrics, usersRes.data);
 
+        // Rebuild the global search index from the refreshed data; not awaited,
+        // a search typed meanwhile waits for it
+        rebuildGlobalSearchIndex();
+
         // Risk assessment
         await refreshRiskBanner();
 
+        // Score history across runs
+        await refreshRiskTrend();
+
+        // A shared link opened before data was loaded
+        await applyPendingRoute();
+
     } catch (e) {
         console.error('Failed to refresh analytics:', e);
     }
@@ -98,6 +119,7 @@ async function refreshRiskBanner() {
         const highCount = risk.highCount ?? risk.HighCount ?? 0;
         const mediumCount = risk.mediumCount ?? risk.MediumCount ?? 0;
         const lowCount = risk.lowCount ?? risk.LowCount ?? 0;
+        const suppressedCount = risk.suppressedCount ?? risk.SuppressedCount ?? 0;
 
         console.log('[Risk] Parsed values:', { overallScore, riskLevel, totalFindings });
 
@@ -113,9 +135,10 @@ async function refreshRiskBanner() {
         if (highCount > 0) parts.push(`${highCount} high`);
         if (mediumCount > 0) parts.push(`${mediumCount} medium`);
         if (lowCount > 0) parts.push(`${lowCount} low`);
-        setText('risk-summary', parts.length > 0
+        const triaged = suppressedCount > 0 ? ` · ${suppressedCount} accepted or false positive` : '';
+        setText('risk-summary', (parts.length > 0
             ? `${totalFindings} finding(s): ${parts.join(', ')}`
-            : 'No security findings detected');
+            : 'No security findings detected') + triaged);
 
         // Wire up details button
         const btn = document.getElementById('btn-risk-details');
@@ -142,7 +165,56 @@ async function refreshRiskBanner() {
     }
 }
 
-function openRiskDeepDive(risk) {
+// --- Risk score trend ---
+
+// Runs saved by Add-RunSummary for the selected tenant, charted with the
+// chosen comparison series. The tenant defaults to the most recent run's.
+async function refreshRiskTrend() {
+    const tenantSelect = document.getElementById('risk-trend-tenant');
+    const seriesSelect = document.getElementById('risk-trend-series');
+    if (!tenantSelect || !seriesSelect) return;
+
+    try {
+        const history = await API.getRunHistory(tenantSelect.value);
+        let runs = history.runs || [];
+        const tenants = history.tenants || [];
+
+        let tenant = tenantSelect.value;
+        if (!tenant || !tenants.includes(tenant)) {
+            tenant = runs.length > 0 ? runs[runs.length - 1].tenant : '';
+            runs = runs.filter(r => r.tenant === tenant);
+        }
+        tenantSelect.innerHTML = tenants.length > 0
+            ? tenants.map(t => `<option value="${escAttr(t)}"${t === tenant ? ' selected' : ''}>${esc(t || 'Unknown tenant')}</option>`).join('')
+            : '<option value="">No runs yet</option>';
+        tenantSelect.disabled = tenants.length < 2;
+
+        const seriesLabel = seriesSelect.options[seriesSelect.selectedIndex].text;
+        renderRiskTrendChart(runs, seriesSelect.value, seriesLabel);
+        setText('risk-trend-summary', describeRiskTrend(runs));
+    } catch (e) {
+        console.error('Failed to load run history:', e);
+        setText('risk-trend-summary', 'Run history unavailable: ' + e.message);
+    }
+}
+
+// "Score 64 → 41 over 5 runs since <date> (−23, improving)"; a lower score is better
+function describeRiskTrend(runs) {
+    if (runs.length === 0) return 'Each completed analysis adds a point to this chart.';
+    const last = runs[runs.length - 1];
+    if (runs.length === 1) {
+        return `Score ${last.overallScore} (${last.riskLevel}) on ${new Date(last.timestamp).toLocaleDateString()} · run another analysis to see the trend`;
+    }
+
+    const first = runs[0];
+    const delta = last.overallScore - first.overallScore;
+    const direction = delta < 0 ? 'improving' : delta > 0 ? 'worsening' : 'unchanged';
+    const signed = delta > 0 ? `+${delta}` : delta < 0 ? `−${-delta}` : '±0';
+    return `Score ${first.overallScore} → ${last.overallScore} over ${runs.length} runs since ${new Date(first.timestamp).toLocaleDateString()} (${signed}, ${direction})`;
+}
+
+// expand: rule ID of a finding to show expanded (after saving its triage)
+function openRiskDeepDive(risk, { expand } = {}) {
     const overlay = document.getElementById('modal-overlay');
     const title = document.getElementById('modal-title');
     const body = document.getElementById('modal-body');
@@ -164,6 +236,7 @@ function openRiskDeepDive(risk) {
         <div class="dd-stat"><span class="dd-stat-value" style="color:#E65100">${risk.highCount}</span><span class="dd-stat-label">High</span></div>
         <div class="dd-stat"><span class="dd-stat-value" style="color:#FFC107">${risk.mediumCount}</span><span class="dd-stat-label">Medium</span></div>
         <div class="dd-stat"><span class="dd-stat-value" style="color:#28A745">${risk.lowCount}</span><span class="dd-stat-label">Low</span></div>
+        <div class="dd-stat"><span class="dd-stat-value" style="color:#6C757D">${risk.suppressedCount || 0}</span><span class="dd-stat-label">Accepted / FP</span></div>
     </div>`;
 
     // Filter buttons
@@ -173,6 +246,11 @@ function openRiskDeepDive(risk) {
         <button class="btn btn-secondary" onclick="filterRiskFindings('High')" style="padding: 6px 12px; font-size: 13px; background: #E65100; color: white;">High (${risk.highCount})</button>
         <button class="btn btn-secondary" onclick="filterRiskFindings('Medium')" style="padding: 6px 12px; font-size: 13px; background: #FFC107; color: white;">Medium (${risk.mediumCount})</button>
         <button class="btn btn-secondary" onclick="filterRiskFindings('Low')" style="padding: 6px 12px; font-size: 13px; background: #28A745; color: white;">Low (${risk.lowCount})</button>
+        <select id="risk-triage-filter" onchange="filterRiskFindings()" aria-label="Filter by triage state" style="margin-left: auto;">
+            <option value="">All triage states</option>
+            ${Object.entries(RISK_TRIAGE_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <button class="btn btn-secondary" onclick="openCustomRules()" style="padding: 6px 12px; font-size: 13px;">Custom Rules</button>
     </div>`;
 
     // Findings container
@@ -184,20 +262,24 @@ function openRiskDeepDive(risk) {
             const count = f.Count || f.count || 0;
             const color = severityColors[sev] || '#6C757D';
             // Map to existing CSS severity modifier so the dark-theme gradient background is applied
-            const sevClass = { Critical: 'high', High: 'high', Medium: 'medium', Low: 'low' }[sev] || 'info';
-            return `<div class="finding finding-item ${sevClass}" data-severity="${sev}" style="border-left-color: ${color}; cursor: pointer;" onclick="toggleFindingDetails(${idx})">
+            const sevClass = riskSeverityClass(sev);
+            const triageBadge = renderTriageBadge(f.Triage) || (f.Suppressed ? `<span class="triage-badge triage-accepted">${RISK_TRIAGE_LABELS[findingTriageState(f)]} (objects)</span>` : '');
+            return `<div class="finding finding-item ${sevClass}${f.Suppressed ? ' finding-suppressed' : ''}" data-severity="${sev}" data-triage="${findingTriageState(f)}" data-rule-id="${escAttr(f.RuleId || f.ruleId)}" style="border-left-color: ${color}; cursor: pointer;" onclick="if (!event.target.closest('.finding-details')) toggleFindingDetails(${idx})">
                 <div style="display: flex; justify-content: space-between; align-items: start;">
                     <h4 style="margin: 0 0 8px 0; font-size: var(--font-size-md); color: var(--color-text-primary);">[${esc(f.RuleId || f.ruleId)}] ${esc(f.Title || f.title)}</h4>
-                    <span style="background: ${color}; color: white; padding: 2px 8px; border-radius: var(--radius-sm); font-size: var(--font-size-xs); font-weight: var(--font-weight-semibold);">${sev}</span>
+                    <span>${triageBadge}<span style="background: ${color}; color: white; padding: 2px 8px; border-radius: var(--radius-sm); font-size: var(--font-size-xs); font-weight: var(--font-weight-semibold);">${sev}</span></span>
                 </div>
                 <div style="display: flex; gap: 16px; margin-bottom: 8px; font-size: var(--font-size-sm); color: var(--color-text-secondary);">
                     <span><strong>Category:</strong> ${esc(category)}</span>
                     ${count > 0 ? `<span><strong>Affected Items:</strong> ${count}</span>` : ''}
+                    ${f.TriagedCount > 0 ? `<span><strong>Triaged:</strong> ${f.TriagedCount}</span>` : ''}
                     <span><strong>Score:</strong> ${f.Score || f.score}/100</span>
                 </div>
                 <p style="margin: 0; color: var(--color-text-primary); font-size: var(--font-size-base);">${esc(f.Description || f.description)}</p>
-                <div id="finding-details-${idx}" style="display: none; margin-top: 12px; padding-top: 12px; border-top: 1px solid var(--color-border);">
-                    <p style="margin: 0; font-size: var(--font-size-sm); color: var(--color-text-secondary);"><strong>Recommendation:</strong> Review and remediate this finding to improve your security posture.</p>
+                <div id="finding-details-${idx}" class="finding-details" style="display: none; margin-top: 12px; padding-top: 12px; border-top: 1px solid var(--color-border);">
+                    <p style="margin: 0; font-size: var(--font-size-sm); color: var(--color-text-secondary);"><strong>Recommendation:</strong> ${esc(f.Remediation || f.remediation || 'Review and remediate this finding to improve your security posture.')}</p>
+                    ${renderFindingAffectedItems(f, idx)}
+                    ${renderFindingTriageForm(f, idx)}
                 </div>
             </div>`;
         }).join('');
@@ -210,19 +292,109 @@ function openRiskDeepDive(risk) {
 
     // Store findings for filtering
     window.currentRiskFindings = risk.findings || [];
+
+    riskSeverityFilter = 'all';
+
+    const container = document.getElementById('risk-findings-container');
+    container.addEventListener('input', handleAffectedItemsFilter);
+    container.addEventListener('click', handleAffectedItemClick);
+    container.addEventListener('click', handleTriageClick);
+    container.addEventListener('change', handleTriageChange);
+
+    if (expand) {
+        const idx = window.currentRiskFindings.findIndex(f => (f.RuleId || f.ruleId) === expand);
+        if (idx >= 0) {
+            toggleFindingDetails(idx);
+            document.getElementById(`finding-details-${idx}`).closest('.finding-item').scrollIntoView({ block: 'start' });
+        }
+    }
 }
 
-function filterRiskFindings(severity) {
+let riskSeverityFilter = 'all';
+
+// Severity buttons and the triage select filter together
+function filterRiskFindings(severity = riskSeverityFilter) {
+    riskSeverityFilter = severity;
+    const triageFilter = document.getElementById('risk-triage-filter');
+    const triage = triageFilter ? triageFilter.value : '';
+
     const findings = document.querySelectorAll('.finding-item');
     findings.forEach(f => {
-        if (severity === 'all' || f.dataset.severity === severity) {
-            f.style.display = 'block';
-        } else {
-            f.style.display = 'none';
-        }
+        const show = (severity === 'all' || f.dataset.severity === severity) && (!triage || f.dataset.triage === triage);
+        f.style.display = show ? 'block' : 'none';
     });
 }
 
+// --- Finding drill-down ---
+
+// Filterable table of the objects behind a finding (AffectedItems)
+function renderFindingAffectedItems(finding, idx) {
+    const items = finding.AffectedItems || finding.affectedItems || [];
+    if (items.length === 0) return '';
+
+    const total = finding.AffectedCount || items.length;
+    const rows = items.map((item, i) => {
+        const triageState = item.Triage ? (RISK_TRIAGE_LABELS[item.Triage.State] || item.Triage.State) : 'Open';
+        const searchText = [item.Type, item.Name, item.Detail, item.Site, item.Url, triageState].join(' ').toLowerCase();
+        return `<tr data-search="${escAttr(searchText)}">
+            <td><input type="checkbox" class="affected-select" data-item="${i}" aria-label="Select ${escAttr(item.Name || '')}"></td>
+            <td>${esc(item.Type)}</td>
+            <td><a href="#" data-affected-action="open" data-finding="${idx}" data-item="${i}">${esc(item.Name || '(unnamed)')}</a>${item.Url ? `<div class="affected-url">${esc(item.Url)}</div>` : ''}</td>
+            <td>${esc(item.Detail)}</td>
+            <td>${item.Site ? `<a href="#" data-affected-action="site" data-finding="${idx}" data-item="${i}">${esc(item.Site)}</a>` : ''}</td>
+            <td>${renderTriageBadge(item.Triage)}</td>
+        </tr>`;
+    }).join('');
+
+    return `<div class="affected-items">
+        <div class="affected-items-bar">
+            <input type="text" class="affected-items-search" data-finding="${idx}" placeholder="Filter affected items..." aria-label="Filter affected items">
+            <span class="affected-items-count" id="affected-count-${idx}">${items.length} item(s)${total > items.length ? ` · first ${items.length} of ${total}` : ''}</span>
+        </div>
+        <div class="affected-items-scroll">
+            <table class="affected-items-table">
+                <thead><tr><th><input type="checkbox" class="affected-select-all" data-finding="${idx}" aria-label="Select all shown"></th><th>Type</th><th>Name</th><th>Detail</th><th>Site</th><th>Triage</th></tr></thead>
+                <tbody id="affected-body-${idx}">${rows}</tbody>
+            </table>
+        </div>
+    </div>`;
+}
+
+function handleAffectedItemsFilter(e) {
+    if (!e.target.classList.contains('affected-items-search')) return;
+    const idx = e.target.dataset.finding;
+    const q = e.target.value.trim().toLowerCase();
+    const rows = document.querySelectorAll(`#affected-body-${idx} tr`);
+
+    let shown = 0;
+    rows.forEach(row => {
+        const match = !q || row.dataset.search.includes(q);
+        row.classList.toggle('hidden', !match);
+        if (match) shown++;
+    });
+    setText(`affected-count-${idx}`, q ? `${shown} of ${rows.length} item(s)` : `${rows.length} item(s)`);
+}
+
+// Users and groups open the principal access view; other objects open
+// their deep dive searched for the object name
+function handleAffectedItemClick(e) {
+    const link = e.target.closest('[data-affected-action]');
+    if (!link) return;
+    e.preventDefault();
+
+    const finding = window.currentRiskFindings[link.dataset.finding] || {};
+    const item = (finding.AffectedItems || finding.affectedItems || [])[link.dataset.item];
+    if (!item) return;
+
+    if (link.dataset.affectedAction === 'site') {
+        openSiteDetailDeepDive(item.Site);
+    } else if (item.Type === 'User' || item.Type === 'Group') {
+        openPrincipalAccess(item.Name);
+    } else {
+        openDeepDiveSearch(item.DeepDive, item.Name);
+    }
+}
+
 function toggleFindingDetails(idx) {
     const details = document.getElementById(`finding-details-${idx}`);
     if (details) {
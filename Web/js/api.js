@@ -1,12 +1,13 @@
 // ============================================
 // api.js - Backend communication layer
 // ============================================
-// All fetch calls to the PowerShell HTTP server.
+// All fetch calls to the PowerShell HTTP server, plus the data-source
+// layer that lets read calls be served from a loaded report file.
 
 const API = {
     async get(endpoint) {
         const res = await fetch(`/api/${endpoint}`);
-        if (!res.ok) throw new Error(`API error: ${res.status}`);
+        if (!res.ok) throw new Error(await this.errorMessage(res));
         return res.json();
     },
 
@@ -16,10 +17,19 @@ const API = {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(body)
         });
-        if (!res.ok) throw new Error(`API error: ${res.status}`);
+        if (!res.ok) throw new Error(await this.errorMessage(res));
         return res.json();
     },
 
+    async errorMessage(res) {
+        // Handlers reply { success: false, message } for validation errors
+        try {
+            const data = await res.json();
+            if (data && data.message) return data.message;
+        } catch (e) { /* not JSON */ }
+        return `API error: ${res.status}`;
+    },
+
     // --- Specific endpoints ---
 
     getStatus() {
@@ -34,40 +44,123 @@ const API = {
         return this.post('demo');
     },
 
-    getSites() {
-        return this.post('sites');
+    getSites({ resume = false } = {}) {
+        return this.post('sites', { resume });
     },
 
     prepareAnalysis(siteUrl = '') {
         return this.post('prepare-analysis', { siteUrl });
     },
 
-    analyzePermissions(siteUrl = '') {
-        return this.post('permissions', { siteUrl });
+    analyzePermissions(siteUrl = '', { merge = false, resume = false } = {}) {
+        // merge keeps other sites' data and only replaces this site's rows (batch analysis);
+        // resume continues from the site's saved checkpoint
+        return this.post('permissions', { siteUrl, merge, resume });
     },
 
     getProgress() {
         return this.get('progress');
     },
 
-    getData(type) {
-        return this.get(`data/${type}`);
+    progressStreamUrl() {
+        return '/api/progress/stream';
+    },
+
+    cancelOperation() {
+        return this.post('cancel');
+    },
+
+    getCheckpoints() {
+        return this.get('checkpoint');
+    },
+
+    discardCheckpoint(operationType) {
+        return this.post('checkpoint/discard', { operationType });
+    },
+
+    // --- Data reads (routed through the active data source) ---
+
+    getData(type, query) {
+        // Without a query returns every row; with one returns a page (see buildDataQuery)
+        return this.source.getData(type, query);
     },
 
     getMetrics() {
-        return this.get('metrics');
+        return this.source.getMetrics();
     },
 
     enrichExternal() {
+        this.requireLiveSource('Graph enrichment');
         return this.post('enrich');
     },
 
     getEnrichment() {
-        return this.get('enrichment');
+        return this.source.getEnrichment();
     },
 
     getRisk() {
-        return this.get('risk');
+        return this.source.getRisk();
+    },
+
+    invalidateRisk() {
+        // Call after the risk rules change so the next getRisk() rescores
+        this.source.invalidateRisk();
+    },
+
+    saveRiskTriage(update) {
+        // update: { keys: [ruleId or "ruleId|objectKey"], state, justification, expiresAt, owner }
+        return this.post('risk/triage', update);
+    },
+
+    // --- Settings ---
+
+    getRiskRules() {
+        return this.get('settings/risk-rules');
+    },
+
+    saveRiskRules(rules) {
+        // rules: [{ ruleId, enabled, severity, threshold }]
+        return this.post('settings/risk-rules', { rules });
+    },
+
+    resetRiskRules() {
+        return this.post('settings/risk-rules/reset');
+    },
+
+    getCustomRules() {
+        return this.get('settings/custom-rules');
+    },
+
+    saveCustomRule(rule) {
+        // A rule without ruleId is created; otherwise the rule with that ID is replaced
+        return this.post('settings/custom-rules', { rule });
+    },
+
+    deleteCustomRule(ruleId) {
+        return this.post('settings/custom-rules/delete', { ruleId });
+    },
+
+    getRunHistory(tenant = '') {
+        // Summaries of completed analyses, oldest first
+        return this.get('history' + (tenant ? `?tenant=${encodeURIComponent(tenant)}` : ''));
+    },
+
+    recordBatchRun(sites) {
+        // One trend point for a finished batch (its merged site runs record none)
+        return this.post('history', { sites });
+    },
+
+    getSavedViews() {
+        return this.get('views');
+    },
+
+    saveView(name, hash) {
+        // Saving under an existing name replaces that view
+        return this.post('views', { name, hash });
+    },
+
+    deleteSavedView(id) {
+        return this.post('views/delete', { id });
     },
 
     getAudit() {
@@ -76,28 +169,310 @@ const API = {
 
     exportData(type) {
         // Returns a CSV download
-        window.open(`/api/export/${type}`, '_blank');
+        this.source.exportData(type);
     },
 
     exportDataJson(type) {
         // Returns a JSON download
-        window.open(`/api/export-json/${type}`, '_blank');
+        this.source.exportDataJson(type);
     },
 
     async exportJson() {
         // Returns full governance JSON report
-        return this.get('export-json');
+        return this.source.exportJson();
     },
 
     async exportJsonType(type) {
         // Returns typed JSON export
-        return this.get(`export-json/${type}`);
+        return this.source.exportJsonType(type);
     },
 
     buildPermissionsMatrix(siteUrl, scanType) {
+        this.requireLiveSource('The permissions matrix');
         return this.post('build-permissions-matrix', {
             siteUrl: siteUrl,
             scanType: scanType
         });
+    },
+
+    // --- Data source selection ---
+
+    source: null,
+
+    setDataSource(source) {
+        this.source = source;
+    },
+
+    resetDataSource() {
+        this.source = ServerDataSource;
+    },
+
+    isOffline() {
+        return this.source !== ServerDataSource;
+    },
+
+    requireLiveSource(feature) {
+        if (this.isOffline()) throw new Error(`${feature} is not available when viewing a report file`);
     }
 };
+
+// ============================================
+// Data sources
+// ============================================
+// A data source answers the read-side calls (data, metrics, risk,
+// enrichment, exports). The server source is the default; a report
+// source serves a loaded Build-GovernanceReport file from memory.
+
+const ServerDataSource = {
+    name: 'server',
+
+    getData(type, query) {
+        return API.get(query ? `data/${type}?${buildDataQuery(query)}` : `data/${type}`);
+    },
+
+    getMetrics() {
+        return API.get('metrics');
+    },
+
+    getEnrichment() {
+        return API.get('enrichment');
+    },
+
+    getRisk() {
+        return API.get('risk');
+    },
+
+    invalidateRisk() {
+        // /api/risk is scored on every request
+    },
+
+    exportData(type) {
+        window.open(`/api/export/${type}`, '_blank');
+    },
+
+    exportDataJson(type) {
+        window.open(`/api/export-json/${type}`, '_blank');
+    },
+
+    exportJson() {
+        return API.get('export-json');
+    },
+
+    exportJsonType(type) {
+        return API.get(`export-json/${type}`);
+    }
+};
+
+API.source = ServerDataSource;
+
+// ============================================
+// Paged data queries
+// ============================================
+// A query is { page, pageSize, sort, order, q, fields[], filters{}, facets[], sums[] }.
+// Filters match exactly (case-insensitive); an array value matches any of its values.
+// The server (Get-SharePointDataPage) and queryDataRows implement the same rules
+// and both answer { data, total, matched, page, pageSize, facets, sums }.
+
+function buildDataQuery(query) {
+    const params = new URLSearchParams();
+    if (query.page) params.set('page', query.page);
+    if (query.pageSize !== undefined) params.set('pageSize', query.pageSize);
+    if (query.sort) params.set('sort', query.sort);
+    if (query.order) params.set('order', query.order);
+    if (query.q) params.set('q', query.q);
+    if (query.fields && query.fields.length) params.set('fields', query.fields.join(','));
+    Object.entries(query.filters || {}).forEach(([field, value]) => {
+        if (value === '' || value === null || value === undefined) return;
+        params.append('filter', `${field}:${Array.isArray(value) ? value.join('|') : value}`);
+    });
+    if (query.facets && query.facets.length) params.set('facets', query.facets.join(','));
+    if (query.sums && query.sums.length) params.set('sums', query.sums.join(','));
+    return params.toString();
+}
+
+// Client-side equivalent of Get-SharePointDataPage, used by in-memory sources
+function queryDataRows(allRows, query) {
+    const text = v => (v === null || v === undefined) ? '' : String(v);
+    const isScalar = v => ['string', 'number', 'boolean'].includes(typeof v);
+    let rows = allRows;
+
+    Object.entries(query.filters || {}).forEach(([field, value]) => {
+        if (value === '' || value === null || value === undefined) return;
+        const allowed = (Array.isArray(value) ? value : String(value).split('|')).map(v => text(v).toLowerCase());
+        rows = rows.filter(r => allowed.includes(text(r[field]).toLowerCase()));
+    });
+
+    if (query.q) {
+        const q = query.q.toLowerCase();
+        rows = rows.filter(r => (query.fields && query.fields.length ? query.fields : Object.keys(r))
+            .some(f => isScalar(r[f]) && text(r[f]).toLowerCase().includes(q)));
+    }
+
+    if (query.sort) {
+        const numeric = rows.every(r => text(r[query.sort]) === '' || (typeof r[query.sort] !== 'boolean' && !isNaN(Number(r[query.sort]))));
+        const dir = query.order === 'desc' ? -1 : 1;
+        rows = [...rows].sort((a, b) => dir * (numeric
+            ? (Number(a[query.sort]) || 0) - (Number(b[query.sort]) || 0)
+            : text(a[query.sort]).localeCompare(text(b[query.sort]))));
+    }
+
+    const facets = {};
+    (query.facets || []).forEach(f => {
+        facets[f] = {};
+        rows.forEach(r => { const k = text(r[f]); facets[f][k] = (facets[f][k] || 0) + 1; });
+    });
+    const sums = {};
+    (query.sums || []).forEach(f => { sums[f] = rows.reduce((sum, r) => sum + (Number(r[f]) || 0), 0); });
+
+    const pageSize = query.pageSize ?? 50;
+    const pageCount = pageSize > 0 ? Math.max(1, Math.ceil(rows.length / pageSize)) : 1;
+    const page = Math.min(Math.max(1, query.page || 1), pageCount);
+    const data = pageSize > 0 ? rows.slice((page - 1) * pageSize, page * pageSize) : [];
+
+    return { data, total: allRows.length, matched: rows.length, page, pageSize, facets, sums };
+}
+
+// Parse and validate a governance report file (spo_governance_*.json)
+async function readReportFile(file) {
+    let report;
+    try {
+        report = JSON.parse(await file.text());
+    } catch (e) {
+        throw new Error(`${file.name} is not valid JSON`);
+    }
+    if (!report || !report.schemaVersion || !Array.isArray(report.sites)) {
+        throw new Error(`${file.name} is not a governance report`);
+    }
+    return report;
+}
+
+// Convert the report's camelCase sections back to the PascalCase
+// rows that /api/data/:type returns, keyed by data type slug.
+function reportToDataRows(report) {
+    // Nested group entries keep their own members (member tree, see group-members.js)
+    const members = list => (list || []).map(m => {
+        const row = { Name: m.name, Email: m.email, LoginName: m.loginName, PrincipalType: m.principalType };
+        if (m.memberKind) row.MemberKind = m.memberKind;
+        if (m.isExternal != null) row.IsExternal = !!m.isExternal;
+        if (m.members) {
+            Object.assign(row, { Expanded: !!m.expanded, Cycle: !!m.cycle, Truncated: !!m.truncated, Members: members(m.members) });
+        }
+        return row;
+    });
+    // Membership summary; absent in reports written before nested groups were collected
+    const groupSummary = g => g.isEmpty == null ? {} : {
+        FlatMemberCount: g.flatMemberCount || 0, ExternalMemberCount: g.externalMemberCount || 0,
+        NestedGroupCount: g.nestedGroupCount || 0, IncludesEveryone: !!g.includesEveryone, IsEmpty: !!g.isEmpty
+    };
+
+    return {
+        sites: (report.sites || []).map(s => ({
+            Title: s.title, Url: s.url, Owner: s.owner, Storage: String(s.storageMB || 0),
+            Template: s.template, LastModified: s.lastModified, UsageLevel: s.usageLevel
+        })),
+        users: (report.users || []).map(u => ({
+            Name: u.name, Email: u.email, Type: u.isExternal ? 'External' : u.type, Permission: u.permission,
+            IsSiteAdmin: !!u.isSiteAdmin, IsExternal: !!u.isExternal, LoginName: u.loginName
+        })),
+        groups: (report.groups || []).map(g => ({
+            Name: g.name, MemberCount: g.memberCount || 0, Permission: g.permission, Description: g.description,
+            ...groupSummary(g), Members: members(g.members)
+        })),
+        permissions: [],
+        roleassignments: (report.roleAssignments || []).map(r => ({
+            Principal: r.principal, PrincipalType: r.principalType, Role: r.role,
+            Scope: r.scope, ScopeUrl: r.scopeUrl, SiteTitle: r.siteTitle
+        })),
+        inheritance: (report.inheritance || []).map(i => ({
+            Title: i.title, Type: i.type, Url: i.url, HasUniquePermissions: !!i.hasUniquePermissions,
+            ParentUrl: i.parentUrl, RoleAssignmentCount: i.roleAssignmentCount || 0, SiteTitle: i.siteTitle
+        })),
+        sharinglinks: (report.sharingLinks || []).map(l => ({
+            GroupName: l.groupName, LinkType: l.linkType, AccessLevel: l.accessLevel,
+            MemberCount: l.memberCount || 0, SiteTitle: l.siteTitle, CreatedDate: l.createdDate,
+            Members: members(l.members)
+        }))
+    };
+}
+
+// Build a read-only data source over a loaded report.
+// Risk is scored by the server (POST /api/risk/evaluate) so offline
+// findings always match the live rules.
+function createReportDataSource(report, fileName) {
+    const rows = reportToDataRows(report);
+    const summary = report.summary || {};
+    let riskCache = null;
+
+    return {
+        name: 'report',
+        fileName,
+        tenantUrl: (report.metadata && report.metadata.tenantUrl) || '',
+        scanTimestamp: (report.metadata && report.metadata.scanTimestamp) || report.exportedAt,
+
+        async getData(type, query) {
+            const data = rows[type.toLowerCase()] || [];
+            return query ? queryDataRows(data, query) : { data };
+        },
+
+        async getMetrics() {
+            return {
+                totalSites: summary.totalSites ?? rows.sites.length,
+                totalUsers: summary.totalUsers ?? rows.users.length,
+                totalGroups: summary.totalGroups ?? rows.groups.length,
+                externalUsers: summary.externalUsers ?? rows.users.filter(u => u.IsExternal || u.Type === 'External').length,
+                securityFindings: 0,
+                totalRoleAssignments: summary.totalRoleAssignments ?? rows.roleassignments.length,
+                inheritanceBreaks: summary.inheritanceBreaks ?? rows.inheritance.filter(i => i.HasUniquePermissions).length,
+                totalSharingLinks: summary.totalSharingLinks ?? rows.sharinglinks.length,
+                partial: (report.metadata && report.metadata.partial) || null
+            };
+        },
+
+        async getEnrichment() {
+            // Reports carry no Graph enrichment fields
+            const totalExternal = rows.users.filter(u => u.IsExternal || u.Type === 'External').length;
+            return { totalExternal, enrichedCount: 0, disabledAccounts: 0, guestUsers: 0, staleAccounts: 0 };
+        },
+
+        async getRisk() {
+            if (!riskCache) {
+                riskCache = await API.post('risk/evaluate', {
+                    users: rows.users,
+                    groups: rows.groups,
+                    roleAssignments: rows.roleassignments,
+                    inheritance: rows.inheritance,
+                    sharingLinks: rows.sharinglinks
+                });
+            }
+            return riskCache;
+        },
+
+        invalidateRisk() {
+            riskCache = null;
+        },
+
+        exportData(type) {
+            const data = rows[type.toLowerCase()] || [];
+            const headers = Array.from(new Set(data.flatMap(r => Object.keys(r))));
+            const cell = v => Array.isArray(v) ? v.map(m => m.Name).join('; ') : v;
+            downloadCsv(`${type}_${Date.now()}.csv`, headers, data.map(r => headers.map(h => cell(r[h]))));
+        },
+
+        exportDataJson(type) {
+            downloadBlob(JSON.stringify(this.envelope(type), null, 2), `${type}_${Date.now()}.json`, 'application/json');
+        },
+
+        async exportJson() {
+            return report;
+        },
+
+        async exportJsonType(type) {
+            return this.envelope(type);
+        },
+
+        envelope(type) {
+            const data = rows[type.toLowerCase()] || [];
+            return { schemaVersion: report.schemaVersion, exportedAt: new Date().toISOString(), dataType: type, count: data.length, data };
+        }
+    };
+}
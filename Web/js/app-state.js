@@ -9,7 +9,8 @@ let appState = {
     dataLoaded: false,
     headless: false,
     capabilities: {},
-    connectedSiteUrl: ''
+    connectedSiteUrl: '',
+    offlineReport: null
 };
 
 // --- Utilities ---
@@ -25,6 +26,11 @@ function esc(str) {
     return div.innerHTML;
 }
 
+// esc() for quoted attribute values
+function escAttr(str) {
+    return esc(str).replace(/"/g, '&quot;');
+}
+
 function formatStorage(mb) {
     if (mb >= 1024) return (mb / 1024).toFixed(1) + ' GB';
     return mb + ' MB';
@@ -40,24 +46,112 @@ function toast(message, type = 'info') {
     setTimeout(() => t.remove(), 4000);
 }
 
-// --- Operation polling helper ---
+// --- Operation progress ---
+// Follows a background operation until it completes, writing the log to the
+// console element. Resolves with the final payload ({ error, enrichmentResult,
+// matrixResult }) and rejects when nothing changes for timeoutMs.
+const OPERATION_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Streams /api/progress/stream (SSE); falls back to polling if the stream fails.
+function followOperation(consoleEl, { onProgress = null, timeoutMs = OPERATION_TIMEOUT_MS } = {}) {
+    if (!window.EventSource) return pollUntilComplete(consoleEl, { onProgress, timeoutMs });
+
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(API.progressStreamUrl());
+        const state = { phase: '', percent: 0 };
+        let timer = null;
+
+        const stop = () => { clearTimeout(timer); source.close(); };
+        const touch = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => { stop(); reject(new Error('Timed out waiting for operation progress')); }, timeoutMs);
+        };
+        const update = (e, apply) => {
+            apply(JSON.parse(e.data));
+            touch();
+            if (onProgress) onProgress({ ...state });
+        };
+
+        // Log events carry only the lines added since the previous event
+        source.addEventListener('log', e => update(e, ({ from, lines }) => {
+            const text = lines.join('\n');
+            consoleEl.textContent = from === 0 ? text : `${consoleEl.textContent}\n${text}`;
+        }));
+        source.addEventListener('phase', e => update(e, ({ phase }) => { state.phase = phase; }));
+        source.addEventListener('progress', e => update(e, ({ percent }) => { state.percent = percent; }));
+        source.addEventListener('complete', e => { stop(); resolve(JSON.parse(e.data)); });
+        source.onerror = () => {
+            // Stream unavailable or dropped — continue by polling
+            stop();
+            pollUntilComplete(consoleEl, { onProgress, timeoutMs }).then(resolve, reject);
+        };
+        touch();
+    });
+}
+
 // Polls /api/progress until the operation is complete, updating the console element.
-async function pollUntilComplete(consoleEl, intervalMs = 1000) {
+async function pollUntilComplete(consoleEl, { intervalMs = 1000, timeoutMs = OPERATION_TIMEOUT_MS, onProgress = null } = {}) {
+    let lastChange = Date.now();
+    let lastSignature = '';
+
     while (true) {
         await new Promise(r => setTimeout(r, intervalMs));
+        if (Date.now() - lastChange > timeoutMs) {
+            throw new Error('Timed out waiting for operation progress');
+        }
         try {
             const progress = await API.getProgress();
-            if (progress.messages) {
-                consoleEl.textContent = progress.messages.join('\n');
+            const messages = progress.messages || [];
+            const signature = `${messages.length}|${progress.phase}|${progress.percent}`;
+            if (signature !== lastSignature) {
+                lastSignature = signature;
+                lastChange = Date.now();
+                consoleEl.textContent = messages.join('\n');
+                if (onProgress) onProgress({ phase: progress.phase || '', percent: progress.percent || 0 });
             }
             if (!progress.running && progress.complete) {
                 return progress;
             }
         } catch (e) {
-            // Transient fetch failure — keep polling
+            // Transient fetch failure — keep polling until the timeout
+        }
+    }
+}
+
+// Asks the server to stop the running operation. The cancelled completion still
+// arrives through followOperation (payload has cancelled: true).
+async function cancelRunningOperation(buttonEl) {
+    if (buttonEl) {
+        buttonEl.disabled = true;
+        buttonEl.textContent = 'Cancelling...';
+    }
+    try {
+        await API.cancelOperation();
+    } catch (e) {
+        toast('Nothing to cancel — the operation may already have finished', 'info');
+        if (buttonEl) {
+            buttonEl.disabled = false;
+            buttonEl.textContent = 'Cancel';
         }
     }
 }
+window.cancelRunningOperation = cancelRunningOperation;
+
+// Renders phase + percent from followOperation into a .operation-progress container
+function showOperationProgress(containerId, { phase, percent }) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (!container.querySelector('.operation-progress-label')) {
+        container.innerHTML = `
+            <div class="operation-progress-label"><span class="operation-phase"></span><span class="operation-percent"></span></div>
+            <div id="${containerId}-bar"></div>`;
+    }
+    container.classList.remove('hidden');
+    container.querySelector('.operation-phase').textContent = phase || 'Working...';
+    container.querySelector('.operation-percent').textContent = `${percent || 0}%`;
+    UIHelpers.updateProgress(`${containerId}-bar`, percent || 0);
+}
 
 // --- Audit Summary ---
 async function showAuditSummary(console_) {
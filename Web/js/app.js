@@ -7,9 +7,13 @@ document.addEventListener('DOMContentLoaded', () => {
     initTabs();
     initConnection();
     initOperations();
+    initBatchAnalysis();
     initAnalytics();
+    initRiskRules();
     initGlobalSearch();
     initExportModal();
+    initRouter();
+    initSavedViews();
     pollStatus();
 });
 
@@ -25,6 +29,7 @@ function initTabs() {
             btn.classList.add('active');
             const target = document.getElementById('tab-' + btn.dataset.tab);
             if (target) target.classList.add('active');
+            syncRoute();
 
             // Refresh analytics when switching to analytics tab
             if (btn.dataset.tab === 'analytics' && appState.dataLoaded) {
@@ -36,6 +41,8 @@ function initTabs() {
 
 // --- Startup status check (once on load, restores existing session state) ---
 async function pollStatus() {
+    // Route of a shared or bookmarked link (#/analytics, #/deep-dive/users?q=...)
+    const route = parseRoute(location.hash);
     try {
         const status = await API.getStatus();
         appState.headless = !!status.headless;
@@ -82,8 +89,10 @@ async function pollStatus() {
             if (results && !appState.demoMode) {
                 results.textContent = 'Already connected to SharePoint Online.\nRe-connect to refresh capability status.';
             }
-            if (appState.dataLoaded) await refreshAnalytics();
+            // Opening the analytics tab for the view refreshes it
+            if (appState.dataLoaded && (!route || route.tab !== 'analytics')) await refreshAnalytics();
         }
+        if (route) await applyRoute(route);
     } catch (e) {
         // Server not ready yet, ignore
     }
@@ -95,6 +104,17 @@ function updateTabVisibility(connected) {
     const analyticsTab = document.querySelector('.tab-btn[data-tab="analytics"]');
     const searchInput = document.getElementById('global-search-input');
 
+    // A loaded report file enables analytics and search without a connection
+    if (!connected && API.isOffline()) {
+        if (operationsTab) operationsTab.style.display = 'none';
+        if (analyticsTab) analyticsTab.style.display = 'block';
+        if (searchInput) {
+            searchInput.disabled = false;
+            searchInput.placeholder = 'Search sites, users, groups... (Ctrl+K)';
+        }
+        return;
+    }
+
     if (connected) {
         if (operationsTab) operationsTab.style.display = 'block';
         if (analyticsTab) analyticsTab.style.display = 'block';
@@ -0,0 +1,319 @@
+// ============================================
+// batch-analysis.js - Multi-site permissions analysis queue
+// ============================================
+// Sites picked in the Sites deep dive, pasted as a list or loaded from a
+// CSV are analyzed one after another. Each run merges its rows into the
+// store tagged by SiteUrl, so earlier sites are kept and a failed site can
+// be retried without re-running the rest.
+
+const batchState = { items: [], running: false, summary: null };
+
+const BATCH_STATUS = {
+    queued:    { label: 'Queued',    badge: 'badge-neutral' },
+    running:   { label: 'Running',   badge: 'badge-primary' },
+    done:      { label: 'Done',      badge: 'badge-success' },
+    failed:    { label: 'Failed',    badge: 'badge-error' },
+    cancelled: { label: 'Cancelled', badge: 'badge-warning' }
+};
+
+function initBatchAnalysis() {
+    document.getElementById('btn-batch-add').addEventListener('click', () => {
+        const input = document.getElementById('input-batch-sites');
+        const urls = parseSiteList(input.value);
+        if (urls.length === 0) {
+            toast('No site URLs found — enter one https:// URL per line', 'error');
+            return;
+        }
+        input.value = '';
+        queueSitesForAnalysis(urls);
+    });
+
+    document.getElementById('input-batch-csv').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        const urls = parseSiteList(await file.text());
+        if (urls.length === 0) {
+            toast(`No site URLs found in ${file.name}`, 'error');
+            return;
+        }
+        queueSitesForAnalysis(urls);
+    });
+
+    // Queue actions are re-rendered often, so handle their clicks on the container
+    document.getElementById('batch-queue').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-batch-action]');
+        if (!btn) return;
+        const item = batchState.items.find(i => i.url === btn.dataset.url);
+        switch (btn.dataset.batchAction) {
+            case 'start': runBatchQueue(); break;
+            case 'retry-failed': retryBatchSites(batchState.items.filter(i => i.status === 'failed' || i.status === 'cancelled')); break;
+            case 'retry': if (item) retryBatchSites([item]); break;
+            case 'remove': removeBatchSite(item); break;
+            case 'clear': clearBatchQueue(); break;
+        }
+    });
+}
+
+// --- Queue management ---
+
+function normalizeSiteUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '');
+}
+
+// Pulls site URLs out of pasted text or CSV content. Any cell that looks like a URL counts,
+// so exports with extra columns (Title, Owner, ...) and header rows work as-is.
+function parseSiteList(text) {
+    const seen = new Set();
+    return (String(text || '').match(/https?:\/\/[^\s,;"'<>]+/gi) || [])
+        .map(normalizeSiteUrl)
+        .filter(url => {
+            const key = url.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+// Adds sites to the queue (skipping ones already queued) and starts it if idle
+window.queueSitesForAnalysis = function(urls, titles = {}) {
+    if (!appState.connected) {
+        toast('Connect to SharePoint first', 'info');
+        return;
+    }
+
+    const known = new Set(batchState.items.map(i => i.url.toLowerCase()));
+    const titleByUrl = {};
+    Object.entries(titles).forEach(([url, title]) => { titleByUrl[normalizeSiteUrl(url).toLowerCase()] = title; });
+    let added = 0;
+    urls.map(normalizeSiteUrl).filter(Boolean).forEach(url => {
+        if (known.has(url.toLowerCase())) return;
+        known.add(url.toLowerCase());
+        batchState.items.push({ url, title: titleByUrl[url.toLowerCase()] || '', status: 'queued', phase: '', percent: 0, error: '' });
+        added++;
+    });
+
+    document.querySelector('.tab-btn[data-tab="operations"]').click();
+    renderBatchQueue();
+
+    if (added === 0) {
+        toast('Those sites are already in the queue', 'info');
+        return;
+    }
+    toast(`Queued ${added} site${added === 1 ? '' : 's'} for analysis`, 'info');
+    if (!batchState.running) runBatchQueue();
+};
+
+function retryBatchSites(items) {
+    if (batchState.running && items.some(i => i.status === 'running')) return;
+    items.forEach(i => Object.assign(i, { status: 'queued', phase: '', percent: 0, error: '' }));
+    renderBatchQueue();
+    if (!batchState.running) runBatchQueue();
+}
+
+function removeBatchSite(item) {
+    if (!item || item.status === 'running') return;
+    batchState.items.splice(batchState.items.indexOf(item), 1);
+    renderBatchQueue();
+}
+
+function clearBatchQueue() {
+    if (batchState.running) return;
+    batchState.items = [];
+    batchState.summary = null;
+    renderBatchQueue();
+}
+
+// --- Running ---
+
+// Analyzes queued sites one at a time. Cancelling a site stops the queue;
+// the remaining sites stay queued so the run can be resumed.
+async function runBatchQueue() {
+    if (batchState.running) return;
+    batchState.running = true;
+    batchState.summary = null;
+
+    const console_ = document.getElementById('operations-console');
+    UIHelpers.setButtonLoading('btn-analyze', true);
+    let item;
+
+    try {
+        while ((item = batchState.items.find(i => i.status === 'queued'))) {
+            await analyzeBatchSite(item, console_);
+            if (item.status === 'cancelled') break;
+        }
+    } finally {
+        batchState.running = false;
+        UIHelpers.setButtonLoading('btn-analyze', false);
+    }
+
+    await finishBatchQueue(console_);
+}
+
+async function analyzeBatchSite(item, console_) {
+    Object.assign(item, { status: 'running', phase: 'Preparing', percent: 0, error: '' });
+    renderBatchQueue();
+
+    const position = batchState.items.indexOf(item) + 1;
+    try {
+        const prepareRes = await API.prepareAnalysis(item.url);
+        if (!prepareRes.success && prepareRes.message) throw new Error(prepareRes.message);
+
+        console_.textContent = prepareRes.needsAuth
+            ? `[Batch ${position}/${batchState.items.length}] AUTHENTICATION REQUIRED for ${item.url}\n👉 Check your terminal for the device code and sign in at https://microsoft.com/devicelogin\n`
+            : `[Batch ${position}/${batchState.items.length}] Starting permissions analysis for: ${item.url}\n`;
+
+        const res = await API.analyzePermissions(item.url, { merge: true });
+        if (res.started) {
+            const progress = await followOperationWithCancel(console_, (p) => {
+                item.phase = p.phase;
+                item.percent = p.percent || 0;
+                renderBatchQueue();
+            });
+            if (progress.cancelled) {
+                Object.assign(item, { status: 'cancelled', error: 'Cancelled — partial data kept' });
+            } else if (progress.error) {
+                Object.assign(item, { status: 'failed', error: progress.error });
+            } else {
+                Object.assign(item, { status: 'done', percent: 100 });
+            }
+        } else if (!res.success) {
+            throw new Error(res.message || 'Analysis did not start');
+        } else {
+            Object.assign(item, { status: 'done', percent: 100 });
+        }
+    } catch (e) {
+        Object.assign(item, { status: 'failed', error: e.message });
+    }
+
+    renderBatchQueue();
+}
+
+async function finishBatchQueue(console_) {
+    const count = status => batchState.items.filter(i => i.status === status).length;
+    const done = count('done');
+    const failed = count('failed');
+    const cancelled = count('cancelled');
+
+    if (done + cancelled > 0) {
+        appState.dataLoaded = true;
+        useLiveData();
+        if (done > 0) {
+            const sites = batchState.items.filter(i => i.status === 'done').map(i => i.url);
+            await API.recordBatchRun(sites).catch(() => null);
+        }
+        try {
+            batchState.summary = await loadBatchSummary();
+        } catch (e) {
+            batchState.summary = null;
+        }
+        await refreshAnalytics();
+    }
+    renderBatchQueue();
+
+    console_.textContent += `\n\n=== BATCH ANALYSIS ${cancelled ? 'STOPPED' : 'COMPLETE'} ===`;
+    console_.textContent += `\nSites analyzed: ${done} | Failed: ${failed} | Cancelled: ${cancelled} | Still queued: ${count('queued')}`;
+    if (failed > 0) console_.textContent += '\nUse "Retry Failed" in the queue to run the failed sites again.';
+
+    refreshCheckpointBanner();
+    if (cancelled) toast('Batch stopped — completed sites were kept', 'info');
+    else if (failed) toast(`Batch finished: ${done} analyzed, ${failed} failed`, 'error');
+    else toast(`Batch finished: ${done} site${done === 1 ? '' : 's'} analyzed`, 'success');
+}
+
+// Per-site counts for the aggregate view, counted on the server via SiteUrl facets
+async function loadBatchSummary() {
+    const bySite = (type, filters) => API.getData(type, { pageSize: 0, facets: ['SiteUrl'], filters })
+        .then(res => res.facets.SiteUrl || {});
+    const [users, external, groups, roles, breaks, links, metrics] = await Promise.all([
+        bySite('users'),
+        // Type is External for every IsExternal user too, so this matches the dashboard metric
+        bySite('users', { Type: 'External' }),
+        bySite('groups'),
+        bySite('roleassignments'),
+        bySite('inheritance', { HasUniquePermissions: 'True' }),
+        bySite('sharinglinks'),
+        API.getMetrics()
+    ]);
+    return { users, external, groups, roles, breaks, links, metrics };
+}
+
+// --- Rendering ---
+
+function renderBatchQueue() {
+    const container = document.getElementById('batch-queue');
+    if (!container) return;
+    if (batchState.items.length === 0) {
+        container.innerHTML = '';
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+
+    const items = batchState.items;
+    const count = status => items.filter(i => i.status === status).length;
+    const finished = count('done') + count('failed') + count('cancelled');
+    const overall = Math.round(items.reduce((sum, i) => sum + (i.status === 'queued' ? 0 : i.status === 'running' ? i.percent : 100), 0) / items.length);
+    const retryable = count('failed') + count('cancelled');
+    const summary = batchState.summary;
+
+    const actions = [
+        !batchState.running && count('queued') > 0 ? '<button class="btn btn-sm btn-primary" data-batch-action="start">Start Queue</button>' : '',
+        !batchState.running && retryable > 0 ? `<button class="btn btn-sm btn-secondary" data-batch-action="retry-failed">Retry Failed (${retryable})</button>` : '',
+        !batchState.running ? '<button class="btn btn-sm btn-secondary" data-batch-action="clear">Clear Queue</button>' : ''
+    ].join('');
+
+    container.innerHTML = `
+        <div class="batch-header">
+            <span class="batch-counts">${finished} of ${items.length} sites finished · ${count('done')} done · ${count('failed')} failed${count('queued') ? ` · ${count('queued')} queued` : ''}</span>
+            <span class="batch-actions">${actions}</span>
+        </div>
+        <div class="progress-container"><div class="progress-bar" style="width:${overall}%"></div></div>
+        <table class="batch-table">
+            <thead><tr><th>Site</th><th>Status</th><th>Progress</th><th>Users</th><th>External</th><th>Groups</th><th>Role Assignments</th><th>Inheritance Breaks</th><th>Sharing Links</th><th></th></tr></thead>
+            <tbody>${items.map(i => renderBatchRow(i, summary)).join('')}</tbody>
+            ${summary ? renderBatchTotals(summary.metrics) : ''}
+        </table>`;
+}
+
+function renderBatchRow(item, summary) {
+    const status = BATCH_STATUS[item.status];
+    const key = item.url.toLowerCase();
+    const siteCount = (field) => {
+        if (!summary || item.status === 'queued') return '—';
+        const counts = summary[field];
+        const match = Object.keys(counts).find(k => normalizeSiteUrl(k).toLowerCase() === key);
+        return match ? counts[match] : 0;
+    };
+    const progress = item.status === 'running'
+        ? `<div class="batch-phase">${esc(item.phase || 'Working...')} · ${item.percent}%</div><div class="progress-container"><div class="progress-bar" style="width:${item.percent}%"></div></div>`
+        : item.error ? `<span class="batch-error">${esc(item.error)}</span>` : '';
+    const rowAction = item.status === 'failed' || item.status === 'cancelled'
+        ? `<button class="btn btn-sm btn-secondary" data-batch-action="retry" data-url="${esc(item.url)}">Retry</button>`
+        : '';
+    const removeAction = item.status !== 'running' && !batchState.running
+        ? `<button class="btn btn-sm btn-secondary" data-batch-action="remove" data-url="${esc(item.url)}" title="Remove from queue">✕</button>`
+        : '';
+
+    return `<tr>
+        <td title="${esc(item.url)}">${esc(item.title || item.url)}</td>
+        <td><span class="badge ${status.badge}">${status.label}</span></td>
+        <td class="batch-progress">${progress}</td>
+        <td>${siteCount('users')}</td>
+        <td>${siteCount('external')}</td>
+        <td>${siteCount('groups')}</td>
+        <td>${siteCount('roles')}</td>
+        <td>${siteCount('breaks')}</td>
+        <td>${siteCount('links')}</td>
+        <td class="batch-row-actions">${rowAction}${removeAction}</td>
+    </tr>`;
+}
+
+// Totals across everything in the store, including sites analyzed before this batch
+function renderBatchTotals(m) {
+    return `<tfoot><tr>
+        <td colspan="3"><strong>All stored sites</strong></td>
+        <td>${m.totalUsers}</td><td>${m.externalUsers}</td><td>${m.totalGroups}</td>
+        <td>${m.totalRoleAssignments}</td><td>${m.inheritanceBreaks}</td><td>${m.totalSharingLinks}</td><td></td>
+    </tr></tfoot>`;
+}
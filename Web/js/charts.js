@@ -4,6 +4,7 @@
 
 let storageChart = null;
 let permissionChart = null;
+let riskTrendChart = null;
 
 // Modern color palette with gradients
 const COLORS = {
@@ -25,6 +26,18 @@ const COLORS = {
     custom: '#A855F7'
 };
 
+// Permission level -> colour (anything else uses COLORS.custom)
+const PERMISSION_COLORS = {
+    'Full Control': COLORS.fullControl,
+    'Edit': COLORS.edit,
+    'Contribute': COLORS.contribute,
+    'Read': COLORS.read,
+    'View Only': COLORS.viewOnly,
+    'Limited Access': COLORS.limited,
+    'Member': COLORS.blue,
+    'Group Permission': COLORS.orange
+};
+
 // Gradient definitions for charts
 const GRADIENTS = {
     blue: ['#3B82F6', '#2563EB'],
@@ -194,20 +207,9 @@ function renderPermissionChart(users, groups) {
         counts[perm] = (counts[perm] || 0) + 1;
     });
 
-    const colorMap = {
-        'Full Control': COLORS.fullControl,
-        'Edit': COLORS.edit,
-        'Contribute': COLORS.contribute,
-        'Read': COLORS.read,
-        'View Only': COLORS.viewOnly,
-        'Limited Access': COLORS.limited,
-        'Member': COLORS.blue,
-        'Group Permission': COLORS.orange
-    };
-
     const labels = Object.keys(counts);
     const data = Object.values(counts);
-    const bgColors = labels.map(l => colorMap[l] || COLORS.custom);
+    const bgColors = labels.map(l => PERMISSION_COLORS[l] || COLORS.custom);
 
     permissionChart = new Chart(canvas, {
         type: 'doughnut',
@@ -289,6 +291,175 @@ function renderPermissionChart(users, groups) {
     });
 }
 
+// Risk score per run (line, 0-100) against either the severity counts
+// (stacked bars) or one headline metric. runs: /api/history entries, oldest
+// first; series: 'severity' or a metrics key such as 'externalUsers'.
+function renderRiskTrendChart(runs, series = 'severity', seriesLabel = '') {
+    const canvas = document.getElementById('chart-risk-trend');
+    if (!canvas) return;
+
+    if (riskTrendChart) riskTrendChart.destroy();
+
+    if (!runs || runs.length === 0) {
+        riskTrendChart = new Chart(canvas, {
+            type: 'line',
+            data: { labels: ['No runs yet'], datasets: [{ data: [0], borderColor: '#2E2E4A' }] },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: { legend: { display: false } },
+                scales: {
+                    y: { min: 0, max: 100, grid: { color: '#2E2E4A' } },
+                    x: { grid: { display: false } }
+                }
+            }
+        });
+        return;
+    }
+
+    const labels = runs.map(r => new Date(r.timestamp).toLocaleString(undefined, {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    }));
+
+    const datasets = [{
+        type: 'line',
+        label: 'Risk score',
+        data: runs.map(r => r.overallScore),
+        yAxisID: 'y',
+        borderColor: COLORS.purple,
+        backgroundColor: COLORS.purple,
+        borderWidth: 3,
+        tension: 0.3,
+        pointRadius: 4,
+        order: 0
+    }];
+
+    if (series === 'severity') {
+        [
+            ['Critical', 'criticalCount', COLORS.red],
+            ['High', 'highCount', COLORS.orange],
+            ['Medium', 'mediumCount', COLORS.amber],
+            ['Low', 'lowCount', COLORS.green]
+        ].forEach(([label, key, color]) => datasets.push({
+            type: 'bar',
+            label,
+            data: runs.map(r => r[key] || 0),
+            yAxisID: 'y1',
+            stack: 'severity',
+            backgroundColor: color + '99',
+            borderRadius: 4,
+            order: 1
+        }));
+    } else {
+        datasets.push({
+            type: 'line',
+            label: seriesLabel || series,
+            data: runs.map(r => (r.metrics && r.metrics[series]) || 0),
+            yAxisID: 'y1',
+            borderColor: COLORS.teal,
+            backgroundColor: COLORS.teal,
+            borderDash: [6, 4],
+            tension: 0.3,
+            pointRadius: 3,
+            order: 1
+        });
+    }
+
+    riskTrendChart = new Chart(canvas, {
+        data: { labels, datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: {
+                duration: 800,
+                easing: 'easeOutQuart'
+            },
+            plugins: {
+                legend: { position: 'bottom' },
+                tooltip: {
+                    callbacks: {
+                        title: ctx => {
+                            const run = runs[ctx[0].dataIndex];
+                            return `${new Date(run.timestamp).toLocaleString()}${run.partial ? ' (partial)' : ''}`;
+                        },
+                        footer: ctx => `${runs[ctx[0].dataIndex].riskLevel} · ${runs[ctx[0].dataIndex].totalFindings} finding(s)`
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    min: 0,
+                    max: 100,
+                    position: 'left',
+                    title: { display: true, text: 'Risk score' },
+                    grid: {
+                        color: '#2E2E4A',
+                        drawBorder: false
+                    },
+                    ticks: { padding: 8 }
+                },
+                y1: {
+                    beginAtZero: true,
+                    position: 'right',
+                    stacked: series === 'severity',
+                    title: { display: true, text: series === 'severity' ? 'Findings' : (seriesLabel || series) },
+                    grid: { display: false },
+                    ticks: { padding: 8, precision: 0 }
+                },
+                x: {
+                    stacked: series === 'severity',
+                    grid: { display: false },
+                    ticks: {
+                        maxRotation: 45,
+                        minRotation: 0,
+                        padding: 8
+                    }
+                }
+            },
+            interaction: {
+                intersect: false,
+                mode: 'index'
+            }
+        }
+    });
+}
+
+// Renders a chart off-screen and returns it as a PNG data URL, for exports
+// that cannot run Chart.js. The canvas must be in the document for Chart.js
+// to draw, so it is parked outside the viewport and removed afterwards.
+function renderChartImage(config, width = 640, height = 320, background = '#1A1A2E') {
+    const holder = document.createElement('div');
+    holder.style.cssText = `position:fixed;left:-10000px;top:0;width:${width}px;height:${height}px;`;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    holder.appendChild(canvas);
+    document.body.appendChild(holder);
+
+    const fill = {
+        id: 'imageBackground',
+        beforeDraw: chart => {
+            const ctx = chart.ctx;
+            ctx.save();
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, chart.width, chart.height);
+            ctx.restore();
+        }
+    };
+
+    const chart = new Chart(canvas, {
+        ...config,
+        options: { ...config.options, responsive: false, animation: false, devicePixelRatio: 2 },
+        plugins: [...(config.plugins || []), fill]
+    });
+    try {
+        return chart.toBase64Image('image/png');
+    } finally {
+        chart.destroy();
+        holder.remove();
+    }
+}
+
 function renderDeepDiveChart(canvasId, type, data) {
     const canvas = document.getElementById(canvasId);
     if (!canvas) return;
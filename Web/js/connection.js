@@ -5,6 +5,13 @@
 function initConnection() {
     document.getElementById('btn-connect').addEventListener('click', handleConnect);
     document.getElementById('btn-demo').addEventListener('click', handleDemo);
+
+    const reportInput = document.getElementById('input-report-file');
+    document.getElementById('btn-open-report').addEventListener('click', () => reportInput.click());
+    reportInput.addEventListener('change', () => {
+        if (reportInput.files[0]) handleOpenReport(reportInput.files[0]);
+        reportInput.value = '';
+    });
 }
 
 async function handleConnect() {
@@ -35,6 +42,7 @@ async function handleConnect() {
         const res = await API.connect(tenantUrl, clientId);
         if (res.success) {
             appState.connected = true;
+            useLiveData();
 
             // Store connection details in app state
             appState.connectedSiteUrl = res.siteUrl || tenantUrl;
@@ -75,6 +83,7 @@ async function handleDemo() {
             appState.connected = true;
             appState.demoMode = true;
             appState.dataLoaded = true;
+            useLiveData();
 
             // Demo mode connection details
             appState.connectedSiteUrl = 'https://contoso.sharepoint.com/sites/demo';
@@ -109,6 +118,52 @@ async function handleDemo() {
     }
 }
 
+// --- Offline report mode ---
+// Loads a Build-GovernanceReport JSON file and serves all analytics from it.
+async function handleOpenReport(file) {
+    const results = document.getElementById('connection-results');
+    results.textContent = `Loading report file ${file.name}...`;
+
+    try {
+        const report = await readReportFile(file);
+        const source = createReportDataSource(report, file.name);
+        API.setDataSource(source);
+
+        appState.dataLoaded = true;
+        appState.offlineReport = {
+            fileName: file.name,
+            tenantUrl: source.tenantUrl,
+            scanTimestamp: source.scanTimestamp
+        };
+        globalSearchIndex = null;
+
+        const summary = report.summary || {};
+        results.textContent = `Report loaded: ${file.name}\n\n`
+            + `Tenant: ${source.tenantUrl || 'N/A'}\n`
+            + `Scanned: ${source.scanTimestamp ? new Date(source.scanTimestamp).toLocaleString() : 'N/A'}\n`
+            + `Sites: ${summary.totalSites ?? report.sites.length} | Users: ${summary.totalUsers ?? (report.users || []).length}\n\n`
+            + 'Viewing offline data. Connect or start Demo Mode to return to live data.';
+
+        updateConnectionUI(appState.connected);
+        updateTabVisibility(appState.connected);
+
+        toast('Report file loaded', 'success');
+        document.querySelector('.tab-btn[data-tab="analytics"]').click();
+    } catch (e) {
+        results.textContent = `Could not open report: ${e.message}`;
+        toast('Could not open report file', 'error');
+    }
+}
+
+// Switch reads back to the server after connecting or running a live operation
+function useLiveData() {
+    if (!API.isOffline()) return;
+    API.resetDataSource();
+    appState.offlineReport = null;
+    globalSearchIndex = null;
+    updateConnectionUI(appState.connected);
+}
+
 function updateConnectionUI(connected) {
     const indicator = document.getElementById('connection-indicator');
     const dot = indicator.querySelector('.status-dot');
@@ -129,6 +184,10 @@ function updateConnectionUI(connected) {
         dot.classList.add('disconnected');
         text.textContent = 'Not connected';
     }
+
+    if (API.isOffline() && appState.offlineReport) {
+        text.textContent = `Report: ${appState.offlineReport.fileName}`;
+    }
 }
 
 // --- Capability Display ---
@@ -0,0 +1,45 @@
+// ============================================
+// csv.js - Shared CSV writer and download helper for client-side exports
+// ============================================
+// RFC 4180 output: fields with a comma, quote or line break are quoted,
+// quotes are doubled and records end with CRLF. Text that a spreadsheet
+// would run as a formula (starting with =, +, -, @, tab or CR) is prefixed
+// with an apostrophe. Numbers and booleans are written as they are.
+
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// UTF-8 byte order mark; without it Excel reads the file as ANSI
+const CSV_BOM = '\uFEFF';
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// headers: string[]; rows: arrays of cell values. preamble rows (e.g. the
+// filters of an exported view) go above the header, followed by a blank line.
+function toCsv(headers, rows, { bom = false, preamble = [] } = {}) {
+    const top = preamble.length > 0 ? [...preamble, []] : [];
+    const lines = [...top, headers, ...rows].map(row => row.map(csvCell).join(','));
+    return (bom ? CSV_BOM : '') + lines.join('\r\n') + '\r\n';
+}
+
+// Saves generated content (string, bytes or Blob) as a file through a temporary link
+function downloadBlob(content, fileName, mime) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mime });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Downloads include the BOM by default so Excel shows non-ASCII names correctly
+function downloadCsv(fileName, headers, rows, { bom = true, preamble = [] } = {}) {
+    downloadBlob(toCsv(headers, rows, { bom, preamble }), fileName, 'text/csv;charset=utf-8');
+}
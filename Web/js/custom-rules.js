@@ -0,0 +1,317 @@
+// ============================================
+// custom-rules.js - Custom risk rule builder
+// ============================================
+// Custom rules are declarative filters over one data type. Get-RiskAssessment
+// counts the matching rows and raises a finding (same shape as the built-in
+// rules) when the count is above the rule's threshold. Opened from the risk
+// findings modal and the Risk Rules tab.
+
+const CUSTOM_RULE_DATA_TYPES = {
+    users:           { label: 'Users',            fields: ['Name', 'Email', 'LoginName', 'Type', 'Permission', 'IsSiteAdmin', 'IsExternal', 'SiteUrl', 'GraphAccountEnabled', 'GraphUserType', 'GraphLastSignIn'] },
+    roleassignments: { label: 'Role assignments', fields: ['Principal', 'PrincipalType', 'Role', 'Scope', 'ScopeUrl', 'SiteTitle', 'SiteUrl'] },
+    sharinglinks:    { label: 'Sharing links',    fields: ['LinkType', 'AccessLevel', 'GroupName', 'MemberCount', 'Members', 'CreatedDate', 'SiteTitle', 'SiteUrl'] },
+    inheritance:     { label: 'Inheritance items', fields: ['Title', 'Type', 'Url', 'ParentUrl', 'HasUniquePermissions', 'RoleAssignmentCount', 'SiteTitle', 'SiteUrl'] }
+};
+
+const CUSTOM_RULE_OPERATORS = {
+    equals: 'is',
+    notEquals: 'is not',
+    contains: 'contains',
+    notContains: 'does not contain',
+    startsWith: 'starts with',
+    endsWith: 'ends with',
+    in: 'is one of (comma-separated)',
+    notIn: 'is not one of',
+    greaterThan: 'is greater than',
+    lessThan: 'is less than',
+    isTrue: 'is true',
+    isFalse: 'is false',
+    isEmpty: 'is empty',
+    isNotEmpty: 'is not empty',
+    memberOf: 'is a member of group',
+    notMemberOf: 'is not a member of group'
+};
+
+const CUSTOM_RULE_UNARY = ['isTrue', 'isFalse', 'isEmpty', 'isNotEmpty'];
+
+let customRuleList = [];
+
+// --- Entry point ---
+window.openCustomRules = async function() {
+    const overlay = document.getElementById('modal-overlay');
+    const title = document.getElementById('modal-title');
+    const body = document.getElementById('modal-body');
+
+    overlay.classList.remove('hidden');
+    document.getElementById('modal-close').onclick = () => overlay.classList.add('hidden');
+    overlay.onclick = (e) => { if (e.target === overlay) overlay.classList.add('hidden'); };
+    const escHandler = (e) => { if (e.key === 'Escape') { overlay.classList.add('hidden'); document.removeEventListener('keydown', escHandler); } };
+    document.addEventListener('keydown', escHandler);
+
+    title.textContent = 'Custom Risk Rules';
+    body.innerHTML = '<p class="text-center text-muted">Loading...</p>';
+
+    try {
+        const res = await API.getCustomRules();
+        customRuleList = res.rules || [];
+    } catch (e) {
+        body.innerHTML = `<p class="text-center" style="color:#DC3545">Could not load custom rules: ${esc(e.message)}</p>`;
+        return;
+    }
+
+    body.innerHTML = `
+        <div class="custom-rules">
+            <p class="risk-rules-intro">Each rule filters one kind of data. When more rows match than the threshold, it raises a finding that counts towards the risk score like the built-in rules.</p>
+            <div class="button-row">
+                ${appState.riskData ? '<button class="btn btn-secondary" data-cr-action="back">← Findings</button>' : ''}
+                <button class="btn btn-primary" data-cr-action="new">+ New Rule</button>
+            </div>
+            <div id="cr-list"></div>
+            <div id="cr-editor" class="custom-rule-editor hidden"></div>
+        </div>`;
+
+    const root = body.querySelector('.custom-rules');
+    root.addEventListener('click', handleCustomRuleClick);
+    root.addEventListener('change', handleCustomRuleChange);
+    renderCustomRuleList();
+};
+
+// --- List ---
+
+function renderCustomRuleList() {
+    const list = document.getElementById('cr-list');
+    if (customRuleList.length === 0) {
+        list.innerHTML = '<div class="finding info"><h4>No custom rules yet</h4><p>Add one to flag what matters in your tenant, e.g. Full Control granted to users outside an admin group on finance sites.</p></div>';
+        return;
+    }
+    list.innerHTML = `<table><thead><tr><th>On</th><th>Rule</th><th>Applies to</th><th>Conditions</th><th>Severity</th><th></th></tr></thead><tbody>${customRuleList.map(r => `
+        <tr class="${r.enabled ? '' : 'risk-rule-off'}">
+            <td><input type="checkbox" data-cr-toggle="${escAttr(r.ruleId)}" aria-label="Enable ${escAttr(r.ruleId)}"${r.enabled ? ' checked' : ''}></td>
+            <td><strong>${esc(r.ruleId)}</strong> ${esc(r.title)}</td>
+            <td>${esc((CUSTOM_RULE_DATA_TYPES[r.dataType] || {}).label || r.dataType)}</td>
+            <td class="custom-rule-summary">${esc(describeCustomRule(r))}</td>
+            <td>${esc(r.severity)}</td>
+            <td class="custom-rule-actions">
+                <button class="btn btn-secondary btn-sm" data-cr-action="edit" data-rule-id="${escAttr(r.ruleId)}">Edit</button>
+                <button class="btn btn-secondary btn-sm" data-cr-action="delete" data-rule-id="${escAttr(r.ruleId)}">Delete</button>
+            </td>
+        </tr>`).join('')}</tbody></table>`;
+}
+
+// "Role is Full Control AND ScopeUrl contains /finance"
+function describeCustomRule(rule) {
+    const joiner = rule.match === 'any' ? ' OR ' : ' AND ';
+    const parts = (rule.conditions || []).map(c =>
+        `${c.field} ${CUSTOM_RULE_OPERATORS[c.operator] || c.operator}${CUSTOM_RULE_UNARY.includes(c.operator) ? '' : ' ' + c.value}`);
+    return parts.join(joiner) + (rule.threshold > 0 ? ` (more than ${rule.threshold})` : '');
+}
+
+// --- Editor ---
+
+function newCustomRule() {
+    return {
+        title: '',
+        category: 'Custom',
+        description: '',
+        severity: 'High',
+        enabled: true,
+        dataType: 'roleassignments',
+        match: 'all',
+        conditions: [{ field: 'Role', operator: 'equals', value: 'Full Control' }],
+        threshold: 0,
+        scorePerItem: 10,
+        maxScore: ''
+    };
+}
+
+function renderCustomRuleEditor(rule) {
+    const editor = document.getElementById('cr-editor');
+    const typeOptions = Object.entries(CUSTOM_RULE_DATA_TYPES)
+        .map(([key, t]) => `<option value="${key}"${key === rule.dataType ? ' selected' : ''}>${t.label}</option>`).join('');
+    const severityOptions = Object.keys(RISK_SEVERITY_CLASS)
+        .map(s => `<option value="${s}"${s === rule.severity ? ' selected' : ''}>${s}</option>`).join('');
+
+    editor.dataset.ruleId = rule.ruleId || '';
+    editor.innerHTML = `
+        <h3>${rule.ruleId ? 'Edit ' + esc(rule.ruleId) : 'New custom rule'}</h3>
+        <div class="custom-rule-grid">
+            <label>Title<input type="text" id="cr-title" value="${escAttr(rule.title)}" placeholder="Full Control outside IT Admins on finance sites"></label>
+            <label>Category<input type="text" id="cr-category" value="${escAttr(rule.category)}"></label>
+            <label>Severity<select id="cr-severity">${severityOptions}</select></label>
+            <label>Applies to<select id="cr-datatype">${typeOptions}</select></label>
+        </div>
+        <div class="custom-rule-match">
+            Match
+            <select id="cr-match">
+                <option value="all"${rule.match !== 'any' ? ' selected' : ''}>all conditions (AND)</option>
+                <option value="any"${rule.match === 'any' ? ' selected' : ''}>any condition (OR)</option>
+            </select>
+        </div>
+        <div id="cr-conditions">${(rule.conditions || []).map(renderCustomRuleCondition).join('')}</div>
+        <datalist id="cr-fields">${renderCustomRuleFieldOptions(rule.dataType)}</datalist>
+        <button class="btn btn-secondary btn-sm" data-cr-action="add-condition">+ Condition</button>
+        <div class="custom-rule-grid">
+            <label>Raise when matches are above<input type="number" id="cr-threshold" min="0" step="1" value="${escAttr(String(rule.threshold ?? ''))}"></label>
+            <label>Score per match<input type="number" id="cr-score" min="1" max="100" step="1" value="${escAttr(String(rule.scorePerItem ?? ''))}"></label>
+            <label>Maximum score<input type="number" id="cr-max" min="1" max="100" step="1" value="${escAttr(String(rule.maxScore ?? ''))}" placeholder="By severity"></label>
+            <label class="custom-rule-enabled"><input type="checkbox" id="cr-enabled"${rule.enabled !== false ? ' checked' : ''}> Enabled</label>
+        </div>
+        <label class="custom-rule-description">Remediation / description
+            <textarea id="cr-description" rows="2" placeholder="Shown with the finding">${esc(rule.description)}</textarea></label>
+        <details id="cr-json-details" class="custom-rule-json">
+            <summary>Rule definition (JSON)</summary>
+            <textarea id="cr-json" rows="10" spellcheck="false"></textarea>
+            <button class="btn btn-secondary btn-sm" data-cr-action="apply-json">Apply JSON</button>
+        </details>
+        <div class="button-row">
+            <button class="btn btn-primary" id="cr-save" data-cr-action="save">Save Rule</button>
+            <button class="btn btn-secondary" data-cr-action="cancel">Cancel</button>
+        </div>`;
+
+    editor.classList.remove('hidden');
+    document.getElementById('cr-json-details').addEventListener('toggle', (e) => {
+        if (e.target.open) document.getElementById('cr-json').value = JSON.stringify(readCustomRuleForm(), null, 2);
+    });
+    editor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function renderCustomRuleCondition(condition, idx) {
+    const operators = Object.entries(CUSTOM_RULE_OPERATORS)
+        .map(([key, label]) => `<option value="${key}"${key === condition.operator ? ' selected' : ''}>${label}</option>`).join('');
+    const unary = CUSTOM_RULE_UNARY.includes(condition.operator);
+    return `<div class="custom-rule-condition" data-idx="${idx}">
+        <input type="text" class="cr-field" list="cr-fields" value="${escAttr(condition.field)}" placeholder="Field" aria-label="Field">
+        <select class="cr-operator" aria-label="Operator">${operators}</select>
+        <input type="text" class="cr-value${unary ? ' cr-value-unused' : ''}" value="${escAttr(condition.value)}" placeholder="Value" aria-label="Value">
+        <button class="btn btn-secondary btn-sm" data-cr-action="remove-condition" data-idx="${idx}" aria-label="Remove condition">✕</button>
+    </div>`;
+}
+
+function renderCustomRuleFieldOptions(dataType) {
+    return ((CUSTOM_RULE_DATA_TYPES[dataType] || {}).fields || []).map(f => `<option value="${f}">`).join('');
+}
+
+function readCustomRuleForm() {
+    const editor = document.getElementById('cr-editor');
+    const value = id => document.getElementById(id).value.trim();
+    const number = id => value(id) === '' ? '' : Number(value(id));
+    const rule = {
+        title: value('cr-title'),
+        category: value('cr-category'),
+        description: value('cr-description'),
+        severity: value('cr-severity'),
+        enabled: document.getElementById('cr-enabled').checked,
+        dataType: value('cr-datatype'),
+        match: value('cr-match'),
+        conditions: Array.from(editor.querySelectorAll('.custom-rule-condition')).map(row => ({
+            field: row.querySelector('.cr-field').value.trim(),
+            operator: row.querySelector('.cr-operator').value,
+            value: CUSTOM_RULE_UNARY.includes(row.querySelector('.cr-operator').value) ? '' : row.querySelector('.cr-value').value.trim()
+        })),
+        threshold: number('cr-threshold'),
+        scorePerItem: number('cr-score'),
+        maxScore: number('cr-max')
+    };
+    if (editor.dataset.ruleId) rule.ruleId = editor.dataset.ruleId;
+    return rule;
+}
+
+function closeCustomRuleEditor() {
+    const editor = document.getElementById('cr-editor');
+    editor.classList.add('hidden');
+    editor.innerHTML = '';
+}
+
+// --- Events ---
+
+async function handleCustomRuleClick(e) {
+    const btn = e.target.closest('[data-cr-action]');
+    if (!btn) return;
+    const action = btn.dataset.crAction;
+
+    if (action === 'back') {
+        openRiskDeepDive(appState.riskData);
+    } else if (action === 'new') {
+        renderCustomRuleEditor(newCustomRule());
+    } else if (action === 'edit') {
+        const rule = customRuleList.find(r => r.ruleId === btn.dataset.ruleId);
+        if (rule) renderCustomRuleEditor(JSON.parse(JSON.stringify(rule)));
+    } else if (action === 'delete') {
+        await deleteCustomRule(btn.dataset.ruleId);
+    } else if (action === 'add-condition') {
+        const rule = readCustomRuleForm();
+        rule.conditions.push({ field: '', operator: 'equals', value: '' });
+        renderCustomRuleEditor(rule);
+    } else if (action === 'remove-condition') {
+        const rule = readCustomRuleForm();
+        rule.conditions.splice(Number(btn.dataset.idx), 1);
+        renderCustomRuleEditor(rule);
+    } else if (action === 'apply-json') {
+        applyCustomRuleJson();
+    } else if (action === 'save') {
+        await saveCustomRule(readCustomRuleForm());
+    } else if (action === 'cancel') {
+        closeCustomRuleEditor();
+    }
+}
+
+async function handleCustomRuleChange(e) {
+    const target = e.target;
+    if (target.dataset.crToggle) {
+        const rule = customRuleList.find(r => r.ruleId === target.dataset.crToggle);
+        if (rule) await saveCustomRule({ ...rule, enabled: target.checked }, { keepEditor: true });
+    } else if (target.id === 'cr-datatype') {
+        document.getElementById('cr-fields').innerHTML = renderCustomRuleFieldOptions(target.value);
+    } else if (target.classList.contains('cr-operator')) {
+        target.closest('.custom-rule-condition').querySelector('.cr-value').classList.toggle('cr-value-unused', CUSTOM_RULE_UNARY.includes(target.value));
+    }
+}
+
+function applyCustomRuleJson() {
+    let parsed;
+    try {
+        parsed = JSON.parse(document.getElementById('cr-json').value);
+    } catch (e) {
+        toast('Invalid JSON: ' + e.message, 'error');
+        return;
+    }
+    if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.conditions)) {
+        toast('A rule definition needs a conditions array', 'error');
+        return;
+    }
+    // Without a ruleId the JSON is saved as a new rule
+    renderCustomRuleEditor({ ...newCustomRule(), ...parsed });
+}
+
+// --- Persistence ---
+
+async function saveCustomRule(rule, { keepEditor = false } = {}) {
+    if (!keepEditor) UIHelpers.setButtonLoading('cr-save', true);
+    try {
+        const res = await API.saveCustomRule(rule);
+        customRuleList = res.rules || [];
+        renderCustomRuleList();
+        if (!keepEditor) closeCustomRuleEditor();
+        toast(`${res.rule.ruleId} saved`, 'success');
+        await applyRiskRuleChange();
+    } catch (e) {
+        toast('Could not save rule: ' + e.message, 'error');
+        renderCustomRuleList();
+    } finally {
+        if (!keepEditor) UIHelpers.setButtonLoading('cr-save', false);
+    }
+}
+
+async function deleteCustomRule(ruleId) {
+    try {
+        const res = await API.deleteCustomRule(ruleId);
+        customRuleList = res.rules || [];
+        renderCustomRuleList();
+        const editor = document.getElementById('cr-editor');
+        if (editor.dataset.ruleId === ruleId) closeCustomRuleEditor();
+        toast(`${ruleId} deleted`, 'success');
+        await applyRiskRuleChange();
+    } catch (e) {
+        toast('Could not delete rule: ' + e.message, 'error');
+    }
+}
@@ -3,6 +3,16 @@
 // ============================================
 
 // --- Deep Dives ---
+const DEEP_DIVES = {
+    sites:       { title: 'Sites Deep Dive', render: renderSitesDeepDive },
+    users:       { title: 'Users Deep Dive', render: renderUsersDeepDive },
+    groups:      { title: 'Groups Deep Dive', render: renderGroupsDeepDive },
+    external:    { title: 'External Users Deep Dive', render: renderExternalDeepDive },
+    permissions: { title: 'Role Assignment Mapping', render: renderPermissionsDeepDive },
+    inheritance: { title: 'Permission Inheritance Analysis', render: renderInheritanceDeepDive },
+    sharing:     { title: 'Sharing Links Security Audit', render: renderSharingDeepDive }
+};
+
 async function openDeepDive(type) {
     const overlay = document.getElementById('modal-overlay');
     const title = document.getElementById('modal-title');
@@ -18,24 +28,15 @@ async function openDeepDive(type) {
 
     body.innerHTML = '<p class="text-center text-muted">Loading...</p>';
 
-    const deepDiveConfig = {
-        sites:       { title: 'Sites Deep Dive', dataType: 'sites', render: renderSitesDeepDive },
-        users:       { title: 'Users Deep Dive', dataType: 'users', render: renderUsersDeepDive },
-        groups:      { title: 'Groups Deep Dive', dataType: 'groups', render: renderGroupsDeepDive },
-        external:    { title: 'External Users Deep Dive', dataType: 'users', render: renderExternalDeepDive },
-        permissions: { title: 'Role Assignment Mapping', dataType: 'roleassignments', render: renderPermissionsDeepDive },
-        inheritance: { title: 'Permission Inheritance Analysis', dataType: 'inheritance', render: renderInheritanceDeepDive },
-        sharing:     { title: 'Sharing Links Security Audit', dataType: 'sharinglinks', render: renderSharingDeepDive }
-    };
-
-    const config = deepDiveConfig[type];
+    const config = DEEP_DIVES[type];
     if (!config) { body.innerHTML = '<p>Unknown deep dive type</p>'; return; }
 
     title.textContent = config.title;
 
     try {
-        const res = await API.getData(config.dataType);
-        config.render(body, res.data || []);
+        // Renderers load their own stats and table pages
+        await config.render(body);
+        attachViewBar(body, 'deep-dive', type);
     } catch (e) {
         body.innerHTML = `<p class="text-center" style="color:#DC3545">Error loading data: ${esc(e.message)}</p>`;
     }
@@ -65,8 +66,8 @@ window.openSiteDetailDeepDive = async function(siteName) {
     body.innerHTML = '<p class="text-center text-muted">Loading...</p>';
 
     try {
-        const res = await API.getData('sites');
-        renderSitesDeepDive(body, res.data || []);
+        await renderSitesDeepDive(body);
+        attachViewBar(body, 'deep-dive', 'sites');
 
         // Pre-fill search with site name after a short delay to ensure DOM is ready
         setTimeout(() => {
@@ -104,8 +105,8 @@ window.openFilteredPermissionsDeepDive = async function(permissionLevel) {
     body.innerHTML = '<p class="text-center text-muted">Loading...</p>';
 
     try {
-        const res = await API.getData('roleassignments');
-        renderPermissionsDeepDive(body, res.data || []);
+        await renderPermissionsDeepDive(body);
+        attachViewBar(body, 'deep-dive', 'permissions');
 
         // Pre-select role filter after a short delay to ensure DOM is ready
         setTimeout(() => {
@@ -120,6 +121,23 @@ window.openFilteredPermissionsDeepDive = async function(permissionLevel) {
     }
 };
 
+// Open a deep dive with its search box pre-filled (risk finding drill-down)
+window.openDeepDiveSearch = async function(type, query) {
+    if (!appState.dataLoaded) {
+        toast('Run an analysis first', 'info');
+        return;
+    }
+
+    await openDeepDive(type);
+
+    const searchInput = document.getElementById('dd-search');
+    if (searchInput && query) {
+        searchInput.value = query;
+        searchInput.dispatchEvent(new Event('input'));
+        searchInput.focus();
+    }
+};
+
 // Generic handler for deep dive chart clicks (for future extensions)
 window.onDeepDiveChartClick = function(canvasId, clickedData) {
     console.log('Deep dive chart clicked:', canvasId, clickedData);
@@ -127,9 +145,14 @@ window.onDeepDiveChartClick = function(canvasId, clickedData) {
 
 // --- Deep Dive Renderers ---
 
-function renderSitesDeepDive(container, data) {
-    const total = data.length;
-    const totalStorage = data.reduce((sum, s) => sum + (parseInt(s.Storage) || 0), 0);
+// Sites ticked for batch analysis (url -> title); kept across pages, reset when the deep dive opens
+const selectedSiteUrls = new Map();
+
+async function renderSitesDeepDive(container) {
+    selectedSiteUrls.clear();
+    const stats = await API.getData('sites', { pageSize: 0, sums: ['Storage'] });
+    const total = stats.total;
+    const totalStorage = Math.round(stats.sums.Storage || 0);
     const avgStorage = total > 0 ? Math.round(totalStorage / total) : 0;
 
     container.innerHTML = `
@@ -138,19 +161,36 @@ function renderSitesDeepDive(container, data) {
             <div class="dd-stat"><span class="dd-stat-value">${formatStorage(totalStorage)}</span><span class="dd-stat-label">Total Storage</span></div>
             <div class="dd-stat"><span class="dd-stat-value">${avgStorage} MB</span><span class="dd-stat-label">Avg Storage</span></div>
         </div>
-        <div class="dd-filter-bar"><input type="text" placeholder="Search sites..." id="dd-search"><button class="btn btn-secondary" onclick="showExportModal('sites')">Export</button></div>
-        <table><thead><tr><th>Title</th><th>URL</th><th>Owner</th><th>Storage (MB)</th><th>Template</th><th>Actions</th></tr></thead>
-        <tbody id="dd-sites-body">${renderSitesRows(data)}</tbody></table>`;
-
-    document.getElementById('dd-search').addEventListener('input', (e) => {
-        const q = e.target.value.toLowerCase();
-        const filtered = data.filter(s => (s.Title || '').toLowerCase().includes(q) || (s.Url || '').toLowerCase().includes(q));
-        document.getElementById('dd-sites-body').innerHTML = renderSitesRows(filtered);
+        <div class="dd-filter-bar"><input type="text" placeholder="Search sites..." id="dd-search">
+        <button class="btn btn-primary" id="dd-analyze-selected" disabled>Analyze Selected (0)</button>
+        <button class="btn btn-secondary" onclick="showExportModal('sites')">Export</button></div>
+        <div class="vs-scroll"><table id="dd-sites-table"><thead><tr><th class="dd-select-col" title="Select for batch analysis">✓</th><th data-sort="Title">Title</th><th data-sort="Url">URL</th><th data-sort="Owner">Owner</th><th data-sort="Storage">Storage (MB)</th><th data-sort="Template">Template</th><th>Actions</th></tr></thead>
+        <tbody id="dd-sites-body"></tbody></table></div>
+        <div class="dd-pager" id="dd-sites-pager"></div>`;
+
+    const table = createPagedTable({
+        type: 'sites', tableId: 'dd-sites-table', bodyId: 'dd-sites-body', pagerId: 'dd-sites-pager', colspan: 7,
+        searchFields: ['Title', 'Url'], renderRows: renderSitesRows
+    });
+    document.getElementById('dd-search').addEventListener('input', (e) => table.search(e.target.value));
+
+    const analyzeBtn = document.getElementById('dd-analyze-selected');
+    document.getElementById('dd-sites-body').addEventListener('change', (e) => {
+        if (!e.target.classList.contains('dd-site-select')) return;
+        if (e.target.checked) selectedSiteUrls.set(e.target.dataset.url, e.target.dataset.title);
+        else selectedSiteUrls.delete(e.target.dataset.url);
+        analyzeBtn.disabled = selectedSiteUrls.size === 0;
+        analyzeBtn.textContent = `Analyze Selected (${selectedSiteUrls.size})`;
+    });
+    analyzeBtn.addEventListener('click', () => {
+        document.getElementById('modal-overlay').classList.add('hidden');
+        queueSitesForAnalysis([...selectedSiteUrls.keys()], Object.fromEntries(selectedSiteUrls));
     });
 }
 
 function renderSitesRows(data) {
     return data.map(s => `<tr>
+        <td class="dd-select-col"><input type="checkbox" class="dd-site-select" data-url="${esc(s.Url)}" data-title="${esc(s.Title)}" ${selectedSiteUrls.has(s.Url) ? 'checked' : ''}></td>
         <td>${esc(s.Title)}</td>
         <td>${esc(s.Url)}</td>
         <td>${esc(s.Owner)}</td>
@@ -160,100 +200,149 @@ function renderSitesRows(data) {
     </tr>`).join('');
 }
 
-function renderUsersDeepDive(container, data) {
-    const internal = data.filter(u => u.Type !== 'External' && !u.IsExternal);
-    const external = data.filter(u => u.Type === 'External' || u.IsExternal);
+async function renderUsersDeepDive(container) {
+    const stats = await API.getData('users', { pageSize: 0, facets: ['Type'] });
+    const external = facetCount(stats.facets.Type, 'External');
+    const internal = stats.total - external;
 
     container.innerHTML = `
         <div class="dd-stats">
-            <div class="dd-stat"><span class="dd-stat-value">${data.length}</span><span class="dd-stat-label">Total Users</span></div>
-            <div class="dd-stat"><span class="dd-stat-value" style="color:#2E7D32">${internal.length}</span><span class="dd-stat-label">Internal</span></div>
-            <div class="dd-stat"><span class="dd-stat-value" style="color:#C62828">${external.length}</span><span class="dd-stat-label">External</span></div>
+            <div class="dd-stat"><span class="dd-stat-value">${stats.total}</span><span class="dd-stat-label">Total Users</span></div>
+            <div class="dd-stat"><span class="dd-stat-value" style="color:#2E7D32">${internal}</span><span class="dd-stat-label">Internal</span></div>
+            <div class="dd-stat"><span class="dd-stat-value" style="color:#C62828">${external}</span><span class="dd-stat-label">External</span></div>
         </div>
         <div class="dd-filter-bar"><input type="text" placeholder="Search users..." id="dd-search">
         <select id="dd-type-filter"><option value="">All Types</option><option value="Internal">Internal</option><option value="External">External</option></select>
         <button class="btn btn-secondary" onclick="showExportModal('users')">Export</button></div>
-        <table><thead><tr><th>Name</th><th>Email</th><th>Type</th><th>Permission</th><th>Site Admin</th></tr></thead>
-        <tbody id="dd-users-body">${renderUsersRows(data)}</tbody></table>`;
-
-    const filterUsers = () => {
-        const q = document.getElementById('dd-search').value.toLowerCase();
-        const t = document.getElementById('dd-type-filter').value;
-        const filtered = data.filter(u => {
-            const matchSearch = !q || (u.Name || '').toLowerCase().includes(q) || (u.Email || '').toLowerCase().includes(q);
-            const matchType = !t || (t === 'External' ? (u.Type === 'External' || u.IsExternal) : (u.Type !== 'External' && !u.IsExternal));
-            return matchSearch && matchType;
-        });
-        document.getElementById('dd-users-body').innerHTML = renderUsersRows(filtered);
-    };
-    document.getElementById('dd-search').addEventListener('input', filterUsers);
-    document.getElementById('dd-type-filter').addEventListener('change', filterUsers);
+        <div class="vs-scroll"><table id="dd-users-table"><thead><tr><th data-sort="Name">Name</th><th data-sort="Email">Email</th><th data-sort="Type">Type</th><th data-sort="Permission">Permission</th><th data-sort="IsSiteAdmin">Site Admin</th><th>Actions</th></tr></thead>
+        <tbody id="dd-users-body"></tbody></table></div>
+        <div class="dd-pager" id="dd-users-pager"></div>`;
+
+    const table = createPagedTable({
+        type: 'users', tableId: 'dd-users-table', bodyId: 'dd-users-body', pagerId: 'dd-users-pager', colspan: 6,
+        searchFields: ['Name', 'Email'], renderRows: renderUsersRows,
+        getFilters: () => ({ Type: document.getElementById('dd-type-filter').value })
+    });
+    document.getElementById('dd-search').addEventListener('input', (e) => table.search(e.target.value));
+    document.getElementById('dd-type-filter').addEventListener('change', table.refresh);
 }
 
 function renderUsersRows(data) {
-    return data.map(u => `<tr><td>${esc(u.Name)}</td><td>${esc(u.Email)}</td><td>${esc(u.Type || (u.IsExternal ? 'External' : 'Internal'))}</td><td>${esc(u.Permission)}</td><td>${u.IsSiteAdmin ? 'Yes' : ''}</td></tr>`).join('');
+    return data.map(u => `<tr><td>${esc(u.Name)}</td><td>${esc(u.Email)}</td><td>${esc(u.Type || (u.IsExternal ? 'External' : 'Internal'))}</td><td>${esc(u.Permission)}</td><td>${u.IsSiteAdmin ? 'Yes' : ''}</td><td><button class="btn btn-sm btn-secondary" data-principal="${esc(u.Name)}" onclick="openPrincipalAccess(this.dataset.principal)">View access</button></td></tr>`).join('');
 }
 
-function renderGroupsDeepDive(container, data) {
-    const totalMembers = data.reduce((sum, g) => sum + (parseInt(g.MemberCount) || 0), 0);
-    const empty = data.filter(g => (parseInt(g.MemberCount) || 0) === 0).length;
+async function renderGroupsDeepDive(container) {
+    const stats = await API.getData('groups', {
+        pageSize: 0, facets: ['IsEmpty', 'MemberCount', 'ExternalMemberCount'], sums: ['MemberCount', 'NestedGroupCount']
+    });
+    const total = stats.total;
+    const totalMembers = stats.sums.MemberCount || 0;
+    const nestedGroups = stats.sums.NestedGroupCount || 0;
+    const withExternal = total - facetCount(stats.facets.ExternalMemberCount, '0') - facetCount(stats.facets.ExternalMemberCount, '');
+    // Data collected before nested groups were expanded has no IsEmpty
+    const empty = facetCount(stats.facets.IsEmpty, '') === total
+        ? facetCount(stats.facets.MemberCount, '0') + facetCount(stats.facets.MemberCount, '')
+        : facetCount(stats.facets.IsEmpty, 'True');
 
     container.innerHTML = `
         <div class="dd-stats">
-            <div class="dd-stat"><span class="dd-stat-value">${data.length}</span><span class="dd-stat-label">Total Groups</span></div>
-            <div class="dd-stat"><span class="dd-stat-value">${totalMembers}</span><span class="dd-stat-label">Total Members</span></div>
+            <div class="dd-stat"><span class="dd-stat-value">${total}</span><span class="dd-stat-label">Total Groups</span></div>
+            <div class="dd-stat"><span class="dd-stat-value">${totalMembers}</span><span class="dd-stat-label">Direct Members</span></div>
+            <div class="dd-stat"><span class="dd-stat-value">${nestedGroups}</span><span class="dd-stat-label">Nested Groups</span></div>
+            <div class="dd-stat"><span class="dd-stat-value" style="color:#C62828">${withExternal}</span><span class="dd-stat-label">With External Members</span></div>
             <div class="dd-stat"><span class="dd-stat-value" style="color:#DC3545">${empty}</span><span class="dd-stat-label">Empty Groups</span></div>
         </div>
-        <div class="dd-filter-bar"><input type="text" placeholder="Search groups..." id="dd-search"><button class="btn btn-secondary" onclick="showExportModal('groups')">Export</button></div>
-        <table><thead><tr><th>Name</th><th>Members</th><th>Permission</th><th>Description</th></tr></thead>
-        <tbody id="dd-groups-body">${renderGroupsRows(data)}</tbody></table>`;
-
-    document.getElementById('dd-search').addEventListener('input', (e) => {
-        const q = e.target.value.toLowerCase();
-        const filtered = data.filter(g => (g.Name || '').toLowerCase().includes(q));
-        document.getElementById('dd-groups-body').innerHTML = renderGroupsRows(filtered);
+        <div class="dd-tabs">
+            <button class="dd-tab-btn active" data-ddtab="dd-table">Table View</button>
+            <button class="dd-tab-btn" data-ddtab="dd-tree">Member Tree</button>
+        </div>
+        <div id="dd-table" class="dd-tab-content active">
+            <div class="dd-filter-bar"><input type="text" placeholder="Search groups..." id="dd-search"><button class="btn btn-secondary" onclick="showExportModal('groups')">Export</button></div>
+            <div class="vs-scroll"><table id="dd-groups-table"><thead><tr><th data-sort="Name">Name</th><th data-sort="MemberCount">Members</th><th data-sort="FlatMemberCount">Flattened</th><th data-sort="Permission">Permission</th><th>Flags</th><th data-sort="Description">Description</th><th>Actions</th></tr></thead>
+            <tbody id="dd-groups-body"></tbody></table></div>
+            <div class="dd-pager" id="dd-groups-pager"></div>
+        </div>
+        <div id="dd-tree" class="dd-tab-content">
+            <div class="dd-filter-bar">
+                <input type="text" placeholder="Search groups..." id="dd-tree-search">
+                <select id="dd-tree-filter"><option value="">All Groups</option><option value="external">With External Members</option><option value="nested">With Nested Groups</option><option value="everyone">Including Everyone</option><option value="empty">Empty Groups</option></select>
+            </div>
+            <div id="dd-tree-container" class="tree-view"><p class="text-center text-muted">Loading...</p></div>
+        </div>`;
+
+    initDDTabs();
+
+    const table = createPagedTable({
+        type: 'groups', tableId: 'dd-groups-table', bodyId: 'dd-groups-body', pagerId: 'dd-groups-pager', colspan: 7,
+        searchFields: ['Name'], renderRows: renderGroupsRows
     });
+    document.getElementById('dd-search').addEventListener('input', (e) => table.search(e.target.value));
+
+    // Member tree: loads every group with its members once and filters them here
+    const memberTree = createGroupMemberTree('dd-tree-container');
+    const res = await API.getData('groups', { pageSize: total || 1, sort: 'Name' });
+    const groups = res.data || [];
+    const filterTree = () => {
+        const q = document.getElementById('dd-tree-search').value.trim().toLowerCase();
+        const flag = document.getElementById('dd-tree-filter').value;
+        memberTree.setRoots(groups.filter(g => (!q || (g.Name || '').toLowerCase().includes(q)) && groupHasFlag(g, flag)));
+    };
+    document.getElementById('dd-tree-search').addEventListener('input', UIHelpers.debounce(filterTree, 200));
+    document.getElementById('dd-tree-filter').addEventListener('change', filterTree);
+    filterTree();
 }
 
 function renderGroupsRows(data) {
-    return data.map(g => `<tr><td>${esc(g.Name)}</td><td>${g.MemberCount || 0}</td><td>${esc(g.Permission)}</td><td>${esc(g.Description || '')}</td></tr>`).join('');
+    return data.map(g => `<tr><td>${esc(g.Name)}</td><td>${g.MemberCount || 0}</td><td>${g.FlatMemberCount ?? ''}</td><td>${esc(g.Permission)}</td><td>${renderGroupFlags(g)}</td><td>${esc(g.Description || '')}</td><td><button class="btn btn-sm btn-secondary" data-principal="${esc(g.Name)}" onclick="openPrincipalAccess(this.dataset.principal)">View access</button></td></tr>`).join('');
 }
 
-function renderExternalDeepDive(container, allUsers) {
-    const data = allUsers.filter(u => u.Type === 'External' || u.IsExternal);
-    // Domain analysis
-    const domains = {};
-    data.forEach(u => {
-        const email = u.Email || '';
-        const domain = email.includes('@') ? email.split('@')[1] : 'Unknown';
-        domains[domain] = (domains[domain] || 0) + 1;
+// Stats for the external deep dive, from facet counts over external users only
+async function loadExternalStats() {
+    const stats = await API.getData('users', {
+        pageSize: 0, filters: { Type: 'External' }, facets: ['Email', 'Permission', 'GraphEnriched']
     });
+    const domains = new Set(Object.keys(stats.facets.Email || {})
+        .map(email => email.includes('@') ? email.split('@')[1].toLowerCase() : 'Unknown'));
+    return {
+        count: stats.matched,
+        domains: domains.size,
+        editAccess: ['Edit', 'Contribute', 'Full Control'].reduce((sum, role) => sum + facetCount(stats.facets.Permission, role), 0),
+        enrichedCount: facetCount(stats.facets.GraphEnriched, 'True')
+    };
+}
+
+function renderExternalStats(stats) {
+    return `
+        <div class="dd-stat"><span class="dd-stat-value" style="color:#C62828">${stats.count}</span><span class="dd-stat-label">External Users</span></div>
+        <div class="dd-stat"><span class="dd-stat-value">${stats.domains}</span><span class="dd-stat-label">Domains</span></div>
+        <div class="dd-stat"><span class="dd-stat-value" style="color:#DC3545">${stats.editAccess}</span><span class="dd-stat-label">With Edit+</span></div>
+        <div class="dd-stat"><span class="dd-stat-value" style="color:#0078D4">${stats.enrichedCount}</span><span class="dd-stat-label">Enriched</span></div>`;
+}
 
-    const editAccess = data.filter(u => ['Edit', 'Contribute', 'Full Control'].includes(u.Permission)).length;
-    const enrichedCount = data.filter(u => u.GraphEnriched).length;
+async function renderExternalDeepDive(container) {
+    const [stats, rules] = await Promise.all([loadExternalStats(), loadRiskRules()]);
+    const editAccess = stats.editAccess;
+    const editRule = rules['EXT-001'];
 
     container.innerHTML = `
-        <div class="dd-stats">
-            <div class="dd-stat"><span class="dd-stat-value" style="color:#C62828">${data.length}</span><span class="dd-stat-label">External Users</span></div>
-            <div class="dd-stat"><span class="dd-stat-value">${Object.keys(domains).length}</span><span class="dd-stat-label">Domains</span></div>
-            <div class="dd-stat"><span class="dd-stat-value" style="color:#DC3545">${editAccess}</span><span class="dd-stat-label">With Edit+</span></div>
-            <div class="dd-stat"><span class="dd-stat-value" style="color:#0078D4">${enrichedCount}</span><span class="dd-stat-label">Enriched</span></div>
-        </div>
-        ${editAccess > 0 ? '<div class="finding high"><h4>External Users with Edit Access</h4><p>' + editAccess + ' external user(s) have edit or higher permissions. Review and restrict where possible.</p></div>' : ''}
+        <div class="dd-stats">${renderExternalStats(stats)}</div>
+        ${riskRuleFires(editRule, editAccess) ? `<div class="finding ${riskSeverityClass(editRule.severity)}"><h4>External Users with Edit Access</h4><p>${editAccess} external user(s) have edit or higher permissions. Review and restrict where possible.</p></div>` : ''}
         <div id="enrichment-banner" style="margin-bottom:12px"></div>
         <div class="dd-filter-bar">
             <input type="text" placeholder="Search external users..." id="dd-search">
             <button class="btn btn-primary" id="btn-enrich" style="margin-left:8px">Enrich via Graph</button>
             <button class="btn btn-secondary" onclick="showExportModal('users')">Export</button>
         </div>
-        <table><thead><tr><th>Name</th><th>Email</th><th>Domain</th><th>Permission</th><th>Account Status</th><th>Last Sign-In</th></tr></thead>
-        <tbody id="dd-ext-body">${renderExternalRows(data)}</tbody></table>`;
-
-    document.getElementById('dd-search').addEventListener('input', (e) => {
-        const q = e.target.value.toLowerCase();
-        const filtered = data.filter(u => (u.Name || '').toLowerCase().includes(q) || (u.Email || '').toLowerCase().includes(q));
-        document.getElementById('dd-ext-body').innerHTML = renderExternalRows(filtered);
+        <div class="vs-scroll"><table id="dd-ext-table"><thead><tr><th data-sort="Name">Name</th><th data-sort="Email">Email</th><th>Domain</th><th data-sort="Permission">Permission</th><th>Account Status</th><th data-sort="GraphLastSignIn">Last Sign-In</th></tr></thead>
+        <tbody id="dd-ext-body"></tbody></table></div>
+        <div class="dd-pager" id="dd-ext-pager"></div>`;
+
+    const table = createPagedTable({
+        type: 'users', tableId: 'dd-ext-table', bodyId: 'dd-ext-body', pagerId: 'dd-ext-pager', colspan: 6,
+        searchFields: ['Name', 'Email'], renderRows: renderExternalRows,
+        getFilters: () => ({ Type: 'External' })
     });
+    document.getElementById('dd-search').addEventListener('input', (e) => table.search(e.target.value));
 
     document.getElementById('btn-enrich').addEventListener('click', async () => {
         const btn = document.getElementById('btn-enrich');
@@ -262,9 +351,11 @@ function renderExternalDeepDive(container, allUsers) {
         try {
             const res = await API.enrichExternal();
             if (res.started) {
-                // Background operation — poll until complete
+                // Background operation — follow the progress stream until complete
                 const dummyConsole = document.createElement('div');
-                const progress = await pollUntilComplete(dummyConsole);
+                const progress = await followOperation(dummyConsole, {
+                    onProgress: p => { btn.textContent = `Enriching... ${p.percent}%`; }
+                });
                 if (progress.error) {
                     toast('Enrichment failed: ' + progress.error, 'error');
                     return;
@@ -277,33 +368,13 @@ function renderExternalDeepDive(container, allUsers) {
                 toast(res.message || 'Enrichment failed', 'error');
                 return;
             }
-            // Reload external users data
-            const usersRes = await API.getData('users');
-            const newData = (usersRes.data || []).filter(u => u.Type === 'External' || u.IsExternal);
-
-            // Recalculate statistics with updated data
-            const domains = {};
-            newData.forEach(u => {
-                const email = u.Email || '';
-                const domain = email.includes('@') ? email.split('@')[1] : 'Unknown';
-                domains[domain] = (domains[domain] || 0) + 1;
-            });
-            const editAccess = newData.filter(u => ['Edit', 'Contribute', 'Full Control'].includes(u.Permission)).length;
-            const enrichedCount = newData.filter(u => u.GraphEnriched).length;
 
-            // Update the stats in the dd-stats section
+            // Recalculate statistics and reload the current page with the enriched fields
             const statsSection = document.querySelector('.dd-stats');
             if (statsSection) {
-                statsSection.innerHTML = `
-                    <div class="dd-stat"><span class="dd-stat-value" style="color:#C62828">${newData.length}</span><span class="dd-stat-label">External Users</span></div>
-                    <div class="dd-stat"><span class="dd-stat-value">${Object.keys(domains).length}</span><span class="dd-stat-label">Domains</span></div>
-                    <div class="dd-stat"><span class="dd-stat-value" style="color:#DC3545">${editAccess}</span><span class="dd-stat-label">With Edit+</span></div>
-                    <div class="dd-stat"><span class="dd-stat-value" style="color:#0078D4">${enrichedCount}</span><span class="dd-stat-label">Enriched</span></div>
-                `;
+                statsSection.innerHTML = renderExternalStats(await loadExternalStats());
             }
-
-            // Update the table body
-            document.getElementById('dd-ext-body').innerHTML = renderExternalRows(newData);
+            table.reload();
 
             // Show enrichment summary
             showEnrichmentBanner();
@@ -316,7 +387,7 @@ function renderExternalDeepDive(container, allUsers) {
     });
 
     // Show enrichment banner if already enriched
-    if (enrichedCount > 0) {
+    if (stats.enrichedCount > 0) {
         showEnrichmentBanner();
     }
 }
@@ -379,20 +450,25 @@ function renderExternalRows(data) {
     }).join('');
 }
 
-function renderPermissionsDeepDive(container, data) {
-    const fullControl = data.filter(r => r.Role === 'Full Control').length;
-    const edit = data.filter(r => r.Role === 'Edit' || r.Role === 'Contribute').length;
-    const read = data.filter(r => r.Role === 'Read' || r.Role === 'View Only').length;
+async function renderPermissionsDeepDive(container) {
+    const [stats, userEditors, rules] = await Promise.all([
+        API.getData('roleassignments', { pageSize: 0, facets: ['Role'] }),
+        API.getData('roleassignments', { pageSize: 0, filters: { PrincipalType: 'User', Role: ['Full Control', 'Edit', 'Contribute'] } }),
+        loadRiskRules()
+    ]);
+    const roleCounts = stats.facets.Role || {};
+    const fullControl = facetCount(roleCounts, 'Full Control');
+    const edit = facetCount(roleCounts, 'Edit') + facetCount(roleCounts, 'Contribute');
+    const read = facetCount(roleCounts, 'Read') + facetCount(roleCounts, 'View Only');
 
     // Security findings
     const findings = [];
-    if (fullControl > 5) findings.push({ severity: 'high', title: `${fullControl} Full Control assignments`, detail: 'Review and reduce Full Control to minimum necessary.' });
-    const extEditors = data.filter(r => r.PrincipalType === 'User' && ['Full Control', 'Edit', 'Contribute'].includes(r.Role));
-    if (extEditors.length > 0) findings.push({ severity: 'medium', title: `${extEditors.length} users with edit+ access`, detail: 'Verify each user needs this level of access.' });
+    if (riskRuleFires(rules['PERM-001'], fullControl)) findings.push({ severity: riskSeverityClass(rules['PERM-001'].severity), title: `${fullControl} Full Control assignments`, detail: 'Review and reduce Full Control to minimum necessary.' });
+    if (riskRuleFires(rules['PERM-003'], userEditors.matched)) findings.push({ severity: riskSeverityClass(rules['PERM-003'].severity), title: `${userEditors.matched} users with edit+ access`, detail: 'Verify each user needs this level of access.' });
 
     container.innerHTML = `
         <div class="dd-stats">
-            <div class="dd-stat"><span class="dd-stat-value">${data.length}</span><span class="dd-stat-label">Total Assignments</span></div>
+            <div class="dd-stat"><span class="dd-stat-value">${stats.total}</span><span class="dd-stat-label">Total Assignments</span></div>
             <div class="dd-stat"><span class="dd-stat-value" style="color:#DC3545">${fullControl}</span><span class="dd-stat-label">Full Control</span></div>
             <div class="dd-stat"><span class="dd-stat-value" style="color:#FFC107">${edit}</span><span class="dd-stat-label">Edit/Contribute</span></div>
             <div class="dd-stat"><span class="dd-stat-value" style="color:#28A745">${read}</span><span class="dd-stat-label">Read/View</span></div>
@@ -406,8 +482,9 @@ function renderPermissionsDeepDive(container, data) {
             <div class="dd-filter-bar"><input type="text" placeholder="Search..." id="dd-search">
             <select id="dd-role-filter"><option value="">All Roles</option><option>Full Control</option><option>Edit</option><option>Contribute</option><option>Read</option><option>View Only</option></select>
             <button class="btn btn-secondary" onclick="showExportModal('roleassignments')">Export</button></div>
-            <table><thead><tr><th>Principal</th><th>Type</th><th>Role</th><th>Scope</th><th>Location</th></tr></thead>
-            <tbody id="dd-perm-body">${renderPermRows(data)}</tbody></table>
+            <div class="vs-scroll"><table id="dd-perm-table"><thead><tr><th data-sort="Principal">Principal</th><th data-sort="PrincipalType">Type</th><th data-sort="Role">Role</th><th data-sort="Scope">Scope</th><th data-sort="ScopeUrl">Location</th></tr></thead>
+            <tbody id="dd-perm-body"></tbody></table></div>
+            <div class="dd-pager" id="dd-perm-pager"></div>
         </div>
         <div id="dd-chart" class="dd-tab-content"><div style="height:250px"><canvas id="dd-perm-chart"></canvas></div></div>
         <div id="dd-findings" class="dd-tab-content">${renderFindings(findings)}</div>`;
@@ -415,8 +492,6 @@ function renderPermissionsDeepDive(container, data) {
     initDDTabs();
 
     // Render chart when tab is shown
-    const roleCounts = {};
-    data.forEach(r => { roleCounts[r.Role] = (roleCounts[r.Role] || 0) + 1; });
     const chartData = Object.entries(roleCounts).map(([label, value]) => ({
         label, value,
         color: { 'Full Control': COLORS.fullControl, 'Edit': COLORS.edit, 'Contribute': COLORS.contribute, 'Read': COLORS.read, 'View Only': COLORS.viewOnly }[label] || COLORS.custom
@@ -424,18 +499,13 @@ function renderPermissionsDeepDive(container, data) {
     setTimeout(() => renderDeepDiveChart('dd-perm-chart', 'doughnut', chartData), 100);
 
     // Filters
-    const filterPerms = () => {
-        const q = (document.getElementById('dd-search').value || '').toLowerCase();
-        const r = document.getElementById('dd-role-filter').value;
-        const filtered = data.filter(item => {
-            const matchSearch = !q || (item.Principal || '').toLowerCase().includes(q) || (item.ScopeUrl || '').toLowerCase().includes(q);
-            const matchRole = !r || item.Role === r;
-            return matchSearch && matchRole;
-        });
-        document.getElementById('dd-perm-body').innerHTML = renderPermRows(filtered);
-    };
-    document.getElementById('dd-search').addEventListener('input', filterPerms);
-    document.getElementById('dd-role-filter').addEventListener('change', filterPerms);
+    const table = createPagedTable({
+        type: 'roleassignments', tableId: 'dd-perm-table', bodyId: 'dd-perm-body', pagerId: 'dd-perm-pager', colspan: 5,
+        searchFields: ['Principal', 'ScopeUrl'], renderRows: renderPermRows,
+        getFilters: () => ({ Role: document.getElementById('dd-role-filter').value })
+    });
+    document.getElementById('dd-search').addEventListener('input', (e) => table.search(e.target.value));
+    document.getElementById('dd-role-filter').addEventListener('change', table.refresh);
 }
 
 function renderPermRows(data) {
@@ -481,94 +551,75 @@ function buildInheritanceTree(data) {
     return Object.values(siteGroups);
 }
 
-// Render tree view HTML
-function renderTreeView(treeData) {
-    let html = '<div class="tree-view">';
-
-    treeData.forEach((siteGroup, index) => {
-        const site = siteGroup.site;
-        const siteId = `tree-site-${index}`;
-        const isBroken = site.HasUniquePermissions === true || site.HasUniquePermissions === 'True';
-
-        html += `
-            <div class="tree-node tree-node-site ${isBroken ? 'tree-node-broken' : 'tree-node-inheriting'}">
-                <div class="tree-node-header" onclick="toggleTreeNode('${siteId}')">
-                    <span class="tree-expand-icon ${siteGroup.children.length === 0 ? 'tree-no-children' : ''}" id="${siteId}-icon">
-                        ${siteGroup.children.length > 0 ? '▼' : ''}
-                    </span>
-                    <span class="tree-node-icon">🌐</span>
-                    <span class="tree-node-title">${esc(site.Title)}</span>
-                    <span class="tree-node-badge ${isBroken ? 'badge-broken' : 'badge-inheriting'}">
-                        ${isBroken ? 'Unique Permissions' : 'Inherited'}
-                    </span>
-                    ${site.RoleAssignmentCount ? `<span class="tree-node-count">${site.RoleAssignmentCount} assignments</span>` : ''}
-                </div>
-                <div class="tree-node-children" id="${siteId}-children">`;
-
-        // Render children (libraries/lists)
-        siteGroup.children.forEach((child, childIndex) => {
-            const childBroken = child.HasUniquePermissions === true || child.HasUniquePermissions === 'True';
-            const icon = child.Type === 'Document Library' || child.Type === 'Library' ? '📁' : '📄';
-
-            html += `
-                <div class="tree-node tree-node-child ${childBroken ? 'tree-node-broken' : 'tree-node-inheriting'}">
-                    <div class="tree-node-header">
-                        <span class="tree-node-icon">${icon}</span>
-                        <span class="tree-node-title">${esc(child.Title)}</span>
-                        <span class="tree-node-type">${esc(child.Type)}</span>
-                        <span class="tree-node-badge ${childBroken ? 'badge-broken' : 'badge-inheriting'}">
-                            ${childBroken ? 'Unique Permissions' : 'Inherited'}
-                        </span>
-                        ${child.RoleAssignmentCount ? `<span class="tree-node-count">${child.RoleAssignmentCount} assignments</span>` : ''}
-                    </div>
-                </div>`;
-        });
-
-        html += `
-                </div>
-            </div>`;
+// Virtual tree over site groups (depth 0) and their lists/libraries (depth 1)
+function createInheritanceTree(containerId) {
+    return UIHelpers.createVirtualTree(containerId, {
+        rowHeight: 52,
+        getChildren: node => node.children,
+        renderNode: (node, depth, state) => depth === 0 ? renderTreeSiteNode(node, state) : renderTreeChildNode(node)
     });
+}
 
-    html += '</div>';
-    return html;
+function renderTreeSiteNode(siteGroup, state) {
+    const site = siteGroup.site;
+    const isBroken = site.HasUniquePermissions === true || site.HasUniquePermissions === 'True';
+
+    return `
+        <div class="tree-node tree-node-site ${isBroken ? 'tree-node-broken' : 'tree-node-inheriting'}">
+            <div class="tree-node-header" data-vs-toggle="${state.index}">
+                <span class="tree-expand-icon ${state.hasChildren ? '' : 'tree-no-children'}">
+                    ${state.hasChildren ? (state.expanded ? '▼' : '▶') : ''}
+                </span>
+                <span class="tree-node-icon">🌐</span>
+                <span class="tree-node-title">${esc(site.Title)}</span>
+                <span class="tree-node-badge ${isBroken ? 'badge-broken' : 'badge-inheriting'}">
+                    ${isBroken ? 'Unique Permissions' : 'Inherited'}
+                </span>
+                ${site.RoleAssignmentCount ? `<span class="tree-node-count">${site.RoleAssignmentCount} assignments</span>` : ''}
+            </div>
+        </div>`;
 }
 
-// Toggle tree node expansion
-window.toggleTreeNode = function(nodeId) {
-    const children = document.getElementById(`${nodeId}-children`);
-    const icon = document.getElementById(`${nodeId}-icon`);
-
-    if (children && icon) {
-        if (children.style.display === 'none') {
-            children.style.display = 'block';
-            icon.textContent = '▼';
-        } else {
-            children.style.display = 'none';
-            icon.textContent = '▶';
-        }
-    }
-};
+function renderTreeChildNode(child) {
+    const childBroken = child.HasUniquePermissions === true || child.HasUniquePermissions === 'True';
+    const icon = child.Type === 'Document Library' || child.Type === 'Library' ? '📁' : '📄';
+
+    return `
+        <div class="tree-node tree-node-child ${childBroken ? 'tree-node-broken' : 'tree-node-inheriting'}">
+            <div class="tree-node-header">
+                <span class="tree-node-icon">${icon}</span>
+                <span class="tree-node-title">${esc(child.Title)}</span>
+                <span class="tree-node-type">${esc(child.Type)}</span>
+                <span class="tree-node-badge ${childBroken ? 'badge-broken' : 'badge-inheriting'}">
+                    ${childBroken ? 'Unique Permissions' : 'Inherited'}
+                </span>
+                ${child.RoleAssignmentCount ? `<span class="tree-node-count">${child.RoleAssignmentCount} assignments</span>` : ''}
+            </div>
+        </div>`;
+}
 
-function renderInheritanceDeepDive(container, data) {
-    const broken = data.filter(i => i.HasUniquePermissions === true || i.HasUniquePermissions === 'True').length;
-    const inheriting = data.length - broken;
-    const libraries = data.filter(i => i.Type === 'Document Library' || i.Type === 'Library').length;
-    const lists = data.filter(i => i.Type === 'List').length;
+async function renderInheritanceDeepDive(container) {
+    const [stats, brokenLibs, rules] = await Promise.all([
+        API.getData('inheritance', { pageSize: 0, facets: ['HasUniquePermissions', 'Type'] }),
+        API.getData('inheritance', { pageSize: 0, filters: { HasUniquePermissions: 'True', Type: ['Document Library', 'Library'] } }),
+        loadRiskRules()
+    ]);
+    const total = stats.total;
+    const broken = facetCount(stats.facets.HasUniquePermissions, 'True');
+    const inheriting = total - broken;
+    const libraries = facetCount(stats.facets.Type, 'Document Library') + facetCount(stats.facets.Type, 'Library');
+    const lists = facetCount(stats.facets.Type, 'List');
 
     const findings = [];
-    const breakPct = data.length > 0 ? Math.round((broken / data.length) * 100) : 0;
-    if (breakPct > 50) findings.push({ severity: 'high', title: `${breakPct}% of items have broken inheritance`, detail: 'Excessive permission breaks. Consider consolidating at site level.' });
-    else if (breakPct > 25) findings.push({ severity: 'medium', title: `${breakPct}% broken inheritance`, detail: 'Review broken items and consolidate where possible.' });
-
-    const brokenLibs = data.filter(i => (i.HasUniquePermissions === true || i.HasUniquePermissions === 'True') && (i.Type === 'Document Library' || i.Type === 'Library'));
-    if (brokenLibs.length > 0) findings.push({ severity: 'medium', title: `${brokenLibs.length} libraries with unique permissions`, detail: 'Verify access on these document libraries is intentional.' });
+    const breakPct = total > 0 ? Math.round((broken / total) * 100) : 0;
+    if (riskRuleFires(rules['INH-001'], breakPct)) findings.push({ severity: riskSeverityClass(rules['INH-001'].severity), title: `${breakPct}% of items have broken inheritance`, detail: 'Excessive permission breaks. Consider consolidating at site level.' });
+    else if (riskRuleFires(rules['INH-002'], breakPct)) findings.push({ severity: riskSeverityClass(rules['INH-002'].severity), title: `${breakPct}% broken inheritance`, detail: 'Review broken items and consolidate where possible.' });
 
-    // Build tree structure
-    const treeData = buildInheritanceTree(data);
+    if (riskRuleFires(rules['INH-003'], brokenLibs.matched)) findings.push({ severity: riskSeverityClass(rules['INH-003'].severity), title: `${brokenLibs.matched} libraries with unique permissions`, detail: 'Verify access on these document libraries is intentional.' });
 
     container.innerHTML = `
         <div class="dd-stats">
-            <div class="dd-stat"><span class="dd-stat-value">${data.length}</span><span class="dd-stat-label">Total Items</span></div>
+            <div class="dd-stat"><span class="dd-stat-value">${total}</span><span class="dd-stat-label">Total Items</span></div>
             <div class="dd-stat"><span class="dd-stat-value" style="color:#28A745">${inheriting}</span><span class="dd-stat-label">Inheriting</span></div>
             <div class="dd-stat"><span class="dd-stat-value" style="color:#DC3545">${broken}</span><span class="dd-stat-label">Broken</span></div>
             <div class="dd-stat"><span class="dd-stat-value">${libraries}</span><span class="dd-stat-label">Libraries</span></div>
@@ -585,14 +636,15 @@ function renderInheritanceDeepDive(container, data) {
                 <select id="dd-tree-filter"><option value="">All Items</option><option value="broken">Broken Inheritance Only</option><option value="inheriting">Inheriting Only</option></select>
                 <button class="btn btn-secondary" onclick="showExportModal('inheritance')">Export</button>
             </div>
-            <div id="dd-tree-container">${renderTreeView(treeData)}</div>
+            <div id="dd-tree-container" class="tree-view"><p class="text-center text-muted">Loading...</p></div>
         </div>
         <div id="dd-table" class="dd-tab-content">
             <div class="dd-filter-bar"><input type="text" placeholder="Search..." id="dd-search">
             <select id="dd-inh-filter"><option value="">All Items</option><option value="broken">Broken Inheritance</option><option value="inheriting">Inheriting</option></select>
             <button class="btn btn-secondary" onclick="showExportModal('inheritance')">Export</button></div>
-            <table><thead><tr><th>Title</th><th>Type</th><th>Unique Perms</th><th>Role Assignments</th><th>Site</th></tr></thead>
-            <tbody id="dd-inh-body">${renderInhRows(data)}</tbody></table>
+            <div class="vs-scroll"><table id="dd-inh-table"><thead><tr><th data-sort="Title">Title</th><th data-sort="Type">Type</th><th data-sort="HasUniquePermissions">Unique Perms</th><th data-sort="RoleAssignmentCount">Role Assignments</th><th data-sort="SiteTitle">Site</th></tr></thead>
+            <tbody id="dd-inh-body"></tbody></table></div>
+            <div class="dd-pager" id="dd-inh-pager"></div>
         </div>
         <div id="dd-chart" class="dd-tab-content"><div style="height:250px"><canvas id="dd-inh-chart"></canvas></div></div>
         <div id="dd-findings" class="dd-tab-content">${renderFindings(findings)}</div>`;
@@ -603,31 +655,26 @@ function renderInheritanceDeepDive(container, data) {
         { label: 'Broken', value: broken, color: COLORS.red }
     ]), 100);
 
-    const filterInh = () => {
-        const q = (document.getElementById('dd-search').value || '').toLowerCase();
-        const f = document.getElementById('dd-inh-filter').value;
-        const filtered = data.filter(i => {
-            const matchSearch = !q || (i.Title || '').toLowerCase().includes(q);
-            const isBroken = i.HasUniquePermissions === true || i.HasUniquePermissions === 'True';
-            const matchFilter = !f || (f === 'broken' && isBroken) || (f === 'inheriting' && !isBroken);
-            return matchSearch && matchFilter;
-        });
-        document.getElementById('dd-inh-body').innerHTML = renderInhRows(filtered);
-    };
-    document.getElementById('dd-search').addEventListener('input', filterInh);
-    document.getElementById('dd-inh-filter').addEventListener('change', filterInh);
+    const uniqueFilter = value => value === 'broken' ? 'True' : value === 'inheriting' ? 'False' : '';
 
-    // Tree view filter
-    const filterTree = () => {
-        const f = document.getElementById('dd-tree-filter').value;
-        const filtered = data.filter(i => {
-            const isBroken = i.HasUniquePermissions === true || i.HasUniquePermissions === 'True';
-            return !f || (f === 'broken' && isBroken) || (f === 'inheriting' && !isBroken);
-        });
-        const filteredTree = buildInheritanceTree(filtered);
-        document.getElementById('dd-tree-container').innerHTML = renderTreeView(filteredTree);
+    const table = createPagedTable({
+        type: 'inheritance', tableId: 'dd-inh-table', bodyId: 'dd-inh-body', pagerId: 'dd-inh-pager', colspan: 5,
+        searchFields: ['Title'], renderRows: renderInhRows,
+        getFilters: () => ({ HasUniquePermissions: uniqueFilter(document.getElementById('dd-inh-filter').value) })
+    });
+    document.getElementById('dd-search').addEventListener('input', (e) => table.search(e.target.value));
+    document.getElementById('dd-inh-filter').addEventListener('change', table.refresh);
+
+    // Tree view: the tree groups lists under their site, so it loads the
+    // matching site/list items in one request and virtualizes the rows
+    const inheritanceTree = createInheritanceTree('dd-tree-container');
+    const filterTree = async () => {
+        const f = uniqueFilter(document.getElementById('dd-tree-filter').value);
+        const res = await API.getData('inheritance', { pageSize: total || 1, filters: { HasUniquePermissions: f } });
+        if (document.getElementById('dd-tree-container')) inheritanceTree.setRoots(buildInheritanceTree(res.data || []));
     };
     document.getElementById('dd-tree-filter').addEventListener('change', filterTree);
+    await filterTree();
 }
 
 function renderInhRows(data) {
@@ -637,21 +684,26 @@ function renderInhRows(data) {
     }).join('');
 }
 
-function renderSharingDeepDive(container, data) {
-    const anonymous = data.filter(l => l.LinkType === 'Anonymous').length;
-    const org = data.filter(l => l.LinkType === 'Company-wide' || l.LinkType === 'Organization').length;
-    const specific = data.filter(l => l.LinkType === 'Specific People').length;
-    const totalRecipients = data.reduce((sum, l) => sum + (parseInt(l.MemberCount) || 0), 0);
+async function renderSharingDeepDive(container) {
+    const [stats, anonEdit, rules] = await Promise.all([
+        API.getData('sharinglinks', { pageSize: 0, facets: ['LinkType'], sums: ['MemberCount'] }),
+        API.getData('sharinglinks', { pageSize: 0, filters: { LinkType: 'Anonymous', AccessLevel: 'Edit' } }),
+        loadRiskRules()
+    ]);
+    const linkTypes = stats.facets.LinkType || {};
+    const anonymous = facetCount(linkTypes, 'Anonymous');
+    const org = facetCount(linkTypes, 'Company-wide') + facetCount(linkTypes, 'Organization');
+    const specific = facetCount(linkTypes, 'Specific People');
+    const totalRecipients = stats.sums.MemberCount || 0;
 
     const findings = [];
-    const anonEdit = data.filter(l => l.LinkType === 'Anonymous' && l.AccessLevel === 'Edit');
-    if (anonEdit.length > 0) findings.push({ severity: 'high', title: `${anonEdit.length} anonymous edit link(s)`, detail: 'CRITICAL: Anyone with these links can modify content. Remove immediately.' });
-    if (anonymous > 0) findings.push({ severity: 'high', title: `${anonymous} anonymous link(s)`, detail: 'Anonymous links allow access without authentication. Review all.' });
-    if (org > 5) findings.push({ severity: 'medium', title: `${org} company-wide links`, detail: 'Exposes content to all employees. Use specific-people links for sensitive content.' });
+    if (riskRuleFires(rules['SHARE-001'], anonEdit.matched)) findings.push({ severity: riskSeverityClass(rules['SHARE-001'].severity), title: `${anonEdit.matched} anonymous edit link(s)`, detail: 'Anyone with these links can modify content. Remove immediately.' });
+    if (riskRuleFires(rules['SHARE-002'], anonymous)) findings.push({ severity: riskSeverityClass(rules['SHARE-002'].severity), title: `${anonymous} anonymous link(s)`, detail: 'Anonymous links allow access without authentication. Review all.' });
+    if (riskRuleFires(rules['SHARE-003'], org)) findings.push({ severity: riskSeverityClass(rules['SHARE-003'].severity), title: `${org} company-wide links`, detail: 'Exposes content to all employees. Use specific-people links for sensitive content.' });
 
     container.innerHTML = `
         <div class="dd-stats">
-            <div class="dd-stat"><span class="dd-stat-value">${data.length}</span><span class="dd-stat-label">Total Links</span></div>
+            <div class="dd-stat"><span class="dd-stat-value">${stats.total}</span><span class="dd-stat-label">Total Links</span></div>
             <div class="dd-stat"><span class="dd-stat-value" style="color:#DC3545">${anonymous}</span><span class="dd-stat-label">Anonymous</span></div>
             <div class="dd-stat"><span class="dd-stat-value" style="color:#FFC107">${org}</span><span class="dd-stat-label">Company-wide</span></div>
             <div class="dd-stat"><span class="dd-stat-value" style="color:#28A745">${specific}</span><span class="dd-stat-label">Specific People</span></div>
@@ -666,8 +718,9 @@ function renderSharingDeepDive(container, data) {
             <div class="dd-filter-bar"><input type="text" placeholder="Search..." id="dd-search">
             <select id="dd-link-filter"><option value="">All Types</option><option>Anonymous</option><option>Company-wide</option><option>Specific People</option></select>
             <button class="btn btn-secondary" onclick="showExportModal('sharinglinks')">Export</button></div>
-            <table><thead><tr><th>Link Type</th><th>Access</th><th>Recipients</th><th>Site</th><th>Created</th></tr></thead>
-            <tbody id="dd-share-body">${renderShareRows(data)}</tbody></table>
+            <div class="vs-scroll"><table id="dd-share-table"><thead><tr><th data-sort="LinkType">Link Type</th><th data-sort="AccessLevel">Access</th><th data-sort="MemberCount">Recipients</th><th data-sort="SiteTitle">Site</th><th data-sort="CreatedDate">Created</th></tr></thead>
+            <tbody id="dd-share-body"></tbody></table></div>
+            <div class="dd-pager" id="dd-share-pager"></div>
         </div>
         <div id="dd-chart" class="dd-tab-content"><div style="height:250px"><canvas id="dd-share-chart"></canvas></div></div>
         <div id="dd-findings" class="dd-tab-content">${renderFindings(findings)}</div>`;
@@ -679,18 +732,13 @@ function renderSharingDeepDive(container, data) {
         { label: 'Specific People', value: specific, color: COLORS.green }
     ]), 100);
 
-    const filterShare = () => {
-        const q = (document.getElementById('dd-search').value || '').toLowerCase();
-        const f = document.getElementById('dd-link-filter').value;
-        const filtered = data.filter(l => {
-            const matchSearch = !q || (l.GroupName || '').toLowerCase().includes(q) || (l.SiteTitle || '').toLowerCase().includes(q);
-            const matchType = !f || l.LinkType === f;
-            return matchSearch && matchType;
-        });
-        document.getElementById('dd-share-body').innerHTML = renderShareRows(filtered);
-    };
-    document.getElementById('dd-search').addEventListener('input', filterShare);
-    document.getElementById('dd-link-filter').addEventListener('change', filterShare);
+    const table = createPagedTable({
+        type: 'sharinglinks', tableId: 'dd-share-table', bodyId: 'dd-share-body', pagerId: 'dd-share-pager', colspan: 5,
+        searchFields: ['GroupName', 'SiteTitle'], renderRows: renderShareRows,
+        getFilters: () => ({ LinkType: document.getElementById('dd-link-filter').value })
+    });
+    document.getElementById('dd-search').addEventListener('input', (e) => table.search(e.target.value));
+    document.getElementById('dd-link-filter').addEventListener('change', table.refresh);
 }
 
 function renderShareRows(data) {
@@ -700,6 +748,124 @@ function renderShareRows(data) {
     }).join('');
 }
 
+// --- Paged Tables ---
+// Deep dive tables request one page at a time from /api/data/:type, so a
+// tenant with tens of thousands of rows never renders them all at once.
+// Each page is drawn through UIHelpers.createVirtualTable, which keeps only
+// the visible rows in the DOM. Stats come from facet/sum queries (pageSize 0).
+
+const DD_PAGE_SIZES = [25, 50, 100, 250, 1000];
+
+// The most recently opened paged table; "Export current view" reads its query
+let activeDeepDiveView = null;
+
+// The paged table still on screen for this data type, else null
+function getActiveDeepDiveView(type) {
+    const view = activeDeepDiveView;
+    if (!view || view.type !== type || !document.getElementById(view.bodyId)) return null;
+    return view;
+}
+
+// Wire a table to server-side paging, sorting (<th data-sort="Field">), search and filters
+function createPagedTable({ type, tableId, bodyId, pagerId, colspan, renderRows, searchFields = [], getFilters = () => ({}), pageSize = 50 }) {
+    const state = { page: 1, pageSize, sort: '', order: 'asc', q: '', matched: 0, total: 0 };
+    let requestSeq = 0;
+
+    const rowsView = UIHelpers.createVirtualTable(tableId, {
+        colspan,
+        renderRow: item => renderRows([item]),
+        emptyHtml: `<tr><td colspan="${colspan}" class="text-center text-muted">No matching items</td></tr>`
+    });
+
+    const renderPager = (res) => {
+        const pager = document.getElementById(pagerId);
+        if (!pager) return;
+
+        const pages = Math.max(1, Math.ceil(res.matched / state.pageSize));
+        const first = res.matched === 0 ? 0 : (res.page - 1) * state.pageSize + 1;
+        const last = Math.min(res.page * state.pageSize, res.matched);
+        const filteredNote = res.matched !== res.total ? ` (filtered from ${res.total.toLocaleString()})` : '';
+
+        pager.innerHTML = `
+            <span class="dd-pager-info">${first.toLocaleString()}–${last.toLocaleString()} of ${res.matched.toLocaleString()}${filteredNote}</span>
+            <span class="dd-pager-controls">
+                <button class="btn btn-sm btn-secondary" data-page="prev" ${res.page <= 1 ? 'disabled' : ''}>‹ Prev</button>
+                <span>Page ${res.page} of ${pages}</span>
+                <button class="btn btn-sm btn-secondary" data-page="next" ${res.page >= pages ? 'disabled' : ''}>Next ›</button>
+                <select class="dd-page-size">${DD_PAGE_SIZES.map(n => `<option value="${n}" ${n === state.pageSize ? 'selected' : ''}>${n} / page</option>`).join('')}</select>
+            </span>`;
+
+        pager.querySelector('[data-page="prev"]').onclick = () => { state.page--; load(); };
+        pager.querySelector('[data-page="next"]').onclick = () => { state.page++; load(); };
+        pager.querySelector('.dd-page-size').onchange = (e) => { state.pageSize = parseInt(e.target.value); state.page = 1; load(); };
+    };
+
+    const load = async () => {
+        const seq = ++requestSeq;
+        try {
+            const res = await API.getData(type, {
+                page: state.page, pageSize: state.pageSize, sort: state.sort, order: state.order,
+                q: state.q, fields: searchFields, filters: getFilters()
+            });
+            const body = document.getElementById(bodyId);
+            // Ignore responses that were overtaken by a newer request or a closed modal
+            if (seq !== requestSeq || !body) return;
+
+            state.page = res.page;
+            state.matched = res.matched;
+            state.total = res.total;
+            rowsView.setItems(res.data || []);
+            renderPager(res);
+        } catch (e) {
+            const body = document.getElementById(bodyId);
+            if (seq === requestSeq && body) {
+                body.innerHTML = `<tr><td colspan="${colspan}" class="text-center" style="color:#DC3545">Error loading data: ${esc(e.message)}</td></tr>`;
+            }
+        }
+    };
+
+    const headers = document.querySelectorAll(`#${tableId} th[data-sort]`);
+    headers.forEach(th => {
+        th.classList.add('sortable');
+        th.addEventListener('click', () => {
+            state.order = state.sort === th.dataset.sort && state.order === 'asc' ? 'desc' : 'asc';
+            state.sort = th.dataset.sort;
+            state.page = 1;
+            headers.forEach(h => h.classList.remove('sort-asc', 'sort-desc'));
+            th.classList.add(state.order === 'asc' ? 'sort-asc' : 'sort-desc');
+            load();
+        });
+    });
+
+    load();
+
+    activeDeepDiveView = {
+        type,
+        bodyId,
+        title: document.getElementById('modal-title').textContent,
+        // The query behind the rows on screen, without paging; empty filters are dropped
+        query: () => ({
+            sort: state.sort, order: state.order, q: state.q, fields: searchFields,
+            filters: Object.fromEntries(Object.entries(getFilters()).filter(([, v]) => v !== '' && v !== null && v !== undefined))
+        }),
+        counts: () => ({ matched: state.matched, total: state.total })
+    };
+
+    return {
+        search: UIHelpers.debounce(q => { state.q = q; state.page = 1; load(); }, 300),
+        refresh: () => { state.page = 1; load(); },
+        reload: load
+    };
+}
+
+// Count for a facet value; case-insensitive because the server stringifies booleans as True/False
+function facetCount(counts, value) {
+    const wanted = String(value).toLowerCase();
+    return Object.entries(counts || {})
+        .filter(([key]) => key.toLowerCase() === wanted)
+        .reduce((sum, [, n]) => sum + n, 0);
+}
+
 // --- Deep Dive Helpers ---
 function initDDTabs() {
     document.querySelectorAll('.dd-tab-btn').forEach(btn => {
@@ -0,0 +1,234 @@
+// ============================================
+// executive-summary.js - Printable executive summary
+// ============================================
+// A two-page A4 summary for management, without the detail tables: score,
+// summary lines, headline metrics, top findings and charts on page one; the
+// most exposed sites and the external domain breakdown on page two. Built
+// from the same data as the HTML report (collectGovernanceReport) and opened
+// in its own window with a print stylesheet, so Print / Save as PDF gives a
+// clean document. Reached from "Generate Report" on the Operations tab.
+
+const EXEC_SUMMARY_TOP_FINDINGS = 5;
+const EXEC_SUMMARY_TOP_SITES = 8;
+const EXEC_SUMMARY_TOP_DOMAINS = 10;
+
+// Longer remediation text is cut to keep the summary on two pages
+const EXEC_SUMMARY_REMEDIATION_LENGTH = 220;
+
+async function openExecutiveSummary() {
+    // Open the window before awaiting anything so it is not blocked as a pop-up
+    const win = window.open('', '_blank');
+    if (!win) {
+        toast('Allow pop-ups for this page to open the executive summary', 'error');
+        return;
+    }
+    win.document.write('<p style="font-family: sans-serif; padding: 24px;">Building executive summary...</p>');
+
+    try {
+        const report = await collectGovernanceReport();
+        win.document.open();
+        win.document.write(buildExecutiveSummaryPage(report));
+        win.document.close();
+    } catch (e) {
+        win.close();
+        throw e;
+    }
+}
+
+// --- Data ---
+
+// Sites ordered by exposure: anonymous links, then external users, sharing
+// links and broken inheritance. Sites with none of these are left out.
+function rankExposedSites(data) {
+    const titles = new Map(data.sites.map(s => [s.Url, s.Title]));
+    const sites = new Map();
+    const siteOf = row => {
+        const key = row.SiteUrl || row.SiteTitle || 'Unknown site';
+        if (!sites.has(key)) {
+            sites.set(key, {
+                title: titles.get(key) || row.SiteTitle || key,
+                url: row.SiteUrl || '',
+                externalUsers: 0, anonymousLinks: 0, sharingLinks: 0, inheritanceBreaks: 0, fullControl: 0
+            });
+        }
+        return sites.get(key);
+    };
+
+    data.users.filter(isExternalReportUser).forEach(u => { siteOf(u).externalUsers++; });
+    data.sharinglinks.forEach(l => {
+        const site = siteOf(l);
+        site.sharingLinks++;
+        if (String(l.LinkType).startsWith('Anonymous')) site.anonymousLinks++;
+    });
+    data.inheritance.filter(i => i.HasUniquePermissions === true).forEach(i => { siteOf(i).inheritanceBreaks++; });
+    data.roleassignments.filter(r => r.Role === 'Full Control').forEach(r => { siteOf(r).fullControl++; });
+
+    return [...sites.values()]
+        .filter(s => s.externalUsers + s.sharingLinks + s.inheritanceBreaks > 0)
+        .sort((a, b) => b.anonymousLinks - a.anonymousLinks || b.externalUsers - a.externalUsers ||
+            b.sharingLinks - a.sharingLinks || b.inheritanceBreaks - a.inheritanceBreaks);
+}
+
+// [{ domain, users, elevated }] by user count; elevated = Edit or higher
+function externalDomainBreakdown(users) {
+    const elevated = ['Full Control', 'Edit', 'Contribute'];
+    const domains = new Map();
+    users.filter(isExternalReportUser).forEach(u => {
+        const domain = (String(u.Email || '').split('@')[1] || 'Unknown').toLowerCase();
+        const entry = domains.get(domain) || { domain, users: 0, elevated: 0 };
+        entry.users++;
+        if (elevated.includes(u.Permission)) entry.elevated++;
+        domains.set(domain, entry);
+    });
+    return [...domains.values()].sort((a, b) => b.users - a.users || a.domain.localeCompare(b.domain));
+}
+
+// --- HTML ---
+
+function buildExecutiveSummaryPage(report) {
+    const { metrics, risk, enrichment, data } = report;
+    const light = REPORT_CHART_THEMES.light;
+    const cell = v => esc(v === null || v === undefined ? '' : String(v));
+    const level = String(risk.riskLevel || 'None');
+    const generated = report.generatedAt.toLocaleString();
+
+    const summary = buildExecutiveSummary(report).map(line => `<li>${esc(line)}</li>`).join('');
+
+    const cards = [
+        ['Sites', metrics.totalSites], ['Users', metrics.totalUsers], ['External users', metrics.externalUsers],
+        ['Groups', metrics.totalGroups], ['Inheritance breaks', metrics.inheritanceBreaks], ['Sharing links', metrics.totalSharingLinks]
+    ].map(([label, value]) => `<div class="card"><span class="value">${cell(value ?? 0)}</span><span class="label">${label}</span></div>`).join('');
+
+    const active = (risk.findings || []).filter(f => !f.Suppressed);
+    const shorten = text => {
+        const s = String(text || '');
+        return s.length > EXEC_SUMMARY_REMEDIATION_LENGTH ? s.slice(0, EXEC_SUMMARY_REMEDIATION_LENGTH - 3).trimEnd() + '...' : s;
+    };
+    const findings = active.length === 0
+        ? '<p class="muted">No open security findings.</p>'
+        : `<table><thead><tr><th>Severity</th><th>Finding</th><th>Affected</th><th>Recommended action</th></tr></thead><tbody>${
+            active.slice(0, EXEC_SUMMARY_TOP_FINDINGS).map(f => `<tr>
+                <td><span class="sev" style="background:${HTML_REPORT_SEVERITY_COLORS[f.Severity] || '#6C757D'}">${cell(f.Severity)}</span></td>
+                <td><strong>${cell(f.Title)}</strong></td>
+                <td class="num">${cell(f.AffectedCount ?? f.Count)}</td>
+                <td>${cell(shorten(f.Remediation))}</td>
+            </tr>`).join('')}</tbody></table>${active.length > EXEC_SUMMARY_TOP_FINDINGS
+            ? `<p class="muted">${active.length - EXEC_SUMMARY_TOP_FINDINGS} more finding(s) in the full report.</p>` : ''}`;
+
+    const charts = [`<figure><img src="${renderChartImage(reportSeverityChart(risk, light), 480, 260, light.background)}" alt="Findings by severity"><figcaption>Findings by severity</figcaption></figure>`];
+    const linkTypes = reportCountBy(data.sharinglinks, 'LinkType');
+    if (Object.keys(linkTypes).length > 0) {
+        const palette = [COLORS.red, COLORS.orange, COLORS.amber, COLORS.blue, COLORS.purple, COLORS.teal, COLORS.grey];
+        const src = renderChartImage(reportDoughnutChart(Object.keys(linkTypes), Object.values(linkTypes),
+            Object.keys(linkTypes).map((t, i) => palette[i % palette.length]), light), 480, 260, light.background);
+        charts.push(`<figure><img src="${src}" alt="Sharing links by type"><figcaption>Sharing links by type</figcaption></figure>`);
+    }
+
+    const exposed = rankExposedSites(data);
+    const sites = exposed.length === 0
+        ? '<p class="muted">No sites with external users, sharing links or broken inheritance.</p>'
+        : `<table><thead><tr><th>Site</th><th class="num">Anonymous links</th><th class="num">External users</th><th class="num">Sharing links</th><th class="num">Inheritance breaks</th><th class="num">Full Control</th></tr></thead><tbody>${
+            exposed.slice(0, EXEC_SUMMARY_TOP_SITES).map(s => `<tr>
+                <td><strong>${cell(s.title)}</strong>${s.url && s.url !== s.title ? `<div class="muted">${cell(s.url)}</div>` : ''}</td>
+                <td class="num${s.anonymousLinks > 0 ? ' alert' : ''}">${cell(s.anonymousLinks)}</td>
+                <td class="num">${cell(s.externalUsers)}</td>
+                <td class="num">${cell(s.sharingLinks)}</td>
+                <td class="num">${cell(s.inheritanceBreaks)}</td>
+                <td class="num">${cell(s.fullControl)}</td>
+            </tr>`).join('')}</tbody></table>`;
+
+    const domains = externalDomainBreakdown(data.users);
+    const topDomains = domains.slice(0, EXEC_SUMMARY_TOP_DOMAINS);
+    const domainSection = domains.length === 0
+        ? '<p class="muted">No external users.</p>'
+        : `<div class="split">
+            <figure><img src="${renderChartImage(reportBarChart(topDomains.map(d => d.domain), topDomains.map(d => d.users), COLORS.blue, light), 480, 280, light.background)}" alt="External users by domain"><figcaption>External users by domain</figcaption></figure>
+            <table><thead><tr><th>Domain</th><th class="num">Users</th><th class="num">Edit or higher</th></tr></thead><tbody>${
+                topDomains.map(d => `<tr><td>${cell(d.domain)}</td><td class="num">${cell(d.users)}</td><td class="num">${cell(d.elevated)}</td></tr>`).join('')
+            }</tbody></table>
+        </div>${domains.length > topDomains.length ? `<p class="muted">${domains.length - topDomains.length} more domain(s) not shown.</p>` : ''}`;
+
+    const accounts = enrichment && enrichment.enrichedCount > 0
+        ? `<div class="cards">${[
+            ['Checked in Entra ID', enrichment.enrichedCount], ['Guest accounts', enrichment.guestUsers],
+            ['Disabled accounts', enrichment.disabledAccounts], ['Stale (90+ days)', enrichment.staleAccounts]
+        ].map(([label, value]) => `<div class="card"><span class="value">${cell(value ?? 0)}</span><span class="label">${label}</span></div>`).join('')}</div>`
+        : '<p class="muted">External accounts have not been checked against Microsoft Graph (run Enrich External Users for sign-in and account status).</p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Executive Summary - ${esc(report.scope)}</title>
+<style>${EXEC_SUMMARY_STYLES}</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+
+<div class="page">
+    <header>
+        <h1>SharePoint Permissions — Executive Summary</h1>
+        <p class="muted">${esc(report.scope)} · ${esc(generated)}</p>
+    </header>
+    <div class="hero">
+        <div class="score score-${escAttr(level.toLowerCase())}"><span class="value">${cell(risk.overallScore ?? 0)}</span><span class="label">${esc(level)} risk</span></div>
+        <ul>${summary}</ul>
+    </div>
+    <div class="cards">${cards}</div>
+    <h2>Top findings</h2>
+    ${findings}
+    <div class="charts">${charts.join('')}</div>
+</div>
+
+<div class="page">
+    <h2>Most exposed sites</h2>
+    ${sites}
+    <h2>External access by domain</h2>
+    ${domainSection}
+    <h2>External account health</h2>
+    ${accounts}
+    <footer class="muted">Generated by PermiX on ${esc(generated)}. Score 0–100, higher is riskier. See the full report for every finding and object.</footer>
+</div>
+</body>
+</html>`;
+}
+
+const EXEC_SUMMARY_STYLES = `
+@page { size: A4; margin: 12mm; }
+* { box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+body { font-family: 'Segoe UI', -apple-system, system-ui, sans-serif; color: #1E293B; background: #E2E8F0; margin: 0; font-size: 12px; line-height: 1.45; }
+.toolbar { text-align: center; padding: 12px; }
+.toolbar button { font: inherit; font-size: 14px; padding: 8px 20px; border: none; border-radius: 6px; background: #4F46E5; color: #FFFFFF; cursor: pointer; }
+.page { width: 210mm; min-height: 297mm; margin: 0 auto 16px; padding: 14mm; background: #FFFFFF; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15); }
+h1 { font-size: 22px; margin: 0 0 2px; }
+h2 { font-size: 15px; margin: 18px 0 8px; padding-bottom: 4px; border-bottom: 2px solid #E2E8F0; }
+.muted { color: #64748B; font-size: 11px; margin: 4px 0; }
+.hero { display: flex; gap: 18px; align-items: flex-start; margin: 14px 0; }
+.hero ul { margin: 0; padding-left: 18px; }
+.score { flex: 0 0 110px; text-align: center; border-radius: 10px; padding: 14px 6px; color: #FFFFFF; background: #6C757D; }
+.score .value { display: block; font-size: 38px; font-weight: 700; line-height: 1.1; }
+.score .label { font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; }
+.score-critical { background: #DC3545; } .score-high { background: #E65100; } .score-medium { background: #D97706; } .score-low, .score-none { background: #28A745; }
+.cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(100px, 1fr)); gap: 8px; }
+.card { border: 1px solid #E2E8F0; border-radius: 8px; padding: 8px; text-align: center; }
+.card .value { display: block; font-size: 20px; font-weight: 700; }
+.card .label { color: #64748B; font-size: 10px; }
+table { width: 100%; border-collapse: collapse; }
+th, td { text-align: left; padding: 5px 6px; border-bottom: 1px solid #E2E8F0; vertical-align: top; }
+th { background: #F1F5F9; font-weight: 600; font-size: 11px; }
+.num { text-align: right; white-space: nowrap; }
+.alert { color: #DC3545; font-weight: 700; }
+.sev { display: inline-block; color: #FFFFFF; border-radius: 4px; padding: 1px 6px; font-size: 10px; font-weight: 600; }
+.charts, .split { display: grid; grid-template-columns: 1fr 1fr; gap: 14px; margin-top: 14px; align-items: start; }
+figure { margin: 0; }
+figure img { width: 100%; }
+figcaption { color: #64748B; font-size: 11px; text-align: center; }
+footer { margin-top: 18px; }
+tr, figure, .hero, .cards { break-inside: avoid; }
+@media print {
+    body { background: #FFFFFF; }
+    .toolbar { display: none; }
+    .page { width: auto; min-height: 0; margin: 0; padding: 0; box-shadow: none; break-after: page; }
+    .page:last-child { break-after: auto; }
+}
+`;
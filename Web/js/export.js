@@ -13,6 +13,20 @@ window.showExportModal = function(type, isFullReport = false) {
     pendingExportType = type;
     pendingExportIsFullReport = isFullReport;
 
+    // Report-only formats (HTML) are offered for the full report only
+    modal.querySelectorAll('.export-format-btn[data-full-report-only]')
+        .forEach(btn => btn.classList.toggle('hidden', !isFullReport));
+
+    // From an open deep dive, offer the table's filtered and sorted rows;
+    // ticked by default once the user has narrowed the table down
+    const view = isFullReport ? null : getActiveDeepDiveView(type);
+    document.getElementById('export-view-option').classList.toggle('hidden', !view);
+    if (view) {
+        const { q, filters } = view.query();
+        document.getElementById('export-view-only').checked = !!q || Object.keys(filters).length > 0;
+        setText('export-view-summary', describeDeepDiveView(view));
+    }
+
     modal.classList.remove('hidden');
 
     // Close handlers
@@ -50,6 +64,13 @@ function initExportModal() {
 
 // Export data in selected format
 function handleDataExport(type, format) {
+    const view = getActiveDeepDiveView(type);
+    if (view && document.getElementById('export-view-only').checked) {
+        exportDeepDiveView(view, format)
+            .catch(e => toast('Export failed: ' + e.message, 'error'));
+        return;
+    }
+
     if (type === 'permissions-matrix') {
         if (format === 'csv') {
             exportMatrixToCSV(currentMatrixData);
@@ -67,6 +88,67 @@ function handleDataExport(type, format) {
     }
 }
 
+// --- Current View Export ---
+// Exports every page of a deep dive table as it is filtered and sorted on
+// screen. The search, filters and sort are written above the CSV header
+// and into the "view" block of the JSON file.
+
+// One line for the export modal, e.g. "42 of 1,200 rows · search "bob" · Type: External"
+function describeDeepDiveView(view) {
+    const { sort, order, q, filters } = view.query();
+    const { matched, total } = view.counts();
+    const parts = [`${matched.toLocaleString()} of ${total.toLocaleString()} rows`];
+    if (q) parts.push(`search "${q}"`);
+    Object.entries(filters).forEach(([field, value]) => parts.push(`${field}: ${filterText(value)}`));
+    if (sort) parts.push(`sorted by ${sort} ${order === 'desc' ? '↓' : '↑'}`);
+    return parts.join(' · ');
+}
+
+async function exportDeepDiveView(view, format) {
+    const query = view.query();
+    // Count first so a single request returns every matching row
+    const { matched } = await API.getData(view.type, { ...query, pageSize: 0 });
+    const res = await API.getData(view.type, { ...query, page: 1, pageSize: matched || 1 });
+    const rows = res.data || [];
+    const exportedAt = new Date().toISOString();
+    const baseName = `${view.type}_view_${Date.now()}`;
+
+    if (format === 'json') {
+        const file = {
+            exportedAt,
+            view: {
+                deepDive: view.title,
+                dataType: view.type,
+                search: query.q,
+                searchFields: query.fields,
+                filters: query.filters,
+                sort: query.sort,
+                order: query.order
+            },
+            matched: res.matched,
+            total: res.total,
+            data: rows
+        };
+        downloadBlob(JSON.stringify(file, null, 2), `${baseName}.json`, 'application/json');
+    } else {
+        const preamble = [['Deep dive', view.title]];
+        if (query.q) preamble.push(['Search', query.q]);
+        Object.entries(query.filters).forEach(([field, value]) => preamble.push([`Filter: ${field}`, filterText(value)]));
+        if (query.sort) preamble.push(['Sorted by', `${query.sort} (${query.order === 'desc' ? 'descending' : 'ascending'})`]);
+        preamble.push(['Rows', `${res.matched} of ${res.total}`], ['Exported', exportedAt]);
+
+        const headers = Array.from(new Set(rows.flatMap(r => Object.keys(r))));
+        const cell = v => Array.isArray(v) ? v.map(m => m.Name).join('; ') : v;
+        downloadCsv(`${baseName}.csv`, headers, rows.map(r => headers.map(h => cell(r[h]))), { preamble });
+    }
+    toast(`Exported ${rows.length.toLocaleString()} ${view.type} rows from the current view`, 'success');
+}
+
+// Filter values may list alternatives (A|B or an array)
+function filterText(value) {
+    return (Array.isArray(value) ? value : String(value).split('|')).join(' or ');
+}
+
 // Export full report in selected format
 async function handleReportExport(format) {
     if (!appState.dataLoaded) {
@@ -77,19 +159,19 @@ async function handleReportExport(format) {
     try {
         if (format === 'json') {
             const report = await API.exportJson();
-            const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `spo_governance_${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}.json`;
-            a.click();
-            URL.revokeObjectURL(url);
+            downloadBlob(JSON.stringify(report, null, 2), `spo_governance_${new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19)}.json`, 'application/json');
             toast('Governance JSON report downloaded', 'success');
         } else if (format === 'csv') {
             // Export all data types as separate CSV files
             const types = ['sites', 'users', 'groups', 'roleassignments', 'inheritance', 'sharinglinks'];
             types.forEach(type => API.exportData(type));
             toast('Exporting all data as CSV files', 'success');
+        } else if (format === 'xlsx') {
+            await exportWorkbook();
+        } else if (format === 'html') {
+            await exportHtmlReport();
+        } else if (format === 'summary') {
+            await openExecutiveSummary();
         }
     } catch (e) {
         toast('Export failed: ' + e.message, 'error');
@@ -0,0 +1,130 @@
+// ============================================
+// group-members.js - Member trees of SharePoint groups
+// ============================================
+// Group rows carry a member tree (GroupMembership.ps1): users, tenant-wide
+// claims and Entra ID / M365 groups, whose entries hold their own Members.
+// The groups deep dive shows it as an expandable tree, and principal access
+// flattens it so users in nested groups get their group's access.
+
+const MEMBER_KINDS = {
+    User:                   { icon: '👤', label: 'User' },
+    SecurityGroup:          { icon: '🛡️', label: 'Security Group' },
+    M365Group:              { icon: '👥', label: 'Microsoft 365 Group' },
+    SharePointGroup:        { icon: '📋', label: 'SharePoint Group' },
+    EveryoneExceptExternal: { icon: '🌐', label: 'Everyone except external users' },
+    Everyone:               { icon: '🌐', label: 'Everyone' }
+};
+
+// Rows collected before nested groups were expanded have no MemberKind
+function memberKind(member) {
+    if (MEMBER_KINDS[member.MemberKind]) return member.MemberKind;
+    return member.PrincipalType === 'SecurityGroup' ? 'SecurityGroup' : 'User';
+}
+
+function memberKindLabel(member) {
+    return MEMBER_KINDS[memberKind(member)].label;
+}
+
+function isTenantWideMember(member) {
+    const kind = memberKind(member);
+    return kind === 'Everyone' || kind === 'EveryoneExceptExternal';
+}
+
+function isTrue(value) {
+    return value === true || value === 'True';
+}
+
+// Users of a member tree, nested groups included, each listed once
+function flattenGroupMembers(members) {
+    const users = new Map();
+    const walk = list => (list || []).forEach(m => {
+        if (memberKind(m) === 'User') {
+            const key = (m.Email || m.LoginName || m.Name || '').toLowerCase();
+            if (!users.has(key)) users.set(key, m);
+        } else {
+            walk(m.Members);
+        }
+    });
+    walk(members);
+    return Array.from(users.values());
+}
+
+// Flag badges of a group row (counts from Set-GroupMembershipSummary)
+function renderGroupFlags(group) {
+    const flags = [];
+    if (group.ExternalMemberCount > 0) flags.push(`<span class="tree-node-badge badge-broken">External (${group.ExternalMemberCount})</span>`);
+    if (isTrue(group.IsEmpty)) flags.push('<span class="tree-node-badge badge-broken">Empty</span>');
+    if (isTrue(group.IncludesEveryone)) flags.push('<span class="tree-node-badge badge-caution">Everyone</span>');
+    if (group.NestedGroupCount > 0) flags.push(`<span class="tree-node-badge badge-neutral">Nested (${group.NestedGroupCount})</span>`);
+    return flags.join(' ');
+}
+
+// Flag filter of the member tree: '', 'external', 'empty', 'everyone' or 'nested'
+function groupHasFlag(group, flag) {
+    switch (flag) {
+        case 'external': return group.ExternalMemberCount > 0;
+        case 'empty': return isTrue(group.IsEmpty);
+        case 'everyone': return isTrue(group.IncludesEveryone);
+        case 'nested': return group.NestedGroupCount > 0;
+        default: return true;
+    }
+}
+
+// --- Member Tree ---
+
+// Virtual tree over groups (depth 0) and their member entries; groups start collapsed
+function createGroupMemberTree(containerId) {
+    return UIHelpers.createVirtualTree(containerId, {
+        rowHeight: 44,
+        startCollapsed: true,
+        getChildren: node => node.Members,
+        renderNode: (node, depth, state) => depth === 0 ? renderMemberTreeGroup(node, state) : renderMemberTreeEntry(node, depth, state)
+    });
+}
+
+function renderMemberTreeExpander(state) {
+    return `<span class="tree-expand-icon ${state.hasChildren ? '' : 'tree-no-children'}">${state.hasChildren ? (state.expanded ? '▼' : '▶') : ''}</span>`;
+}
+
+function renderMemberTreeGroup(group, state) {
+    const flat = group.FlatMemberCount ?? flattenGroupMembers(group.Members).length;
+    return `
+        <div class="tree-node tree-node-site">
+            <div class="tree-node-header" data-vs-toggle="${state.index}">
+                ${renderMemberTreeExpander(state)}
+                <span class="tree-node-icon">📋</span>
+                <span class="tree-node-title">${esc(group.Name)}</span>
+                ${renderGroupFlags(group)}
+                <span class="tree-node-count">${group.MemberCount || 0} direct · ${flat} users</span>
+            </div>
+        </div>`;
+}
+
+function renderMemberTreeEntry(member, depth, state) {
+    const kind = memberKind(member);
+    const badges = [];
+    let title = esc(member.Name);
+
+    if (kind === 'User') {
+        title = `<a href="#" data-principal="${esc(member.Name)}" onclick="event.preventDefault(); openPrincipalAccess(this.dataset.principal)">${title}</a>`;
+        if (isTrue(member.IsExternal)) badges.push('<span class="tree-node-badge badge-broken">External</span>');
+    } else if (isTenantWideMember(member)) {
+        badges.push('<span class="tree-node-badge badge-caution">Tenant-wide</span>');
+    } else if (member.Members) {
+        if (isTrue(member.Cycle)) badges.push('<span class="tree-node-badge badge-broken">Circular nesting</span>');
+        else if (isTrue(member.Truncated)) badges.push('<span class="tree-node-badge badge-caution">Nesting too deep</span>');
+        else if (!isTrue(member.Expanded)) badges.push('<span class="tree-node-badge badge-caution">Members not loaded</span>');
+        else badges.push(`<span class="tree-node-count">${member.Members.length} members</span>`);
+    }
+
+    return `
+        <div class="tree-node member-node" style="margin-left:${depth * 24}px">
+            <div class="tree-node-header" ${state.hasChildren ? `data-vs-toggle="${state.index}"` : ''}>
+                ${renderMemberTreeExpander(state)}
+                <span class="tree-node-icon" title="${esc(MEMBER_KINDS[kind].label)}">${MEMBER_KINDS[kind].icon}</span>
+                <span class="tree-node-title">${title}</span>
+                <span class="tree-node-type">${esc(kind === 'User' ? (member.Email || 'User') : MEMBER_KINDS[kind].label)}</span>
+                ${badges.join(' ')}
+            </div>
+        </div>`;
+}
@@ -0,0 +1,379 @@
+// ============================================
+// html-report.js - Standalone HTML governance report
+// ============================================
+// Builds one self-contained .html file (inline CSS, charts embedded as PNG
+// data URLs, no scripts) from the same calls the Analytics tab uses, so the
+// report can be e-mailed to stakeholders who do not run PermiX. Works for
+// live, demo and loaded report-file data.
+
+// Rows per table; the CSV/JSON exports carry the full data
+const HTML_REPORT_ROW_LIMIT = 200;
+
+const HTML_REPORT_SEVERITY_COLORS = { Critical: '#DC3545', High: '#E65100', Medium: '#F59E0B', Low: '#28A745' };
+
+// Entry point for the "HTML report" export format
+async function exportHtmlReport() {
+    toast('Building HTML report...', 'info');
+    const report = await collectGovernanceReport();
+    const html = buildHtmlReport(report);
+
+    const stamp = report.generatedAt.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    downloadBlob(html, `spo_governance_${stamp}.html`, 'text/html');
+    toast('HTML report downloaded', 'success');
+}
+
+// --- Data ---
+
+// Everything the report shows: metrics, risk, enrichment, the collections
+// and (live data only) the score history for the trend chart
+async function collectGovernanceReport() {
+    const types = ['sites', 'users', 'groups', 'roleassignments', 'inheritance', 'sharinglinks'];
+    const [metrics, risk, enrichment, history, ...collections] = await Promise.all([
+        API.getMetrics(),
+        API.getRisk(),
+        API.getEnrichment().catch(() => null),
+        API.isOffline() ? null : API.getRunHistory().catch(() => null),
+        ...types.map(t => API.getData(t))
+    ]);
+
+    const data = {};
+    types.forEach((t, i) => { data[t] = collections[i].data || []; });
+
+    // Trend for the tenant of the most recent run
+    let runs = (history && history.runs) || [];
+    if (runs.length > 0) {
+        const tenant = runs[runs.length - 1].tenant;
+        runs = runs.filter(r => r.tenant === tenant);
+    }
+
+    return { generatedAt: new Date(), scope: reportScopeLabel(), metrics, risk, enrichment, runs, data };
+}
+
+function reportScopeLabel() {
+    if (API.isOffline() && appState.offlineReport) {
+        return appState.offlineReport.tenantUrl || appState.offlineReport.fileName;
+    }
+    if (appState.demoMode) return 'Demo data';
+    return appState.connectedSiteUrl || 'SharePoint Online';
+}
+
+// Plain-language bullet points for the executive summary
+function buildExecutiveSummary(report) {
+    const { metrics, risk, enrichment, data } = report;
+    const lines = [];
+
+    const severities = [['critical', risk.criticalCount], ['high', risk.highCount], ['medium', risk.mediumCount], ['low', risk.lowCount]]
+        .filter(([, n]) => n > 0).map(([s, n]) => `${n} ${s}`);
+    lines.push(`Overall risk score is ${risk.overallScore}/100 (${risk.riskLevel}) with ${risk.totalFindings} finding(s)` +
+        (severities.length > 0 ? `: ${severities.join(', ')}.` : '.'));
+
+    const top = (risk.findings || []).find(f => !f.Suppressed);
+    if (top) lines.push(`Most severe finding: ${top.Title} (${top.Severity}).`);
+    if (risk.suppressedCount > 0) lines.push(`${risk.suppressedCount} finding(s) are accepted or marked as false positive and are not scored.`);
+
+    const external = data.users.filter(isExternalReportUser);
+    const domains = new Set(external.map(u => String(u.Email || '').split('@')[1]).filter(Boolean).map(d => d.toLowerCase()));
+    let externalLine = `${metrics.externalUsers} of ${metrics.totalUsers} users are external` +
+        (domains.size > 0 ? `, from ${domains.size} domain(s)` : '');
+    if (enrichment && enrichment.enrichedCount > 0) {
+        externalLine += `; ${enrichment.disabledAccounts} disabled and ${enrichment.staleAccounts} stale account(s) per Microsoft Graph`;
+    }
+    lines.push(externalLine + '.');
+
+    const anonymous = data.sharinglinks.filter(l => String(l.LinkType).startsWith('Anonymous')).length;
+    lines.push(`${metrics.totalSharingLinks} sharing link(s)` + (anonymous > 0 ? `, ${anonymous} of them anonymous (anyone with the link).` : ', none of them anonymous.'));
+    lines.push(`${metrics.inheritanceBreaks} location(s) break permission inheritance across ${metrics.totalSites} site(s).`);
+
+    if (metrics.partial) {
+        lines.push(`The data is partial: ${metrics.partial.operation || 'the last operation'} was ${(metrics.partial.reason || 'cancelled').toLowerCase()}.`);
+    }
+    return lines;
+}
+
+function isExternalReportUser(u) {
+    return u.Type === 'External' || u.IsExternal === true;
+}
+
+// --- Charts ---
+// Chart.js configs for renderChartImage. The HTML report keeps the app's
+// dark chart panels; the printable summary uses the light theme.
+
+const REPORT_CHART_THEMES = {
+    dark: { background: '#1A1A2E', grid: '#2E2E4A', text: '#94A3B8' },
+    light: { background: '#FFFFFF', grid: '#E2E8F0', text: '#334155' }
+};
+
+function reportBarChart(labels, values, colors, theme = REPORT_CHART_THEMES.dark) {
+    return {
+        type: 'bar',
+        data: { labels, datasets: [{ data: values, backgroundColor: colors, borderRadius: 6 }] },
+        options: {
+            plugins: { legend: { display: false } },
+            scales: {
+                y: { beginAtZero: true, grid: { color: theme.grid }, ticks: { precision: 0, color: theme.text } },
+                x: { grid: { display: false }, ticks: { color: theme.text } }
+            }
+        }
+    };
+}
+
+function reportDoughnutChart(labels, values, colors, theme = REPORT_CHART_THEMES.dark) {
+    return {
+        type: 'doughnut',
+        data: { labels, datasets: [{ data: values, backgroundColor: colors, borderColor: theme.background, borderWidth: 3 }] },
+        options: { cutout: '60%', plugins: { legend: { position: 'right', labels: { color: theme.text } } } }
+    };
+}
+
+function reportSeverityChart(risk, theme = REPORT_CHART_THEMES.dark) {
+    const severities = Object.keys(HTML_REPORT_SEVERITY_COLORS);
+    return reportBarChart(severities, [risk.criticalCount, risk.highCount, risk.mediumCount, risk.lowCount],
+        severities.map(s => HTML_REPORT_SEVERITY_COLORS[s]), theme);
+}
+
+// { value: count } of a field over rows
+function reportCountBy(rows, field) {
+    return rows.reduce((acc, r) => {
+        const key = r[field] || 'Unknown';
+        acc[key] = (acc[key] || 0) + 1;
+        return acc;
+    }, {});
+}
+
+// [{ title, src }] for the HTML report
+function buildHtmlReportCharts(report) {
+    const { risk, data, runs } = report;
+    const charts = [];
+
+    charts.push({ title: 'Findings by severity', src: renderChartImage(reportSeverityChart(risk)) });
+
+    const permissions = reportCountBy([...data.users, ...data.groups].map(p => ({ Level: p.Permission || p.Role })), 'Level');
+    if (Object.keys(permissions).length > 0) {
+        charts.push({
+            title: 'Permission level distribution',
+            src: renderChartImage(reportDoughnutChart(Object.keys(permissions), Object.values(permissions),
+                Object.keys(permissions).map(l => PERMISSION_COLORS[l] || COLORS.custom)))
+        });
+    }
+
+    const linkTypes = reportCountBy(data.sharinglinks, 'LinkType');
+    if (Object.keys(linkTypes).length > 0) {
+        const palette = [COLORS.red, COLORS.orange, COLORS.amber, COLORS.blue, COLORS.purple, COLORS.teal, COLORS.grey];
+        charts.push({
+            title: 'Sharing links by type',
+            src: renderChartImage(reportDoughnutChart(Object.keys(linkTypes), Object.values(linkTypes),
+                Object.keys(linkTypes).map((t, i) => palette[i % palette.length])))
+        });
+    }
+
+    const topSites = [...data.sites]
+        .map(s => ({ title: s.Title || 'Unknown', storage: parseInt(s.Storage) || 0 }))
+        .sort((a, b) => b.storage - a.storage)
+        .slice(0, 10);
+    if (topSites.length > 0) {
+        charts.push({
+            title: 'Sites by storage usage (MB)',
+            src: renderChartImage(reportBarChart(topSites.map(s => s.title.length > 20 ? s.title.substring(0, 20) + '...' : s.title),
+                topSites.map(s => s.storage), COLORS.blue))
+        });
+    }
+
+    if (runs.length > 1) {
+        const trend = {
+            type: 'line',
+            data: {
+                labels: runs.map(r => new Date(r.timestamp).toLocaleDateString()),
+                datasets: [{ data: runs.map(r => r.overallScore), borderColor: COLORS.purple, backgroundColor: COLORS.purple, borderWidth: 3, tension: 0.3 }]
+            },
+            options: {
+                plugins: { legend: { display: false } },
+                scales: {
+                    y: { min: 0, max: 100, grid: { color: '#2E2E4A' } },
+                    x: { grid: { display: false } }
+                }
+            }
+        };
+        charts.push({ title: `Risk score trend (${runs.length} runs)`, src: renderChartImage(trend) });
+    }
+
+    return charts;
+}
+
+// --- HTML ---
+
+function buildHtmlReport(report) {
+    const { metrics, risk, data } = report;
+    const cell = v => esc(v === null || v === undefined ? '' : String(v));
+    const level = String(risk.riskLevel || 'None');
+
+    const cards = [
+        ['Sites', metrics.totalSites], ['Users', metrics.totalUsers], ['External users', metrics.externalUsers],
+        ['Groups', metrics.totalGroups], ['Role assignments', metrics.totalRoleAssignments],
+        ['Inheritance breaks', metrics.inheritanceBreaks], ['Sharing links', metrics.totalSharingLinks]
+    ].map(([label, value]) => `<div class="card"><span class="value">${cell(value ?? 0)}</span><span class="label">${label}</span></div>`).join('');
+
+    const charts = buildHtmlReportCharts(report).map(c =>
+        `<figure><img src="${c.src}" alt="${escAttr(c.title)}"><figcaption>${esc(c.title)}</figcaption></figure>`).join('');
+
+    const findings = htmlReportTable([
+        ['Severity', f => `<span class="sev" style="background:${HTML_REPORT_SEVERITY_COLORS[f.Severity] || '#6C757D'}">${cell(f.Severity)}</span>`],
+        ['Finding', f => `<strong>${cell(f.RuleId)} ${cell(f.Title)}</strong><div class="muted">${cell(f.Description)}</div>`],
+        ['Affected', f => cell(f.AffectedCount ?? f.Count)],
+        ['Remediation', f => cell(f.Remediation)],
+        ['Status', f => f.Suppressed ? cell(RISK_TRIAGE_LABELS[findingTriageState(f)] || 'Triaged') : 'Open']
+    ], risk.findings || [], 'No security findings.');
+
+    const externalUsers = htmlReportTable([
+        ['Name', u => cell(u.Name)],
+        ['Email', u => cell(u.Email)],
+        ['Permission', u => cell(u.Permission)],
+        ['Account', u => u.GraphEnriched ? (u.GraphAccountEnabled === false ? 'Disabled' : 'Active') : ''],
+        ['Site', u => cell(u.SiteUrl)]
+    ], data.users.filter(isExternalReportUser), 'No external users.');
+
+    const linkRank = l => {
+        const type = String(l.LinkType);
+        if (type.startsWith('Anonymous')) return 0;
+        return type.startsWith('Company-wide') || type.startsWith('Organization') ? 1 : 2;
+    };
+    const sharingLinks = htmlReportTable([
+        ['Link', l => cell(l.GroupName)],
+        ['Type', l => cell(l.LinkType)],
+        ['Access', l => cell(l.AccessLevel)],
+        ['Members', l => cell(l.MemberCount)],
+        ['Site', l => cell(l.SiteUrl)]
+    ], [...data.sharinglinks].sort((a, b) => linkRank(a) - linkRank(b)), 'No sharing links.');
+
+    const fullControl = htmlReportTable([
+        ['Principal', r => cell(r.Principal)],
+        ['Type', r => cell(r.PrincipalType)],
+        ['Scope', r => cell(r.Scope)],
+        ['Location', r => cell(r.ScopeUrl)]
+    ], data.roleassignments.filter(r => r.Role === 'Full Control'), 'No Full Control assignments.');
+
+    const inheritance = htmlReportTable([
+        ['Title', i => cell(i.Title)],
+        ['Type', i => cell(i.Type)],
+        ['URL', i => cell(i.Url)],
+        ['Site', i => cell(i.SiteUrl)]
+    ], data.inheritance.filter(i => i.HasUniquePermissions === true || i.HasUniquePermissions === 'True'), 'No broken inheritance.');
+
+    const sites = htmlReportTable([
+        ['Title', s => cell(s.Title)],
+        ['URL', s => cell(s.Url)],
+        ['Owner', s => cell(s.Owner)],
+        ['Storage', s => cell(formatStorage(parseInt(s.Storage) || 0))]
+    ], data.sites, 'No sites.');
+
+    const summary = buildExecutiveSummary(report).map(line => `<li>${esc(line)}</li>`).join('');
+    const generated = report.generatedAt.toLocaleString();
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>SharePoint Governance Report - ${esc(report.scope)}</title>
+<style>${HTML_REPORT_STYLES}</style>
+</head>
+<body>
+<header>
+    <h1>SharePoint Governance Report</h1>
+    <p class="muted">${esc(report.scope)} · Generated ${esc(generated)}</p>
+</header>
+
+<section class="summary">
+    <div class="score score-${escAttr(level.toLowerCase())}"><span class="value">${cell(risk.overallScore ?? 0)}</span><span class="label">${esc(level)} risk</span></div>
+    <div>
+        <h2>Executive summary</h2>
+        <ul>${summary}</ul>
+    </div>
+</section>
+
+<section>
+    <h2>Key metrics</h2>
+    <div class="cards">${cards}</div>
+</section>
+
+<section>
+    <h2>Charts</h2>
+    <div class="charts">${charts}</div>
+</section>
+
+<section>
+    <h2>Risk findings</h2>
+    ${findings}
+</section>
+
+<section>
+    <h2>External users</h2>
+    ${externalUsers}
+</section>
+
+<section>
+    <h2>Sharing links</h2>
+    ${sharingLinks}
+</section>
+
+<section>
+    <h2>Full Control assignments</h2>
+    ${fullControl}
+</section>
+
+<section>
+    <h2>Broken inheritance</h2>
+    ${inheritance}
+</section>
+
+<section>
+    <h2>Sites</h2>
+    ${sites}
+</section>
+
+<footer class="muted">Generated by PermiX on ${esc(generated)}. Tables show at most ${HTML_REPORT_ROW_LIMIT} rows; use the CSV or JSON export for the complete data.</footer>
+</body>
+</html>`;
+}
+
+// columns: [[header, row => cell HTML]]
+function htmlReportTable(columns, rows, emptyText) {
+    if (rows.length === 0) return `<p class="muted">${esc(emptyText)}</p>`;
+
+    const shown = rows.slice(0, HTML_REPORT_ROW_LIMIT);
+    const head = columns.map(([header]) => `<th>${esc(header)}</th>`).join('');
+    const body = shown.map(row => `<tr>${columns.map(([, render]) => `<td>${render(row)}</td>`).join('')}</tr>`).join('');
+    const note = rows.length > shown.length ? `<p class="muted">Showing the first ${shown.length} of ${rows.length} rows.</p>` : '';
+    return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>${note}`;
+}
+
+const HTML_REPORT_STYLES = `
+body { font-family: 'Segoe UI', -apple-system, system-ui, sans-serif; color: #1E293B; background: #F8FAFC; margin: 0 auto; max-width: 1100px; padding: 32px; font-size: 14px; line-height: 1.5; }
+h1 { margin: 0 0 4px; font-size: 26px; }
+h2 { font-size: 18px; margin: 0 0 12px; }
+section { background: #FFFFFF; border: 1px solid #E2E8F0; border-radius: 10px; padding: 20px; margin: 20px 0; }
+.muted { color: #64748B; font-size: 13px; }
+.summary { display: flex; gap: 24px; align-items: flex-start; }
+.summary ul { margin: 0; padding-left: 20px; }
+.score { flex: 0 0 120px; text-align: center; border-radius: 10px; padding: 16px 8px; color: #FFFFFF; background: #6C757D; }
+.score .value { display: block; font-size: 40px; font-weight: 700; line-height: 1.1; }
+.score .label { font-size: 13px; text-transform: uppercase; letter-spacing: 0.05em; }
+.score-critical { background: #DC3545; } .score-high { background: #E65100; } .score-medium { background: #D97706; } .score-low, .score-none { background: #28A745; }
+.cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(130px, 1fr)); gap: 12px; }
+.card { border: 1px solid #E2E8F0; border-radius: 8px; padding: 12px; text-align: center; }
+.card .value { display: block; font-size: 24px; font-weight: 700; }
+.card .label { color: #64748B; font-size: 12px; }
+.charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 16px; }
+figure { margin: 0; }
+figure img { width: 100%; border-radius: 8px; }
+figcaption { color: #64748B; font-size: 13px; text-align: center; margin-top: 4px; }
+table { width: 100%; border-collapse: collapse; font-size: 13px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #E2E8F0; vertical-align: top; word-break: break-word; }
+th { background: #F1F5F9; font-weight: 600; }
+.sev { display: inline-block; color: #FFFFFF; border-radius: 4px; padding: 1px 8px; font-size: 12px; font-weight: 600; }
+footer { margin-top: 24px; }
+@media print {
+    body { background: #FFFFFF; padding: 0; }
+    section { border: none; padding: 0; }
+    .summary, .cards, tr, figure { break-inside: avoid; }
+}
+`;
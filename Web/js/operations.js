@@ -2,23 +2,121 @@
 // operations.js - Operations tab logic
 // ============================================
 
+const CHECKPOINT_LABELS = { SitesAnalysis: 'Site retrieval', PermissionsAnalysis: 'Permissions analysis' };
+let savedCheckpoints = [];
+
 function initOperations() {
-    document.getElementById('btn-get-sites').addEventListener('click', handleGetSites);
-    document.getElementById('btn-analyze').addEventListener('click', handleAnalyze);
+    document.getElementById('btn-get-sites').addEventListener('click', () => handleGetSites());
+    document.getElementById('btn-analyze').addEventListener('click', () => handleAnalyze());
     document.getElementById('btn-report').addEventListener('click', handleReport);
+    document.getElementById('btn-cancel-operation').addEventListener('click', (e) => cancelRunningOperation(e.currentTarget));
+    document.getElementById('checkpoint-banner').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-checkpoint-action]');
+        if (btn) handleCheckpointAction(btn.dataset.checkpointAction, btn.dataset.type);
+    });
+    document.querySelector('.tab-btn[data-tab="operations"]').addEventListener('click', refreshCheckpointBanner);
+    refreshCheckpointBanner();
+}
+
+// --- Checkpoints ---
+
+// Shows checkpoints left by interrupted, cancelled or failed runs with Resume / Discard
+async function refreshCheckpointBanner() {
+    const banner = document.getElementById('checkpoint-banner');
+    try {
+        const res = await API.getCheckpoints();
+        savedCheckpoints = res.running || appState.demoMode ? [] : (res.checkpoints || []);
+    } catch (e) {
+        savedCheckpoints = [];
+    }
+
+    if (savedCheckpoints.length === 0) {
+        banner.innerHTML = '';
+        banner.classList.add('hidden');
+        return;
+    }
+    banner.innerHTML = savedCheckpoints.map(renderCheckpoint).join('');
+    banner.classList.remove('hidden');
+}
+
+function renderCheckpoint(cp) {
+    const label = CHECKPOINT_LABELS[cp.operationType] || cp.operationType;
+    const status = cp.status === 'InProgress' ? 'interrupted' : cp.status.toLowerCase();
+    const keys = [...new Set(Object.keys(cp.processed || {}).concat(Object.keys(cp.total || {})))];
+    const counts = keys.map(k => `${k} ${cp.processed[k] || 0}/${cp.total[k] ?? '?'}`).join(' · ');
+    const completed = (cp.completedPhases || []).length ? ` · Done: ${cp.completedPhases.join(', ')}` : '';
+
+    return `<div class="checkpoint-item">
+        <div class="checkpoint-info">
+            <strong>⏸ ${esc(label)} ${esc(status)}</strong>${cp.scope && cp.scope !== 'Tenant' ? ` — ${esc(cp.scope)}` : ''}
+            <span class="checkpoint-meta">Phase: ${esc(cp.phase)}${esc(completed)} · Saved ${UIHelpers.formatRelativeDate(cp.lastUpdated)}${cp.resumeCount ? ` · Resumed ${cp.resumeCount}×` : ''}</span>
+            ${counts ? `<span class="checkpoint-meta">Processed: ${esc(counts)}</span>` : ''}
+        </div>
+        <div class="checkpoint-actions">
+            <button class="btn btn-sm btn-primary" data-checkpoint-action="resume" data-type="${esc(cp.operationType)}">Resume</button>
+            <button class="btn btn-sm btn-secondary" data-checkpoint-action="discard" data-type="${esc(cp.operationType)}">Discard</button>
+        </div>
+    </div>`;
+}
+
+async function handleCheckpointAction(action, operationType) {
+    if (action === 'discard') {
+        try {
+            await API.discardCheckpoint(operationType);
+            toast('Checkpoint discarded', 'info');
+        } catch (e) {
+            toast('Could not discard the checkpoint while an operation is running', 'error');
+        }
+        await refreshCheckpointBanner();
+        return;
+    }
+
+    if (!appState.connected) {
+        toast('Connect to SharePoint first', 'info');
+        return;
+    }
+    const cp = savedCheckpoints.find(c => c.operationType === operationType);
+    if (!cp) return;
+
+    document.getElementById('checkpoint-banner').classList.add('hidden');
+    if (operationType === 'SitesAnalysis') {
+        await handleGetSites({ resume: true });
+    } else {
+        await handleAnalyze({ siteUrl: cp.scope, merge: cp.merge, resume: true });
+    }
+}
+
+// Follows the background operation with the Cancel button shown
+async function followOperationWithCancel(console_, onProgress = null) {
+    const cancelBtn = document.getElementById('btn-cancel-operation');
+    cancelBtn.disabled = false;
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.classList.remove('hidden');
+    try {
+        return await followOperation(console_, {
+            onProgress: p => {
+                showOperationProgress('operations-progress', p);
+                if (onProgress) onProgress(p);
+            }
+        });
+    } finally {
+        cancelBtn.classList.add('hidden');
+    }
 }
 
-async function handleGetSites() {
+async function handleGetSites({ resume = false } = {}) {
     const console_ = document.getElementById('operations-console');
-    console_.textContent = 'Fetching sites...\n';
+    console_.textContent = resume ? 'Resuming site retrieval from checkpoint...\n' : 'Fetching sites...\n';
     UIHelpers.setButtonLoading('btn-get-sites', true);
+    let cancelled = false;
 
     try {
-        const res = await API.getSites();
+        const res = await API.getSites({ resume });
         if (res.started) {
-            // Background operation — poll until complete
-            const progress = await pollUntilComplete(console_);
-            if (progress.error) {
+            // Background operation — follow the progress stream until complete
+            const progress = await followOperationWithCancel(console_);
+            cancelled = !!progress.cancelled;
+            if (!cancelled && progress.error) {
                 console_.textContent += `\nError: ${progress.error}`;
                 toast('Site retrieval failed', 'error');
                 return;
@@ -28,26 +126,34 @@ async function handleGetSites() {
             return;
         }
 
+        useLiveData();
         const sites = await API.getData('sites');
         const siteList = sites.data || [];
-        console_.textContent += `\nRetrieved ${siteList.length} sites:\n`;
+        console_.textContent += cancelled
+            ? `\n\nCancelled — kept ${siteList.length} sites collected before stopping (partial):\n`
+            : `\nRetrieved ${siteList.length} sites:\n`;
         siteList.forEach((s, i) => {
             console_.textContent += `\n${i + 1}. ${s.Title || 'Unknown'}\n   URL: ${s.Url || 'N/A'}\n   Owner: ${s.Owner || 'N/A'}\n   Storage: ${s.Storage || '0'} MB\n`;
         });
         await refreshAnalytics();
         await showAuditSummary(console_);
-        toast(`Retrieved ${siteList.length} sites`, 'success');
+        if (cancelled) {
+            toast(`Site retrieval cancelled — kept ${siteList.length} sites collected so far`, 'info');
+        } else {
+            toast(`Retrieved ${siteList.length} sites`, 'success');
+        }
     } catch (e) {
         console_.textContent += `\nError: ${e.message}`;
     } finally {
         UIHelpers.setButtonLoading('btn-get-sites', false);
+        refreshCheckpointBanner();
     }
 }
 
-async function handleAnalyze() {
+async function handleAnalyze({ siteUrl: resumeSiteUrl = '', merge = false, resume = false } = {}) {
     console.log('handleAnalyze called');
     const inputSiteUrl = document.getElementById('input-site-url').value.trim();
-    const siteUrl = inputSiteUrl || appState.connectedSiteUrl;
+    const siteUrl = resumeSiteUrl || inputSiteUrl || appState.connectedSiteUrl;
     const console_ = document.getElementById('operations-console');
 
     console.log('Site URL for analysis:', siteUrl);
@@ -60,6 +166,7 @@ async function handleAnalyze() {
     }
 
     UIHelpers.setButtonLoading('btn-analyze', true);
+    let cancelled = false;
 
     try {
         // Step 1: Prepare analysis - check if re-auth is needed
@@ -98,18 +205,19 @@ async function handleAnalyze() {
             // Give user a moment to see the message
             await new Promise(r => setTimeout(r, 500));
         } else {
-            console_.textContent = `Starting permissions analysis for: ${siteUrl}\n`;
+            console_.textContent = `${resume ? 'Resuming' : 'Starting'} permissions analysis for: ${siteUrl}\n`;
         }
 
         // Step 2: Execute analysis (will do auth if needed, then analyze)
         console.log('Calling API.analyzePermissions...');
-        const res = await API.analyzePermissions(siteUrl);
+        const res = await API.analyzePermissions(siteUrl, { merge, resume });
         console.log('API.analyzePermissions response:', res);
 
         if (res.started) {
-            // Background operation — poll until complete
-            const progress = await pollUntilComplete(console_);
-            if (progress.error) {
+            // Background operation — follow the progress stream until complete
+            const progress = await followOperationWithCancel(console_);
+            cancelled = !!progress.cancelled;
+            if (!cancelled && progress.error) {
                 console_.textContent += `\nError: ${progress.error}`;
                 toast('Permissions analysis failed', 'error');
                 return;
@@ -120,20 +228,22 @@ async function handleAnalyze() {
         }
 
         appState.dataLoaded = true;
+        useLiveData();
         // Append final metrics
         const metrics = await API.getMetrics();
-        console_.textContent += '\n\n=== ANALYSIS COMPLETE ===';
+        console_.textContent += cancelled ? '\n\n=== ANALYSIS CANCELLED — PARTIAL DATA ===' : '\n\n=== ANALYSIS COMPLETE ===';
         console_.textContent += `\nUsers: ${metrics.totalUsers} | Groups: ${metrics.totalGroups} | External: ${metrics.externalUsers}`;
         console_.textContent += `\nRole Assignments: ${metrics.totalRoleAssignments} | Inheritance Breaks: ${metrics.inheritanceBreaks} | Sharing Links: ${metrics.totalSharingLinks}`;
         console_.textContent += '\n\nSwitch to Visual Analytics tab for charts and deep dives.';
         await refreshAnalytics();
         await showAuditSummary(console_);
-        toast('Permissions analysis complete', 'success');
+        toast(cancelled ? 'Analysis cancelled — partial data kept' : 'Permissions analysis complete', cancelled ? 'info' : 'success');
     } catch (e) {
         console_.textContent += `\nError: ${e.message}`;
         toast('Analysis failed', 'error');
     } finally {
         UIHelpers.setButtonLoading('btn-analyze', false);
+        refreshCheckpointBanner();
     }
 }
 
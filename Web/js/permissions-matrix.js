@@ -6,6 +6,12 @@
 let currentMatrixData = null;
 let currentMatrixSiteUrl = null;
 
+// Flat index of tree nodes with parent links, used to resolve inherited permissions
+let matrixNodeIndex = [];
+let matrixNodeLookup = new Map();
+let selectedMatrixIndex = -1;
+let matrixTree = null;
+
 // Open permissions matrix modal
 window.openPermissionsMatrix = function(siteUrl, siteTitle) {
     const modal = document.getElementById('matrix-modal');
@@ -57,14 +63,36 @@ window.buildMatrix = async function(siteUrl, scanType) {
             <p style="font-size: 0.9rem; color: #64748B;">
                 ${scanType === 'quick' ? 'Scanning items with unique permissions' : 'Scanning all files and folders'}
             </p>
+            <div id="matrix-progress" class="operation-progress hidden"></div>
+            <pre id="matrix-log" class="matrix-log"></pre>
+            <button id="matrix-cancel" class="btn btn-secondary hidden" onclick="cancelRunningOperation(this)">Cancel Scan</button>
         </div>
     `;
 
     try {
         const response = await API.buildPermissionsMatrix(siteUrl, scanType);
-        currentMatrixData = response.data;
-        renderPermissionsMatrix(response.data);
-        toast(`Matrix built: ${response.data.totalItems} items scanned`, 'success');
+        let matrix = response.data;
+
+        if (response.started) {
+            // Live scans run in the background — follow the progress stream for the result
+            document.getElementById('matrix-cancel').classList.remove('hidden');
+            const progress = await followOperation(document.getElementById('matrix-log'), {
+                onProgress: p => showOperationProgress('matrix-progress', p)
+            });
+            if (progress.cancelled) {
+                body.innerHTML = '<p class="text-center text-muted">Scan cancelled. Close the matrix and open it again to start a new scan.</p>';
+                toast('Matrix scan cancelled', 'info');
+                return;
+            }
+            if (progress.error || !progress.matrixResult) {
+                throw new Error(progress.error || 'The scan finished without a result');
+            }
+            matrix = progress.matrixResult;
+        }
+
+        currentMatrixData = matrix;
+        renderPermissionsMatrix(matrix);
+        toast(`Matrix built: ${matrix.totalItems} items scanned`, 'success');
     } catch (e) {
         body.innerHTML = `<p class="text-center" style="color:#DC3545">
             Failed to build matrix: ${esc(e.message)}
@@ -76,6 +104,7 @@ window.buildMatrix = async function(siteUrl, scanType) {
 // Render permissions matrix tree
 function renderPermissionsMatrix(data) {
     const body = document.getElementById('matrix-body');
+    indexMatrixTree(data.tree);
 
     body.innerHTML = `
         <div class="matrix-stats">
@@ -97,46 +126,64 @@ function renderPermissionsMatrix(data) {
                 Export Matrix
             </button>
         </div>
-        <div class="matrix-tree-container">
-            ${renderMatrixTree(data.tree)}
-        </div>
+        <p class="matrix-hint">Click a folder or file to see its effective permissions.</p>
+        <div id="matrix-effective" class="matrix-effective hidden"></div>
+        <div class="matrix-tree-container" id="matrix-tree"></div>
     `;
+
+    matrixTree = UIHelpers.createVirtualTree('matrix-tree', {
+        rowHeight: 44,
+        getChildren: node => node.children,
+        renderNode: renderMatrixNode
+    });
+    matrixTree.setRoots(data.tree);
 }
 
-// Render matrix tree hierarchy
-function renderMatrixTree(nodes, level = 0) {
-    let html = '<div class="matrix-tree">';
-
-    nodes.forEach((node, index) => {
-        const nodeId = `matrix-node-${level}-${index}`;
-        const hasChildren = node.children && node.children.length > 0;
-        const icon = getNodeIcon(node.type);
-
-        html += `
-            <div class="matrix-node matrix-node-${node.type.toLowerCase()}" style="margin-left: ${level * 20}px">
-                <div class="matrix-node-header" ${hasChildren ? `onclick="toggleMatrixNode('${nodeId}')"` : ''}>
-                    ${hasChildren ? `<span class="tree-expand-icon" id="${nodeId}-icon">▼</span>` : '<span class="tree-expand-icon"></span>'}
-                    <span class="tree-node-icon">${icon}</span>
-                    <span class="matrix-node-title">${esc(node.title)}</span>
-                    <span class="matrix-node-type">${node.type}</span>
-                    ${renderPermissionBadges(node.permissions)}
-                </div>
-                ${hasChildren ? `<div class="matrix-node-children" id="${nodeId}-children">
-                    ${renderMatrixTree(node.children, level + 1)}
-                </div>` : ''}
-            </div>
-        `;
+// Flatten the tree into matrixNodeIndex so effective permissions can walk up parent links
+function indexMatrixTree(nodes) {
+    matrixNodeIndex = [];
+    matrixNodeLookup = new Map();
+    selectedMatrixIndex = -1;
+
+    const walk = (list, parentIndex) => (list || []).forEach(node => {
+        const nodeIndex = matrixNodeIndex.length;
+        matrixNodeIndex.push({ node, parentIndex });
+        matrixNodeLookup.set(node, nodeIndex);
+        walk(node.children, nodeIndex);
     });
+    walk(nodes, -1);
+}
+
+// Render a single matrix tree row (only visible rows are rendered by the virtual tree)
+function renderMatrixNode(node, depth, state) {
+    const nodeIndex = matrixNodeLookup.get(node);
+    const icon = getNodeIcon(node.type);
+    const resolvable = node.type === 'Folder' || node.type === 'File';
+    const selected = nodeIndex === selectedMatrixIndex;
 
-    html += '</div>';
-    return html;
+    return `
+        <div class="matrix-node matrix-node-${node.type.toLowerCase()}" style="margin-left: ${depth * 20}px">
+            <div class="matrix-node-header${resolvable ? ' resolvable' : ''}${selected ? ' selected' : ''}" data-matrix-index="${nodeIndex}"
+                ${state.hasChildren ? `data-vs-toggle="${state.index}"` : ''}
+                ${resolvable ? `onclick="showEffectivePermissions(${nodeIndex})"` : ''}>
+                <span class="tree-expand-icon">${state.hasChildren ? (state.expanded ? '▼' : '▶') : ''}</span>
+                <span class="tree-node-icon">${icon}</span>
+                <span class="matrix-node-title">${esc(node.title)}</span>
+                <span class="matrix-node-type">${node.type}</span>
+                <span class="matrix-node-badges">${renderPermissionBadges(node.permissions, hasUniqueMatrixPermissions(node))}</span>
+            </div>
+        </div>
+    `;
 }
 
 // Render permission badges for a node
-function renderPermissionBadges(permissions) {
-    if (!permissions || permissions.length === 0) {
+function renderPermissionBadges(permissions, hasUnique = true) {
+    if (!hasUnique) {
         return '<span class="permission-badge inherited">Inherited</span>';
     }
+    if (!permissions || permissions.length === 0) {
+        return '<span class="permission-badge inherited">No assignments</span>';
+    }
 
     return permissions.map(p => `
         <span class="permission-badge" title="${esc(p.principal)} - ${esc(p.role)}">
@@ -145,6 +192,87 @@ function renderPermissionBadges(permissions) {
     `).join('');
 }
 
+// Matrices built before hasUniquePermissions was recorded only have the permissions list
+function hasUniqueMatrixPermissions(node) {
+    if (typeof node.hasUniquePermissions === 'boolean') return node.hasUniquePermissions;
+    return !!(node.permissions && node.permissions.length > 0);
+}
+
+// Walk up from a node to the nearest ancestor with unique permissions.
+// Returns the trail (clicked node first) and the index of the node the permissions come from.
+function resolveEffectivePermissions(nodeIndex) {
+    const trail = [];
+    let current = nodeIndex;
+
+    while (current !== -1) {
+        const entry = matrixNodeIndex[current];
+        trail.push(current);
+        if (hasUniqueMatrixPermissions(entry.node) || entry.parentIndex === -1) break;
+        current = entry.parentIndex;
+    }
+
+    const sourceIndex = trail[trail.length - 1];
+    return { trail, sourceIndex, permissions: matrixNodeIndex[sourceIndex].node.permissions || [] };
+}
+
+// Show the effective permissions panel for a folder/file node
+window.showEffectivePermissions = function(nodeIndex) {
+    const panel = document.getElementById('matrix-effective');
+    if (!panel || !matrixNodeIndex[nodeIndex]) return;
+
+    // Move the highlight on the rendered rows; re-rendering here would detach the
+    // clicked header before the tree's toggle handler sees it
+    selectedMatrixIndex = nodeIndex;
+    document.querySelectorAll('#matrix-tree .matrix-node-header').forEach(header => {
+        header.classList.toggle('selected', Number(header.dataset.matrixIndex) === nodeIndex);
+    });
+
+    const { trail, sourceIndex, permissions } = resolveEffectivePermissions(nodeIndex);
+    const node = matrixNodeIndex[nodeIndex].node;
+    const source = matrixNodeIndex[sourceIndex].node;
+
+    const steps = trail.map(i => {
+        const n = matrixNodeIndex[i].node;
+        const isSource = i === sourceIndex;
+        return `<a href="#" class="matrix-trail-step${isSource ? ' source' : ''}" onclick="event.preventDefault(); revealMatrixNode(${i})" title="${esc(n.url || '')}">
+            ${getNodeIcon(n.type)} ${esc(n.title)}${isSource ? ' <em>(unique permissions)</em>' : ''}
+        </a>`;
+    }).join('<span class="matrix-trail-sep">inherits from</span>');
+
+    const summary = sourceIndex === nodeIndex
+        ? 'This item has unique permissions.'
+        : `Inherited from ${esc(source.type.toLowerCase())} <strong>${esc(source.title)}</strong>, ${trail.length - 1} level${trail.length > 2 ? 's' : ''} up.`;
+
+    const rows = permissions.length > 0
+        ? permissions.map(p => `<tr><td>${esc(p.principal)}</td><td>${esc(p.role)}</td><td>${esc(source.title)}</td></tr>`).join('')
+        : '<tr><td colspan="3" class="text-center text-muted">No role assignments on the source node</td></tr>';
+
+    panel.innerHTML = `
+        <div class="matrix-effective-header">
+            <h4>Effective permissions: ${esc(node.title)}</h4>
+            <button class="btn btn-sm btn-secondary" onclick="document.getElementById('matrix-effective').classList.add('hidden')">Close</button>
+        </div>
+        <p>${summary}</p>
+        <div class="matrix-trail">${steps}</div>
+        <table><thead><tr><th>Principal</th><th>Role</th><th>Granted At</th></tr></thead><tbody>${rows}</tbody></table>`;
+    panel.classList.remove('hidden');
+    panel.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+};
+
+// Expand the ancestors of a node and scroll it into view
+window.revealMatrixNode = function(nodeIndex) {
+    if (!matrixTree || !matrixNodeIndex[nodeIndex]) return;
+
+    const ancestors = [];
+    let parent = matrixNodeIndex[nodeIndex].parentIndex;
+    while (parent !== -1) {
+        ancestors.push(matrixNodeIndex[parent].node);
+        parent = matrixNodeIndex[parent].parentIndex;
+    }
+    matrixTree.expand(ancestors);
+    matrixTree.scrollToNode(matrixNodeIndex[nodeIndex].node);
+};
+
 // Get icon for node type
 function getNodeIcon(type) {
     const icons = {
@@ -157,62 +285,47 @@ function getNodeIcon(type) {
     return icons[type] || '📦';
 }
 
-// Toggle matrix tree node
-window.toggleMatrixNode = function(nodeId) {
-    const children = document.getElementById(`${nodeId}-children`);
-    const icon = document.getElementById(`${nodeId}-icon`);
-
-    if (children && icon) {
-        if (children.style.display === 'none') {
-            children.style.display = 'block';
-            icon.textContent = '▼';
-        } else {
-            children.style.display = 'none';
-            icon.textContent = '▶';
-        }
-    }
-};
-
-// Export matrix to CSV
+// Export matrix to CSV: one row per effective permission of every node.
+// Nodes without unique permissions get the permissions of the nearest
+// ancestor that has them (as in showEffectivePermissions), named in the
+// inheritance source columns.
 function exportMatrixToCSV(matrixData) {
+    const headers = ['Type', 'Title', 'Path', 'Depth', 'URL', 'Unique Permissions',
+        'Inheritance Source', 'Inheritance Source URL', 'Principal', 'Role'];
     const rows = [];
-    rows.push(['Type', 'Title', 'URL', 'Principal', 'Role']);
 
-    function traverseNode(node) {
-        if (node.permissions && node.permissions.length > 0) {
-            node.permissions.forEach(p => {
-                rows.push([node.type, node.title, node.url, p.principal, p.role]);
-            });
-        } else {
-            rows.push([node.type, node.title, node.url, '', 'Inherited']);
+    // ancestors: nodes from the root down to the parent
+    function traverseNode(node, ancestors) {
+        const unique = hasUniqueMatrixPermissions(node);
+        const chain = [...ancestors, node];
+        const path = chain.map(n => n.title).join(' / ');
+
+        let source = node;
+        for (let i = chain.length - 1; i >= 0; i--) {
+            source = chain[i];
+            if (hasUniqueMatrixPermissions(source)) break;
         }
 
-        if (node.children) {
-            node.children.forEach(child => traverseNode(child));
+        const base = [node.type, node.title, path, ancestors.length, node.url, unique ? 'Yes' : 'No',
+            source === node ? '' : source.title, source === node ? '' : source.url];
+        const permissions = source.permissions || [];
+        if (permissions.length > 0) {
+            permissions.forEach(p => rows.push([...base, p.principal, p.role]));
+        } else {
+            rows.push([...base, '', '']);
         }
+
+        (node.children || []).forEach(child => traverseNode(child, chain));
     }
 
-    matrixData.tree.forEach(node => traverseNode(node));
+    matrixData.tree.forEach(node => traverseNode(node, []));
 
-    const csv = rows.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `permissions_matrix_${currentMatrixSiteUrl.replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadCsv(`permissions_matrix_${currentMatrixSiteUrl.replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.csv`, headers, rows);
     toast('Matrix exported as CSV', 'success');
 }
 
 // Export matrix to JSON
 function exportMatrixToJSON(matrixData) {
-    const blob = new Blob([JSON.stringify(matrixData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `permissions_matrix_${currentMatrixSiteUrl.replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadBlob(JSON.stringify(matrixData, null, 2), `permissions_matrix_${currentMatrixSiteUrl.replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.json`, 'application/json');
     toast('Matrix exported as JSON', 'success');
 }
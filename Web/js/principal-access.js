@@ -0,0 +1,236 @@
+// ============================================
+// principal-access.js - "Who has access to what" for a single principal
+// ============================================
+// Joins role assignments, group memberships, sharing links and the
+// inheritance tree to show every location a user or group can reach,
+// the effective role there and how the access was granted.
+
+const ROLE_RANK = { 'Full Control': 5, 'Design': 4, 'Edit': 3, 'Contribute': 2, 'Read': 1, 'View Only': 0 };
+
+// --- Entry point ---
+window.openPrincipalAccess = async function(principalName) {
+    if (!appState.dataLoaded) {
+        toast('Run an analysis first', 'info');
+        return;
+    }
+
+    const overlay = document.getElementById('modal-overlay');
+    const title = document.getElementById('modal-title');
+    const body = document.getElementById('modal-body');
+
+    overlay.classList.remove('hidden');
+    document.getElementById('modal-close').onclick = () => overlay.classList.add('hidden');
+    overlay.onclick = (e) => { if (e.target === overlay) overlay.classList.add('hidden'); };
+
+    const escHandler = (e) => { if (e.key === 'Escape') { overlay.classList.add('hidden'); document.removeEventListener('keydown', escHandler); } };
+    document.addEventListener('keydown', escHandler);
+
+    title.textContent = `Access: ${principalName}`;
+    body.innerHTML = '<p class="text-center text-muted">Loading...</p>';
+
+    try {
+        const [users, groups, roles, links, inheritance] = await Promise.all([
+            API.getData('users'),
+            API.getData('groups'),
+            API.getData('roleassignments'),
+            API.getData('sharinglinks'),
+            API.getData('inheritance')
+        ]);
+        const access = resolvePrincipalAccess(principalName, {
+            users: users.data || [],
+            groups: groups.data || [],
+            roles: roles.data || [],
+            links: links.data || [],
+            inheritance: inheritance.data || []
+        });
+        renderPrincipalAccess(body, access);
+        attachViewBar(body, 'principal', principalName);
+    } catch (e) {
+        body.innerHTML = `<p class="text-center" style="color:#DC3545">Error loading data: ${esc(e.message)}</p>`;
+    }
+};
+
+// --- Resolution ---
+
+function sameText(a, b) {
+    return !!a && !!b && String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+// True if a group/link member entry refers to the given user
+function memberMatches(member, user) {
+    return sameText(member.Email, user.Email) || sameText(member.LoginName, user.LoginName) || sameText(member.Name, user.Name);
+}
+
+// Site URLs are stored as typed, so "https://x/sites/a/" and ".../a" must match
+function urlKey(url) {
+    return (url || '').replace(/\/+$/, '').toLowerCase();
+}
+
+function higherRole(a, b) {
+    return (ROLE_RANK[a] ?? -1) >= (ROLE_RANK[b] ?? -1) ? a : b;
+}
+
+function resolvePrincipalAccess(principalName, data) {
+    const user = data.users.find(u => sameText(u.Name, principalName) || sameText(u.Email, principalName));
+    const group = user ? null : data.groups.find(g => sameText(g.Name, principalName));
+    const principal = user || group || { Name: principalName };
+    const kind = user ? 'User' : group ? 'Group' : 'Principal';
+
+    const inheritanceByUrl = {};
+    const childrenByParent = {};
+    data.inheritance.forEach(i => {
+        inheritanceByUrl[urlKey(i.Url)] = i;
+        (childrenByParent[urlKey(i.ParentUrl)] = childrenByParent[urlKey(i.ParentUrl)] || []).push(i);
+    });
+    const isUnique = i => i.HasUniquePermissions === true || i.HasUniquePermissions === 'True';
+
+    const paths = [];
+
+    // A role assignment grants access at its scope, plus every descendant that still
+    // inherits; the walk stops at items with their own (unique) permissions
+    const addAssignment = (ra, via, viaType) => {
+        const scopeItem = inheritanceByUrl[urlKey(ra.ScopeUrl)];
+        paths.push({
+            site: ra.SiteTitle || (scopeItem && scopeItem.SiteTitle) || '',
+            location: scopeItem ? scopeItem.Title : ra.ScopeUrl,
+            locationUrl: ra.ScopeUrl,
+            type: scopeItem ? scopeItem.Type : ra.Scope,
+            role: ra.Role,
+            via, viaType, inherited: false
+        });
+        const visited = new Set([urlKey(ra.ScopeUrl)]);
+        const addInheritingChildren = parentUrl => (childrenByParent[urlKey(parentUrl)] || [])
+            .filter(child => !isUnique(child) && !visited.has(urlKey(child.Url)))
+            .forEach(child => {
+                visited.add(urlKey(child.Url));
+                paths.push({
+                    site: child.SiteTitle || ra.SiteTitle || '',
+                    location: child.Title,
+                    locationUrl: child.Url,
+                    type: child.Type,
+                    role: ra.Role,
+                    via, viaType, inherited: true
+                });
+                addInheritingChildren(child.Url);
+            });
+        addInheritingChildren(ra.ScopeUrl);
+    };
+
+    data.roles.filter(ra => sameText(ra.Principal, principal.Name))
+        .forEach(ra => addAssignment(ra, 'Direct assignment', 'direct'));
+
+    // Users also receive whatever their groups (nested groups included) and sharing links grant
+    const memberOf = user ? data.groups.filter(g => flattenGroupMembers(g.Members).some(m => memberMatches(m, user))) : [];
+    memberOf.forEach(g => {
+        data.roles.filter(ra => sameText(ra.Principal, g.Name))
+            .forEach(ra => addAssignment(ra, `Group: ${g.Name}`, 'group'));
+    });
+
+    const viaLinks = user ? data.links.filter(l => (l.Members || []).some(m => memberMatches(m, user))) : [];
+    viaLinks.forEach(l => paths.push({
+        site: l.SiteTitle || '',
+        location: `Shared item (${l.GroupName})`,
+        locationUrl: l.GroupName,
+        type: 'Sharing Link',
+        role: l.AccessLevel === 'Edit' ? 'Edit' : 'Read',
+        via: `Sharing link: ${l.LinkType}`,
+        viaType: 'link',
+        inherited: false
+    }));
+
+    // Collapse paths into one row per location with the effective (highest) role
+    const byLocation = {};
+    paths.forEach(p => {
+        const key = (p.locationUrl || p.location || '').toLowerCase();
+        const row = byLocation[key] = byLocation[key] || { site: p.site, location: p.location, locationUrl: p.locationUrl, type: p.type, effectiveRole: p.role, paths: [] };
+        row.effectiveRole = higherRole(row.effectiveRole, p.role);
+        row.paths.push(p);
+    });
+
+    return {
+        principal,
+        kind,
+        memberOf,
+        viaLinks,
+        rows: Object.values(byLocation).sort((a, b) => (a.site || '').localeCompare(b.site || '') || (a.location || '').localeCompare(b.location || ''))
+    };
+}
+
+// --- Rendering ---
+
+function renderPrincipalAccess(container, access) {
+    const rows = access.rows;
+    const sites = new Set(rows.map(r => r.site).filter(Boolean));
+    const countVia = type => rows.filter(r => r.paths.some(p => p.viaType === type)).length;
+    const highest = rows.reduce((best, r) => best ? higherRole(best, r.effectiveRole) : r.effectiveRole, null);
+    const p = access.principal;
+
+    const membership = access.kind === 'Group'
+        ? renderPrincipalMembers(p.Members || [])
+        : renderPrincipalMemberships(access.memberOf, access.viaLinks);
+
+    container.innerHTML = `
+        <p class="principal-summary"><strong>${esc(access.kind)}</strong>${p.Email ? ' · ' + esc(p.Email) : ''}${p.Type ? ' · ' + esc(p.Type) : ''}</p>
+        <div class="dd-stats">
+            <div class="dd-stat"><span class="dd-stat-value">${rows.length}</span><span class="dd-stat-label">Locations</span></div>
+            <div class="dd-stat"><span class="dd-stat-value">${sites.size}</span><span class="dd-stat-label">Sites</span></div>
+            <div class="dd-stat"><span class="dd-stat-value">${countVia('direct')}</span><span class="dd-stat-label">Direct</span></div>
+            <div class="dd-stat"><span class="dd-stat-value">${countVia('group')}</span><span class="dd-stat-label">Via Groups</span></div>
+            <div class="dd-stat"><span class="dd-stat-value" style="color:#DC3545">${countVia('link')}</span><span class="dd-stat-label">Via Links</span></div>
+            <div class="dd-stat"><span class="dd-stat-value" style="font-size:var(--font-size-lg)">${esc(highest || 'None')}</span><span class="dd-stat-label">Highest Role</span></div>
+        </div>
+        <div class="dd-tabs">
+            <button class="dd-tab-btn active" data-ddtab="dd-access">Access</button>
+            <button class="dd-tab-btn" data-ddtab="dd-membership">${access.kind === 'Group' ? 'Members' : 'Memberships'}</button>
+        </div>
+        <div id="dd-access" class="dd-tab-content active">
+            <div class="dd-filter-bar"><input type="text" placeholder="Search locations..." id="dd-search">
+            <select id="dd-source-filter"><option value="">All Sources</option><option value="direct">Direct assignment</option><option value="group">Group membership</option><option value="link">Sharing link</option></select></div>
+            <table><thead><tr><th>Site</th><th>Location</th><th>Type</th><th>Effective Role</th><th>Granted Via</th></tr></thead>
+            <tbody id="dd-access-body">${renderPrincipalAccessRows(rows)}</tbody></table>
+        </div>
+        <div id="dd-membership" class="dd-tab-content">${membership}</div>`;
+
+    initDDTabs();
+
+    const filterAccess = () => {
+        const q = (document.getElementById('dd-search').value || '').toLowerCase();
+        const src = document.getElementById('dd-source-filter').value;
+        const filtered = rows.filter(r => {
+            const matchSearch = !q || [r.site, r.location, r.locationUrl].some(v => (v || '').toLowerCase().includes(q));
+            const matchSource = !src || r.paths.some(path => path.viaType === src);
+            return matchSearch && matchSource;
+        });
+        document.getElementById('dd-access-body').innerHTML = renderPrincipalAccessRows(filtered);
+    };
+    document.getElementById('dd-search').addEventListener('input', filterAccess);
+    document.getElementById('dd-source-filter').addEventListener('change', filterAccess);
+}
+
+function renderPrincipalAccessRows(rows) {
+    if (rows.length === 0) {
+        return '<tr><td colspan="5" class="text-center text-muted">No access found for this principal</td></tr>';
+    }
+    return rows.map(r => {
+        const via = r.paths.map(p => `<span class="access-path access-path-${p.viaType}" title="${esc(p.role)}">${esc(p.via)}${p.inherited ? ' (inherited)' : ''}</span>`).join(' ');
+        return `<tr><td>${esc(r.site)}</td><td title="${esc(r.locationUrl)}">${esc(r.location)}</td><td>${esc(r.type)}</td><td><strong>${esc(r.effectiveRole)}</strong></td><td>${via}</td></tr>`;
+    }).join('');
+}
+
+function renderPrincipalMemberships(groups, links) {
+    if (groups.length === 0 && links.length === 0) {
+        return '<div class="finding info"><h4>No memberships</h4><p>This user is not a member of any collected group or sharing link.</p></div>';
+    }
+    const groupRows = groups.map(g => `<tr><td><a href="#" data-principal="${esc(g.Name)}" onclick="event.preventDefault(); openPrincipalAccess(this.dataset.principal)">${esc(g.Name)}</a></td><td>Group</td><td>${esc(g.Permission)}</td></tr>`);
+    const linkRows = links.map(l => `<tr><td>${esc(l.GroupName)}</td><td>Sharing Link (${esc(l.LinkType)})</td><td>${esc(l.AccessLevel)}</td></tr>`);
+    return `<table><thead><tr><th>Name</th><th>Kind</th><th>Permission</th></tr></thead><tbody>${groupRows.concat(linkRows).join('')}</tbody></table>`;
+}
+
+function renderPrincipalMembers(members) {
+    if (members.length === 0) {
+        return '<div class="finding low"><h4>No members</h4><p>This group has no collected members.</p></div>';
+    }
+    return `<table><thead><tr><th>Name</th><th>Email</th><th>Type</th></tr></thead><tbody>${members.map(m =>
+        `<tr><td><a href="#" data-principal="${esc(m.Name)}" onclick="event.preventDefault(); openPrincipalAccess(this.dataset.principal)">${esc(m.Name)}</a></td><td>${esc(m.Email)}</td><td>${esc(memberKindLabel(m))}</td></tr>`
+    ).join('')}</tbody></table>`;
+}
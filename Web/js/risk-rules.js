@@ -0,0 +1,145 @@
+// ============================================
+// risk-rules.js - Risk Rules settings tab and shared rule lookup
+// ============================================
+// Rule settings (enabled, severity, threshold) live on the server and are
+// used by Get-RiskAssessment. The deep dives read the same settings through
+// loadRiskRules() so their findings agree with the risk score.
+
+// Severity -> .finding modifier class (the CSS has high/medium/low/info)
+const RISK_SEVERITY_CLASS = { Critical: 'high', High: 'high', Medium: 'medium', Low: 'low' };
+
+let riskRuleSettings = null;    // Last /api/settings/risk-rules response
+
+function initRiskRules() {
+    document.getElementById('btn-risk-rules-save').addEventListener('click', saveRiskRules);
+    document.getElementById('btn-risk-rules-reset').addEventListener('click', resetRiskRules);
+    document.getElementById('btn-custom-rules').addEventListener('click', () => openCustomRules());
+
+    const body = document.getElementById('risk-rules-body');
+    body.addEventListener('change', (e) => {
+        if (e.target.classList.contains('risk-rule-enabled')) {
+            e.target.closest('tr').classList.toggle('risk-rule-off', !e.target.checked);
+        }
+        setText('risk-rules-status', 'Unsaved changes');
+    });
+
+    const tabBtn = document.querySelector('.tab-btn[data-tab="risk-rules"]');
+    if (tabBtn) tabBtn.addEventListener('click', () => renderRiskRulesPage());
+}
+
+// --- Shared lookup ---
+
+// Resolves to { ruleId: rule }; cached until the settings are saved or reset
+async function loadRiskRules({ force = false } = {}) {
+    if (!riskRuleSettings || force) {
+        riskRuleSettings = await API.getRiskRules();
+    }
+    const rules = {};
+    (riskRuleSettings.rules || []).forEach(r => { rules[r.ruleId] = r; });
+    return rules;
+}
+
+// Same test as Test-RiskRule: enabled and the value is above the threshold
+function riskRuleFires(rule, value) {
+    return !!rule && rule.enabled && value > rule.threshold;
+}
+
+function riskSeverityClass(severity) {
+    return RISK_SEVERITY_CLASS[severity] || 'info';
+}
+
+// --- Settings page ---
+
+async function renderRiskRulesPage() {
+    const body = document.getElementById('risk-rules-body');
+    body.innerHTML = '<tr><td colspan="5" class="text-center text-muted">Loading...</td></tr>';
+    try {
+        await loadRiskRules({ force: true });
+        renderRiskRules();
+    } catch (e) {
+        body.innerHTML = `<tr><td colspan="5" class="text-center" style="color:#DC3545">Could not load risk rules: ${esc(e.message)}</td></tr>`;
+    }
+}
+
+function renderRiskRules() {
+    const settings = riskRuleSettings;
+    const severities = settings.severities || Object.keys(RISK_SEVERITY_CLASS);
+
+    document.getElementById('risk-rules-body').innerHTML = settings.rules.map(r => {
+        const percent = r.thresholdUnit === 'percent';
+        const options = severities.map(s => `<option value="${s}"${s === r.severity ? ' selected' : ''}>${s}</option>`).join('');
+        return `<tr data-rule-id="${esc(r.ruleId)}" data-unit="${esc(r.thresholdUnit)}" class="${r.enabled ? '' : 'risk-rule-off'}">
+            <td><input type="checkbox" class="risk-rule-enabled" aria-label="Enable ${esc(r.ruleId)}"${r.enabled ? ' checked' : ''}></td>
+            <td><strong>${esc(r.ruleId)}</strong> ${esc(r.title)}
+                <div class="risk-rule-hint">${percent ? 'Raised when the percentage of' : 'Raised when there are more'} ${esc(r.thresholdLabel.toLowerCase())} ${percent ? 'is above' : 'than'} the threshold · default ${r.defaultSeverity}, ${r.defaultThreshold}${percent ? '%' : ''}</div></td>
+            <td>${esc(r.category)}</td>
+            <td><select class="risk-rule-severity" aria-label="${esc(r.ruleId)} severity">${options}</select></td>
+            <td class="risk-rule-threshold-cell"><input type="number" class="risk-rule-threshold" aria-label="${esc(r.ruleId)} threshold" min="0"${percent ? ' max="100"' : ''} step="1" value="${r.threshold}">${percent ? '<span>%</span>' : ''}</td>
+        </tr>`;
+    }).join('');
+
+    const customised = settings.rules.filter(r => !r.enabled || r.severity !== r.defaultSeverity || r.threshold !== r.defaultThreshold).length;
+    setText('risk-rules-status', customised === 0
+        ? 'Using the default rules'
+        : `${customised} rule(s) customised${settings.updatedAt ? ' · saved ' + UIHelpers.formatRelativeDate(settings.updatedAt) : ''}`);
+}
+
+// Reads the table; returns null (after a toast) if a threshold is invalid
+function collectRiskRules() {
+    const rules = [];
+    for (const row of document.querySelectorAll('#risk-rules-body tr[data-rule-id]')) {
+        const ruleId = row.dataset.ruleId;
+        const raw = row.querySelector('.risk-rule-threshold').value.trim();
+        const threshold = Number(raw);
+        const max = row.dataset.unit === 'percent' ? 100 : Infinity;
+        if (raw === '' || !Number.isInteger(threshold) || threshold < 0 || threshold > max) {
+            toast(`${ruleId}: threshold must be a whole number from 0${max === 100 ? ' to 100' : ''}`, 'error');
+            row.querySelector('.risk-rule-threshold').focus();
+            return null;
+        }
+        rules.push({
+            ruleId,
+            enabled: row.querySelector('.risk-rule-enabled').checked,
+            severity: row.querySelector('.risk-rule-severity').value,
+            threshold
+        });
+    }
+    return rules;
+}
+
+async function saveRiskRules() {
+    const rules = collectRiskRules();
+    if (!rules) return;
+
+    UIHelpers.setButtonLoading('btn-risk-rules-save', true);
+    try {
+        riskRuleSettings = await API.saveRiskRules(rules);
+        renderRiskRules();
+        toast('Risk rules saved', 'success');
+        await applyRiskRuleChange();
+    } catch (e) {
+        toast('Could not save risk rules: ' + e.message, 'error');
+    } finally {
+        UIHelpers.setButtonLoading('btn-risk-rules-save', false);
+    }
+}
+
+async function resetRiskRules() {
+    UIHelpers.setButtonLoading('btn-risk-rules-reset', true);
+    try {
+        riskRuleSettings = await API.resetRiskRules();
+        renderRiskRules();
+        toast('Risk rules reset to defaults', 'success');
+        await applyRiskRuleChange();
+    } catch (e) {
+        toast('Could not reset risk rules: ' + e.message, 'error');
+    } finally {
+        UIHelpers.setButtonLoading('btn-risk-rules-reset', false);
+    }
+}
+
+// Rescore the loaded data so the banner reflects the new rules
+async function applyRiskRuleChange() {
+    API.invalidateRisk();
+    if (appState.dataLoaded) await refreshRiskBanner();
+}
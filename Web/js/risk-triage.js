@@ -0,0 +1,140 @@
+// ============================================
+// risk-triage.js - Triage of risk findings and affected objects
+// ============================================
+// Findings and single affected objects can be marked as accepted risk
+// (justification + expiry), false positive or remediated, and given an
+// owner. Entries are saved by POST /api/risk/triage under stable keys
+// (rule ID, or "ruleId|objectKey"); Get-RiskAssessment leaves accepted and
+// false-positive items out of the score. Rendered inside openRiskDeepDive.
+
+const RISK_TRIAGE_LABELS = {
+    Open: 'Open',
+    Accepted: 'Accepted risk',
+    FalsePositive: 'False positive',
+    Remediated: 'Remediated'
+};
+
+// Default expiry offered when accepting a risk
+const RISK_TRIAGE_DEFAULT_DAYS = 90;
+
+// Effective state of a finding for the triage filter. A finding suppressed
+// only because its objects were triaged takes their state.
+function findingTriageState(finding) {
+    if (finding.Triage) return finding.Triage.State;
+    if (!finding.Suppressed) return 'Open';
+    const states = (finding.AffectedItems || []).map(i => i.Triage && i.Triage.State).filter(Boolean);
+    return states.length > 0 && states.every(s => s === 'FalsePositive') ? 'FalsePositive' : 'Accepted';
+}
+
+function renderTriageBadge(entry) {
+    if (!entry) return '';
+    if (entry.Expired) {
+        return `<span class="triage-badge triage-expired" title="Accepted until ${escAttr(entry.ExpiresAt)}">Acceptance expired</span>`;
+    }
+    if (entry.State === 'Open' && !entry.Owner) return '';
+
+    const parts = [RISK_TRIAGE_LABELS[entry.State] || entry.State];
+    if (entry.State === 'Accepted' && entry.ExpiresAt) parts.push(`until ${entry.ExpiresAt}`);
+    if (entry.Owner) parts.push(`owner: ${entry.Owner}`);
+    return `<span class="triage-badge triage-${esc(entry.State.toLowerCase())}" title="${escAttr(entry.Justification || '')}">${esc(parts.join(' · '))}</span>`;
+}
+
+// Triage form shown in a finding's expanded details
+function renderFindingTriageForm(finding, idx) {
+    const current = finding.Triage || {};
+    const hasObjects = (finding.AffectedItems || []).length > 0;
+    const state = current.Expired ? 'Open' : (current.State || 'Open');
+    const options = Object.entries(RISK_TRIAGE_LABELS)
+        .map(([value, label]) => `<option value="${value}"${value === state ? ' selected' : ''}>${label}</option>`).join('');
+
+    const expiry = new Date(Date.now() + RISK_TRIAGE_DEFAULT_DAYS * 86400000).toISOString().slice(0, 10);
+    const tomorrow = new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+
+    return `<div class="triage-form" id="triage-form-${idx}">
+        <h5>Triage</h5>
+        <div class="triage-grid">
+            <label>Apply to
+                <select class="triage-scope">
+                    <option value="finding">This finding</option>
+                    ${hasObjects ? '<option value="selected">Selected objects</option>' : ''}
+                </select></label>
+            <label>State <select class="triage-state">${options}</select></label>
+            <label class="triage-expiry-field${state === 'Accepted' ? '' : ' hidden'}">Expires
+                <input type="date" class="triage-expiry" min="${tomorrow}" value="${escAttr(current.ExpiresAt || expiry)}"></label>
+            <label>Owner <input type="text" class="triage-owner" placeholder="e.g. security@contoso.com" value="${escAttr(current.Owner || '')}"></label>
+        </div>
+        <label class="triage-justification-field">Justification
+            <textarea class="triage-justification" rows="2" placeholder="Why is this accepted or a false positive?">${esc(current.Justification || '')}</textarea></label>
+        <div class="triage-actions">
+            <button class="btn btn-primary btn-sm" id="btn-triage-save-${idx}" data-triage-action="save" data-finding="${idx}">Save triage</button>
+            ${current.UpdatedAt ? `<span class="text-muted">Updated ${esc(UIHelpers.formatRelativeDate(current.UpdatedAt))}</span>` : ''}
+        </div>
+    </div>`;
+}
+
+function handleTriageChange(e) {
+    if (e.target.classList.contains('triage-state')) {
+        const form = e.target.closest('.triage-form');
+        form.querySelector('.triage-expiry-field').classList.toggle('hidden', e.target.value !== 'Accepted');
+    } else if (e.target.classList.contains('affected-select-all')) {
+        const idx = e.target.dataset.finding;
+        document.querySelectorAll(`#affected-body-${idx} tr:not(.hidden) .affected-select`).forEach(cb => { cb.checked = e.target.checked; });
+    }
+}
+
+function handleTriageClick(e) {
+    const btn = e.target.closest('[data-triage-action="save"]');
+    if (btn) saveFindingTriage(Number(btn.dataset.finding));
+}
+
+// Reads the form; returns null (after a toast) when it cannot be saved
+function readFindingTriageForm(idx) {
+    const finding = window.currentRiskFindings[idx];
+    const form = document.getElementById(`triage-form-${idx}`);
+    const ruleId = finding.RuleId || finding.ruleId;
+
+    let keys = [ruleId];
+    if (form.querySelector('.triage-scope').value === 'selected') {
+        const items = finding.AffectedItems || [];
+        keys = [...document.querySelectorAll(`#affected-body-${idx} .affected-select:checked`)]
+            .map(cb => `${ruleId}|${items[cb.dataset.item].Key}`);
+        if (keys.length === 0) {
+            toast('Select one or more affected objects first', 'info');
+            return null;
+        }
+    }
+
+    const update = {
+        keys,
+        state: form.querySelector('.triage-state').value,
+        justification: form.querySelector('.triage-justification').value.trim(),
+        owner: form.querySelector('.triage-owner').value.trim()
+    };
+    if (update.state === 'Accepted') {
+        update.expiresAt = form.querySelector('.triage-expiry').value;
+        if (!update.justification) {
+            toast('A justification is required to accept a risk', 'error');
+            form.querySelector('.triage-justification').focus();
+            return null;
+        }
+    }
+    return update;
+}
+
+async function saveFindingTriage(idx) {
+    const update = readFindingTriageForm(idx);
+    if (!update) return;
+
+    const ruleId = window.currentRiskFindings[idx].RuleId;
+    UIHelpers.setButtonLoading(`btn-triage-save-${idx}`, true);
+    try {
+        await API.saveRiskTriage(update);
+        toast(`Triage saved for ${update.keys.length} item(s)`, 'success');
+        API.invalidateRisk();
+        await refreshRiskBanner();
+        if (appState.riskData) openRiskDeepDive(appState.riskData, { expand: ruleId });
+    } catch (e) {
+        toast('Could not save triage: ' + e.message, 'error');
+        UIHelpers.setButtonLoading(`btn-triage-save-${idx}`, false);
+    }
+}
@@ -0,0 +1,241 @@
+// ============================================
+// router.js - URL hash routes and browser history
+// ============================================
+// #/<tab>                          a tab (ROUTE_TABS)
+// #/deep-dive/<type>?q=...&role=   a deep dive with its search and filters (ROUTE_FILTER_CONTROLS)
+// #/matrix/<siteUrl>               permissions matrix of a site (scan type chooser)
+// #/principal/<name or e-mail>     who has access to what
+// Switching tabs and opening or closing one of these views adds a history
+// entry; typing in a deep dive's filters only updates the current one. Back,
+// Forward and edited or bookmarked links open their route through the
+// existing open functions (applyRoute). A page link opened before data is
+// loaded waits until a connection, demo run or report file provides it.
+
+// Hash parameter -> deep dive control
+const ROUTE_FILTER_CONTROLS = {
+    q: 'dd-search',
+    type: 'dd-type-filter',
+    role: 'dd-role-filter',
+    link: 'dd-link-filter',
+    inh: 'dd-inh-filter'
+};
+
+const ROUTE_TABS = ['connection', 'operations', 'analytics', 'risk-rules', 'help'];
+
+// Page -> open function; pages are opened from the Analytics tab
+const ROUTE_OPENERS = {
+    'deep-dive': type => openDeepDive(type),
+    matrix: siteUrl => openSiteMatrix(siteUrl),
+    principal: name => openPrincipalAccess(name)
+};
+
+// Page shown in the shared modal; only current while its view bar (saved-views.js) is on screen
+let modalRoute = null;
+
+// Set while a route is being applied, so the intermediate states are not written to history
+let applyingRoute = false;
+
+// Page route opened before any data was loaded; shown once data arrives (applyPendingRoute)
+let pendingRoute = null;
+
+function initRouter() {
+    const overlay = document.getElementById('modal-overlay');
+    const matrixModal = document.getElementById('matrix-modal');
+    const body = document.getElementById('modal-body');
+
+    // Closing a modal (close button, backdrop, Escape) is a navigation too
+    const observer = new MutationObserver(() => syncRoute());
+    [overlay, matrixModal].forEach(modal => observer.observe(modal, { attributes: true, attributeFilter: ['class'] }));
+
+    const syncSoon = UIHelpers.debounce(syncRoute, 300);
+    const onFilter = (e) => {
+        if (Object.values(ROUTE_FILTER_CONTROLS).includes(e.target.id)) syncSoon();
+    };
+    body.addEventListener('input', onFilter);
+    body.addEventListener('change', onFilter);
+
+    window.addEventListener('popstate', () => applyRoute(parseRoute(location.hash)));
+}
+
+// --- Routes ---
+
+// { tab, page, arg, filters } of what is on screen, or null while a modal
+// without a route (search results, saved views, a loading deep dive) is open
+function captureRoute() {
+    const matrixModal = document.getElementById('matrix-modal');
+    if (!matrixModal.classList.contains('hidden')) {
+        return currentMatrixSiteUrl ? { tab: 'analytics', page: 'matrix', arg: currentMatrixSiteUrl, filters: {} } : null;
+    }
+
+    if (!document.getElementById('modal-overlay').classList.contains('hidden')) {
+        const shown = shownModalRoute();
+        if (!shown) return null;
+        const filters = {};
+        if (shown.page === 'deep-dive') {
+            Object.entries(ROUTE_FILTER_CONTROLS).forEach(([key, id]) => {
+                const control = document.getElementById(id);
+                if (control && control.value.trim()) filters[key] = control.value.trim();
+            });
+        }
+        return { tab: 'analytics', page: shown.page, arg: shown.arg, filters };
+    }
+
+    const activeTab = document.querySelector('.tab-btn.active');
+    return { tab: activeTab ? activeTab.dataset.tab : 'connection', page: null, arg: null, filters: {} };
+}
+
+function routeToHash({ tab, page, arg, filters = {} }) {
+    if (!page) return `#/${tab}`;
+    if (page === 'deep-dive') {
+        const params = new URLSearchParams(filters).toString();
+        return `#/deep-dive/${arg}${params ? '?' + params : ''}`;
+    }
+    return `#/${page}/${encodeRouteArg(arg)}`;
+}
+
+// Site URLs and e-mail addresses stay readable in the address bar
+function encodeRouteArg(value) {
+    return encodeURIComponent(value).replace(/%2F/gi, '/').replace(/%3A/gi, ':').replace(/%40/g, '@');
+}
+
+// Route of a hash, or null when it is not one
+function parseRoute(hash) {
+    const match = String(hash || '').match(/^#\/([^/?]+)(?:\/([^?]*))?(?:\?(.*))?$/);
+    if (!match) return null;
+    const [, section, rest = '', query = ''] = match;
+
+    if (ROUTE_TABS.includes(section) && !rest) return { tab: section, page: null, arg: null, filters: {} };
+
+    if (section === 'deep-dive') {
+        if (!DEEP_DIVES[rest]) return null;
+        const filters = {};
+        new URLSearchParams(query).forEach((value, key) => {
+            if (ROUTE_FILTER_CONTROLS[key] && value) filters[key] = value;
+        });
+        return { tab: 'analytics', page: section, arg: rest, filters };
+    }
+
+    if (ROUTE_OPENERS[section] && rest) {
+        try {
+            return { tab: 'analytics', page: section, arg: decodeURIComponent(rest), filters: {} };
+        } catch (e) {
+            return null; // malformed escape in an edited link
+        }
+    }
+    return null;
+}
+
+// Route of the page in the shared modal, or null when it shows something else
+function shownModalRoute() {
+    const overlay = document.getElementById('modal-overlay');
+    return !overlay.classList.contains('hidden') && document.getElementById('view-bar') ? modalRoute : null;
+}
+
+function sameRoutePage(a, b) {
+    return !!a && !!b && a.page === b.page && a.arg === b.arg;
+}
+
+// Called with the route of the view bar once a routed page has rendered
+function setModalRoute(page, arg) {
+    modalRoute = { page, arg };
+    syncRoute();
+}
+
+// Writes the screen to the hash: a new history entry for another tab or page,
+// the same entry when only the filters changed (or when replace is set)
+function syncRoute({ replace = false } = {}) {
+    if (applyingRoute) return;
+    const route = captureRoute();
+    if (!route) return;
+
+    const hash = routeToHash(route);
+    if (location.hash === hash) return;
+
+    const current = parseRoute(location.hash);
+    const samePage = current && current.tab === route.tab && sameRoutePage(current, route);
+    if (replace || samePage || !current) history.replaceState(null, '', hash);
+    else history.pushState(null, '', hash);
+}
+
+// Opens a route from the app itself (e.g. a saved view) as a new history entry
+async function navigateToRoute(hash) {
+    const route = parseRoute(hash);
+    if (!route) return;
+    if (location.hash !== hash) history.pushState(null, '', hash);
+    await applyRoute(route);
+}
+
+// --- Applying Routes ---
+
+// Show a route: switch tab, then open, keep or close the page it names
+async function applyRoute(route) {
+    if (!route) return;
+    const matrixModal = document.getElementById('matrix-modal');
+    const alreadyOpen = route.page === 'matrix'
+        ? !matrixModal.classList.contains('hidden') && currentMatrixSiteUrl === route.arg
+        : sameRoutePage(shownModalRoute(), route);
+    applyingRoute = true;
+    pendingRoute = null;
+    try {
+        if (route.page && !appState.dataLoaded) {
+            // Keep the link in the address bar and open it once data is loaded
+            pendingRoute = route;
+            toast('Connect, start Demo Mode or open a report file to see this view', 'info');
+            return;
+        }
+
+        const tabBtn = document.querySelector(`.tab-btn[data-tab="${route.tab}"]`);
+        if (tabBtn && tabBtn.style.display !== 'none' && !tabBtn.classList.contains('active')) tabBtn.click();
+
+        if (route.page !== 'matrix') matrixModal.classList.add('hidden');
+        if (!route.page) {
+            document.getElementById('modal-overlay').classList.add('hidden');
+        } else if (!alreadyOpen) {
+            await ROUTE_OPENERS[route.page](route.arg);
+        }
+
+        if (route.page === 'deep-dive') restoreDeepDiveFilters(route.filters);
+    } finally {
+        applyingRoute = false;
+        // A route that could not be shown (hidden tab) is corrected in place
+        if (!pendingRoute) syncRoute({ replace: true });
+    }
+}
+
+// Called by refreshAnalytics once data is loaded: opens a link that arrived before it
+async function applyPendingRoute() {
+    if (!pendingRoute || !appState.dataLoaded) return;
+    const route = pendingRoute;
+    pendingRoute = null;
+    await navigateToRoute(routeToHash(route));
+}
+
+// Sets every filter control of the open deep dive; controls missing from filters are cleared
+function restoreDeepDiveFilters(filters) {
+    Object.entries(ROUTE_FILTER_CONTROLS).forEach(([key, id]) => {
+        const control = document.getElementById(id);
+        const value = filters[key] || '';
+        if (!control || control.value === value) return;
+
+        // Bring the deep dive tab holding the control to the front (e.g. inheritance Table View)
+        const pane = control.closest('.dd-tab-content');
+        const paneBtn = pane && document.querySelector(`.dd-tab-btn[data-ddtab="${pane.id}"]`);
+        if (value && paneBtn && !pane.classList.contains('active')) paneBtn.click();
+
+        control.value = value;
+        control.dispatchEvent(new Event(control.tagName === 'SELECT' ? 'change' : 'input'));
+    });
+}
+
+// The matrix title shows the site title, which a link does not carry
+async function openSiteMatrix(siteUrl) {
+    let siteTitle = siteUrl;
+    try {
+        const sites = await API.getData('sites');
+        const site = (sites.data || []).find(s => s.Url === siteUrl);
+        if (site && site.Title) siteTitle = site.Title;
+    } catch (e) {
+        // The URL is a usable title
+    }
+    openPermissionsMatrix(siteUrl, siteTitle);
+}
@@ -0,0 +1,171 @@
+// ============================================
+// saved-views.js - Shareable links and named saved views
+// ============================================
+// A view is the route hash of the screen (router.js), e.g.
+// "#/deep-dive/users?q=smith&type=External". Deep dives and the principal
+// access view get a bar with "Copy link" and "Save view"; saved views are
+// stored server-side under a name (/api/views).
+
+let savedViewList = [];
+
+function initSavedViews() {
+    const savedViewsBtn = document.getElementById('btn-saved-views');
+    if (savedViewsBtn) savedViewsBtn.addEventListener('click', () => openSavedViews());
+}
+
+// "Users Deep Dive · search "smith" · type: External"
+function describeRoute(route) {
+    if (!route) return 'Unknown view';
+    if (route.page === 'matrix') return `Permissions Matrix · ${route.arg}`;
+    if (route.page === 'principal') return `Access · ${route.arg}`;
+    if (!route.page) {
+        const tabBtn = document.querySelector(`.tab-btn[data-tab="${route.tab}"]`);
+        return `${tabBtn ? tabBtn.textContent : route.tab} tab`;
+    }
+    const parts = [DEEP_DIVES[route.arg].title];
+    Object.entries(route.filters).forEach(([key, value]) => parts.push(key === 'q' ? `search "${value}"` : `${key}: ${value}`));
+    return parts.join(' · ');
+}
+
+function viewUrl(hash) {
+    return `${location.origin}${location.pathname}${hash}`;
+}
+
+async function copyViewLink(hash) {
+    const url = viewUrl(hash);
+    try {
+        await navigator.clipboard.writeText(url);
+        toast('Link copied', 'success');
+    } catch (e) {
+        toast(`Copy this link: ${url}`, 'info');
+    }
+}
+
+// --- View Bar ---
+
+// Called once a routed page (deep dive, principal access) has rendered:
+// adds Copy link / Save view and makes the page the current route
+function attachViewBar(body, page, arg) {
+    body.insertAdjacentHTML('afterbegin', `
+        <div id="view-bar" class="view-bar">
+            <span class="view-save hidden">
+                <input type="text" id="view-name" placeholder="View name" maxlength="100">
+                <button class="btn btn-sm btn-primary" data-view-action="confirm">Save</button>
+            </span>
+            <button class="btn btn-sm btn-secondary" data-view-action="save">Save view</button>
+            <button class="btn btn-sm btn-secondary" data-view-action="copy">Copy link</button>
+        </div>`);
+
+    const bar = document.getElementById('view-bar');
+    const form = bar.querySelector('.view-save');
+    const nameInput = document.getElementById('view-name');
+
+    bar.addEventListener('click', (e) => {
+        const action = e.target.dataset.viewAction;
+        if (action === 'copy') {
+            copyViewLink(routeToHash(captureRoute()));
+        } else if (action === 'save') {
+            form.classList.toggle('hidden');
+            if (!form.classList.contains('hidden')) nameInput.focus();
+        } else if (action === 'confirm') {
+            saveCurrentView(nameInput.value, form);
+        }
+    });
+    nameInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveCurrentView(nameInput.value, form);
+    });
+
+    setModalRoute(page, arg);
+}
+
+async function saveCurrentView(name, form) {
+    if (!name.trim()) {
+        toast('Enter a name for the view', 'info');
+        return;
+    }
+    const hash = routeToHash(captureRoute());
+    try {
+        const res = await API.saveView(name.trim(), hash);
+        savedViewList = res.views || [];
+        form.classList.add('hidden');
+        toast(`Saved view "${name.trim()}"`, 'success');
+    } catch (e) {
+        toast('Could not save view: ' + e.message, 'error');
+    }
+}
+
+// --- Saved Views List ---
+
+window.openSavedViews = async function() {
+    const overlay = document.getElementById('modal-overlay');
+    const title = document.getElementById('modal-title');
+    const body = document.getElementById('modal-body');
+
+    overlay.classList.remove('hidden');
+    document.getElementById('modal-close').onclick = () => overlay.classList.add('hidden');
+    overlay.onclick = (e) => { if (e.target === overlay) overlay.classList.add('hidden'); };
+    const escHandler = (e) => { if (e.key === 'Escape') { overlay.classList.add('hidden'); document.removeEventListener('keydown', escHandler); } };
+    document.addEventListener('keydown', escHandler);
+
+    title.textContent = 'Saved Views';
+    body.innerHTML = '<p class="text-center text-muted">Loading...</p>';
+
+    try {
+        const res = await API.getSavedViews();
+        savedViewList = res.views || [];
+    } catch (e) {
+        body.innerHTML = `<p class="text-center" style="color:#DC3545">Could not load saved views: ${esc(e.message)}</p>`;
+        return;
+    }
+
+    body.innerHTML = `
+        <div class="saved-views">
+            <p class="risk-rules-intro">Open a deep dive or a principal's access, set its search and filters, then use <strong>Save view</strong> at the top. Links open the same view for anyone who can reach this server.</p>
+            <div id="saved-views-list"></div>
+        </div>`;
+    body.querySelector('.saved-views').addEventListener('click', handleSavedViewClick);
+    renderSavedViewList();
+};
+
+function renderSavedViewList() {
+    const list = document.getElementById('saved-views-list');
+    if (!list) return;
+    if (savedViewList.length === 0) {
+        list.innerHTML = '<div class="finding info"><h4>No saved views yet</h4><p>Saved views keep a deep dive with its search and filters, e.g. external users with Full Control.</p></div>';
+        return;
+    }
+    list.innerHTML = `<table><thead><tr><th>Name</th><th>Shows</th><th>Updated</th><th></th></tr></thead><tbody>${savedViewList.map(v => `
+        <tr>
+            <td><strong>${esc(v.name)}</strong></td>
+            <td>${esc(describeRoute(parseRoute(v.hash)))}</td>
+            <td>${esc(UIHelpers.formatRelativeDate(v.updatedAt))}</td>
+            <td class="custom-rule-actions">
+                <button class="btn btn-primary btn-sm" data-sv-action="open" data-view-id="${escAttr(v.id)}">Open</button>
+                <button class="btn btn-secondary btn-sm" data-sv-action="copy" data-view-id="${escAttr(v.id)}">Copy link</button>
+                <button class="btn btn-secondary btn-sm" data-sv-action="delete" data-view-id="${escAttr(v.id)}">Delete</button>
+            </td>
+        </tr>`).join('')}</tbody></table>`;
+}
+
+async function handleSavedViewClick(e) {
+    const btn = e.target.closest('[data-sv-action]');
+    if (!btn) return;
+    const view = savedViewList.find(v => v.id === btn.dataset.viewId);
+    if (!view) return;
+
+    if (btn.dataset.svAction === 'open') {
+        document.getElementById('modal-overlay').classList.add('hidden');
+        await navigateToRoute(view.hash);
+    } else if (btn.dataset.svAction === 'copy') {
+        copyViewLink(view.hash);
+    } else if (btn.dataset.svAction === 'delete') {
+        try {
+            const res = await API.deleteSavedView(view.id);
+            savedViewList = res.views || [];
+            renderSavedViewList();
+            toast('Saved view deleted', 'success');
+        } catch (err) {
+            toast('Could not delete view: ' + err.message, 'error');
+        }
+    }
+}
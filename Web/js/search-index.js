@@ -0,0 +1,151 @@
+// ============================================
+// search-index.js - Client-side index for the global search
+// ============================================
+// Every row of the loaded data is split into word tokens per field. A query
+// word matches a token exactly, as a prefix ("fin" → finance) or within a
+// small edit distance ("jhon" → john), and each match scores the field's
+// weight times the match quality. All words of a term must match; rows are
+// ranked by the sum. Rebuilt from refreshAnalytics, so it follows every
+// analysis, demo run and opened report file.
+
+// Field weights per result group. Members indexes the names and e-mails of
+// group members (nested groups and their users included) and sharing link recipients.
+const SEARCH_INDEX_FIELDS = {
+    sites: { Title: 3, Url: 2, Owner: 1 },
+    users: { Name: 3, Email: 3, LoginName: 1, Type: 1, Permission: 1 },
+    groups: { Name: 3, Description: 1, Members: 1 },
+    permissions: { Principal: 3, Role: 2, Scope: 1, SiteTitle: 1 },
+    inheritance: { Title: 3, SiteTitle: 1, Url: 1 },
+    sharinglinks: { LinkType: 2, SiteTitle: 2, Members: 2, AccessLevel: 1, GroupName: 1 }
+};
+
+// Match quality: exact token, prefix of a token, one typo, two typos
+const SEARCH_MATCH_QUALITY = { exact: 1, prefix: 0.7, typo1: 0.5, typo2: 0.3 };
+
+function tokenizeSearchText(text) {
+    return String(text ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Typos allowed for a query word: none below 4 characters, two from 8
+function searchTypoBudget(word) {
+    return word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+}
+
+// Row buffers for searchEditDistance, grown to the longest token seen
+let searchDistanceRows = [0, 1, 2].map(() => new Uint16Array(32));
+
+// Optimal string alignment distance (a swap counts as one edit), or max + 1 once over max.
+// Runs against much of the vocabulary per query word, so it reuses its row buffers.
+function searchEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    if (b.length + 1 > searchDistanceRows[0].length) {
+        searchDistanceRows = [0, 1, 2].map(() => new Uint16Array(b.length + 1));
+    }
+    let [prev2, prev, row] = searchDistanceRows;
+    for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        row[0] = i;
+        let best = i;
+        const ca = a.charCodeAt(i - 1);
+        for (let j = 1; j <= b.length; j++) {
+            const cb = b.charCodeAt(j - 1);
+            let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (ca === cb ? 0 : 1));
+            if (i > 1 && j > 1 && ca === b.charCodeAt(j - 2) && a.charCodeAt(i - 2) === cb) d = Math.min(d, prev2[j - 2] + 1);
+            row[j] = d;
+            if (d < best) best = d;
+        }
+        if (best > max) return max + 1;
+        const done = prev2;
+        prev2 = prev;
+        prev = row;
+        row = done;
+    }
+    return prev[b.length];
+}
+
+// Names and e-mails of a member tree, walking into nested groups
+function searchMemberText(members) {
+    return (members || []).map(m => `${m.Name || ''} ${m.Email || ''} ${searchMemberText(m.Members)}`).join(' ');
+}
+
+// data: rows per result group (sites, users, groups, permissions, inheritance, sharinglinks)
+function createSearchIndex(data) {
+    const postings = new Map(); // token -> Map(item -> { weight, field })
+    const groups = {};
+
+    Object.entries(SEARCH_INDEX_FIELDS).forEach(([group, fields]) => {
+        groups[group] = data[group] || [];
+        groups[group].forEach(item => {
+            Object.entries(fields).forEach(([field, weight]) => {
+                const value = field === 'Members' ? searchMemberText(item.Members) : item[field];
+                tokenizeSearchText(value).forEach(token => {
+                    if (!postings.has(token)) postings.set(token, new Map());
+                    const docs = postings.get(token);
+                    const current = docs.get(item);
+                    if (!current || current.weight < weight) docs.set(item, { weight, field });
+                });
+            });
+        });
+    });
+
+    const vocabulary = Array.from(postings.keys());
+    const expanded = new Map(); // query word -> matches; typing repeats earlier words
+
+    // Index tokens a query word matches, with their quality
+    const expand = (word) => {
+        if (expanded.has(word)) return expanded.get(word);
+        const budget = searchTypoBudget(word);
+        const matches = [];
+        vocabulary.forEach(token => {
+            if (token === word) matches.push([token, SEARCH_MATCH_QUALITY.exact]);
+            else if (word.length >= 2 && token.startsWith(word)) matches.push([token, SEARCH_MATCH_QUALITY.prefix]);
+            else if (budget > 0) {
+                const distance = searchEditDistance(word, token, budget);
+                if (distance <= budget) matches.push([token, distance === 1 ? SEARCH_MATCH_QUALITY.typo1 : SEARCH_MATCH_QUALITY.typo2]);
+            }
+        });
+        if (expanded.size >= 500) expanded.clear();
+        expanded.set(word, matches);
+        return matches;
+    };
+
+    return {
+        size: Object.values(groups).reduce((sum, rows) => sum + rows.length, 0),
+
+        // Rows of a result group in their original order
+        items: group => groups[group] || [],
+
+        // Map(item -> { score, fields: Set, tokens: Set }) of rows matching every word of text
+        search(text) {
+            const words = tokenizeSearchText(text);
+            let hits = null;
+
+            words.forEach(word => {
+                const wordHits = new Map();
+                expand(word).forEach(([token, quality]) => {
+                    postings.get(token).forEach(({ weight, field }, item) => {
+                        if (hits && !hits.has(item)) return;
+                        const hit = wordHits.get(item) || { score: 0, fields: new Set(), tokens: new Set() };
+                        hit.score = Math.max(hit.score, weight * quality);
+                        hit.fields.add(field);
+                        hit.tokens.add(token);
+                        wordHits.set(item, hit);
+                    });
+                });
+
+                if (hits) {
+                    wordHits.forEach((hit, item) => {
+                        const previous = hits.get(item);
+                        hit.score += previous.score;
+                        previous.fields.forEach(f => hit.fields.add(f));
+                        previous.tokens.forEach(t => hit.tokens.add(t));
+                    });
+                }
+                hits = wordHits;
+            });
+
+            return hits || new Map();
+        }
+    };
+}
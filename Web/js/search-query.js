@@ -0,0 +1,166 @@
+// ============================================
+// search-query.js - Query language for the global search
+// ============================================
+// finance                  matched through the search index (search-index.js):
+//                          ranked, prefix and typo tolerant
+// "full control"           quoted phrase; every word must match
+// type:external            field-qualified term (see SEARCH_QUERY_FIELDS);
+// role:"Full Control"      any other name matches the row field of that name
+// a b  /  a AND b          both
+// a OR b                   either; AND binds tighter than OR
+// NOT a  /  -a             exclude
+// (a OR b) NOT c           parentheses group
+// Keywords are upper case, so a lower-case "and" is searched for as a word.
+// Qualified terms match case-insensitively by substring, except domain: (see below).
+
+// type:<alias> selects a result group
+const SEARCH_TYPE_ALIASES = {
+    sites: ['site', 'sites'],
+    users: ['user', 'users'],
+    groups: ['group', 'groups'],
+    permissions: ['permission', 'permissions', 'roleassignment', 'roleassignments'],
+    inheritance: ['inheritance', 'item', 'items'],
+    sharinglinks: ['link', 'links', 'sharing', 'sharinglink', 'sharinglinks']
+};
+
+const SEARCH_QUERY_FIELDS = {
+    // Result group, or the row's own type (user Type, principal type, item type)
+    type: (group, item, value) => SEARCH_TYPE_ALIASES[group].includes(value) ||
+        (value === 'external' && item.IsExternal === true) ||
+        ['Type', 'PrincipalType', 'LinkType'].some(f => searchTextContains(item[f], value)),
+    // Role of a role assignment, or the permission level of a user/group
+    role: (group, item, value) => ['Role', 'Permission'].some(f => searchTextContains(item[f], value)),
+    site: (group, item, value) => (group === 'sites' ? ['Title', 'Url'] : ['SiteTitle', 'SiteUrl'])
+        .some(f => searchTextContains(item[f], value)),
+    // E-mail domain, including subdomains; "contoso" also matches contoso.com
+    domain: (group, item, value) => searchItemDomains(item)
+        .some(d => d === value || d.endsWith('.' + value) || d.split('.').includes(value))
+};
+
+function searchTextContains(fieldValue, value) {
+    return fieldValue !== null && fieldValue !== undefined && String(fieldValue).toLowerCase().includes(value);
+}
+
+// E-mail domains of a row. Guest logins (jane_fabrikam.com#ext#@contoso.onmicrosoft.com)
+// count under the guest's own domain.
+function searchItemDomains(item) {
+    const domains = [];
+    ['Email', 'LoginName', 'Principal', 'Owner'].forEach(f => {
+        const text = String(item[f] || '').toLowerCase();
+        const guest = text.match(/_([^_#@\s]+\.[^_#@\s]+)#ext#/);
+        if (guest) domains.push(guest[1]);
+        else if (text.includes('@')) domains.push(text.slice(text.lastIndexOf('@') + 1).replace(/[>\s].*$/, ''));
+    });
+    return domains;
+}
+
+// Tokens: ( ) AND OR NOT and { kind: 'term', field, value }
+function tokenizeSearchQuery(text) {
+    const tokens = [];
+    let i = 0;
+
+    const readValue = () => {
+        if (text[i] === '"') {
+            const end = text.indexOf('"', i + 1);
+            const value = text.slice(i + 1, end === -1 ? text.length : end);
+            i = end === -1 ? text.length : end + 1;
+            return { value, quoted: true };
+        }
+        const start = i;
+        while (i < text.length && !/[\s()]/.test(text[i])) i++;
+        return { value: text.slice(start, i), quoted: false };
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (/\s/.test(ch)) { i++; continue; }
+        if (ch === '(' || ch === ')') { tokens.push({ kind: ch }); i++; continue; }
+        if (ch === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) { tokens.push({ kind: 'NOT' }); i++; continue; }
+
+        const field = text.slice(i).match(/^([A-Za-z]+):(?=\S)/);
+        if (field) {
+            i += field[0].length;
+            const { value } = readValue();
+            if (value) tokens.push({ kind: 'term', field: field[1].toLowerCase(), value: value.toLowerCase() });
+            continue;
+        }
+
+        const { value, quoted } = readValue();
+        if (!quoted && ['AND', 'OR', 'NOT'].includes(value)) tokens.push({ kind: value });
+        else if (value) tokens.push({ kind: 'term', field: null, value: value.toLowerCase() });
+    }
+    return tokens;
+}
+
+// Parse into { op: 'and'|'or', nodes } / { op: 'not', node } / { op: 'term', field, value }.
+// Malformed input never throws: a missing ")" or quote closes at the end,
+// a stray ")" or a dangling keyword is ignored. Returns null for an empty query.
+function parseSearchQuery(text) {
+    const tokens = tokenizeSearchQuery(text || '');
+    let pos = 0;
+    const peek = () => tokens[pos] && tokens[pos].kind;
+    const combine = (op, nodes) => nodes.length === 0 ? null : nodes.length === 1 ? nodes[0] : { op, nodes };
+
+    const parseOr = () => {
+        const nodes = [parseAnd()];
+        while (peek() === 'OR') { pos++; nodes.push(parseAnd()); }
+        return combine('or', nodes.filter(Boolean));
+    };
+    const parseAnd = () => {
+        const nodes = [];
+        while (pos < tokens.length && peek() !== ')' && peek() !== 'OR') {
+            if (peek() === 'AND') { pos++; continue; }
+            nodes.push(parseNot());
+        }
+        return combine('and', nodes.filter(Boolean));
+    };
+    const parseNot = () => {
+        if (!peek() || peek() === ')' || peek() === 'OR') return null;
+        if (peek() === 'NOT') {
+            pos++;
+            const node = parseNot();
+            return node ? { op: 'not', node } : null;
+        }
+        const token = tokens[pos++];
+        if (token.kind === '(') {
+            const node = parseOr();
+            if (peek() === ')') pos++;
+            return node;
+        }
+        return token.kind === 'term' ? { op: 'term', field: token.field, value: token.value } : null;
+    };
+
+    const nodes = [];
+    while (pos < tokens.length) {
+        nodes.push(parseOr());
+        if (peek() === ')') pos++;
+    }
+    return combine('and', nodes.filter(Boolean));
+}
+
+// Whether a row of a result group (a SEARCH_TYPE_ALIASES key) matches.
+// matchText(value, item) decides bare terms, e.g. through the search index.
+function matchesSearchQuery(node, group, item, matchText) {
+    switch (node.op) {
+        case 'and': return node.nodes.every(n => matchesSearchQuery(n, group, item, matchText));
+        case 'or': return node.nodes.some(n => matchesSearchQuery(n, group, item, matchText));
+        case 'not': return !matchesSearchQuery(node.node, group, item, matchText);
+        default: return matchesSearchTerm(node, group, item, matchText);
+    }
+}
+
+function matchesSearchTerm({ field, value }, group, item, matchText) {
+    if (!field) return matchText(value, item);
+    if (SEARCH_QUERY_FIELDS[field]) return SEARCH_QUERY_FIELDS[field](group, item, value);
+
+    const key = Object.keys(item).find(k => k.toLowerCase() === field);
+    return key !== undefined && searchTextContains(item[key], value);
+}
+
+// Bare terms that are not negated; these rank and highlight the results
+function searchQueryTerms(node, negated = false) {
+    if (!node) return [];
+    if (node.op === 'not') return searchQueryTerms(node.node, !negated);
+    if (node.op === 'term') return !node.field && !negated ? [node.value] : [];
+    return node.nodes.flatMap(n => searchQueryTerms(n, negated));
+}
@@ -2,18 +2,16 @@
 // search.js - Global search functionality
 // ============================================
 
-let globalSearchData = {
-    sites: [],
-    users: [],
-    groups: [],
-    permissions: [],
-    inheritance: [],
-    loaded: false
-};
+// Built from every loaded row by rebuildGlobalSearchIndex (search-index.js);
+// null until data is loaded or after the data source changes
+let globalSearchIndex = null;
+let searchIndexSeq = 0;
 
 let selectedResultIndex = -1;
 let currentSearchResults = [];
 
+const SEARCH_SYNTAX_HINT = '<div class="search-syntax-hint">Try <code>type:external</code>, <code>role:"Full Control"</code>, <code>site:finance</code>, <code>domain:contoso.com</code>, <code>OR</code>, <code>NOT</code></div>';
+
 // Initialize global search
 function initGlobalSearch() {
     const searchInput = document.getElementById('global-search-input');
@@ -68,6 +66,9 @@ function initGlobalSearch() {
                 if (result) {
                     navigateToSearchResult(result.type, result.item);
                 }
+            } else if (e.key === 'Enter' && lastSearchResults) {
+                e.preventDefault();
+                openSearchResultsView();
             } else if (e.key === 'Escape') {
                 searchResults.classList.add('hidden');
                 searchInput.blur();
@@ -75,10 +76,10 @@ function initGlobalSearch() {
         }
     });
 
-    // Focus handler - lazy load data
+    // Focus handler - build the index if refreshAnalytics has not yet
     searchInput.addEventListener('focus', async () => {
-        if (!globalSearchData.loaded && appState.dataLoaded) {
-            await loadGlobalSearchData();
+        if (!globalSearchIndex && appState.dataLoaded) {
+            await rebuildGlobalSearchIndex();
         }
     });
 
@@ -90,83 +91,110 @@ function initGlobalSearch() {
     });
 }
 
-// Load all data for searching (lazy loading)
-async function loadGlobalSearchData() {
+// Index every loaded row, including sharing links and group members.
+// refreshAnalytics calls this, so the index follows each analysis and report file.
+async function rebuildGlobalSearchIndex() {
+    const seq = ++searchIndexSeq;
     try {
-        const [sites, users, groups, permissions, inheritance] = await Promise.all([
+        const [sites, users, groups, permissions, inheritance, sharinglinks] = await Promise.all([
             API.getData('sites'),
             API.getData('users'),
             API.getData('groups'),
             API.getData('roleassignments'),
-            API.getData('inheritance')
+            API.getData('inheritance'),
+            API.getData('sharinglinks')
         ]);
+        // A newer rebuild (e.g. after another analysis) wins
+        if (seq !== searchIndexSeq) return;
 
-        globalSearchData = {
+        globalSearchIndex = createSearchIndex({
             sites: sites.data || [],
             users: users.data || [],
             groups: groups.data || [],
             permissions: permissions.data || [],
             inheritance: inheritance.data || [],
-            loaded: true
-        };
+            sharinglinks: sharinglinks.data || []
+        });
+
+        // Refresh an open dropdown against the new data
+        const input = document.getElementById('global-search-input');
+        const dropdown = document.getElementById('global-search-results');
+        if (input && dropdown && !dropdown.classList.contains('hidden') && input.value.trim().length >= 2) {
+            performGlobalSearch(input.value.trim());
+        }
     } catch (e) {
-        console.error('Failed to load search data:', e);
+        console.error('Failed to build search index:', e);
     }
 }
 
-// Perform search across all data types
-function performGlobalSearch(query) {
-    const q = query.toLowerCase();
-    const results = {
-        sites: [],
-        users: [],
-        groups: [],
-        permissions: [],
-        inheritance: []
-    };
+// Results shown in the dropdown per group; "See all results" lists every match
+const SEARCH_DROPDOWN_LIMIT = 5;
+
+// Every match of the last query, for the full results view
+let lastSearchResults = null;
 
-    // Search sites
-    results.sites = globalSearchData.sites.filter(s =>
-        (s.Title || '').toLowerCase().includes(q) ||
-        (s.Url || '').toLowerCase().includes(q) ||
-        (s.Owner || '').toLowerCase().includes(q)
-    ).slice(0, 5);
-
-    // Search users
-    results.users = globalSearchData.users.filter(u =>
-        (u.Name || '').toLowerCase().includes(q) ||
-        (u.Email || '').toLowerCase().includes(q)
-    ).slice(0, 5);
-
-    // Search groups
-    results.groups = globalSearchData.groups.filter(g =>
-        (g.Name || '').toLowerCase().includes(q) ||
-        (g.Description || '').toLowerCase().includes(q)
-    ).slice(0, 5);
-
-    // Search permissions
-    results.permissions = globalSearchData.permissions.filter(p =>
-        (p.Principal || '').toLowerCase().includes(q) ||
-        (p.Role || '').toLowerCase().includes(q)
-    ).slice(0, 5);
-
-    // Search inheritance
-    results.inheritance = globalSearchData.inheritance.filter(i =>
-        (i.Title || '').toLowerCase().includes(q) ||
-        (i.SiteTitle || '').toLowerCase().includes(q)
-    ).slice(0, 5);
+// Perform search across all data types (query language: see search-query.js).
+// Results per group are { item, score, fields, tokens }, best match first;
+// tokens are the indexed words that matched, for highlighting.
+async function performGlobalSearch(query) {
+    if (!globalSearchIndex) {
+        const resultsContainer = document.getElementById('global-search-results');
+        resultsContainer.innerHTML = '<div class="search-no-results">Building search index...</div>';
+        resultsContainer.classList.remove('hidden');
+        await rebuildGlobalSearchIndex();
+        if (!globalSearchIndex || document.getElementById('global-search-input').value.trim() !== query) return;
+    }
+
+    const index = globalSearchIndex;
+    const ast = parseSearchQuery(query);
+    const hitsByTerm = new Map();
+    const hits = value => {
+        if (!hitsByTerm.has(value)) hitsByTerm.set(value, index.search(value));
+        return hitsByTerm.get(value);
+    };
+    const rankingTerms = searchQueryTerms(ast);
+
+    const results = {};
+    Object.keys(SEARCH_TYPE_ALIASES).forEach(group => {
+        const matches = ast ? index.items(group).filter(item => matchesSearchQuery(ast, group, item, (value, row) => hits(value).has(row))) : [];
+        results[group] = matches.map(item => {
+            const result = { item, score: 0, fields: new Set(), tokens: new Set() };
+            rankingTerms.forEach(value => {
+                const hit = hits(value).get(item);
+                if (!hit) return;
+                result.score += hit.score;
+                hit.fields.forEach(f => result.fields.add(f));
+                hit.tokens.forEach(t => result.tokens.add(t));
+            });
+            return result;
+        }).sort((a, b) => b.score - a.score);
+    });
 
+    lastSearchResults = { query, results };
     renderSearchResults(results, query);
 }
 
+// Member or recipient (nested groups included) whose name or e-mail matched, when the row matched only through Members
+function matchedSearchMember(result) {
+    if (!result.fields.has('Members') || result.fields.size > 1) return null;
+    const find = members => {
+        for (const m of members || []) {
+            if (tokenizeSearchText(`${m.Name || ''} ${m.Email || ''}`).some(t => result.tokens.has(t))) return m;
+            const nested = find(m.Members);
+            if (nested) return nested;
+        }
+        return null;
+    };
+    return find(result.item.Members);
+}
+
 // Render search results dropdown
 function renderSearchResults(results, query) {
     const resultsContainer = document.getElementById('global-search-results');
-    const totalResults = results.sites.length + results.users.length + results.groups.length +
-                        results.permissions.length + results.inheritance.length;
+    const totalResults = Object.values(results).reduce((sum, items) => sum + items.length, 0);
 
     if (totalResults === 0) {
-        resultsContainer.innerHTML = '<div class="search-no-results">No results found</div>';
+        resultsContainer.innerHTML = `<div class="search-no-results">No results found</div>${SEARCH_SYNTAX_HINT}`;
         resultsContainer.classList.remove('hidden');
         currentSearchResults = [];
         selectedResultIndex = -1;
@@ -182,7 +210,8 @@ function renderSearchResults(results, query) {
             html += `<div class="search-result-group">
                 <div class="search-result-group-title">${icon} ${title} (${items.length})</div>`;
 
-            items.forEach((item, index) => {
+            items.slice(0, SEARCH_DROPDOWN_LIMIT).forEach(result => {
+                const item = result.item;
                 const resultIndex = currentSearchResults.length;
                 currentSearchResults.push({ type, item });
 
@@ -190,23 +219,38 @@ function renderSearchResults(results, query) {
                 let secondaryText = '';
 
                 if (type === 'sites') {
-                    primaryText = esc(item.Title);
-                    secondaryText = esc(item.Url);
+                    primaryText = item.Title;
+                    secondaryText = item.Url;
                 } else if (type === 'users') {
-                    primaryText = esc(item.Name);
-                    secondaryText = esc(item.Email);
+                    primaryText = item.Name;
+                    secondaryText = item.Email;
                 } else if (type === 'groups') {
-                    primaryText = esc(item.Name);
+                    primaryText = item.Name;
                     secondaryText = `${item.MemberCount || 0} members`;
                 } else if (type === 'permissions') {
-                    primaryText = esc(item.Principal);
+                    primaryText = item.Principal;
                     secondaryText = `${item.Role} on ${item.Scope}`;
                 } else if (type === 'inheritance') {
-                    primaryText = esc(item.Title);
-                    secondaryText = esc(item.SiteTitle);
+                    primaryText = item.Title;
+                    secondaryText = item.SiteTitle;
+                } else if (type === 'sharinglinks') {
+                    primaryText = `${item.LinkType} link · ${item.AccessLevel}`;
+                    secondaryText = `${item.SiteTitle || 'Unknown site'} · ${item.MemberCount || 0} recipients`;
                 }
 
+                const member = matchedSearchMember(result);
+                if (member) secondaryText = `${type === 'groups' ? 'Member' : 'Recipient'}: ${member.Name || member.Email}`;
+
+                const terms = [...result.tokens];
+                primaryText = UIHelpers.highlightSearchTerm(primaryText, terms);
+                secondaryText = UIHelpers.highlightSearchTerm(secondaryText, terms);
+
+                const accessAction = (type === 'users' || type === 'groups')
+                    ? `<button class="search-result-action" title="Show everything this principal can access" onclick="event.stopPropagation(); window.openSearchResultAccess(${resultIndex})">Access</button>`
+                    : '';
+
                 html += `<div class="search-result-item" data-result-index="${resultIndex}" onclick="window.navigateToSearchResult('${type}', ${resultIndex})">
+                    ${accessAction}
                     <div class="search-result-primary">${primaryText}</div>
                     <div class="search-result-secondary">${secondaryText}</div>
                 </div>`;
@@ -221,6 +265,10 @@ function renderSearchResults(results, query) {
     addGroup('Groups', results.groups, 'groups', '👥');
     addGroup('Permissions', results.permissions, 'permissions', '🔐');
     addGroup('Inheritance', results.inheritance, 'inheritance', '🔗');
+    addGroup('Sharing Links', results.sharinglinks, 'sharinglinks', '📤');
+
+    const shown = currentSearchResults.length;
+    html += `<button class="search-see-all" onclick="window.openSearchResultsView()">See all ${totalResults.toLocaleString()} result${totalResults === 1 ? '' : 's'}${shown < totalResults ? ` (${shown} shown)` : ''}</button>`;
 
     resultsContainer.innerHTML = html;
     resultsContainer.classList.remove('hidden');
@@ -260,12 +308,13 @@ window.navigateToSearchResult = function(type, indexOrItem) {
         analyticsTab.click();
     }
 
-    // Open appropriate deep dive with item pre-selected
-    setTimeout(() => {
+    // Open appropriate deep dive with item pre-selected (deep dives load
+    // their first page asynchronously, so wait before filling the search)
+    setTimeout(async () => {
         if (type === 'sites') {
             openSiteDetailDeepDive(item.Title);
         } else if (type === 'users') {
-            openDeepDive('users');
+            await openDeepDive('users');
             setTimeout(() => {
                 const searchInput = document.getElementById('dd-search');
                 if (searchInput) {
@@ -274,7 +323,7 @@ window.navigateToSearchResult = function(type, indexOrItem) {
                 }
             }, 100);
         } else if (type === 'groups') {
-            openDeepDive('groups');
+            await openDeepDive('groups');
             setTimeout(() => {
                 const searchInput = document.getElementById('dd-search');
                 if (searchInput) {
@@ -284,8 +333,17 @@ window.navigateToSearchResult = function(type, indexOrItem) {
             }, 100);
         } else if (type === 'permissions') {
             openFilteredPermissionsDeepDive(item.Role);
+        } else if (type === 'sharinglinks') {
+            await openDeepDive('sharing');
+            setTimeout(() => {
+                const searchInput = document.getElementById('dd-search');
+                if (searchInput) {
+                    searchInput.value = item.GroupName;
+                    searchInput.dispatchEvent(new Event('input'));
+                }
+            }, 100);
         } else if (type === 'inheritance') {
-            openDeepDive('inheritance');
+            await openDeepDive('inheritance');
             setTimeout(() => {
                 const searchInput = document.getElementById('dd-search');
                 if (searchInput) {
@@ -296,3 +354,80 @@ window.navigateToSearchResult = function(type, indexOrItem) {
         }
     }, 200);
 };
+
+// Open the principal access view for a user or group result
+window.openSearchResultAccess = function(index) {
+    const item = currentSearchResults[index].item;
+
+    document.getElementById('global-search-results').classList.add('hidden');
+    document.getElementById('global-search-input').value = '';
+
+    const analyticsTab = document.querySelector('.tab-btn[data-tab="analytics"]');
+    if (analyticsTab) {
+        analyticsTab.click();
+    }
+
+    setTimeout(() => openPrincipalAccess(item.Name), 200);
+};
+
+// --- Full Results View ---
+// Every match of the last query, one tab per result group, in the shared modal
+
+const SEARCH_RESULT_COLUMNS = {
+    sites: [['Title', s => s.Title], ['URL', s => s.Url], ['Owner', s => s.Owner]],
+    users: [['Name', u => u.Name], ['Email', u => u.Email], ['Type', u => u.Type], ['Permission', u => u.Permission]],
+    groups: [['Name', g => g.Name], ['Members', g => g.MemberCount || 0], ['Permission', g => g.Permission]],
+    permissions: [['Principal', p => p.Principal], ['Role', p => p.Role], ['Scope', p => p.Scope], ['Site', p => p.SiteTitle || p.SiteUrl]],
+    inheritance: [['Title', i => i.Title], ['Type', i => i.Type], ['Unique Perms', i => i.HasUniquePermissions === true || i.HasUniquePermissions === 'True' ? 'Yes' : 'No'], ['Site', i => i.SiteTitle]],
+    sharinglinks: [['Link Type', l => l.LinkType], ['Access', l => l.AccessLevel], ['Recipients', l => l.MemberCount || 0], ['Site', l => l.SiteTitle]]
+};
+
+const SEARCH_GROUP_TITLES = { sites: 'Sites', users: 'Users', groups: 'Groups', permissions: 'Permissions', inheritance: 'Inheritance', sharinglinks: 'Sharing Links' };
+
+window.openSearchResultsView = function() {
+    if (!lastSearchResults) return;
+    const { query, results } = lastSearchResults;
+
+    document.getElementById('global-search-results').classList.add('hidden');
+
+    const overlay = document.getElementById('modal-overlay');
+    const body = document.getElementById('modal-body');
+    overlay.classList.remove('hidden');
+    document.getElementById('modal-close').onclick = () => overlay.classList.add('hidden');
+    overlay.onclick = (e) => { if (e.target === overlay) overlay.classList.add('hidden'); };
+    const escHandler = (e) => { if (e.key === 'Escape') { overlay.classList.add('hidden'); document.removeEventListener('keydown', escHandler); } };
+    document.addEventListener('keydown', escHandler);
+
+    setText('modal-title', `Search results: ${query}`);
+
+    const groups = Object.keys(SEARCH_RESULT_COLUMNS);
+    const first = groups.find(g => results[g].length > 0) || groups[0];
+
+    body.innerHTML = `
+        <div class="dd-tabs">
+            ${groups.map(g => `<button class="dd-tab-btn ${g === first ? 'active' : ''}" data-ddtab="search-tab-${g}">${SEARCH_GROUP_TITLES[g]} (${results[g].length.toLocaleString()})</button>`).join('')}
+        </div>
+        ${groups.map(g => `
+        <div id="search-tab-${g}" class="dd-tab-content ${g === first ? 'active' : ''}">
+            <div class="vs-scroll"><table id="search-table-${g}" class="search-results-table"><thead><tr>${SEARCH_RESULT_COLUMNS[g].map(([label]) => `<th>${label}</th>`).join('')}</tr></thead>
+            <tbody></tbody></table></div>
+        </div>`).join('')}
+        ${SEARCH_SYNTAX_HINT}`;
+
+    initDDTabs();
+
+    groups.forEach(group => {
+        const columns = SEARCH_RESULT_COLUMNS[group];
+        const table = UIHelpers.createVirtualTable(`search-table-${group}`, {
+            colspan: columns.length,
+            renderRow: (result, index) => `<tr class="search-results-row" data-index="${index}">${columns.map(([, value]) => `<td>${UIHelpers.highlightSearchTerm(String(value(result.item) ?? ''), [...result.tokens])}</td>`).join('')}</tr>`,
+            emptyHtml: `<tr><td colspan="${columns.length}" class="text-center text-muted">No matching ${SEARCH_GROUP_TITLES[group].toLowerCase()}</td></tr>`
+        });
+        table.setItems(results[group]);
+
+        document.getElementById(`search-table-${group}`).addEventListener('click', (e) => {
+            const row = e.target.closest('.search-results-row');
+            if (row) navigateToSearchResult(group, results[group][parseInt(row.dataset.index)].item);
+        });
+    });
+};
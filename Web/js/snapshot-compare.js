@@ -0,0 +1,275 @@
+// ============================================
+// snapshot-compare.js - Compare two governance JSON snapshots
+// ============================================
+// Works on the Build-GovernanceReport schema (spo_governance_*.json).
+// The "current" side is fetched from /api/export-json so both sides
+// always share the same camelCase shape.
+
+let currentSnapshotDiff = null;
+
+// --- Entry point ---
+window.openSnapshotCompare = function() {
+    const overlay = document.getElementById('modal-overlay');
+    const title = document.getElementById('modal-title');
+    const body = document.getElementById('modal-body');
+
+    overlay.classList.remove('hidden');
+    document.getElementById('modal-close').onclick = () => overlay.classList.add('hidden');
+    overlay.onclick = (e) => { if (e.target === overlay) overlay.classList.add('hidden'); };
+
+    const escHandler = (e) => { if (e.key === 'Escape') { overlay.classList.add('hidden'); document.removeEventListener('keydown', escHandler); } };
+    document.addEventListener('keydown', escHandler);
+
+    title.textContent = 'Compare Snapshots';
+    renderSnapshotChooser(body);
+};
+
+function renderSnapshotChooser(container) {
+    const canUseCurrent = appState.dataLoaded;
+
+    container.innerHTML = `
+        <div class="snapshot-chooser">
+            <div class="snapshot-side">
+                <h4>Baseline (older)</h4>
+                <input type="file" id="snapshot-file-a" accept=".json,application/json">
+                <p class="snapshot-hint">A <code>spo_governance_*.json</code> report</p>
+            </div>
+            <div class="snapshot-side">
+                <h4>Comparison (newer)</h4>
+                <label class="snapshot-option"><input type="radio" name="snapshot-b-source" value="current" ${canUseCurrent ? 'checked' : 'disabled'}> Current data</label>
+                <label class="snapshot-option"><input type="radio" name="snapshot-b-source" value="file" ${canUseCurrent ? '' : 'checked'}> Report file</label>
+                <input type="file" id="snapshot-file-b" accept=".json,application/json" ${canUseCurrent ? 'disabled' : ''}>
+            </div>
+        </div>
+        <div class="button-row">
+            <button id="btn-run-compare" class="btn btn-primary">Compare</button>
+        </div>`;
+
+    const fileB = document.getElementById('snapshot-file-b');
+    container.querySelectorAll('input[name="snapshot-b-source"]').forEach(radio => {
+        radio.addEventListener('change', () => { fileB.disabled = radio.value !== 'file' || !radio.checked; });
+    });
+
+    document.getElementById('btn-run-compare').addEventListener('click', async () => {
+        const fileA = document.getElementById('snapshot-file-a').files[0];
+        const source = container.querySelector('input[name="snapshot-b-source"]:checked').value;
+
+        if (!fileA) { toast('Select a baseline report file', 'info'); return; }
+        if (source === 'file' && !fileB.files[0]) { toast('Select a comparison report file', 'info'); return; }
+
+        container.innerHTML = '<p class="text-center text-muted">Comparing snapshots...</p>';
+        try {
+            const baseline = await readReportFile(fileA);
+            const current = source === 'file' ? await readReportFile(fileB.files[0]) : await API.exportJson();
+            const diff = diffSnapshots(baseline, current);
+            diff.baselineLabel = snapshotLabel(baseline, fileA.name);
+            diff.currentLabel = source === 'file' ? snapshotLabel(current, fileB.files[0].name) : snapshotLabel(current, 'Current data');
+            currentSnapshotDiff = diff;
+            renderSnapshotDiff(container, diff);
+        } catch (e) {
+            container.innerHTML = `<p class="text-center" style="color:#DC3545">Error comparing snapshots: ${esc(e.message)}</p>`;
+        }
+    });
+}
+
+function snapshotLabel(report, fallback) {
+    const ts = (report.metadata && report.metadata.scanTimestamp) || report.exportedAt;
+    return ts ? `${fallback} (${new Date(ts).toLocaleString()})` : fallback;
+}
+
+// --- Diff ---
+
+// Returns items whose key exists only on one side
+function diffByKey(before, after, keyFn) {
+    const beforeKeys = new Set(before.map(keyFn));
+    const afterKeys = new Set(after.map(keyFn));
+    return {
+        added: after.filter(item => !beforeKeys.has(keyFn(item))),
+        removed: before.filter(item => !afterKeys.has(keyFn(item)))
+    };
+}
+
+// Like diffByKey, but counts duplicate keys: with two identical rows before and
+// one after, one row is reported as removed
+function diffByCount(before, after, keyFn) {
+    const unmatched = (items, others) => {
+        const counts = new Map();
+        others.forEach(item => { const key = keyFn(item); counts.set(key, (counts.get(key) || 0) + 1); });
+        return items.filter(item => {
+            const key = keyFn(item);
+            if (!counts.get(key)) return true;
+            counts.set(key, counts.get(key) - 1);
+            return false;
+        });
+    };
+    return { added: unmatched(after, before), removed: unmatched(before, after) };
+}
+
+function isUniquePerms(item) {
+    return item.hasUniquePermissions === true || item.hasUniquePermissions === 'True';
+}
+
+// Map user key (see diffSnapshots) -> site titles, derived from user role assignments.
+// Assignments name the principal's login; older reports only have the display
+// name, which is used when exactly one user has it.
+function userSiteIndex(report, userKey) {
+    const byLogin = {};
+    const byName = {};
+    (report.users || []).forEach(u => {
+        const key = userKey(u);
+        if (u.loginName) byLogin[u.loginName.toLowerCase()] = key;
+        const name = (u.name || '').toLowerCase();
+        (byName[name] = byName[name] || new Set()).add(key);
+    });
+
+    const index = {};
+    (report.roleAssignments || []).forEach(ra => {
+        if (ra.principalType !== 'User') return;
+        const named = byName[(ra.principal || '').toLowerCase()];
+        const key = ra.principalLoginName
+            ? byLogin[ra.principalLoginName.toLowerCase()]
+            : named && named.size === 1 ? [...named][0] : null;
+        if (key) (index[key] = index[key] || new Set()).add(ra.siteTitle || 'Unknown Site');
+    });
+    return index;
+}
+
+function diffSnapshots(baseline, current) {
+    const userKey = u => (u.loginName || u.email || u.name || '').toLowerCase();
+    const roleKey = r => [r.principal, r.role, r.scopeUrl].join('|').toLowerCase();
+    const breakKey = i => (i.url || '').toLowerCase();
+    const linkKey = l => [l.siteTitle, l.linkType, l.accessLevel, l.groupName || '', l.createdDate || ''].join('|').toLowerCase();
+
+    const users = diffByKey(baseline.users || [], current.users || [], userKey);
+    const roles = diffByKey(baseline.roleAssignments || [], current.roleAssignments || [], roleKey);
+    const breaks = diffByKey(
+        (baseline.inheritance || []).filter(isUniquePerms),
+        (current.inheritance || []).filter(isUniquePerms),
+        breakKey
+    );
+    // Links without a group name can share a key, so they are matched by count
+    const links = diffByCount(baseline.sharingLinks || [], current.sharingLinks || [], linkKey);
+
+    // Flatten into one change list; users take their sites from the snapshot they appear in
+    const currentUserSites = userSiteIndex(current, userKey);
+    const baselineUserSites = userSiteIndex(baseline, userKey);
+    const userSites = (u, index) => Array.from(index[userKey(u)] || ['(no direct assignment)']);
+
+    const changes = [];
+    users.added.forEach(u => userSites(u, currentUserSites).forEach(site =>
+        changes.push({ change: 'Added', category: 'User', site, item: u.name, detail: [u.email, u.type, u.permission].filter(Boolean).join(' · ') })));
+    users.removed.forEach(u => userSites(u, baselineUserSites).forEach(site =>
+        changes.push({ change: 'Removed', category: 'User', site, item: u.name, detail: [u.email, u.type, u.permission].filter(Boolean).join(' · ') })));
+    roles.added.forEach(r =>
+        changes.push({ change: 'Added', category: 'Role Assignment', site: r.siteTitle || 'Unknown Site', item: r.principal, detail: `${r.role} on ${r.scope} (${r.scopeUrl})` }));
+    breaks.added.forEach(i =>
+        changes.push({ change: 'Added', category: 'Inheritance Break', site: i.siteTitle || i.title || 'Unknown Site', item: i.title, detail: `${i.type} · ${i.url}` }));
+    links.added.forEach(l =>
+        changes.push({ change: 'Added', category: 'Sharing Link', site: l.siteTitle || 'Unknown Site', item: `${l.linkType} (${l.accessLevel})`, detail: `${l.memberCount || 0} recipient(s)${l.createdDate ? ' · created ' + l.createdDate : ''}` }));
+    links.removed.forEach(l =>
+        changes.push({ change: 'Revoked', category: 'Sharing Link', site: l.siteTitle || 'Unknown Site', item: `${l.linkType} (${l.accessLevel})`, detail: `${l.memberCount || 0} recipient(s)${l.createdDate ? ' · created ' + l.createdDate : ''}` }));
+
+    // Per-site rollup
+    const sites = {};
+    changes.forEach(c => {
+        const s = sites[c.site] = sites[c.site] || { site: c.site, usersAdded: 0, usersRemoved: 0, newRoles: 0, newBreaks: 0, newLinks: 0, revokedLinks: 0 };
+        if (c.category === 'User') c.change === 'Added' ? s.usersAdded++ : s.usersRemoved++;
+        else if (c.category === 'Role Assignment') s.newRoles++;
+        else if (c.category === 'Inheritance Break') s.newBreaks++;
+        else if (c.category === 'Sharing Link') c.change === 'Added' ? s.newLinks++ : s.revokedLinks++;
+    });
+
+    return {
+        totals: {
+            usersAdded: users.added.length,
+            usersRemoved: users.removed.length,
+            newRoles: roles.added.length,
+            newBreaks: breaks.added.length,
+            newLinks: links.added.length,
+            revokedLinks: links.removed.length
+        },
+        sites: Object.values(sites).sort((a, b) => a.site.localeCompare(b.site)),
+        changes
+    };
+}
+
+// --- Rendering ---
+
+function renderSnapshotDiff(container, diff) {
+    const t = diff.totals;
+
+    container.innerHTML = `
+        <p class="snapshot-hint"><strong>Baseline:</strong> ${esc(diff.baselineLabel)}<br><strong>Comparison:</strong> ${esc(diff.currentLabel)}</p>
+        <div class="dd-stats">
+            <div class="dd-stat"><span class="dd-stat-value" style="color:#DC3545">${t.usersAdded}</span><span class="dd-stat-label">Users Added</span></div>
+            <div class="dd-stat"><span class="dd-stat-value" style="color:#28A745">${t.usersRemoved}</span><span class="dd-stat-label">Users Removed</span></div>
+            <div class="dd-stat"><span class="dd-stat-value" style="color:#FFC107">${t.newRoles}</span><span class="dd-stat-label">New Roles</span></div>
+            <div class="dd-stat"><span class="dd-stat-value" style="color:#DC3545">${t.newBreaks}</span><span class="dd-stat-label">New Breaks</span></div>
+            <div class="dd-stat"><span class="dd-stat-value" style="color:#DC3545">${t.newLinks}</span><span class="dd-stat-label">New Links</span></div>
+            <div class="dd-stat"><span class="dd-stat-value" style="color:#28A745">${t.revokedLinks}</span><span class="dd-stat-label">Revoked Links</span></div>
+        </div>
+        <div class="dd-tabs">
+            <button class="dd-tab-btn active" data-ddtab="dd-snap-sites">By Site</button>
+            <button class="dd-tab-btn" data-ddtab="dd-snap-changes">All Changes</button>
+        </div>
+        <div id="dd-snap-sites" class="dd-tab-content active">
+            <table><thead><tr><th>Site</th><th>Users Added</th><th>Users Removed</th><th>New Roles</th><th>New Breaks</th><th>New Links</th><th>Revoked Links</th></tr></thead>
+            <tbody>${renderSnapshotSiteRows(diff.sites)}</tbody></table>
+        </div>
+        <div id="dd-snap-changes" class="dd-tab-content">
+            <div class="dd-filter-bar"><input type="text" placeholder="Search changes..." id="dd-search">
+            <select id="dd-snap-category"><option value="">All Categories</option><option>User</option><option>Role Assignment</option><option>Inheritance Break</option><option>Sharing Link</option></select>
+            <select id="dd-snap-change"><option value="">All Changes</option><option>Added</option><option>Removed</option><option>Revoked</option></select></div>
+            <table><thead><tr><th>Change</th><th>Category</th><th>Site</th><th>Item</th><th>Detail</th></tr></thead>
+            <tbody id="dd-snap-body">${renderSnapshotChangeRows(diff.changes)}</tbody></table>
+        </div>
+        <div class="button-row">
+            <button class="btn btn-secondary" onclick="exportSnapshotDiff('csv')">Export CSV</button>
+            <button class="btn btn-secondary" onclick="exportSnapshotDiff('json')">Export JSON</button>
+            <button class="btn btn-secondary" onclick="openSnapshotCompare()">New Comparison</button>
+        </div>`;
+
+    initDDTabs();
+
+    const filterChanges = () => {
+        const q = (document.getElementById('dd-search').value || '').toLowerCase();
+        const cat = document.getElementById('dd-snap-category').value;
+        const chg = document.getElementById('dd-snap-change').value;
+        const filtered = diff.changes.filter(c => {
+            const matchSearch = !q || [c.site, c.item, c.detail].some(v => (v || '').toLowerCase().includes(q));
+            return matchSearch && (!cat || c.category === cat) && (!chg || c.change === chg);
+        });
+        document.getElementById('dd-snap-body').innerHTML = renderSnapshotChangeRows(filtered);
+    };
+    document.getElementById('dd-search').addEventListener('input', filterChanges);
+    document.getElementById('dd-snap-category').addEventListener('change', filterChanges);
+    document.getElementById('dd-snap-change').addEventListener('change', filterChanges);
+}
+
+function renderSnapshotSiteRows(sites) {
+    if (sites.length === 0) {
+        return '<tr><td colspan="7" class="text-center text-muted">No differences between the two snapshots</td></tr>';
+    }
+    return sites.map(s => `<tr><td>${esc(s.site)}</td><td>${s.usersAdded}</td><td>${s.usersRemoved}</td><td>${s.newRoles}</td><td>${s.newBreaks}</td><td>${s.newLinks}</td><td>${s.revokedLinks}</td></tr>`).join('');
+}
+
+function renderSnapshotChangeRows(changes) {
+    return changes.map(c => {
+        const color = c.change === 'Added' ? '#DC3545' : '#28A745';
+        return `<tr><td style="color:${color};font-weight:600">${esc(c.change)}</td><td>${esc(c.category)}</td><td>${esc(c.site)}</td><td>${esc(c.item)}</td><td>${esc(c.detail)}</td></tr>`;
+    }).join('');
+}
+
+// --- Export ---
+window.exportSnapshotDiff = function(format) {
+    if (!currentSnapshotDiff) return;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    if (format === 'json') {
+        downloadBlob(JSON.stringify(currentSnapshotDiff, null, 2), `spo_snapshot_diff_${stamp}.json`, 'application/json');
+    } else {
+        downloadCsv(`spo_snapshot_diff_${stamp}.csv`, ['Change', 'Category', 'Site', 'Item', 'Detail'],
+            currentSnapshotDiff.changes.map(c => [c.change, c.category, c.site, c.item, c.detail]));
+    }
+    toast(`Snapshot diff exported as ${format.toUpperCase()}`, 'success');
+};
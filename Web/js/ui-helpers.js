@@ -426,6 +426,154 @@ const UIHelpers = {
         });
     },
 
+    /**
+     * Virtual scrolling core: keeps only the rows in view (plus overscan) in the DOM.
+     * Rows must have a fixed height; spacers stand in for the rows above and below.
+     * @param {HTMLElement} scroller - Element that scrolls (needs a height or max-height)
+     * @param {HTMLElement} target - Element that receives the rendered window
+     * @param {Object} options - { rowHeight, overscan, getCount(), renderRange(start, end), renderSpacer(px) }
+     * @returns {{ refresh: Function, scrollToIndex: Function }}
+     */
+    virtualize(scroller, target, { rowHeight, overscan = 8, getCount, renderRange, renderSpacer }) {
+        let frame = null;
+
+        const render = () => {
+            frame = null;
+            const count = getCount();
+            const viewport = scroller.clientHeight || 600;
+            const start = Math.max(0, Math.floor(scroller.scrollTop / rowHeight) - overscan);
+            const end = Math.min(count, Math.ceil((scroller.scrollTop + viewport) / rowHeight) + overscan);
+            target.innerHTML = renderSpacer(start * rowHeight) + renderRange(start, end) + renderSpacer(Math.max(0, count - end) * rowHeight);
+        };
+
+        scroller.addEventListener('scroll', () => {
+            if (!frame) frame = requestAnimationFrame(render);
+        });
+        render();
+
+        return {
+            refresh: render,
+            scrollToIndex(index) {
+                scroller.scrollTop = Math.max(0, index * rowHeight - scroller.clientHeight / 2);
+                render();
+            }
+        };
+    },
+
+    /**
+     * Virtual table body: renders only the visible rows of a large row set
+     * @param {string} tableId - Table inside a `.vs-scroll` container
+     * @param {Object} options - { rowHeight, renderRow(item, index), colspan, emptyHtml }
+     * @returns {{ setItems: Function, refresh: Function, scrollToIndex: Function }}
+     */
+    createVirtualTable(tableId, { rowHeight = 44, renderRow, colspan = 1, emptyHtml = '' }) {
+        const table = document.getElementById(tableId);
+        if (!table) return null;
+
+        const scroller = table.closest('.vs-scroll') || table.parentElement;
+        const tbody = table.querySelector('tbody');
+        let items = [];
+
+        table.classList.add('vs-table');
+        table.style.setProperty('--vs-row-height', `${rowHeight}px`);
+
+        const view = this.virtualize(scroller, tbody, {
+            rowHeight,
+            getCount: () => items.length,
+            renderRange: (start, end) => items.length === 0
+                ? emptyHtml
+                : items.slice(start, end).map((item, i) => renderRow(item, start + i)).join(''),
+            renderSpacer: px => px > 0 ? `<tr class="vs-spacer" style="height:${px}px"><td colspan="${colspan}"></td></tr>` : ''
+        });
+
+        return {
+            setItems(next) {
+                items = next || [];
+                scroller.scrollTop = 0;
+                view.refresh();
+            },
+            refresh: view.refresh,
+            scrollToIndex: view.scrollToIndex
+        };
+    },
+
+    /**
+     * Virtual tree: flattens expanded nodes into fixed-height rows and renders only those in view.
+     * Nodes start expanded (collapsed with startCollapsed). Any element with `data-vs-toggle`
+     * inside a row toggles that row.
+     * @param {string} containerId - Scroll container (needs a height or max-height)
+     * @param {Object} options - { rowHeight, startCollapsed, getChildren(node), renderNode(node, depth, state) }
+     *   where state = { index, expanded, hasChildren }
+     * @returns {{ setRoots: Function, toggle: Function, expand: Function, indexOf: Function, scrollToNode: Function, refresh: Function }}
+     */
+    createVirtualTree(containerId, { rowHeight = 44, startCollapsed = false, getChildren, renderNode }) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        // Nodes not in their starting state
+        const toggled = new Set();
+        const isExpanded = node => startCollapsed ? toggled.has(node) : !toggled.has(node);
+        let roots = [];
+        let rows = [];
+
+        const flatten = () => {
+            rows = [];
+            const walk = (nodes, depth) => nodes.forEach(node => {
+                const children = getChildren(node) || [];
+                const expanded = children.length > 0 && isExpanded(node);
+                rows.push({ node, depth, hasChildren: children.length > 0, expanded });
+                if (expanded) walk(children, depth + 1);
+            });
+            walk(roots, 0);
+        };
+
+        const view = this.virtualize(container, container, {
+            rowHeight,
+            getCount: () => rows.length,
+            renderRange: (start, end) => rows.slice(start, end).map((row, i) => `
+                <div class="vs-row" style="height:${rowHeight}px">
+                    ${renderNode(row.node, row.depth, { index: start + i, expanded: row.expanded, hasChildren: row.hasChildren })}
+                </div>`).join(''),
+            renderSpacer: px => px > 0 ? `<div class="vs-spacer" style="height:${px}px"></div>` : ''
+        });
+
+        container.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-vs-toggle]');
+            if (toggle && container.contains(toggle)) tree.toggle(parseInt(toggle.dataset.vsToggle));
+        });
+
+        const tree = {
+            setRoots(next) {
+                roots = next || [];
+                toggled.clear();
+                flatten();
+                container.scrollTop = 0;
+                view.refresh();
+            },
+            toggle(index) {
+                const row = rows[index];
+                if (!row || !row.hasChildren) return;
+                if (toggled.has(row.node)) toggled.delete(row.node); else toggled.add(row.node);
+                flatten();
+                view.refresh();
+            },
+            expand(nodes) {
+                nodes.forEach(node => { if (startCollapsed) toggled.add(node); else toggled.delete(node); });
+                flatten();
+                view.refresh();
+            },
+            indexOf(node) {
+                return rows.findIndex(row => row.node === node);
+            },
+            scrollToNode(node) {
+                const index = rows.findIndex(row => row.node === node);
+                if (index !== -1) view.scrollToIndex(index);
+            },
+            refresh: view.refresh
+        };
+        return tree;
+    },
+
     /**
      * Add scroll shadow indicators to container
      * @param {string} containerId - Container element ID
@@ -465,16 +613,22 @@ const UIHelpers = {
     },
 
     /**
-     * Highlight search term in text
-     * @param {string} text - Text to search in
-     * @param {string} searchTerm - Term to highlight
-     * @returns {string} HTML with highlighted terms
+     * Highlight search terms in plain text
+     * @param {string} text - Plain text; it is HTML-escaped here
+     * @param {string|string[]} searchTerm - Term or terms to highlight (case-insensitive, literal)
+     * @returns {string} Escaped HTML with highlighted terms
      */
     highlightSearchTerm(text, searchTerm) {
-        if (!searchTerm) return text;
-
-        const regex = new RegExp(`(${searchTerm})`, 'gi');
-        return text.replace(regex, '<span class="search-highlight">$1</span>');
+        const terms = (Array.isArray(searchTerm) ? searchTerm : [searchTerm])
+            .filter(Boolean)
+            .sort((a, b) => b.length - a.length)
+            .map(term => String(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (terms.length === 0) return esc(text);
+
+        // split() with a capture group puts the matches at the odd indexes
+        return String(text ?? '').split(new RegExp(`(${terms.join('|')})`, 'gi'))
+            .map((part, i) => i % 2 === 1 ? `<span class="search-highlight">${esc(part)}</span>` : esc(part))
+            .join('');
     },
 
     /**
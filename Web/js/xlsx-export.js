@@ -0,0 +1,241 @@
+// ============================================
+// xlsx-export.js - Excel workbook export
+// ============================================
+// One .xlsx with a sheet per data type plus the risk findings and a
+// metadata sheet, built in the browser from the active data source (live,
+// demo or a loaded report file) and downloaded as a single file. Each sheet
+// has a bold header row, frozen panes and an autofilter. The workbook is a
+// minimal SpreadsheetML package (inline strings, one bold style) in an
+// uncompressed ZIP, so no library is needed.
+
+const XLSX_DATA_SHEETS = [
+    { name: 'Sites', type: 'sites' },
+    { name: 'Users', type: 'users' },
+    { name: 'Groups', type: 'groups' },
+    { name: 'Role Assignments', type: 'roleassignments' },
+    { name: 'Inheritance', type: 'inheritance' },
+    { name: 'Sharing Links', type: 'sharinglinks' }
+];
+
+// Excel rejects longer cell text
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+// Entry point for the "Excel" export format
+async function exportWorkbook() {
+    toast('Building Excel workbook...', 'info');
+    const generatedAt = new Date();
+    const [metrics, risk, ...collections] = await Promise.all([
+        API.getMetrics(),
+        API.getRisk(),
+        ...XLSX_DATA_SHEETS.map(s => API.getData(s.type))
+    ]);
+
+    const sheets = XLSX_DATA_SHEETS.map((s, i) => rowsToSheet(s.name, collections[i].data || []));
+    sheets.push(findingsToSheet(risk.findings || []));
+    sheets.push(metadataSheet(generatedAt, metrics, risk));
+
+    downloadBlob(buildXlsx(sheets), `spo_governance_${generatedAt.toISOString().replace(/[:.]/g, '-').slice(0, 19)}.xlsx`,
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    toast('Excel workbook downloaded', 'success');
+}
+
+// --- Sheets ---
+// A sheet is { name, headers[], rows[][] }
+
+// Columns are the union of the row keys; member lists become names
+function rowsToSheet(name, data) {
+    const headers = Array.from(new Set(data.flatMap(r => Object.keys(r))));
+    const cell = v => Array.isArray(v) ? v.map(m => (m && m.Name) || m).join('; ') : v;
+    return { name, headers, rows: data.map(r => headers.map(h => cell(r[h]))) };
+}
+
+function findingsToSheet(findings) {
+    return {
+        name: 'Risk Findings',
+        headers: ['Rule ID', 'Severity', 'Category', 'Title', 'Description', 'Count', 'Affected Objects', 'Score', 'Triage', 'Scored', 'Remediation'],
+        rows: findings.map(f => [
+            f.RuleId, f.Severity, f.Category, f.Title, f.Description, f.Count, f.AffectedCount ?? f.Count, f.Score,
+            RISK_TRIAGE_LABELS[findingTriageState(f)] || findingTriageState(f), !f.Suppressed, f.Remediation
+        ])
+    };
+}
+
+function metadataSheet(generatedAt, metrics, risk) {
+    const source = API.isOffline() ? `Report file ${(appState.offlineReport && appState.offlineReport.fileName) || ''}`.trim()
+        : appState.demoMode ? 'Demo data' : 'Live';
+    const rows = [
+        ['Generated', generatedAt.toLocaleString()],
+        ['Source', source],
+        ['Scope', reportScopeLabel()],
+        ['Partial data', metrics.partial ? `${metrics.partial.operation || 'The last operation'} was ${(metrics.partial.reason || 'cancelled').toLowerCase()}` : 'No'],
+        ['Risk score', risk.overallScore],
+        ['Risk level', risk.riskLevel],
+        ['Findings', risk.totalFindings],
+        ['Critical', risk.criticalCount],
+        ['High', risk.highCount],
+        ['Medium', risk.mediumCount],
+        ['Low', risk.lowCount],
+        ['Accepted / false positive', risk.suppressedCount ?? 0],
+        ['Sites', metrics.totalSites],
+        ['Users', metrics.totalUsers],
+        ['External users', metrics.externalUsers],
+        ['Groups', metrics.totalGroups],
+        ['Role assignments', metrics.totalRoleAssignments],
+        ['Inheritance breaks', metrics.inheritanceBreaks],
+        ['Sharing links', metrics.totalSharingLinks]
+    ];
+    return { name: 'Metadata', headers: ['Property', 'Value'], rows };
+}
+
+// --- SpreadsheetML ---
+
+// Returns the workbook as a Uint8Array
+function buildXlsx(sheets) {
+    const names = uniqueSheetNames(sheets.map(s => s.name));
+    const files = [
+        ['[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheets.map((s, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>`],
+        ['_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+        ['xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${names.map((n, i) => `<sheet name="${xmlEscape(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets><definedNames>${sheets.map((s, i) => `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">'${xmlEscape(names[i].replace(/'/g, "''"))}'!${sheetRange(s, true)}</definedName>`).join('')}</definedNames></workbook>`],
+        ['xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((s, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`],
+        ['xl/styles.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>`]
+    ];
+    sheets.forEach((s, i) => files.push([`xl/worksheets/sheet${i + 1}.xml`, sheetXml(s)]));
+
+    const encoder = new TextEncoder();
+    return buildZip(files.map(([name, xml]) => ({ name, data: encoder.encode(xml) })));
+}
+
+function sheetXml(sheet) {
+    const columns = Math.max(sheet.headers.length, 1);
+    const widths = Array.from({ length: columns }, (_, c) => Math.min(60, Math.max(10,
+        ...[sheet.headers, ...sheet.rows.slice(0, 200)].map(r => String(r[c] ?? '').length + 2))));
+
+    const rowXml = (values, r, style) => `<row r="${r}">${values.map((v, c) => cellXml(v, `${columnLetter(c)}${r}`, style)).join('')}</row>`;
+    const rows = [rowXml(sheet.headers, 1, 1), ...sheet.rows.map((values, i) => rowXml(values, i + 2, 0))].join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><cols>${widths.map((w, c) => `<col min="${c + 1}" max="${c + 1}" width="${w}" customWidth="1"/>`).join('')}</cols><sheetData>${rows}</sheetData><autoFilter ref="${sheetRange(sheet, false)}"/></worksheet>`;
+}
+
+function cellXml(value, ref, style) {
+    const s = style ? ` s="${style}"` : '';
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+
+    const text = (typeof value === 'object' ? JSON.stringify(value) : String(value)).slice(0, XLSX_MAX_CELL_LENGTH);
+    return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+}
+
+// "A1:K42"; absolute ($A$1:$K$42) for the filter's defined name
+function sheetRange(sheet, absolute) {
+    const last = columnLetter(Math.max(sheet.headers.length, 1) - 1);
+    const rows = sheet.rows.length + 1;
+    return absolute ? `$A$1:$${last}$${rows}` : `A1:${last}${rows}`;
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+    }
+    return letters;
+}
+
+// Excel sheet names: at most 31 characters, no []:*?/\ and unique
+function uniqueSheetNames(names) {
+    const used = new Set();
+    return names.map(name => {
+        const base = name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31).trim() || 'Sheet';
+        let candidate = base;
+        for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+            candidate = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+}
+
+// Escapes markup and drops characters XML 1.0 does not allow
+function xmlEscape(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// --- ZIP (stored, no compression) ---
+
+let zipCrcTable = null;
+
+function crc32(bytes) {
+    if (!zipCrcTable) {
+        zipCrcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            zipCrcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = zipCrcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [{ name, data: Uint8Array }] -> Uint8Array
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);        // local file header signature
+        local.setUint16(4, 20, true);                 // version needed
+        local.setUint16(8, 0, true);                  // method: stored
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);  // compressed size
+        local.setUint32(22, file.data.length, true);  // uncompressed size
+        local.setUint16(26, name.length, true);
+        locals.push(new Uint8Array(local.buffer), name, file.data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);      // central directory signature
+        central.setUint16(4, 20, true);               // version made by
+        central.setUint16(6, 20, true);               // version needed
+        central.setUint32(16, crc, true);
+        central.setUint32(20, file.data.length, true);
+        central.setUint32(24, file.data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);          // local header offset
+        centrals.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + file.data.length;
+    });
+
+    const centralSize = centrals.reduce((n, part) => n + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);              // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+    let position = 0;
+    parts.forEach(part => { zip.set(part, position); position += part.length; });
+    return zip;
+}